@@ -1,4 +1,6 @@
 import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { isApiEnabled } from "../services/apiClient";
+import { authApi } from "../services/authApi";
 
 const USERS_STORAGE_KEY = "auth:users";
 
@@ -26,7 +28,10 @@ const toPublicUser = (storedUser) => {
   return publicUser;
 };
 
+// With VITE_API_URL set, accounts and tokens come from the lesson5 backend;
+// otherwise they are mocked in localStorage
 export function AuthProvider({ children }) {
+  const useApi = isApiEnabled();
   const [storedUsers, setStoredUsers] = useState(() => {
     const savedUsers = localStorage.getItem(USERS_STORAGE_KEY);
 
@@ -52,6 +57,43 @@ export function AuthProvider({ children }) {
   }, [storedUsers]);
 
   useEffect(() => {
+    if (!useApi) {
+      return;
+    }
+
+    let cancelled = false;
+
+    if (!localStorage.getItem("token")) {
+      setLoading(false);
+      return;
+    }
+
+    authApi
+      .restore()
+      .then((apiUser) => {
+        if (!cancelled) {
+          setUser(apiUser);
+        }
+      })
+      .catch(() => {
+        localStorage.removeItem("token");
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [useApi]);
+
+  useEffect(() => {
+    if (useApi) {
+      return;
+    }
+
     const token = localStorage.getItem("token");
     const tokenExpiry = localStorage.getItem("tokenExpiry");
     const storedUserId = localStorage.getItem("userId");
@@ -75,7 +117,7 @@ export function AuthProvider({ children }) {
     localStorage.removeItem("tokenExpiry");
     localStorage.removeItem("userId");
     setLoading(false);
-  }, [storedUsers]);
+  }, [storedUsers, useApi]);
 
   const createTokenWithExpiry = (hours = 24) => {
     const now = Date.now();
@@ -92,6 +134,12 @@ export function AuthProvider({ children }) {
       setError(null);
 
       const normalizedEmail = email.trim().toLowerCase();
+
+      if (useApi) {
+        setUser(await authApi.login(normalizedEmail, password));
+        return;
+      }
+
       const existingUser = storedUsers.find((item) => item.email === normalizedEmail);
 
       await new Promise((resolve) => setTimeout(resolve, 600));
@@ -116,6 +164,10 @@ export function AuthProvider({ children }) {
   };
 
   const logout = () => {
+    if (useApi) {
+      // Ends the backend session and clears its refresh cookie
+      authApi.logout().catch(() => {});
+    }
     localStorage.removeItem("token");
     localStorage.removeItem("tokenExpiry");
     localStorage.removeItem("userId");
@@ -133,6 +185,11 @@ export function AuthProvider({ children }) {
         throw new Error("All fields are required");
       }
 
+      if (useApi) {
+        setUser(await authApi.register(normalizedEmail, password, name.trim()));
+        return;
+      }
+
       if (storedUsers.some((existing) => existing.email === normalizedEmail)) {
         throw new Error("Email is already registered");
       }
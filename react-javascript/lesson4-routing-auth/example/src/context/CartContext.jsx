@@ -1,39 +1,95 @@
-import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
 import { useAuth } from '../auth/AuthContext';
+import { isApiEnabled } from '../services/apiClient';
+import { fromApiOrder, ordersApi } from '../services/ordersApi';
+import { cartApi } from '../services/cartApi';
+import { pricingApi } from '../services/pricingApi';
+import { paymentsApi } from '../services/paymentsApi';
 
 const CartContext = createContext(undefined);
 
-const CART_STORAGE_KEY = 'cart';
+// Carts are stored per user; the guest cart is merged into the user's on login
+const GUEST_CART_KEY = 'cart:guest';
+const LEGACY_CART_KEY = 'cart';
 const ORDER_STORAGE_KEY = 'orders';
+const ORDER_STATUSES = ['pending', 'paid', 'failed', 'shipped', 'delivered', 'cancelled', 'refunded', 'completed'];
+// How long to wait before reloading orders to pick up the payment webhook's result
+const PAYMENT_REFRESH_DELAY = 1500;
 
 const normalizeOrder = (order) => ({
   id: order?.id ? String(order.id) : Date.now().toString(),
   items: Array.isArray(order?.items) ? order.items : [],
   total: typeof order?.total === 'number' ? order.total : 0,
   date: typeof order?.date === 'string' ? order.date : new Date().toISOString(),
-  status: order?.status === 'pending' || order?.status === 'cancelled' ? order.status : 'completed',
+  status: ORDER_STATUSES.includes(order?.status) ? order.status : 'completed',
   userId: typeof order?.userId === 'string' ? order.userId : 'legacy-user',
   userName: typeof order?.userName === 'string' ? order.userName : 'Legacy User',
   userEmail: typeof order?.userEmail === 'string' ? order.userEmail : 'legacy@example.com',
 });
 
-export function CartProvider({ children }) {
-  const { user } = useAuth();
-  const [cartItems, setCartItems] = useState(() => {
-    const savedCart = localStorage.getItem(CART_STORAGE_KEY);
-    if (savedCart) {
-      try {
-        const parsed = JSON.parse(savedCart);
-        if (Array.isArray(parsed)) {
-          return parsed;
-        }
-      } catch {
-        // ignore parse errors
+// Guest carts filled from the mock catalog hold ids the backend does not know
+const isApiProductId = (id) => /^[0-9a-f]{24}$/i.test(String(id));
+
+const cartKeyFor = (user) => (user ? `cart:${user.id}` : GUEST_CART_KEY);
+
+const readCart = (key) => {
+  const savedCart = localStorage.getItem(key);
+  if (savedCart) {
+    try {
+      const parsed = JSON.parse(savedCart);
+      if (Array.isArray(parsed)) {
+        return parsed;
       }
+    } catch {
+      // ignore parse errors
     }
-    return [];
-  });
+  }
+  return [];
+};
+
+// The single shared cart of earlier versions becomes the guest cart
+const migrateLegacyCart = () => {
+  const legacyCart = localStorage.getItem(LEGACY_CART_KEY);
+  if (legacyCart !== null) {
+    if (localStorage.getItem(GUEST_CART_KEY) === null) {
+      localStorage.setItem(GUEST_CART_KEY, legacyCart);
+    }
+    localStorage.removeItem(LEGACY_CART_KEY);
+  }
+};
+
+const mergeCartItems = (userItems, guestItems) =>
+  guestItems.reduce((merged, guestItem) => {
+    const existing = merged.find((item) => item.id === guestItem.id);
+    if (existing) {
+      return merged.map((item) =>
+        item.id === guestItem.id ? { ...item, quantity: item.quantity + guestItem.quantity } : item
+      );
+    }
+    return [...merged, guestItem];
+  }, userItems);
+
+export function CartProvider({ children }) {
+  const { user, loading: authLoading } = useAuth();
+  const useApi = isApiEnabled();
+  const [cartItems, setCartItems] = useState([]);
+  // localStorage key of the cart in state; null while it lives on the server
+  const [cartKey, setCartKey] = useState(null);
+  const [cartWarnings, setCartWarnings] = useState([]);
+  const [cartError, setCartError] = useState(null);
+  // Only the response to the latest cart request may replace the cart
+  const latestCartRequest = useRef(0);
+  // Server-side price breakdown (coupon, shipping, tax) of the current cart
+  const [pricing, setPricing] = useState(null);
+  const [couponCode, setCouponCode] = useState('');
+  const [couponError, setCouponError] = useState(null);
+  const [region, setRegion] = useState('*');
+  const [regions, setRegions] = useState([]);
   const [allOrders, setAllOrders] = useState(() => {
+    if (useApi) {
+      return [];
+    }
+
     const savedOrders = localStorage.getItem(ORDER_STORAGE_KEY);
     if (savedOrders) {
       try {
@@ -47,17 +103,169 @@ export function CartProvider({ children }) {
     }
     return [];
   });
+  // Orders of the signed-in user when they come from the API
+  const [myOrders, setMyOrders] = useState([]);
+  const [ordersError, setOrdersError] = useState(null);
 
+  const applyServerCart = useCallback((requestId, { items, warnings }) => {
+    if (requestId !== latestCartRequest.current) {
+      return;
+    }
+    setCartItems(items);
+    if (warnings.length > 0) {
+      setCartWarnings(warnings);
+    }
+  }, []);
+
+  const reloadServerCart = useCallback(() => {
+    const requestId = ++latestCartRequest.current;
+    return cartApi.get().then((serverCart) => applyServerCart(requestId, serverCart));
+  }, [applyServerCart]);
+
+  // Load the cart of whoever is signed in, merging the guest cart on login
   useEffect(() => {
-    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cartItems));
-  }, [cartItems]);
+    if (authLoading) {
+      return;
+    }
+
+    migrateLegacyCart();
+    const requestId = ++latestCartRequest.current;
+    const guestItems = readCart(GUEST_CART_KEY);
+    setCartError(null);
+    setCartWarnings([]);
+
+    if (!user) {
+      setCartItems(guestItems);
+      setCartKey(GUEST_CART_KEY);
+      return;
+    }
+
+    if (!useApi) {
+      const key = cartKeyFor(user);
+      localStorage.removeItem(GUEST_CART_KEY);
+      setCartItems(mergeCartItems(readCart(key), guestItems));
+      setCartKey(key);
+      return;
+    }
+
+    setCartKey(null);
+    const apiGuestItems = guestItems.filter((item) => isApiProductId(item.id));
+    const loadCart = apiGuestItems.length > 0 ? cartApi.merge(apiGuestItems) : cartApi.get();
+    loadCart
+      .then((serverCart) => {
+        localStorage.removeItem(GUEST_CART_KEY);
+        applyServerCart(requestId, serverCart);
+      })
+      .catch((err) => {
+        if (requestId === latestCartRequest.current) {
+          setCartItems(guestItems);
+          setCartError(err instanceof Error ? err.message : 'Failed to load cart');
+        }
+      });
+  }, [authLoading, user?.id, useApi, applyServerCart]);
+
+  useEffect(() => {
+    if (cartKey) {
+      localStorage.setItem(cartKey, JSON.stringify(cartItems));
+    }
+  }, [cartItems, cartKey]);
 
   useEffect(() => {
-    localStorage.setItem(ORDER_STORAGE_KEY, JSON.stringify(allOrders));
-  }, [allOrders]);
+    if (!useApi || !user) {
+      setRegions([]);
+      return;
+    }
+    pricingApi.regions().then(setRegions).catch(() => setRegions([]));
+  }, [useApi, user?.id]);
+
+  // Re-price the cart on the server whenever it or the coupon/region changes
+  useEffect(() => {
+    if (!useApi || !user || cartItems.length === 0) {
+      setPricing(null);
+      setCouponError(null);
+      return;
+    }
+
+    let cancelled = false;
+    pricingApi
+      .quote(cartItems, { couponCode, region })
+      .then(({ breakdown, couponError: error }) => {
+        if (!cancelled) {
+          setPricing(breakdown);
+          setCouponError(error);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setPricing(null);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cartItems, couponCode, region, useApi, user?.id]);
+
+  /**
+   * Apply a change to the cart right away and, for a server-side cart,
+   * replace it with the server's answer once it arrives. A failed request
+   * reloads the server cart so the optimistic change is undone.
+   */
+  const updateCart = (applyLocally, sendToServer) => {
+    setCartItems(applyLocally);
+
+    if (!useApi || !user) {
+      return;
+    }
+
+    const requestId = ++latestCartRequest.current;
+    setCartError(null);
+    sendToServer()
+      .then((serverCart) => applyServerCart(requestId, serverCart))
+      .catch((err) => {
+        if (requestId === latestCartRequest.current) {
+          setCartError(err instanceof Error ? err.message : 'Failed to update cart');
+          reloadServerCart().catch(() => {});
+        }
+      });
+  };
+
+  const dismissCartWarnings = () => {
+    setCartWarnings([]);
+  };
+
+  useEffect(() => {
+    if (!useApi) {
+      localStorage.setItem(ORDER_STORAGE_KEY, JSON.stringify(allOrders));
+    }
+  }, [allOrders, useApi]);
+
+  const refreshOrders = useCallback(async () => {
+    if (!useApi) {
+      return;
+    }
+
+    if (!user) {
+      setMyOrders([]);
+      setAllOrders([]);
+      return;
+    }
+
+    try {
+      setOrdersError(null);
+      setMyOrders(await ordersApi.listMine());
+      setAllOrders(user.role === 'admin' ? await ordersApi.listAll() : []);
+    } catch (err) {
+      setOrdersError(err instanceof Error ? err.message : 'Failed to load orders');
+    }
+  }, [useApi, user]);
+
+  useEffect(() => {
+    refreshOrders();
+  }, [refreshOrders]);
 
   const addToCart = (product) => {
-    setCartItems((prevItems) => {
+    updateCart((prevItems) => {
       const existingItem = prevItems.find((item) => item.id === product.id);
 
       if (existingItem) {
@@ -76,41 +284,100 @@ export function CartProvider({ children }) {
           image: product.image,
         },
       ];
-    });
+    }, () => cartApi.addItem(product.id));
   };
 
   const updateQuantity = (itemId, quantity) => {
     if (quantity < 1) return;
 
-    setCartItems((prevItems) =>
-      prevItems.map((item) =>
-        item.id === itemId ? { ...item, quantity } : item
-      )
+    updateCart(
+      (prevItems) =>
+        prevItems.map((item) =>
+          item.id === itemId ? { ...item, quantity } : item
+        ),
+      () => cartApi.updateItem(itemId, quantity)
     );
   };
 
   const removeFromCart = (itemId) => {
-    setCartItems((prevItems) => prevItems.filter((item) => item.id !== itemId));
+    updateCart(
+      (prevItems) => prevItems.filter((item) => item.id !== itemId),
+      () => cartApi.removeItem(itemId)
+    );
   };
 
   const clearCart = () => {
-    setCartItems([]);
+    updateCart(() => [], () => cartApi.clear());
   };
 
-  const getCartTotal = () => {
+  const getCartSubtotal = () => {
     return cartItems.reduce((total, item) => total + item.price * item.quantity, 0);
   };
 
+  // The server's total when available, otherwise the plain sum of the items
+  const getCartTotal = () => {
+    return pricing ? pricing.total : getCartSubtotal();
+  };
+
+  // Line-by-line breakdown for the cart summary
+  const priceSummary = pricing
+    ? pricing.summary
+    : [
+        { key: 'subtotal', label: 'Subtotal', amount: getCartSubtotal() },
+        { key: 'total', label: 'Total', amount: getCartSubtotal() },
+      ];
+
+  const applyCoupon = (code) => {
+    setCouponCode(code.trim().toUpperCase());
+  };
+
+  const removeCoupon = () => {
+    setCouponCode('');
+  };
+
   const orders = useMemo(() => {
     if (!user) {
       return [];
     }
+    if (useApi) {
+      return myOrders;
+    }
     return allOrders.filter((order) => order.userId === user.id);
-  }, [allOrders, user]);
+  }, [allOrders, myOrders, useApi, user]);
 
-  const checkout = () => {
+  /**
+   * Resolves with the new order; with the API, rejects when an item is out of
+   * stock. The API order is then paid with `paymentMethod`; a payment that
+   * needs confirming sends the browser to the provider's page.
+   */
+  const checkout = async ({ paymentMethod } = {}) => {
     if (cartItems.length === 0 || !user) {
-      return;
+      return null;
+    }
+
+    if (useApi) {
+      const newOrder = await ordersApi.create(cartItems, { couponCode, region });
+      setCouponCode('');
+      setMyOrders((prevOrders) => [newOrder, ...prevOrders]);
+      if (user.role === 'admin') {
+        setAllOrders((prevOrders) => [newOrder, ...prevOrders]);
+      }
+      // The server takes ordered items out of the cart itself
+      updateCart(() => [], () => cartApi.get());
+
+      let redirectUrl;
+      try {
+        ({ redirectUrl } = await paymentsApi.pay(newOrder.id, paymentMethod, `${window.location.origin}/my-orders`));
+      } catch (err) {
+        const reason = err instanceof Error ? err.message : 'unknown error';
+        throw new Error(`Your order was placed but the payment could not be started: ${reason}`);
+      }
+      if (redirectUrl) {
+        window.location.assign(redirectUrl);
+      } else {
+        setTimeout(refreshOrders, PAYMENT_REFRESH_DELAY);
+      }
+      return newOrder;
     }
 
     const newOrder = {
@@ -126,9 +393,39 @@ export function CartProvider({ children }) {
 
     setAllOrders((prevOrders) => [newOrder, ...prevOrders]);
     clearCart();
+    return newOrder;
   };
 
-  const removeOrder = (orderId) => {
+  const updateOrderStatus = async (orderId, status) => {
+    const replaceOrder = (updated) => (prevOrders) =>
+      prevOrders.map((order) => (order.id === orderId ? { ...order, status: updated.status } : order));
+
+    if (useApi) {
+      const updated = await ordersApi.updateStatus(orderId, status);
+      setMyOrders(replaceOrder(updated));
+      setAllOrders(replaceOrder(updated));
+      return;
+    }
+
+    setAllOrders(replaceOrder({ status }));
+  };
+
+  // Refunds the order's payment; only available with the API
+  const refundOrder = async (orderId, reason) => {
+    const { order } = await paymentsApi.refund(orderId, reason);
+    const updated = fromApiOrder(order);
+    const replaceOrder = (prevOrders) =>
+      prevOrders.map((existing) => (existing.id === orderId ? { ...existing, status: updated.status } : existing));
+    setMyOrders(replaceOrder);
+    setAllOrders(replaceOrder);
+  };
+
+  // Server-side orders are kept for the record and cancelled instead
+  const removeOrder = async (orderId) => {
+    if (useApi) {
+      await updateOrderStatus(orderId, 'cancelled');
+      return;
+    }
     setAllOrders((prevOrders) => prevOrders.filter((order) => order.id !== orderId));
   };
 
@@ -136,6 +433,9 @@ export function CartProvider({ children }) {
     <CartContext.Provider
       value={{
         cartItems,
+        cartWarnings,
+        cartError,
+        dismissCartWarnings,
         orders,
         allOrders,
         addToCart,
@@ -144,7 +444,19 @@ export function CartProvider({ children }) {
         clearCart,
         checkout,
         removeOrder,
+        updateOrderStatus,
+        refundOrder,
+        refreshOrders,
+        ordersError,
         getCartTotal,
+        priceSummary,
+        couponCode,
+        couponError,
+        applyCoupon,
+        removeCoupon,
+        region,
+        regions,
+        setRegion,
       }}
     >
       {children}
@@ -1,11 +1,23 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import { useAuth } from '../auth/AuthContext';
 import { useCart } from '../context/CartContext';
+import { isApiEnabled } from '../services/apiClient';
 import './AdminDashboard.css';
 
+// Next step of an order's fulfilment; with the API, payments move orders out of pending
+const NEXT_STATUS = {
+  pending: 'paid',
+  paid: 'shipped',
+  shipped: 'delivered',
+};
+
+const REFUNDABLE_STATUSES = ['paid', 'shipped', 'delivered'];
+
 export function AdminDashboard() {
   const { users, deleteUser } = useAuth();
-  const { allOrders, removeOrder } = useCart();
+  const { allOrders, removeOrder, updateOrderStatus, refundOrder, ordersError } = useCart();
+  const [orderError, setOrderError] = useState(null);
+  const ordersFromApi = isApiEnabled();
 
   const sortedUsers = useMemo(
     () => [...users].sort((a, b) => a.role.localeCompare(b.role) || a.name.localeCompare(b.name)),
@@ -23,10 +35,30 @@ export function AdminDashboard() {
     }
   };
 
+  const runOrderAction = async (action) => {
+    try {
+      setOrderError(null);
+      await action();
+    } catch (err) {
+      setOrderError(err instanceof Error ? err.message : 'Failed to update order');
+    }
+  };
+
   const handleDeleteOrder = (orderId) => {
-    const confirmed = window.confirm('Delete this order? This action cannot be undone.');
+    const confirmed = window.confirm(
+      ordersFromApi
+        ? 'Cancel this order? Its items go back into stock.'
+        : 'Delete this order? This action cannot be undone.'
+    );
     if (confirmed) {
-      removeOrder(orderId);
+      runOrderAction(() => removeOrder(orderId));
+    }
+  };
+
+  const handleRefundOrder = (orderId) => {
+    const reason = window.prompt('Refund this order in full? Reason (optional):');
+    if (reason !== null) {
+      runOrderAction(() => refundOrder(orderId, reason));
     }
   };
 
@@ -85,6 +117,10 @@ export function AdminDashboard() {
           <p>Total orders: {allOrders.length}</p>
         </div>
 
+        {(ordersError || orderError) && (
+          <p className="error-message">{ordersError || orderError}</p>
+        )}
+
         {allOrders.length === 0 ? (
           <div className="admin-empty-state">
             <p>No orders have been placed yet.</p>
@@ -131,13 +167,33 @@ export function AdminDashboard() {
                   </td>
                   <td>
                     <div className="admin-actions">
-                      <button
-                        type="button"
-                        className="admin-action-button secondary"
-                        onClick={() => handleDeleteOrder(order.id)}
-                      >
-                        Delete order
-                      </button>
+                      {NEXT_STATUS[order.status] && !(ordersFromApi && order.status === 'pending') && (
+                        <button
+                          type="button"
+                          className="admin-action-button"
+                          onClick={() => runOrderAction(() => updateOrderStatus(order.id, NEXT_STATUS[order.status]))}
+                        >
+                          Mark {NEXT_STATUS[order.status]}
+                        </button>
+                      )}
+                      {ordersFromApi && REFUNDABLE_STATUSES.includes(order.status) && (
+                        <button
+                          type="button"
+                          className="admin-action-button secondary"
+                          onClick={() => handleRefundOrder(order.id)}
+                        >
+                          Refund
+                        </button>
+                      )}
+                      {(!ordersFromApi || order.status === 'pending') && (
+                        <button
+                          type="button"
+                          className="admin-action-button secondary"
+                          onClick={() => handleDeleteOrder(order.id)}
+                        >
+                          {ordersFromApi ? 'Cancel order' : 'Delete order'}
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
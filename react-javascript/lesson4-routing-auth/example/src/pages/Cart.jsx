@@ -1,6 +1,10 @@
 import { useState } from 'react';
 import { useCart } from '../context/CartContext';
 import { Modal } from '../components/Modal';
+import { isApiEnabled } from '../services/apiClient';
+import { TEST_CARDS } from '../services/paymentsApi';
+
+const formatAmount = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
 
 export function Cart() {
    const {
@@ -8,19 +12,64 @@ export function Cart() {
       updateQuantity,
       removeFromCart,
       checkout,
-      getCartTotal
+      priceSummary,
+      couponCode,
+      couponError,
+      applyCoupon,
+      removeCoupon,
+      region,
+      regions,
+      setRegion,
+      cartWarnings,
+      cartError,
+      dismissCartWarnings
    } = useCart();
    const [showModal, setShowModal] = useState(false);
+   const [checkingOut, setCheckingOut] = useState(false);
+   const [checkoutError, setCheckoutError] = useState(null);
+   const [couponInput, setCouponInput] = useState('');
+   const [paymentMethod, setPaymentMethod] = useState(TEST_CARDS[0].number);
+
+   const handleApplyCoupon = (e) => {
+      e.preventDefault();
+      if (couponInput.trim()) {
+         applyCoupon(couponInput);
+         setCouponInput('');
+      }
+   };
 
-   const handleCheckout = () => {
-      checkout();
-      setShowModal(true);
+   const handleCheckout = async () => {
+      try {
+         setCheckingOut(true);
+         setCheckoutError(null);
+         await checkout({ paymentMethod });
+         setShowModal(true);
+      } catch (err) {
+         setCheckoutError(err instanceof Error ? err.message : 'Checkout failed');
+      } finally {
+         setCheckingOut(false);
+      }
    };
 
    return (
       <div className="cart">
          <h2>Shopping Cart</h2>
 
+         {cartWarnings.length > 0 && (
+            <div className="cart-warnings">
+               <ul>
+                  {cartWarnings.map((warning) => (
+                     <li key={`${warning.type}-${warning.productId}`}>{warning.message}</li>
+                  ))}
+               </ul>
+               <button type="button" onClick={dismissCartWarnings}>
+                  Dismiss
+               </button>
+            </div>
+         )}
+
+         {cartError && <p className="error-message">{cartError}</p>}
+
          {cartItems.length === 0 ? (
             <p>Your cart is empty</p>
          ) : (
@@ -59,12 +108,69 @@ export function Cart() {
 
                <div className="cart-summary">
                   <h3>Order Summary</h3>
-                  <p><strong>Total:</strong> ${getCartTotal().toFixed(2)}</p>
+
+                  {isApiEnabled() && (
+                     <div className="checkout-options">
+                        {regions.length > 0 && (
+                           <label>
+                              Ship to
+                              <select value={region} onChange={(e) => setRegion(e.target.value)}>
+                                 <option value="*">Other region</option>
+                                 {regions.filter((option) => option.region !== '*').map((option) => (
+                                    <option key={option.region} value={option.region}>
+                                       {option.region} ({option.name} {option.rate}%)
+                                    </option>
+                                 ))}
+                              </select>
+                           </label>
+                        )}
+
+                        {couponCode ? (
+                           <p className="applied-coupon">
+                              Coupon <strong>{couponCode}</strong>
+                              <button type="button" onClick={removeCoupon}>Remove</button>
+                           </p>
+                        ) : (
+                           <form className="coupon-form" onSubmit={handleApplyCoupon}>
+                              <input
+                                 type="text"
+                                 value={couponInput}
+                                 onChange={(e) => setCouponInput(e.target.value)}
+                                 placeholder="Coupon code"
+                              />
+                              <button type="submit">Apply</button>
+                           </form>
+                        )}
+                        {couponError && <p className="error-message">{couponError}</p>}
+
+                        <label>
+                           Pay with
+                           <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+                              {TEST_CARDS.map((card) => (
+                                 <option key={card.number} value={card.number}>{card.label}</option>
+                              ))}
+                           </select>
+                        </label>
+                     </div>
+                  )}
+
+                  <table className="price-summary">
+                     <tbody>
+                        {priceSummary.map((line) => (
+                           <tr key={line.key} className={`price-${line.key}`}>
+                              <td>{line.label}</td>
+                              <td>{formatAmount(line.amount)}</td>
+                           </tr>
+                        ))}
+                     </tbody>
+                  </table>
+                  {checkoutError && <p className="error-message">{checkoutError}</p>}
                   <button
                      className="checkout-button"
                      onClick={handleCheckout}
+                     disabled={checkingOut}
                   >
-                     Proceed to Checkout
+                     {checkingOut ? 'Placing order...' : 'Proceed to Checkout'}
                   </button>
                </div>
             </>
@@ -77,6 +183,7 @@ export function Cart() {
             type="success"
          >
             <p>Your order has been placed successfully!</p>
+            {isApiEnabled() && <p>Your payment is being processed; its result shows up in My Orders.</p>}
             <p>You can view your order history in the Profile page.</p>
          </Modal>
       </div>
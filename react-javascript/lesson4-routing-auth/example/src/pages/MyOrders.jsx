@@ -1,12 +1,29 @@
+import { useState } from 'react';
 import { useCart } from '../context/CartContext';
 
 export function MyOrders() {
-    const { orders } = useCart();
+    const { orders, ordersError, updateOrderStatus } = useCart();
+    const [cancelError, setCancelError] = useState(null);
+
+    const handleCancel = async (orderId) => {
+        if (!window.confirm('Cancel this order?')) return;
+
+        try {
+            setCancelError(null);
+            await updateOrderStatus(orderId, 'cancelled');
+        } catch (err) {
+            setCancelError(err instanceof Error ? err.message : 'Failed to cancel order');
+        }
+    };
 
     return (
         <div className="my-orders">
             <h2>My Orders</h2>
 
+            {(ordersError || cancelError) && (
+                <p className="error-message">{ordersError || cancelError}</p>
+            )}
+
             {orders.length === 0 ? (
                 <div className="empty-orders">
                     <div className="empty-icon">📦</div>
@@ -36,6 +53,15 @@ export function MyOrders() {
                                         {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
                                     </span>
                                     <p className="order-total">${order.total.toFixed(2)}</p>
+                                    {order.status === 'pending' && (
+                                        <button
+                                            type="button"
+                                            className="remove-button"
+                                            onClick={() => handleCancel(order.id)}
+                                        >
+                                            Cancel order
+                                        </button>
+                                    )}
                                 </div>
                             </div>
 
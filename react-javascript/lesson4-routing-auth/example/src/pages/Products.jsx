@@ -1,5 +1,8 @@
 import { useState, useEffect } from 'react';
+import { useAuth } from '../auth/AuthContext';
 import { useCart } from '../context/CartContext';
+import { isApiEnabled } from '../services/apiClient';
+import { productsApi } from '../services/productsApi';
 import { Modal } from '../components/Modal';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 
@@ -10,10 +13,39 @@ export function Products() {
    const [showModal, setShowModal] = useState(false);
    const [addedProduct, setAddedProduct] = useState('');
    const { addToCart } = useCart();
+   const { user, loading: authLoading } = useAuth();
+   const useApi = isApiEnabled();
 
    useEffect(() => {
+      if (useApi) {
+         if (!authLoading) {
+            fetchApiProducts();
+         }
+         return;
+      }
       fetchProducts();
-   }, []);
+   }, [useApi, authLoading, user?.id]);
+
+   // The backend only lists products to signed-in users, and the cart and
+   // orders need its product ids
+   const fetchApiProducts = async () => {
+      if (!user) {
+         setProducts([]);
+         setError('Log in to see the products');
+         setLoading(false);
+         return;
+      }
+
+      try {
+         setLoading(true);
+         setError(null);
+         setProducts(await productsApi.list());
+      } catch (err) {
+         setError(err instanceof Error ? err.message : 'Failed to load products');
+      } finally {
+         setLoading(false);
+      }
+   };
 
    const fetchProducts = async () => {
       try {
@@ -21,7 +53,7 @@ export function Products() {
          await new Promise(resolve => setTimeout(resolve, 2000));
 
          // Mock data for demo purposes
-         // In a real app, this would be: const response = await fetch('/api/products');
+         // With VITE_API_URL set, fetchApiProducts loads them from /api/products
          const mockProducts = [
             {
                id: '1',
@@ -0,0 +1,68 @@
+// Client for the lesson5 backend. Leave VITE_API_URL unset to keep the cart
+// and orders in localStorage.
+const API_URL = import.meta.env.VITE_API_URL;
+
+export const isApiEnabled = () => Boolean(API_URL);
+
+// Uploaded images are served by the backend under a relative path
+export const assetUrl = (path) => (path && path.startsWith('/') ? `${API_URL}${path}` : path);
+
+// Cookies are included so the backend's refresh cookie is stored and sent
+const send = (path, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('token');
+
+  return fetch(`${API_URL}/api${path}`, {
+    method,
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+};
+
+// Requests that fail together share one refresh: the backend treats a
+// refresh token that is used twice as stolen and ends the session
+let pendingRefresh = null;
+
+/**
+ * Swap the refresh cookie for a new access token, which replaces the stored
+ * one. Resolves with the signed-in user, or null when the session is over.
+ */
+export const refreshSession = () => {
+  pendingRefresh ??= send('/auth/refresh', { method: 'POST' })
+    .then(async (response) => {
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.data?.token) {
+        return null;
+      }
+      localStorage.setItem('token', data.data.token);
+      return data.data.user;
+    })
+    .catch(() => null)
+    .finally(() => {
+      pendingRefresh = null;
+    });
+
+  return pendingRefresh;
+};
+
+export const request = async (path, options = {}) => {
+  let response = await send(path, options);
+
+  // Access tokens only last a few minutes
+  if (response.status === 401 && localStorage.getItem('token') && !path.startsWith('/auth/')) {
+    if (await refreshSession()) {
+      response = await send(path, options);
+    }
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data.data;
+};
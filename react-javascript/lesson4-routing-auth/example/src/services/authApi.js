@@ -0,0 +1,43 @@
+import { refreshSession, request } from './apiClient';
+
+// Shape the AuthContext uses for users, whichever storage they come from
+const fromApiUser = (user) => ({
+  id: String(user.id),
+  email: user.email,
+  name: user.name,
+  role: user.role,
+});
+
+// Each call that signs in stores the backend's access token for `request`
+const signIn = ({ user, token }) => {
+  localStorage.setItem('token', token);
+  return fromApiUser(user);
+};
+
+export const authApi = {
+  login: (email, password) =>
+    request('/auth/login', { method: 'POST', body: { email, password } }).then((data) => {
+      if (data.twoFactorRequired) {
+        throw new Error('This account uses two-factor sign-in, which this demo does not support');
+      }
+      return signIn(data);
+    }),
+
+  register: (email, password, name) =>
+    request('/auth/register', { method: 'POST', body: { email, password, name } }).then(signIn),
+
+  // The user of the stored token, refreshing it when it has run out;
+  // rejects when there is no session left
+  restore: () =>
+    request('/auth/me')
+      .then(({ user }) => fromApiUser(user))
+      .catch(async () => {
+        const user = await refreshSession();
+        if (!user) {
+          throw new Error('Session has expired');
+        }
+        return fromApiUser(user);
+      }),
+
+  logout: () => request('/auth/logout', { method: 'POST' }),
+};
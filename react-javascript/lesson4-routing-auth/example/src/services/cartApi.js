@@ -0,0 +1,37 @@
+import { request } from './apiClient';
+
+const fromApiCart = ({ cart, warnings }) => ({
+  items: cart.items.map((item) => ({
+    id: item.productId,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    image: item.image,
+    available: item.available,
+  })),
+  warnings,
+});
+
+// Every call resolves with the cart as the server sees it and any warnings
+// about items whose price or stock changed
+export const cartApi = {
+  get: () => request('/cart').then(fromApiCart),
+
+  addItem: (productId, quantity = 1) =>
+    request('/cart/items', { method: 'POST', body: { productId, quantity } }).then(fromApiCart),
+
+  updateItem: (productId, quantity) =>
+    request(`/cart/items/${productId}`, { method: 'PUT', body: { quantity } }).then(fromApiCart),
+
+  removeItem: (productId) => request(`/cart/items/${productId}`, { method: 'DELETE' }).then(fromApiCart),
+
+  clear: () => request('/cart', { method: 'DELETE' }).then(fromApiCart),
+
+  merge: (guestItems) =>
+    request('/cart/merge', {
+      method: 'POST',
+      body: {
+        items: guestItems.map((item) => ({ productId: item.id, quantity: item.quantity, price: item.price })),
+      },
+    }).then(fromApiCart),
+};
@@ -0,0 +1,40 @@
+import { request } from './apiClient';
+
+// Shape the CartContext uses for orders, whichever storage they come from
+export const fromApiOrder = (order) => ({
+  id: order._id,
+  items: order.items.map((item) => ({
+    id: item.productId,
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    image: item.image,
+  })),
+  total: order.total,
+  summary: order.summary || [],
+  date: order.createdAt,
+  status: order.status,
+  userId: order.userId?._id || order.userId,
+  userName: order.userId?.name || '',
+  userEmail: order.userId?.email || '',
+});
+
+export const ordersApi = {
+  create: (cartItems, { couponCode, region } = {}) =>
+    request('/orders', {
+      method: 'POST',
+      body: {
+        items: cartItems.map((item) => ({ productId: item.id, quantity: item.quantity })),
+        couponCode: couponCode || '',
+        region: region || '*',
+      },
+    }).then(({ order }) => fromApiOrder(order)),
+
+  listMine: () => request('/orders/mine?limit=100').then(({ orders }) => orders.map(fromApiOrder)),
+
+  listAll: (status) =>
+    request(`/orders?limit=100${status ? `&status=${status}` : ''}`).then(({ orders }) => orders.map(fromApiOrder)),
+
+  updateStatus: (orderId, status) =>
+    request(`/orders/${orderId}/status`, { method: 'PATCH', body: { status } }).then(({ order }) => fromApiOrder(order)),
+};
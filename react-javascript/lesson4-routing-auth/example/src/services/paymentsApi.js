@@ -0,0 +1,20 @@
+import { request } from './apiClient';
+
+// Card numbers understood by the backend's offline fake payment provider
+export const TEST_CARDS = [
+  { number: '4242424242424242', label: 'Visa 4242 (succeeds)' },
+  { number: '4000000000000002', label: 'Visa 0002 (declined)' },
+  { number: '4000000000003220', label: 'Visa 3220 (3-D Secure)' },
+];
+
+export const paymentsApi = {
+  // Resolves with `redirectUrl` when the customer has to confirm the payment first
+  pay: (orderId, paymentMethod, returnUrl) =>
+    request(`/payments/orders/${orderId}`, {
+      method: 'POST',
+      body: { paymentMethod, returnUrl },
+    }),
+
+  refund: (orderId, reason = '') =>
+    request(`/payments/orders/${orderId}/refund`, { method: 'POST', body: { reason } }),
+};
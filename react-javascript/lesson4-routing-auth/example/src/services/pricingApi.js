@@ -0,0 +1,16 @@
+import { request } from './apiClient';
+
+export const pricingApi = {
+  // Server-side price breakdown; an invalid coupon comes back as `couponError`
+  quote: (cartItems, { couponCode, region }) =>
+    request('/pricing/quote', {
+      method: 'POST',
+      body: {
+        items: cartItems.map((item) => ({ productId: item.id, quantity: item.quantity })),
+        couponCode: couponCode || '',
+        region: region || '*',
+      },
+    }),
+
+  regions: () => request('/pricing/regions').then(({ regions }) => regions),
+};
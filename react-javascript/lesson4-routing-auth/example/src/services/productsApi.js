@@ -0,0 +1,13 @@
+import { assetUrl, request } from './apiClient';
+
+const fromApiProduct = (product) => ({
+  id: product._id,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  image: assetUrl(product.image),
+});
+
+export const productsApi = {
+  list: () => request('/products?limit=100').then(({ products }) => products.map(fromApiProduct)),
+};
@@ -1,15 +1,47 @@
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 
+const DEFAULT_SETTINGS = {
+  emailNotifications: true,
+  pushNotifications: false,
+  darkMode: false,
+  language: 'english',
+};
+
+// Settings are kept per user, so switching accounts doesn't mix them up
+const storageKey = (user) => `settings:${user?.id}`;
+
+function loadSettings(user) {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(storageKey(user))) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
 export default function Settings() {
   const { user } = useAuth();
-  const [emailNotifications, setEmailNotifications] = useState(true);
-  const [pushNotifications, setPushNotifications] = useState(false);
-  const [darkMode, setDarkMode] = useState(false);
-  const [language, setLanguage] = useState('english');
+  const [saved, setSaved] = useState(() => loadSettings(user));
+  const [settings, setSettings] = useState(saved);
+  const [status, setStatus] = useState('');
+
+  const { emailNotifications, pushNotifications, darkMode, language } = settings;
+  const isDirty = JSON.stringify(settings) !== JSON.stringify(saved);
+
+  const update = (field, value) => {
+    setSettings((current) => ({ ...current, [field]: value }));
+    setStatus('');
+  };
 
   const handleSave = () => {
-    alert('Settings saved successfully!');
+    localStorage.setItem(storageKey(user), JSON.stringify(settings));
+    setSaved(settings);
+    setStatus('Settings saved');
+  };
+
+  const handleCancel = () => {
+    setSettings(saved);
+    setStatus('');
   };
 
   return (
@@ -35,7 +67,7 @@ export default function Settings() {
 
             <div className="form-group">
               <label>Language</label>
-              <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+              <select value={language} onChange={(e) => update('language', e.target.value)}>
                 <option value="english">English</option>
                 <option value="spanish">Spanish</option>
                 <option value="french">French</option>
@@ -58,7 +90,7 @@ export default function Settings() {
                 <input
                   type="checkbox"
                   checked={emailNotifications}
-                  onChange={(e) => setEmailNotifications(e.target.checked)}
+                  onChange={(e) => update('emailNotifications', e.target.checked)}
                 />
                 <span className="toggle-slider"></span>
               </label>
@@ -73,7 +105,7 @@ export default function Settings() {
                 <input
                   type="checkbox"
                   checked={pushNotifications}
-                  onChange={(e) => setPushNotifications(e.target.checked)}
+                  onChange={(e) => update('pushNotifications', e.target.checked)}
                 />
                 <span className="toggle-slider"></span>
               </label>
@@ -94,7 +126,7 @@ export default function Settings() {
                 <input
                   type="checkbox"
                   checked={darkMode}
-                  onChange={(e) => setDarkMode(e.target.checked)}
+                  onChange={(e) => update('darkMode', e.target.checked)}
                 />
                 <span className="toggle-slider"></span>
               </label>
@@ -134,12 +166,13 @@ export default function Settings() {
 
         {/* Save Button */}
         <div className="settings-actions">
-          <button className="btn-primary btn-large" onClick={handleSave}>
+          <button className="btn-primary btn-large" onClick={handleSave} disabled={!isDirty}>
             Save Changes
           </button>
-          <button className="btn-secondary btn-large">
+          <button className="btn-secondary btn-large" onClick={handleCancel} disabled={!isDirty}>
             Cancel
           </button>
+          {status && <span className="settings-status" role="status">{status}</span>}
         </div>
       </div>
     </div>
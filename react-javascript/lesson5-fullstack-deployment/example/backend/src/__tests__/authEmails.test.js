@@ -0,0 +1,102 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import app from '../app.js';
+import User from '../models/User.js';
+import { connectTestDatabase, disconnectTestDatabase } from '../test/db.js';
+
+let outboxDir;
+
+// Messages the file transport wrote for `to`, oldest first
+const readOutbox = (to) =>
+  fs.readdirSync(outboxDir)
+    .sort()
+    .map((filename) => JSON.parse(fs.readFileSync(path.join(outboxDir, filename), 'utf8')))
+    .filter((message) => message.to === to);
+
+// Token at the end of the `/<route>/<token>` link in the plain-text part
+const tokenFromLink = (message, route) => {
+  const match = new RegExp(`/${route}/([a-f0-9]+)`).exec(message.text);
+  if (!match) {
+    throw new Error(`No ${route} link in "${message.subject}"`);
+  }
+  return match[1];
+};
+
+const register = (fields) =>
+  request(app).post('/api/auth/register').send({ password: 'secret123', ...fields });
+
+beforeAll(async () => {
+  outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-outbox-'));
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+  await connectTestDatabase();
+});
+
+afterAll(async () => {
+  await disconnectTestDatabase();
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+describe('email verification', () => {
+  it('should verify the address with the emailed link, once', async () => {
+    const res = await register({ name: 'Vera', email: 'vera@example.com' });
+    expect(res.status).toBe(201);
+    expect(res.body.data.user.emailVerified).toBe(false);
+
+    const [message] = readOutbox('vera@example.com');
+    expect(message.subject).toBe('Verify your email address');
+    const token = tokenFromLink(message, 'verify-email');
+
+    const verified = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(verified.status).toBe(200);
+    expect((await User.findOne({ email: 'vera@example.com' })).emailVerified).toBe(true);
+
+    const reused = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(reused.status).toBe(400);
+  });
+
+  it('should escape the user\'s name in the HTML part', async () => {
+    await register({ name: '<img src=x onerror=alert(1)>', email: 'markup@example.com' });
+
+    const [message] = readOutbox('markup@example.com');
+    expect(message.html).not.toContain('<img');
+    expect(message.html).toContain('&#60;img src=x onerror=alert(1)&#62;');
+  });
+});
+
+describe('password reset', () => {
+  it('should set a new password with the emailed link, once', async () => {
+    await register({ name: 'Rita', email: 'rita@example.com' });
+
+    const forgot = await request(app).post('/api/auth/forgot-password').send({ email: 'rita@example.com' });
+    expect(forgot.status).toBe(200);
+
+    const message = readOutbox('rita@example.com').find((sent) => sent.subject === 'Reset your password');
+    const token = tokenFromLink(message, 'reset-password');
+
+    const reset = await request(app).post(`/api/auth/reset-password/${token}`).send({ password: 'brand-new-secret' });
+    expect(reset.status).toBe(200);
+
+    const oldLogin = await request(app).post('/api/auth/login').send({ email: 'rita@example.com', password: 'secret123' });
+    expect(oldLogin.status).toBe(401);
+    const newLogin = await request(app).post('/api/auth/login').send({ email: 'rita@example.com', password: 'brand-new-secret' });
+    expect(newLogin.status).toBe(200);
+
+    const reused = await request(app).post(`/api/auth/reset-password/${token}`).send({ password: 'another-secret' });
+    expect(reused.status).toBe(400);
+  });
+
+  it('should answer the same way for unknown addresses without sending anything', async () => {
+    await register({ name: 'Known', email: 'known@example.com' });
+
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: 'known@example.com' });
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(readOutbox('nobody@example.com')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,137 @@
+import { once } from 'events';
+import express from 'express';
+import request from 'supertest';
+import LoginAttempt from '../models/LoginAttempt.js';
+import User from '../models/User.js';
+import { REFRESH_COOKIE } from '../utils/session.js';
+import { connectTestDatabase, disconnectTestDatabase } from '../test/db.js';
+
+const FRONTEND_CALLBACK = 'http://localhost:5173/oauth/callback';
+
+let app;
+let stub;
+// Profile the stub provider returns, and how often its token endpoint was called
+let profile;
+let tokenRequests = 0;
+
+// Stand-in for Google's token and OpenID userinfo endpoints
+const startStubProvider = async () => {
+  const provider = express();
+  provider.post('/token', (req, res) => {
+    tokenRequests++;
+    res.json({ access_token: 'stub-access-token', token_type: 'Bearer', expires_in: 3600 });
+  });
+  provider.get('/userinfo', (req, res) => res.json(profile));
+
+  const server = provider.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server;
+};
+
+// Start sign-in like the browser would; returns the signed state and the nonce cookie
+const startSignIn = async () => {
+  const res = await request(app).get('/api/auth/google');
+  expect(res.status).toBe(302);
+
+  const cookie = res.headers['set-cookie'].find((header) => header.startsWith('oauthState='));
+  return {
+    state: new URL(res.headers.location).searchParams.get('state'),
+    cookie: cookie.split(';')[0]
+  };
+};
+
+const callback = ({ state, cookie }) => {
+  const req = request(app).get('/api/auth/google/callback').query({ code: 'stub-code', state });
+  if (cookie) req.set('Cookie', cookie);
+  return req;
+};
+
+// Query of the frontend page the callback redirected to
+const frontendParams = (res) => {
+  expect(res.status).toBe(302);
+  const location = new URL(res.headers.location);
+  expect(`${location.origin}${location.pathname}`).toBe(FRONTEND_CALLBACK);
+  return Object.fromEntries(location.searchParams);
+};
+
+const setsRefreshCookie = (res) =>
+  (res.headers['set-cookie'] || []).some((header) => header.startsWith(`${REFRESH_COOKIE}=`));
+
+beforeAll(async () => {
+  stub = await startStubProvider();
+  const stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+  // Read when the app registers the Google strategy, so they are set before it is imported
+  process.env.GOOGLE_CLIENT_ID = 'stub-client-id';
+  process.env.GOOGLE_CLIENT_SECRET = 'stub-client-secret';
+  process.env.GOOGLE_AUTH_URL = `${stubUrl}/authorize`;
+  process.env.GOOGLE_TOKEN_URL = `${stubUrl}/token`;
+  process.env.GOOGLE_USERINFO_URL = `${stubUrl}/userinfo`;
+
+  ({ default: app } = await import('../app.js'));
+  await connectTestDatabase();
+});
+
+beforeEach(() => {
+  tokenRequests = 0;
+});
+
+afterAll(async () => {
+  await disconnectTestDatabase();
+  if (stub) await new Promise((resolve) => stub.close(resolve));
+});
+
+describe('GET /api/auth/google/callback', () => {
+  it('should sign in a new Google user and start a session', async () => {
+    profile = { sub: 'google-new', name: 'Gina Google', email: 'gina@example.com', email_verified: true };
+
+    const res = await callback(await startSignIn());
+
+    expect(frontendParams(res)).toEqual({});
+    expect(setsRefreshCookie(res)).toBe(true);
+
+    const user = await User.findOne({ googleId: 'google-new' });
+    expect(user.email).toBe('gina@example.com');
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('should reject a state that does not match the nonce cookie', async () => {
+    profile = { sub: 'google-mismatch', name: 'Mallory', email: 'mallory@example.com', email_verified: true };
+
+    const first = await startSignIn();
+    const second = await startSignIn();
+    const attempts = [
+      await callback({ state: first.state, cookie: second.cookie }),
+      await callback({ state: first.state }),
+      await callback({ state: 'not-a-signed-state', cookie: first.cookie })
+    ];
+
+    for (const res of attempts) {
+      expect(frontendParams(res)).toEqual({ error: 'Google sign-in request is invalid or has expired' });
+      expect(setsRefreshCookie(res)).toBe(false);
+    }
+
+    // Turned away before the code was exchanged with the provider
+    expect(tokenRequests).toBe(0);
+    expect(await User.exists({ googleId: 'google-mismatch' })).toBeNull();
+  });
+
+  it('should refuse a locked account and record the attempt', async () => {
+    profile = { sub: 'google-locked', name: 'Lou Locked', email: 'lou@example.com', email_verified: true };
+    const user = await User.create({
+      name: 'Lou Locked',
+      email: 'lou@example.com',
+      password: 'secret123',
+      googleId: 'google-locked',
+      lockUntil: new Date(Date.now() + 15 * 60 * 1000)
+    });
+
+    const res = await callback(await startSignIn());
+
+    expect(frontendParams(res)).toEqual({ error: 'Account is temporarily locked after too many failed login attempts' });
+    expect(setsRefreshCookie(res)).toBe(false);
+
+    const attempt = await LoginAttempt.findOne({ userId: user._id });
+    expect(attempt).toMatchObject({ success: false, reason: 'account_locked', method: 'google' });
+  });
+});
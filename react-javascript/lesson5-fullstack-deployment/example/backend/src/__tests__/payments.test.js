@@ -0,0 +1,188 @@
+import { once } from 'events';
+import request from 'supertest';
+import app from '../app.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { createFakeProvider, setPaymentProvider, signWebhook } from '../utils/payments.js';
+import { connectTestDatabase, disconnectTestDatabase } from '../test/db.js';
+import { createSignedInUser } from '../test/users.js';
+
+const THREE_D_SECURE_CARD = '4000000000003220';
+const RETURN_URL = 'http://localhost:5173/my-orders';
+
+let server;
+let customer;
+
+// Resolves with the first truthy result of `check`, e.g. once a webhook has arrived
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for the condition');
+};
+
+// A product with 5 in stock and a pending order for 2 of them
+const placeOrder = async () => {
+  const product = await Product.create({
+    name: 'Wireless Headphones',
+    description: 'Headphones with noise cancellation',
+    price: 50,
+    category: 'Electronics',
+    stock: 5,
+    userId: customer.user._id
+  });
+
+  const res = await request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${customer.token}`)
+    .send({ items: [{ productId: product._id.toString(), quantity: 2 }] });
+
+  expect(res.status).toBe(201);
+  return { product, orderId: res.body.data.order._id };
+};
+
+// The 3-D Secure card waits for the customer, so no webhook is sent until the challenge is answered
+const startThreeDSecurePayment = async (orderId) => {
+  const res = await request(app)
+    .post(`/api/payments/orders/${orderId}`)
+    .set('Authorization', `Bearer ${customer.token}`)
+    .send({ paymentMethod: THREE_D_SECURE_CARD, returnUrl: RETURN_URL });
+
+  expect(res.status).toBe(201);
+  expect(res.body.data.payment.status).toBe('requires_action');
+  expect(res.body.data.redirectUrl).toEqual(expect.any(String));
+  return res.body.data;
+};
+
+const postWebhook = (body, signature) => {
+  const req = request(app).post('/api/payments/webhook').set('Content-Type', 'application/json');
+  if (signature) req.set('X-Payment-Signature', signature);
+  return req.send(body);
+};
+
+const succeededEvent = (id, payment, orderId) => JSON.stringify({
+  id,
+  type: 'payment.succeeded',
+  data: { paymentId: payment.providerPaymentId, reference: orderId }
+});
+
+beforeAll(async () => {
+  await connectTestDatabase();
+
+  // The fake provider delivers its webhooks over HTTP, so the app has to listen
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  setPaymentProvider(createFakeProvider({
+    webhookUrl: `${baseUrl}/api/payments/webhook`,
+    publicUrl: baseUrl,
+    delayMs: 10
+  }));
+
+  customer = await createSignedInUser(app);
+});
+
+afterAll(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  await disconnectTestDatabase();
+});
+
+describe('paying an order with 3-D Secure', () => {
+  it('should mark the order paid once the challenge is approved and the webhook arrives', async () => {
+    const { product, orderId } = await placeOrder();
+    expect((await Product.findById(product._id)).reserved).toBe(2);
+
+    const { redirectUrl } = await startThreeDSecurePayment(orderId);
+    const challengePath = new URL(redirectUrl).pathname;
+    expect((await Order.findById(orderId)).status).toBe('pending');
+
+    const page = await request(app).get(challengePath);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('Fake 3-D Secure');
+
+    const approved = await request(app).post(challengePath).type('form').send({ result: 'approve' });
+    expect(approved.status).toBe(302);
+    expect(approved.headers.location).toBe(RETURN_URL);
+
+    const order = await waitFor(async () => {
+      const current = await Order.findById(orderId);
+      return current.status === 'paid' && current;
+    });
+    expect(order.statusHistory.map((entry) => entry.status)).toEqual(['pending', 'paid']);
+
+    const payment = await Payment.findOne({ orderId });
+    expect(payment.status).toBe('succeeded');
+
+    // The held units are sold
+    const updated = await Product.findById(product._id);
+    expect(updated.stock).toBe(3);
+    expect(updated.reserved).toBe(0);
+    expect(await StockReservation.countDocuments({ orderRef: orderId, status: 'fulfilled' })).toBe(1);
+  });
+
+  it('should fail the order and release its stock when the challenge is declined', async () => {
+    const { product, orderId } = await placeOrder();
+    const { redirectUrl } = await startThreeDSecurePayment(orderId);
+
+    await request(app).post(new URL(redirectUrl).pathname).type('form').send({ result: 'decline' });
+
+    await waitFor(async () => (await Order.findById(orderId)).status === 'failed');
+    expect((await Payment.findOne({ orderId })).failureReason).toBe('Authentication failed');
+
+    const updated = await Product.findById(product._id);
+    expect(updated.stock).toBe(5);
+    expect(updated.reserved).toBe(0);
+  });
+});
+
+describe('payment webhooks', () => {
+  it('should apply a replayed webhook only once', async () => {
+    const { product, orderId } = await placeOrder();
+    const { payment } = await startThreeDSecurePayment(orderId);
+    const body = succeededEvent('evt_replayed', payment, orderId);
+
+    const first = await postWebhook(body, signWebhook(body));
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ received: true });
+
+    const replay = await postWebhook(body, signWebhook(body));
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual({ received: true, duplicate: true });
+
+    const order = await Order.findById(orderId);
+    expect(order.status).toBe('paid');
+    expect(order.statusHistory.filter((entry) => entry.status === 'paid')).toHaveLength(1);
+    expect((await Product.findById(product._id)).stock).toBe(3);
+    expect(await WebhookEvent.countDocuments({ eventId: 'evt_replayed' })).toBe(1);
+  });
+
+  it('should reject webhooks that are unsigned, badly signed, tampered with or stale', async () => {
+    const { orderId } = await placeOrder();
+    const { payment } = await startThreeDSecurePayment(orderId);
+    const body = succeededEvent('evt_forged', payment, orderId);
+    const tampered = body.replace('payment.succeeded', 'payment.failed');
+    const anHourAgo = Math.floor(Date.now() / 1000) - 60 * 60;
+
+    const attempts = [
+      await postWebhook(body),
+      await postWebhook(body, signWebhook(body, 'not-the-webhook-secret')),
+      await postWebhook(tampered, signWebhook(body)),
+      await postWebhook(body, signWebhook(body, undefined, anHourAgo))
+    ];
+
+    for (const res of attempts) {
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid webhook signature');
+    }
+
+    expect((await Order.findById(orderId)).status).toBe('pending');
+    expect((await Payment.findById(payment._id)).status).toBe('requires_action');
+    expect(await WebhookEvent.countDocuments({ eventId: 'evt_forged' })).toBe(0);
+  });
+});
@@ -0,0 +1,77 @@
+import request from 'supertest';
+import app from '../app.js';
+import Upload from '../models/Upload.js';
+import { getStorage, uploadKey } from '../utils/storage/index.js';
+import { fileUrl } from '../utils/uploads.js';
+import { connectTestDatabase, disconnectTestDatabase } from '../test/db.js';
+import { createSignedInUser } from '../test/users.js';
+
+// The harmless test file every virus scanner reports, see https://www.eicar.org
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+let owner;
+
+const uploadFile = (content, filename) =>
+  request(app)
+    .post('/api/upload')
+    .set('Authorization', `Bearer ${owner.token}`)
+    .attach('file', Buffer.from(content), filename);
+
+beforeAll(async () => {
+  await connectTestDatabase();
+  owner = await createSignedInUser(app);
+});
+
+afterAll(async () => {
+  await disconnectTestDatabase();
+});
+
+describe('POST /api/upload', () => {
+  it('should store and serve a clean file', async () => {
+    const res = await uploadFile('Shopping list', 'notes.txt');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.scan.status).toBe('clean');
+
+    const download = await request(app).get(res.body.data.url);
+    expect(download.status).toBe(200);
+    expect(download.text).toBe('Shopping list');
+  });
+
+  it('should quarantine an infected file and never serve it', async () => {
+    const res = await uploadFile(EICAR, 'eicar.txt');
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('File "eicar.txt" was quarantined because it contains EICAR-Test-File');
+    expect(res.body.data.scan.status).toBe('quarantined');
+    expect(res.body.data.url).toBeNull();
+
+    const upload = await Upload.findById(res.body.data.id);
+    expect(upload.scan.status).toBe('quarantined');
+    expect(await fileUrl(upload)).toBeNull();
+
+    // Kept in quarantine only, for an administrator to look at
+    expect(await getStorage().get(upload.key)).not.toBeNull();
+    const servedKey = uploadKey(upload.filename, upload.visibility);
+    expect(await getStorage().get(servedKey)).toBeNull();
+
+    // Neither the quarantine key nor a validly signed link to the file's usual key serves it
+    const signedUrl = await getStorage().signedUrl(servedKey, 60);
+    for (const url of [`/uploads/${upload.key}`, upload.url, signedUrl]) {
+      const download = await request(app).get(url);
+      expect(download.status).toBe(404);
+      expect(download.text).not.toContain('EICAR');
+    }
+  });
+
+  it('should reject a file whose content does not match its extension with 415', async () => {
+    const keysBefore = await getStorage().list();
+
+    const res = await uploadFile('This is text, not an image', 'photo.png');
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe('File content is not a valid .png file');
+    expect(await Upload.countDocuments({ originalName: 'photo.png' })).toBe(0);
+    expect(await getStorage().list()).toEqual(keysBefore);
+  });
+});
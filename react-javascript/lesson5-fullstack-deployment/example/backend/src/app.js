@@ -0,0 +1,139 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+import cookieParser from 'cookie-parser';
+import dotenv from 'dotenv';
+
+import { errorHandler } from './middleware/errorHandler.js';
+import { notFound } from './middleware/notFound.js';
+import passport, { configurePassport } from './config/passport.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import dashboardRoutes from './routes/dashboard.js';
+import uploadRoutes from './routes/upload.js';
+import productRoutes from './routes/products.js';
+import roleRoutes from './routes/roles.js';
+import auditRoutes from './routes/audit.js';
+import inventoryRoutes from './routes/inventory.js';
+import orderRoutes from './routes/orders.js';
+import cartRoutes from './routes/cart.js';
+import pricingRoutes from './routes/pricing.js';
+import couponRoutes from './routes/coupons.js';
+import paymentRoutes from './routes/payments.js';
+import notificationRoutes from './routes/notifications.js';
+import uploadedFileRoutes from './routes/uploadedFiles.js';
+import folderRoutes from './routes/folders.js';
+import shareRoutes from './routes/shares.js';
+import { getStorage } from './utils/storage/index.js';
+import { getScanner } from './utils/scanners/index.js';
+import { getPaymentProvider } from './utils/payments.js';
+
+// Load environment variables
+dotenv.config();
+
+const app = express();
+
+// CORS configuration - must be before other middleware
+app.use(cors({
+  origin: process.env.FRONTEND_URL || 'http://localhost:5173',
+  credentials: true,
+}));
+
+// Uploaded files live in the storage selected by STORAGE_DRIVER
+console.log('📁 Upload storage:', getStorage().name);
+console.log('🛡️  Upload scanner:', getScanner().name);
+
+// Fails fast when production lacks the payment provider or webhook secret
+console.log('💳 Payment provider:', getPaymentProvider().name);
+
+// Security middleware - configure to allow static files and images
+// Disable CORP completely to allow cross-origin image loading
+app.use(helmet({
+  crossOriginResourcePolicy: false,
+  crossOriginEmbedderPolicy: false,
+  contentSecurityPolicy: {
+    directives: {
+      defaultSrc: ["'self'"],
+      imgSrc: ["'self'", "data:", "http://localhost:5000", "http://localhost:5173", "blob:", "*"],
+    },
+  },
+}));
+
+// Serve uploaded files AFTER Helmet with explicit CORS headers
+app.use('/uploads', (req, res, next) => {
+    // Override any Helmet headers for this route
+    res.removeHeader('Cross-Origin-Resource-Policy');
+    res.removeHeader('Cross-Origin-Embedder-Policy');
+    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Expose-Headers', 'Content-Length');
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(200);
+    }
+    next();
+}, uploadedFileRoutes);
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  // A large file is sent as many chunks; they are authenticated and bounded by the upload size
+  skip: (req) => req.method === 'PUT' && /^\/api\/upload\/sessions\/[^/]+\/chunks\//.test(req.originalUrl),
+});
+app.use(limiter);
+
+// Body parsing middleware
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are verified against the exact bytes that were signed
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
+
+// Authentication strategies (stateless, no passport sessions)
+configurePassport();
+app.use(passport.initialize());
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/upload', uploadRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    storage: getStorage().name
+  });
+});
+
+// Error handling middleware
+app.use(notFound);
+app.use(errorHandler);
+
+// Started by server.js; the tests use it without a listening port
+export default app;
@@ -0,0 +1,136 @@
+import passport from 'passport';
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import User from '../models/User.js';
+import { recordAudit, diffFields } from '../utils/audit.js';
+import { recordActivity } from '../utils/activity.js';
+import { recordLoginAttempt } from '../utils/loginProtection.js';
+
+// Google is only enabled when credentials are configured
+export const isGoogleEnabled = () => {
+  return Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+};
+
+/**
+ * Find or create the user for a Google profile.
+ * - a known googleId signs in that user
+ * - `linkUserId` (set when a signed-in user starts linking) attaches Google to that account
+ * - a verified email that already exists is linked to the existing account
+ * - otherwise a new Google-only account is created
+ *
+ * @param {Object} profile - Normalized passport profile
+ * @param {string} [linkUserId] - User that requested linking
+ * @param {import('express').Request} [req] - Request, for the audit record of a new account
+ */
+export const resolveGoogleUser = async (profile, linkUserId, req) => {
+  const email = profile.emails?.[0]?.value?.toLowerCase();
+  const emailVerified = profile.emails?.[0]?.verified === true || profile.emails?.[0]?.verified === 'true';
+  const avatar = profile.photos?.[0]?.value || null;
+
+  const existingGoogleUser = await User.findOne({ googleId: profile.id });
+
+  if (linkUserId) {
+    if (existingGoogleUser && existingGoogleUser._id.toString() !== linkUserId) {
+      throw new Error('This Google account is already linked to another user');
+    }
+
+    const user = await User.findById(linkUserId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    user.googleId = profile.id;
+    if (!user.avatar && avatar) user.avatar = avatar;
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  if (existingGoogleUser) {
+    return existingGoogleUser;
+  }
+
+  if (!email) {
+    throw new Error('Google account has no email address');
+  }
+
+  const existingEmailUser = await User.findOne({ email });
+  if (existingEmailUser) {
+    // Only trust the address when Google has verified it
+    if (!emailVerified) {
+      throw new Error('An account with this email already exists, sign in with your password to link Google');
+    }
+
+    existingEmailUser.googleId = profile.id;
+    existingEmailUser.emailVerified = true;
+    if (!existingEmailUser.avatar && avatar) existingEmailUser.avatar = avatar;
+    await existingEmailUser.save({ validateBeforeSave: false });
+    return existingEmailUser;
+  }
+
+  const user = await User.create({
+    name: (profile.displayName || email.split('@')[0]).slice(0, 50),
+    email,
+    googleId: profile.id,
+    avatar,
+    emailVerified
+  });
+
+  if (req) {
+    await recordAudit({
+      req,
+      entityType: 'user',
+      entityId: user._id,
+      action: 'create',
+      changes: diffFields('user', null, user),
+      actor: user._id
+    });
+  }
+
+  await recordActivity({
+    type: 'user_registration',
+    description: `User "${user.name}" registered with Google`,
+    actor: user._id
+  });
+  return user;
+};
+
+// Register the Google strategy. The provider URLs can be overridden so that a
+// local mock OpenID provider can stand in for Google in development and tests.
+export const configurePassport = () => {
+  if (!isGoogleEnabled()) {
+    console.log('ℹ️  Google OAuth disabled (GOOGLE_CLIENT_ID not set)');
+    return;
+  }
+
+  const strategyOptions = {
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:5000/api/auth/google/callback',
+    passReqToCallback: true
+  };
+
+  if (process.env.GOOGLE_AUTH_URL) strategyOptions.authorizationURL = process.env.GOOGLE_AUTH_URL;
+  if (process.env.GOOGLE_TOKEN_URL) strategyOptions.tokenURL = process.env.GOOGLE_TOKEN_URL;
+  if (process.env.GOOGLE_USERINFO_URL) strategyOptions.userProfileURL = process.env.GOOGLE_USERINFO_URL;
+
+  passport.use(new GoogleStrategy(strategyOptions, async (req, accessToken, refreshToken, profile, done) => {
+    try {
+      const user = await resolveGoogleUser(profile, req.oauthState?.linkUserId, req);
+
+      if (!user.isActive) {
+        return done(null, false, { message: 'Account is deactivated' });
+      }
+
+      // Google sign-in must not get around the lockout after failed password or 2FA attempts
+      if (!req.oauthState?.linkUserId && user.isLocked()) {
+        await recordLoginAttempt({ req, user, success: false, reason: 'account_locked', method: 'google' });
+        return done(null, false, { message: 'Account is temporarily locked after too many failed login attempts' });
+      }
+
+      done(null, user);
+    } catch (error) {
+      done(null, false, { message: error.message });
+    }
+  }));
+};
+
+export default passport;
@@ -0,0 +1,60 @@
+// Catalog of named permissions. A permission without the `:any` suffix only
+// applies to resources the user owns when the route defines an owner;
+// the `:any` variant lifts that restriction.
+export const PERMISSIONS = {
+  'products:read': 'View products',
+  'products:write': 'Create products and edit own products',
+  'products:write:any': 'Edit any product',
+  'products:delete': 'Trash, restore and purge own products',
+  'products:delete:any': 'Trash, restore and purge any product',
+  'users:read': 'View users',
+  'users:write': 'Edit users and assign roles',
+  'users:delete': 'Delete users',
+  'inventory:read': 'View stock movements and reservations',
+  'inventory:write': 'Record stock movements and reservations for own products',
+  'inventory:write:any': 'Record stock movements and reservations for any product',
+  'orders:read': 'View own orders',
+  'orders:read:any': 'View and filter all orders',
+  'orders:write': 'Place orders and cancel own pending orders',
+  'orders:write:any': 'Change the status of any order',
+  'pricing:manage': 'Manage coupons, tax rates and shipping rules',
+  'files:read': 'View own uploaded files',
+  'files:read:any': 'View every user\'s uploaded files',
+  'files:write': 'Upload, organise and share own files',
+  'files:write:any': 'Rename, move, tag and share any file',
+  'files:delete': 'Delete own files',
+  'files:delete:any': 'Delete any file',
+  'activity:read': 'View own and public activity',
+  'activity:read:any': 'View all activity and dashboard analytics',
+  'activity:write': 'Post entries to the activity feed',
+  'roles:manage': 'Manage roles and permissions',
+  'audit:read': 'View the audit trail'
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Roles created on first start. `admin` always receives the full catalog.
+export const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    description: 'Regular user',
+    permissions: [
+      'products:read',
+      'products:write',
+      'products:delete',
+      'inventory:read',
+      'inventory:write',
+      'orders:read',
+      'orders:write',
+      'files:read',
+      'files:write',
+      'files:delete',
+      'activity:read'
+    ]
+  },
+  {
+    name: 'admin',
+    description: 'Administrator with every permission',
+    permissions: PERMISSION_NAMES
+  }
+];
@@ -1,52 +1,128 @@
 import multer from 'multer';
 import path from 'path';
-import fs from 'fs';
-
-// Ensure uploads directory exists - use absolute path from project root
-// This ensures it works both in dev (src/) and production
-const uploadDir = path.join(process.cwd(), 'uploads');
-console.log('📁 Multer upload directory:', uploadDir);
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-    console.log('✅ Created multer upload directory:', uploadDir);
-}
-
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { getStorage, uploadKey, quarantineKey } from '../utils/storage/index.js';
+import { ALLOWED_FILE_TYPES, SNIFF_BYTES, describeFileTypes, fileTypeForName } from '../utils/fileTypes.js';
+import { inspectUpload } from '../utils/quarantine.js';
+
+// Errors passed to multer reach the error handler with this status
+const uploadError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Multer storage engine that streams each file into quarantine in the
+ * configured storage (see utils/storage), hashing it on the way, then lets
+ * utils/quarantine.js check its content and scan it. Files of another type
+ * are rejected; infected files come through with `scan.status` set to
+ * 'quarantined' and are never served. Private files are only served
+ * through signed URLs.
+ *
+ * @param {'public'|'private'} visibility
+ * @param {string[]} allowed - Keys of FILE_TYPES the endpoint accepts
+ */
+const storageEngine = (visibility, allowed) => ({
+    _handleFile(req, file, cb) {
+        const filename = storedFilename(file.fieldname, file.originalname);
+        const key = uploadKey(filename, visibility);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        let head = Buffer.alloc(0);
+
+        const measured = new Transform({
+            transform(chunk, encoding, next) {
+                hash.update(chunk);
+                size += chunk.length;
+                if (head.length < SNIFF_BYTES) {
+                    head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+                }
+                next(null, chunk);
+            }
+        });
+        file.stream.on('error', (error) => measured.destroy(error));
+
+        // The file filter has made sure the name has an allowed extension
+        const { mimetype } = fileTypeForName(file.originalname, allowed);
+
+        getStorage().put(quarantineKey(filename), file.stream.pipe(measured), { contentType: mimetype })
+            .then(() => inspectUpload({ filename, key, originalname: file.originalname, head }, allowed))
+            .then((result) => {
+                if (result.error) {
+                    return cb(uploadError(result.error, 415));
+                }
+                // The checked type replaces the one the client declared
+                cb(null, {
+                    filename,
+                    key: result.key,
+                    visibility,
+                    mimetype,
+                    scan: result.scan,
+                    size,
+                    checksum: hash.digest('hex')
+                });
+            })
+            .catch(cb);
     },
+
+    _removeFile(req, file, cb) {
+        getStorage().delete(file.key).then(() => cb(null), cb);
+    }
 });
 
-const fileFilter = (req, file, cb) => {
-    // Allow images and documents
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+// Name for a stored upload, e.g. `file-1700000000000-123456789.png`
+const storedFilename = (fieldname, originalname) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return fieldname + '-' + uniqueSuffix + path.extname(originalname);
+};
 
-    if (mimetype && extname) {
+// Turns away files with the wrong extension before they are stored;
+// the storage engine checks what they really contain
+const fileFilter = (allowed) => (req, file, cb) => {
+    if (fileTypeForName(file.originalname, allowed)) {
         return cb(null, true);
     } else {
-        cb(new Error('Only images and documents are allowed!'), false);
+        cb(uploadError(`Only ${describeFileTypes(allowed)} files are allowed`, 415), false);
     }
 };
 
+const limits = {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+};
+
+// Product images are shown to everyone
 const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: 5 * 1024 * 1024, // 5MB limit
-    },
+    storage: storageEngine('public', ALLOWED_FILE_TYPES.productImage),
+    fileFilter: fileFilter(ALLOWED_FILE_TYPES.productImage),
+    limits,
+});
+
+// Files uploaded in the file manager belong to their owner
+const privateUpload = multer({
+    storage: storageEngine('private', ALLOWED_FILE_TYPES.file),
+    fileFilter: fileFilter(ALLOWED_FILE_TYPES.file),
+    limits,
 });
 
-const uploadSingle = upload.single('file');
-const uploadMultiple = upload.array('files', 5); // Max 5 files
+const uploadSingle = privateUpload.single('file');
+const uploadMultiple = privateUpload.array('files', 5); // Max 5 files
+
+// Product import files are parsed in memory and never written to disk
+const uploadImport = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|json)$/i.test(file.originalname)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only CSV and JSON files can be imported!'), false);
+    },
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB limit
+    },
+}).single('file');
 
 export {
+    storedFilename,
     upload as uploadConfig,
     uploadSingle,
-    uploadMultiple
+    uploadMultiple,
+    uploadImport
 };
@@ -0,0 +1,192 @@
+import Joi from 'joi';
+import Product from '../models/Product.js';
+import { reconcileCart, findOrCreateCart } from '../utils/cart.js';
+
+const objectId = Joi.string().hex().length(24);
+
+const addItemSchema = Joi.object({
+    productId: objectId.required(),
+    quantity: Joi.number().integer().min(1).max(1000).default(1)
+});
+
+const updateItemSchema = Joi.object({
+    quantity: Joi.number().integer().min(0).max(1000).required()
+});
+
+// Guest items carry the price the guest saw, so changes since can be reported
+const mergeSchema = Joi.object({
+    items: Joi.array().items(Joi.object({
+        productId: objectId.required(),
+        quantity: Joi.number().integer().min(1).max(1000).required(),
+        price: Joi.number().min(0)
+    })).max(100).required()
+});
+
+// Every cart response is checked against current prices and stock
+const sendCart = async (res, cart, { status = 200, warnings = [] } = {}) => {
+    const view = await reconcileCart(cart);
+
+    res.status(status).json({
+        success: true,
+        data: {
+            cart: { items: view.items, total: view.total, updatedAt: cart.updatedAt },
+            warnings: [...warnings, ...view.warnings]
+        }
+    });
+};
+
+// @desc    Get the current user's cart
+// @route   GET /api/cart
+// @access  Private
+export const getCart = async (req, res) => {
+    try {
+        await sendCart(res, await findOrCreateCart(req.user._id));
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({ error: 'Failed to fetch cart' });
+    }
+};
+
+// @desc    Add a product to the cart
+// @route   POST /api/cart/items
+// @access  Private
+export const addItem = async (req, res) => {
+    try {
+        const { error, value } = addItemSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const product = await Product.findOne({ _id: value.productId, deletedAt: null }).select('price');
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const cart = await findOrCreateCart(req.user._id);
+        const existing = cart.items.find((item) => item.productId.equals(product._id));
+
+        if (existing) {
+            existing.quantity += value.quantity;
+        } else {
+            cart.items.push({ productId: product._id, quantity: value.quantity, price: product.price });
+        }
+        await cart.save();
+
+        await sendCart(res, cart, { status: 201 });
+    } catch (error) {
+        console.error('Add cart item error:', error);
+        res.status(500).json({ error: 'Failed to add item to cart' });
+    }
+};
+
+// @desc    Set the quantity of a cart item (0 removes it)
+// @route   PUT /api/cart/items/:productId
+// @access  Private
+export const updateItem = async (req, res) => {
+    try {
+        const { error, value } = updateItemSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const cart = await findOrCreateCart(req.user._id);
+        const item = cart.items.find((entry) => entry.productId.toString() === req.params.productId);
+
+        if (!item) {
+            return res.status(404).json({ error: 'Item not in cart' });
+        }
+
+        if (value.quantity === 0) {
+            cart.items.pull(item);
+        } else {
+            item.quantity = value.quantity;
+        }
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Update cart item error:', error);
+        res.status(500).json({ error: 'Failed to update cart item' });
+    }
+};
+
+// @desc    Remove a product from the cart
+// @route   DELETE /api/cart/items/:productId
+// @access  Private
+export const removeItem = async (req, res) => {
+    try {
+        const cart = await findOrCreateCart(req.user._id);
+        cart.items = cart.items.filter((item) => item.productId.toString() !== req.params.productId);
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Remove cart item error:', error);
+        res.status(500).json({ error: 'Failed to remove cart item' });
+    }
+};
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private
+export const clearCart = async (req, res) => {
+    try {
+        const cart = await findOrCreateCart(req.user._id);
+        cart.items = [];
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({ error: 'Failed to clear cart' });
+    }
+};
+
+// @desc    Merge a guest cart into the user's cart after login
+// @route   POST /api/cart/merge
+// @access  Private
+export const mergeCart = async (req, res) => {
+    try {
+        const { error, value } = mergeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const cart = await findOrCreateCart(req.user._id);
+        const products = await Product.find({
+            _id: { $in: value.items.map((item) => item.productId) },
+            deletedAt: null
+        }).select('price').lean();
+        const prices = new Map(products.map((product) => [product._id.toString(), product.price]));
+
+        const warnings = [];
+        for (const guestItem of value.items) {
+            if (!prices.has(guestItem.productId)) {
+                warnings.push({
+                    productId: guestItem.productId,
+                    type: 'unavailable',
+                    message: 'A product in your cart is no longer available'
+                });
+                continue;
+            }
+
+            // Quantities add up; reconciling caps them at the available stock
+            const existing = cart.items.find((item) => item.productId.toString() === guestItem.productId);
+            if (existing) {
+                existing.quantity += guestItem.quantity;
+            } else {
+                cart.items.push({
+                    productId: guestItem.productId,
+                    quantity: guestItem.quantity,
+                    price: guestItem.price ?? prices.get(guestItem.productId)
+                });
+            }
+        }
+        await cart.save();
+
+        await sendCart(res, cart, { warnings });
+    } catch (error) {
+        console.error('Merge cart error:', error);
+        res.status(500).json({ error: 'Failed to merge cart' });
+    }
+};
@@ -1,5 +1,66 @@
+import Joi from 'joi';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
+import Activity, { ACTIVITY_TYPES } from '../models/Activity.js';
+import { getReorderSuggestions } from '../utils/inventory.js';
+import { streamLiveEvents, publishLiveEvent } from '../utils/liveEvents.js';
+import { visibleActivityFilter, canSeeActivity } from '../utils/activity.js';
+import {
+    ANALYTICS_INTERVALS,
+    MAX_BUCKETS,
+    bucketRange,
+    buildSeries,
+    compareTotals,
+    topProducts
+} from '../utils/analytics.js';
+import { toCsv } from '../utils/csv.js';
+
+const objectId = Joi.string().hex().length(24);
+
+// `type` accepts one type or a comma-separated list
+const activityQuerySchema = Joi.object({
+    type: Joi.string().custom((value, helpers) => {
+        const types = value.split(',').map((type) => type.trim()).filter(Boolean);
+        return types.every((type) => ACTIVITY_TYPES.includes(type)) ? types : helpers.error('any.invalid');
+    }).messages({ 'any.invalid': `type must be one of ${ACTIVITY_TYPES.join(', ')}` }),
+    actor: objectId,
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const addActivitySchema = Joi.object({
+    type: Joi.string().valid(...ACTIVITY_TYPES).default('system_update'),
+    description: Joi.string().trim().min(1).max(300).required(),
+    data: Joi.object().default({})
+});
+
+const analyticsQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    interval: Joi.string().valid(...ANALYTICS_INTERVALS).default('day'),
+    format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const ANALYTICS_CSV_COLUMNS = ['bucket', 'newUsers', 'newProducts', 'inventoryValue', 'revenue', 'orders'];
+
+const ANALYTICS_DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildActivityQuery = ({ type, actor, from, to }) => {
+    const query = {};
+    if (type) query.type = { $in: type };
+    if (actor) query.actor = new mongoose.Types.ObjectId(actor);
+    if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = from;
+        if (to) query.timestamp.$lte = to;
+    }
+    return query;
+};
 
 // @desc    Get dashboard data
 // @route   GET /api/dashboard
@@ -10,41 +71,26 @@ export const getDashboard = async (req, res) => {
         const totalUsers = await User.countDocuments();
 
         // Total products
-        const totalProducts = await Product.countDocuments();
+        const totalProducts = await Product.countDocuments({ deletedAt: null });
 
-        // Recent activity (last 10 products and users)
-        const recentProducts = await Product.find()
-            .sort({ createdAt: -1 })
-            .limit(5)
-            .select('name createdAt')
-            .lean();
+        // Inventory alerts
+        const stockOuts = await Product.countDocuments({ deletedAt: null, stock: { $lte: 0 } });
+        const reorderSuggestions = await getReorderSuggestions({ limit: 5 });
 
-        const recentUsers = await User.find()
-            .sort({ createdAt: -1 })
-            .limit(5)
-            .select('name createdAt')
+        // Recent activity from the feed, as far as this user may see it
+        const recentActivity = await Activity.find(await visibleActivityFilter(req))
+            .sort({ timestamp: -1 })
+            .limit(10)
+            .select('type description timestamp')
             .lean();
 
-        const recentActivity = [
-            ...recentProducts.map(product => ({
-                type: 'product_added',
-                description: `Product "${product.name}" was added`,
-                timestamp: product.createdAt
-            })),
-            ...recentUsers.map(user => ({
-                type: 'user_registration',
-                description: `User "${user.name}" registered`,
-                timestamp: user.createdAt
-            }))
-        ]
-            .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
-            .slice(0, 10);
-
         res.json({
             success: true,
             data: {
                 totalUsers,
                 totalProducts,
+                stockOuts,
+                reorderSuggestions,
                 recentActivity
             }
         });
@@ -53,3 +99,160 @@ export const getDashboard = async (req, res) => {
         res.status(500).json({ error: 'Server error' });
     }
 };
+
+// @desc    Stream dashboard events (Server-Sent Events)
+// @route   GET /api/dashboard/events
+// @access  Private
+export const getDashboardEvents = async (req, res) => {
+    try {
+        // End the stream when the access token expires; reconnecting needs a fresh one,
+        // which a revoked session cannot get
+        const { exp } = jwt.decode(req.headers.authorization.split(' ')[1]) || {};
+        streamLiveEvents(req, res, {
+            expiresAt: exp ? new Date(exp * 1000) : undefined,
+            filter: await canSeeActivity(req)
+        });
+    } catch (error) {
+        console.error('Dashboard events error:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+};
+
+// @desc    Get the activity feed, filtered by type, actor and date
+// @route   GET /api/dashboard/activity
+// @access  Private (own and public activity, or activity:read:any)
+export const getActivity = async (req, res) => {
+    try {
+        const { error, value } = activityQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const query = { $and: [buildActivityQuery(value), await visibleActivityFilter(req)] };
+        const { page, limit } = value;
+
+        const activities = await Activity.find(query)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('actor', 'name email');
+
+        const total = await Activity.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                activities,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get activity error:', error);
+        res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+};
+
+// @desc    Post an entry to the activity feed, e.g. a system announcement
+// @route   POST /api/dashboard/activity
+// @access  Private (activity:write)
+export const addActivity = async (req, res) => {
+    try {
+        const { error, value } = addActivitySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const activity = await Activity.create({ ...value, actor: req.user._id });
+        publishLiveEvent(activity);
+
+        res.status(201).json({
+            success: true,
+            data: { activity }
+        });
+    } catch (error) {
+        console.error('Add activity error:', error);
+        res.status(500).json({ error: 'Failed to add activity' });
+    }
+};
+
+// @desc    Time series of new users, new products, inventory value and revenue,
+//          compared with the period before, plus activity counts
+// @route   GET /api/dashboard/analytics
+// @access  Private (activity:read:any)
+export const getAnalytics = async (req, res) => {
+    try {
+        const { error, value } = analyticsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { interval, format } = value;
+        const to = value.to || new Date();
+        const from = value.from || new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+        if (from > to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+        if (bucketRange(from, to, interval).length > MAX_BUCKETS) {
+            return res.status(400).json({ error: `Too many ${interval}s in this range, pick a longer interval` });
+        }
+
+        const current = await buildSeries({ from, to, interval });
+
+        if (format === 'csv') {
+            res.attachment(`analytics-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`);
+            return res.type('text/csv').send(toCsv(current.series, ANALYTICS_CSV_COLUMNS));
+        }
+
+        // The period of the same length right before this one
+        const previousRange = { from: new Date(from.getTime() - (to - from)), to: new Date(from.getTime() - 1) };
+        const previous = await buildSeries({ ...previousRange, interval });
+
+        const match = { timestamp: { $gte: from, $lte: to } };
+
+        const byType = await Activity.aggregate([
+            { $match: match },
+            { $group: { _id: '$type', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, type: '$_id', count: 1 } }
+        ]);
+
+        const topActors = await Activity.aggregate([
+            { $match: { ...match, actor: { $ne: null } } },
+            { $group: { _id: '$actor', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 5 },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $project: { _id: 0, actor: { $first: '$user' }, count: 1 } }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                interval,
+                series: current.series,
+                totals: current.totals,
+                previous: { ...previousRange, series: previous.series, totals: previous.totals },
+                change: compareTotals(current.totals, previous.totals),
+                topProducts: await topProducts({ from, to }),
+                activity: {
+                    total: byType.reduce((sum, entry) => sum + entry.count, 0),
+                    byType,
+                    topActors: topActors.map(({ actor, count }) => ({
+                        actor: actor ? { _id: actor._id, name: actor.name, email: actor.email } : null,
+                        count
+                    }))
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+};
@@ -0,0 +1,278 @@
+import Joi from 'joi';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import StockReservation from '../models/StockReservation.js';
+import {
+    recordMovement,
+    ledgerBalance,
+    reservationTtlMinutes,
+    reserveStock,
+    releaseReservation as releaseStockReservation,
+    fulfillReservation as fulfillStockReservation,
+    getReorderSuggestions
+} from '../utils/inventory.js';
+
+// Receipts, sales and returns take a positive quantity, adjustments a signed one
+const movementSchema = Joi.object({
+    type: Joi.string().valid('receipt', 'sale', 'adjustment', 'return').required(),
+    quantity: Joi.when('type', {
+        is: 'adjustment',
+        then: Joi.number().integer().invalid(0).required(),
+        otherwise: Joi.number().integer().min(1).required()
+    }),
+    reason: Joi.when('type', {
+        is: Joi.valid('adjustment', 'return'),
+        then: Joi.string().trim().max(200).required(),
+        otherwise: Joi.string().trim().allow('').max(200)
+    })
+});
+
+const reservationSchema = Joi.object({
+    quantity: Joi.number().integer().min(1).required(),
+    orderRef: Joi.string().trim().max(100).required(),
+    expiresInMinutes: Joi.number().integer().min(1).max(7 * 24 * 60)
+});
+
+const SIGNS = { receipt: 1, sale: -1, return: 1, adjustment: 1 };
+
+// @desc    Get stock movements of a product
+// @route   GET /api/inventory/products/:id/movements
+// @access  Private (inventory:read)
+export const getMovements = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id).select('name stock reserved reorderThreshold');
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const movements = await StockMovement.find({ productId: product._id })
+            .sort({ _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('actor', 'name email');
+
+        const total = await StockMovement.countDocuments({ productId: product._id });
+        const reserved = product.reserved || 0;
+
+        res.json({
+            success: true,
+            data: {
+                movements,
+                stock: {
+                    onHand: product.stock,
+                    ledgerBalance: await ledgerBalance(product._id),
+                    reserved,
+                    available: Math.max(product.stock - reserved, 0),
+                    reorderThreshold: product.reorderThreshold
+                },
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get movements error:', error);
+        res.status(500).json({ error: 'Failed to fetch stock movements' });
+    }
+};
+
+// @desc    Record a receipt, sale, adjustment or return
+// @route   POST /api/inventory/products/:id/movements
+// @access  Private (owner or inventory:write:any)
+export const createMovement = async (req, res) => {
+    try {
+        const { error, value } = movementSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const result = await recordMovement({
+            productId: req.params.id,
+            type: value.type,
+            quantity: value.quantity * SIGNS[value.type],
+            reason: value.reason,
+            actor: req.user._id
+        });
+
+        if (result.error) {
+            return res.status(result.error === 'Product not found' ? 404 : 400).json({ error: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                movement: result.movement,
+                stock: result.product.stock
+            }
+        });
+    } catch (error) {
+        console.error('Create movement error:', error);
+        res.status(500).json({ error: 'Failed to record stock movement' });
+    }
+};
+
+// @desc    Rebuild a product's stock from its movements
+// @route   POST /api/inventory/products/:id/recalculate
+// @access  Private (inventory:write:any)
+export const recalculateStock = async (req, res) => {
+    try {
+        const balance = await ledgerBalance(req.params.id);
+        const product = await Product.findByIdAndUpdate(
+            req.params.id,
+            { stock: Math.max(balance, 0) },
+            { new: true }
+        );
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        res.json({
+            success: true,
+            data: { stock: product.stock, ledgerBalance: balance }
+        });
+    } catch (error) {
+        console.error('Recalculate stock error:', error);
+        res.status(500).json({ error: 'Failed to recalculate stock' });
+    }
+};
+
+// @desc    Get active reservations of a product
+// @route   GET /api/inventory/products/:id/reservations
+// @access  Private (inventory:read)
+export const getReservations = async (req, res) => {
+    try {
+        const reservations = await StockReservation.find({
+            productId: req.params.id,
+            status: 'active',
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ expiresAt: 1 })
+            .populate('createdBy', 'name email');
+
+        res.json({
+            success: true,
+            data: { reservations }
+        });
+    } catch (error) {
+        console.error('Get reservations error:', error);
+        res.status(500).json({ error: 'Failed to fetch reservations' });
+    }
+};
+
+// @desc    Reserve stock for a pending order
+// @route   POST /api/inventory/products/:id/reservations
+// @access  Private (owner or inventory:write:any)
+export const createReservation = async (req, res) => {
+    try {
+        const { error, value } = reservationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const minutes = value.expiresInMinutes || reservationTtlMinutes();
+        const result = await reserveStock({
+            productId: req.params.id,
+            quantity: value.quantity,
+            orderRef: value.orderRef,
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+            actor: req.user._id
+        });
+
+        if (result.error === 'Product not found') {
+            return res.status(404).json({ error: result.error });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: `Only ${result.available} unit(s) available` });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: { reservation: result.reservation }
+        });
+    } catch (error) {
+        console.error('Create reservation error:', error);
+        res.status(500).json({ error: 'Failed to reserve stock' });
+    }
+};
+
+// @desc    Turn a reservation into a sale
+// @route   POST /api/inventory/reservations/:id/fulfill
+// @access  Private (owner or inventory:write:any)
+export const fulfillReservation = async (req, res) => {
+    try {
+        // Claimed before the sale, so two requests cannot both sell the reserved units
+        const result = await fulfillStockReservation(
+            { _id: req.params.id, expiresAt: { $gt: new Date() } },
+            { actor: req.user._id }
+        );
+
+        if (!result.reservation) {
+            const reservation = await StockReservation.findById(req.params.id).select('status').lean();
+            return reservation?.status === 'active'
+                ? res.status(400).json({ error: 'Reservation has expired' })
+                : res.status(404).json({ error: 'Active reservation not found' });
+        }
+
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                reservation: result.reservation,
+                movement: result.movement,
+                stock: result.product.stock
+            }
+        });
+    } catch (error) {
+        console.error('Fulfill reservation error:', error);
+        res.status(500).json({ error: 'Failed to fulfill reservation' });
+    }
+};
+
+// @desc    Release a reservation without selling
+// @route   DELETE /api/inventory/reservations/:id
+// @access  Private (owner or inventory:write:any)
+export const releaseReservation = async (req, res) => {
+    try {
+        const reservation = await releaseStockReservation({ _id: req.params.id });
+
+        if (!reservation) {
+            return res.status(404).json({ error: 'Active reservation not found' });
+        }
+
+        res.json({
+            success: true,
+            data: { reservation }
+        });
+    } catch (error) {
+        console.error('Release reservation error:', error);
+        res.status(500).json({ error: 'Failed to release reservation' });
+    }
+};
+
+// @desc    Products at or below their reorder threshold
+// @route   GET /api/inventory/reorder-suggestions
+// @access  Private (inventory:read)
+export const reorderSuggestions = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        res.json({
+            success: true,
+            data: { suggestions: await getReorderSuggestions({ limit }) }
+        });
+    } catch (error) {
+        console.error('Get reorder suggestions error:', error);
+        res.status(500).json({ error: 'Failed to fetch reorder suggestions' });
+    }
+};
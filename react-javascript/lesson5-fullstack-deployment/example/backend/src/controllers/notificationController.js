@@ -0,0 +1,155 @@
+import Joi from 'joi';
+import Notification, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import User from '../models/User.js';
+import { resolvePreferences } from '../utils/notifications.js';
+
+const notificationQuerySchema = Joi.object({
+    unread: Joi.boolean().default(false),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Only the channels being changed need to be sent, e.g. { low_stock: { email: true } }
+const channelsSchema = Joi.object(
+    Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, Joi.boolean()]))
+).min(1);
+const preferencesSchema = Joi.object(
+    Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, channelsSchema]))
+).min(1);
+
+// @desc    Get my notifications, newest first, with the unread count
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = async (req, res) => {
+    try {
+        const { error, value } = notificationQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { unread, page, limit } = value;
+        const query = { userId: req.user._id };
+        if (unread) query.readAt = null;
+
+        const notifications = await Notification.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const total = await Notification.countDocuments(query);
+        const unreadCount = unread
+            ? total
+            : await Notification.countDocuments({ userId: req.user._id, readAt: null });
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+};
+
+// @desc    Mark one of my notifications as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private (own notification)
+export const markNotificationRead = async (req, res) => {
+    try {
+        // Reading it again keeps the first read time
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id },
+            [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json({
+            success: true,
+            data: { notification }
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ error: 'Failed to update notification' });
+    }
+};
+
+// @desc    Mark all my notifications as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.json({
+            success: true,
+            data: { updated: result.modifiedCount }
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+};
+
+// @desc    Get the channels each notification type is delivered on
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getNotificationPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('notificationPreferences').lean();
+
+        res.json({
+            success: true,
+            data: { preferences: resolvePreferences(user?.notificationPreferences) }
+        });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+};
+
+// @desc    Turn channels on or off per notification type
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updateNotificationPreferences = async (req, res) => {
+    try {
+        const { error, value } = preferencesSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const changes = {};
+        for (const [type, channels] of Object.entries(value)) {
+            for (const [channel, enabled] of Object.entries(channels)) {
+                changes[`notificationPreferences.${type}.${channel}`] = enabled;
+            }
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: changes }, { new: true })
+            .select('notificationPreferences')
+            .lean();
+
+        res.json({
+            success: true,
+            data: { preferences: resolvePreferences(user?.notificationPreferences) }
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+};
@@ -0,0 +1,261 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import Order, { ORDER_STATUSES, PAYMENT_STATUSES } from '../models/Order.js';
+import { getUserPermissions } from '../middleware/auth.js';
+import { reserveItems, releaseOrderReservations } from '../utils/inventory.js';
+import { removeOrderedItems } from '../utils/cart.js';
+import { transitionOrder } from '../utils/orders.js';
+import { recordActivity } from '../utils/activity.js';
+import { buildLineItems, calculatePricing, claimCoupon, releaseCoupon } from '../utils/pricing.js';
+
+const objectId = Joi.string().hex().length(24);
+
+const checkoutSchema = Joi.object({
+    items: Joi.array().items(Joi.object({
+        productId: objectId.required(),
+        quantity: Joi.number().integer().min(1).max(1000).required()
+    })).min(1).max(100).required(),
+    couponCode: Joi.string().trim().max(32).allow(''),
+    region: Joi.string().trim().max(10).default('*')
+});
+
+const statusSchema = Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES).required()
+});
+
+const listSchema = Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES),
+    userId: objectId,
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const buildListQuery = ({ status, userId, from, to }) => {
+    const query = {};
+    if (status) query.status = status;
+    if (userId) query.userId = new mongoose.Types.ObjectId(userId);
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+    return query;
+};
+
+const paginate = async (query, { page, limit }) => {
+    const orders = await Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'name email');
+
+    const total = await Order.countDocuments(query);
+
+    return {
+        orders,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// @desc    Place an order from the cart, priced on the server, and reserve its items
+// @route   POST /api/orders
+// @access  Private (orders:write)
+export const createOrder = async (req, res) => {
+    try {
+        const { error, value } = checkoutSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        // Prices come from the catalog, never from the client
+        const priced = await buildLineItems(value.items);
+        if (priced.error) {
+            return res.status(404).json({ error: priced.error });
+        }
+
+        const { breakdown, couponError } = await calculatePricing({
+            lines: priced.lines,
+            couponCode: value.couponCode,
+            region: value.region,
+            userId: req.user._id
+        });
+        if (couponError) {
+            return res.status(400).json({ error: couponError });
+        }
+
+        const { lines, summary, subtotal, discount, shipping, tax, total, region, couponCode } = breakdown;
+        const items = lines.map(({ productId, name, price, quantity, image }) => ({ productId, name, price, quantity, image }));
+
+        const order = new Order({
+            userId: req.user._id,
+            items,
+            subtotal,
+            discount,
+            shipping,
+            tax,
+            total,
+            couponCode,
+            region,
+            summary,
+            statusHistory: [{ status: 'pending', changedBy: req.user._id }]
+        });
+
+        if (couponCode) {
+            const claim = await claimCoupon(couponCode, req.user._id);
+            if (claim.error) {
+                return res.status(409).json({ error: claim.error });
+            }
+        }
+
+        // The items are held while the order is pending and sold once it is paid;
+        // an order that is not paid before the hold expires is cancelled
+        const hold = await reserveItems(items, { orderRef: order._id.toString(), actor: req.user._id });
+        if (hold.error) {
+            if (couponCode) await releaseCoupon(couponCode, req.user._id);
+            const product = items.find((item) => item.productId.equals(hold.productId));
+            return res.status(409).json({ error: `${hold.error}: ${product?.name || hold.productId}` });
+        }
+
+        try {
+            await order.save();
+        } catch (saveError) {
+            await releaseOrderReservations(order._id.toString());
+            if (couponCode) await releaseCoupon(couponCode, req.user._id);
+            throw saveError;
+        }
+
+        await removeOrderedItems(req.user._id, items.map((item) => item.productId));
+
+        await recordActivity({
+            type: 'order_placed',
+            description: `Order ${order._id} was placed for $${order.total.toFixed(2)}`,
+            actor: req.user._id,
+            data: { orderId: order._id, total: order.total }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { order }
+        });
+    } catch (error) {
+        console.error('Create order error:', error);
+        res.status(500).json({ error: 'Failed to place order' });
+    }
+};
+
+// @desc    Get the current user's orders
+// @route   GET /api/orders/mine
+// @access  Private (orders:read)
+export const getMyOrders = async (req, res) => {
+    try {
+        const { error, value } = listSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const query = { ...buildListQuery(value), userId: req.user._id };
+
+        res.json({
+            success: true,
+            data: await paginate(query, value)
+        });
+    } catch (error) {
+        console.error('Get my orders error:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+};
+
+// @desc    Get all orders, filtered by status, customer and date
+// @route   GET /api/orders
+// @access  Private (orders:read:any)
+export const getOrders = async (req, res) => {
+    try {
+        const { error, value } = listSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        res.json({
+            success: true,
+            data: await paginate(buildListQuery(value), value)
+        });
+    } catch (error) {
+        console.error('Get orders error:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+};
+
+// @desc    Get a single order
+// @route   GET /api/orders/:id
+// @access  Private (own order or orders:read:any)
+export const getOrder = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('userId', 'name email')
+            .populate('statusHistory.changedBy', 'name email');
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.json({
+            success: true,
+            data: { order }
+        });
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+};
+
+// @desc    Move an order to its next status; cancelling puts the items back in stock
+// @route   PATCH /api/orders/:id/status
+// @access  Private (owner may cancel a pending order, orders:write:any for the rest)
+export const updateOrderStatus = async (req, res) => {
+    try {
+        const { error, value } = statusSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const permissions = await getUserPermissions(req);
+        const isCustomerCancel = value.status === 'cancelled' && order.status === 'pending';
+        if (!permissions.includes('orders:write:any') && !isCustomerCancel) {
+            return res.status(403).json({ error: 'You can only cancel your own pending orders' });
+        }
+
+        if (PAYMENT_STATUSES.includes(value.status)) {
+            return res.status(400).json({ error: `Orders become ${value.status} through the payment provider` });
+        }
+
+        if (!order.canTransitionTo(value.status)) {
+            return res.status(400).json({ error: `Cannot change order from ${order.status} to ${value.status}` });
+        }
+
+        const updated = await transitionOrder(order._id, order.status, value.status, { actor: req.user._id });
+
+        if (!updated) {
+            return res.status(409).json({ error: 'Order was changed by someone else, reload and try again' });
+        }
+
+        res.json({
+            success: true,
+            data: { order: updated }
+        });
+    } catch (error) {
+        console.error('Update order status error:', error);
+        res.status(500).json({ error: 'Failed to update order status' });
+    }
+};
@@ -0,0 +1,298 @@
+import Joi from 'joi';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { getPaymentProvider } from '../utils/payments.js';
+import { transitionOrder } from '../utils/orders.js';
+import { recordActivity } from '../utils/activity.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const paySchema = Joi.object({
+    paymentMethod: Joi.string().trim().max(64).required(),
+    // Only pages of our own frontend, so the payment page cannot become an open redirect
+    returnUrl: Joi.string().uri().custom((value, helpers) =>
+        value.startsWith(frontendUrl()) ? value : helpers.error('any.invalid')
+    ).messages({ 'any.invalid': 'returnUrl must point to the frontend' })
+});
+
+const refundSchema = Joi.object({
+    reason: Joi.string().trim().max(200).allow('')
+});
+
+/**
+ * Refund a succeeded payment in full. The payment is marked refunded first
+ * so two refund requests cannot both reach the provider.
+ *
+ * @returns {Promise<Object|null>} The refunded payment, or null when there was nothing to refund
+ */
+const refundPayment = async (filter, { reason = '', actor = null } = {}) => {
+    const payment = await Payment.findOneAndUpdate(
+        { ...filter, status: 'succeeded' },
+        { status: 'refunded' },
+        { new: true }
+    );
+    if (!payment) {
+        return null;
+    }
+
+    let refund;
+    try {
+        refund = await getPaymentProvider().refund({
+            paymentId: payment.providerPaymentId,
+            amount: payment.amount
+        });
+    } catch (error) {
+        await Payment.updateOne({ _id: payment._id }, { status: 'succeeded' });
+        throw error;
+    }
+
+    payment.refunds.push({ providerRefundId: refund.id, amount: payment.amount, reason, createdBy: actor });
+    await payment.save();
+    return payment;
+};
+
+const escapeHtml = (value) =>
+    String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// @desc    Pay a pending order
+// @route   POST /api/payments/orders/:id
+// @access  Private (own order)
+export const payOrder = async (req, res) => {
+    try {
+        const { error, value } = paySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status !== 'pending') {
+            return res.status(400).json({ error: `Order is ${order.status}, only pending orders can be paid` });
+        }
+
+        const inProgress = await Payment.findOne({
+            orderId: order._id,
+            status: { $in: ['processing', 'requires_action', 'succeeded'] }
+        });
+        if (inProgress) {
+            return res.status(409).json({
+                error: 'This order already has a payment in progress',
+                data: { payment: inProgress }
+            });
+        }
+
+        // Claim the order first so that concurrent requests cannot both reach the provider
+        const claimed = await Order.findOneAndUpdate(
+            { _id: order._id, status: 'pending', paymentStartedAt: null },
+            { paymentStartedAt: new Date() }
+        );
+        if (!claimed) {
+            return res.status(409).json({ error: 'This order already has a payment in progress' });
+        }
+
+        const provider = getPaymentProvider();
+        let result;
+        try {
+            result = await provider.createPayment({
+                amount: order.total,
+                currency: 'usd',
+                reference: order._id.toString(),
+                paymentMethod: value.paymentMethod,
+                returnUrl: value.returnUrl || `${frontendUrl()}/my-orders`
+            });
+        } catch (error) {
+            // Nothing was charged, so the order can be paid again
+            await Order.updateOne({ _id: order._id }, { paymentStartedAt: null });
+            throw error;
+        }
+
+        const payment = await Payment.create({
+            orderId: order._id,
+            provider: provider.name,
+            providerPaymentId: result.id,
+            amount: order.total,
+            status: result.status,
+            redirectUrl: result.redirectUrl || '',
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { payment, redirectUrl: result.redirectUrl || null }
+        });
+    } catch (error) {
+        console.error('Pay order error:', error);
+        res.status(500).json({ error: 'Failed to start payment' });
+    }
+};
+
+// @desc    Get the payments of an order
+// @route   GET /api/payments/orders/:id
+// @access  Private (own order or orders:read:any)
+export const getOrderPayments = async (req, res) => {
+    try {
+        const payments = await Payment.find({ orderId: req.params.id })
+            .sort({ createdAt: -1 })
+            .populate('refunds.createdBy', 'name email');
+
+        res.json({
+            success: true,
+            data: { payments }
+        });
+    } catch (error) {
+        console.error('Get order payments error:', error);
+        res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+};
+
+// @desc    Refund the payment of an order in full
+// @route   POST /api/payments/orders/:id/refund
+// @access  Private (orders:write:any)
+export const refundOrder = async (req, res) => {
+    try {
+        const { error, value } = refundSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!order.canTransitionTo('refunded')) {
+            return res.status(400).json({ error: `Cannot refund an order that is ${order.status}` });
+        }
+
+        const payment = await refundPayment({ orderId: order._id }, { reason: value.reason, actor: req.user._id });
+        if (!payment) {
+            return res.status(400).json({ error: 'This order has no successful payment to refund' });
+        }
+
+        const updated = await transitionOrder(order._id, order.status, 'refunded', { actor: req.user._id });
+
+        res.json({
+            success: true,
+            data: { order: updated || await Order.findById(order._id), payment }
+        });
+    } catch (error) {
+        console.error('Refund order error:', error);
+        res.status(500).json({ error: 'Failed to refund order' });
+    }
+};
+
+// @desc    Receive signed payment events from the provider
+// @route   POST /api/payments/webhook
+// @access  Public (signature checked)
+export const handleWebhook = async (req, res) => {
+    const provider = getPaymentProvider();
+    const event = req.rawBody && provider.verifyWebhook(req.rawBody, req.get('X-Payment-Signature'));
+
+    if (!event) {
+        return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    try {
+        // A delivery we have already handled is acknowledged and ignored
+        await WebhookEvent.create({ provider: provider.name, eventId: event.id, type: event.type });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json({ received: true, duplicate: true });
+        }
+        console.error('Webhook event error:', error);
+        return res.status(500).json({ error: 'Failed to record webhook event' });
+    }
+
+    try {
+        const succeeded = event.type === 'payment.succeeded';
+
+        if (succeeded || event.type === 'payment.failed') {
+            const payment = await Payment.findOneAndUpdate(
+                { providerPaymentId: event.data.paymentId, status: { $in: ['processing', 'requires_action'] } },
+                {
+                    status: succeeded ? 'succeeded' : 'failed',
+                    failureReason: event.data.failureReason || ''
+                },
+                { new: true }
+            );
+
+            // The event may arrive before the payment was stored; the provider retries
+            if (!payment && !(await Payment.exists({ providerPaymentId: event.data.paymentId }))) {
+                await WebhookEvent.deleteOne({ provider: provider.name, eventId: event.id });
+                return res.status(404).json({ error: 'Unknown payment' });
+            }
+
+            if (payment) {
+                const order = await transitionOrder(payment.orderId, 'pending', succeeded ? 'paid' : 'failed');
+
+                // The order was cancelled while the payment was in flight
+                if (!order && succeeded) {
+                    await refundPayment({ _id: payment._id }, { reason: 'Order was no longer pending' });
+                } else if (order && succeeded) {
+                    await recordActivity({
+                        type: 'payment_received',
+                        description: `Payment of $${payment.amount.toFixed(2)} received for order ${order._id}`,
+                        actor: order.userId,
+                        data: { orderId: order._id, paymentId: payment._id, amount: payment.amount }
+                    });
+                }
+            }
+        }
+
+        res.json({ received: true });
+    } catch (error) {
+        // Forget the event so the provider's retry is processed
+        await WebhookEvent.deleteOne({ provider: provider.name, eventId: event.id });
+        console.error('Webhook handling error:', error);
+        res.status(500).json({ error: 'Failed to handle webhook' });
+    }
+};
+
+// @desc    Fake 3-D Secure confirmation page
+// @route   GET /api/payments/fake/3ds/:paymentId
+// @access  Public (fake provider only)
+export const showFakeChallenge = (req, res) => {
+    const payment = getPaymentProvider().getPendingAction?.(req.params.paymentId);
+
+    if (!payment) {
+        return res.status(404).send('Payment not found or already confirmed');
+    }
+
+    const action = `/api/payments/fake/3ds/${encodeURIComponent(payment.id)}`;
+    // The form redirects back to the frontend once submitted
+    res.set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' ${frontendUrl()}`);
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Confirm payment</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 4rem auto; text-align: center;">
+  <h1>Fake 3-D Secure</h1>
+  <p>Confirm the payment of <strong>${escapeHtml(payment.amount.toFixed(2))} ${escapeHtml(payment.currency.toUpperCase())}</strong>?</p>
+  <form method="post" action="${action}">
+    <button name="result" value="approve">Approve</button>
+    <button name="result" value="decline">Decline</button>
+  </form>
+</body>
+</html>`);
+};
+
+// @desc    Complete the fake 3-D Secure challenge and return to the shop
+// @route   POST /api/payments/fake/3ds/:paymentId
+// @access  Public (fake provider only)
+export const completeFakeChallenge = async (req, res) => {
+    try {
+        const result = await getPaymentProvider().completeAction?.(req.params.paymentId, req.body.result === 'approve');
+
+        if (!result) {
+            return res.status(404).send('Payment not found or already confirmed');
+        }
+
+        res.redirect(result.returnUrl);
+    } catch (error) {
+        console.error('Complete fake challenge error:', error);
+        res.status(500).send('Failed to confirm payment');
+    }
+};
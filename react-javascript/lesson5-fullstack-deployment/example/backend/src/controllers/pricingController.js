@@ -0,0 +1,382 @@
+import Joi from 'joi';
+import Coupon from '../models/Coupon.js';
+import TaxRate from '../models/TaxRate.js';
+import ShippingRule from '../models/ShippingRule.js';
+import { buildLineItems, calculatePricing } from '../utils/pricing.js';
+
+const objectId = Joi.string().hex().length(24);
+const regionCode = Joi.string().trim().uppercase().pattern(/^(\*|[A-Z]{2}(-[A-Z0-9]{1,3})?)$/);
+
+const quoteSchema = Joi.object({
+    items: Joi.array().items(Joi.object({
+        productId: objectId.required(),
+        quantity: Joi.number().integer().min(1).max(1000).required()
+    })).max(100).required(),
+    couponCode: Joi.string().trim().max(32).allow(''),
+    region: Joi.string().trim().max(10).default('*')
+});
+
+const couponFields = {
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/),
+    description: Joi.string().trim().allow('').max(200),
+    type: Joi.string().valid('percentage', 'fixed', 'free_shipping'),
+    value: Joi.number().min(0),
+    minSubtotal: Joi.number().min(0),
+    startsAt: Joi.date().iso().allow(null),
+    expiresAt: Joi.date().iso().allow(null),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perUserLimit: Joi.number().integer().min(1).allow(null),
+    isActive: Joi.boolean()
+};
+const createCouponSchema = Joi.object(couponFields).fork(['code', 'type'], (schema) => schema.required());
+const updateCouponSchema = Joi.object(couponFields).min(1);
+
+const taxRateFields = {
+    region: regionCode,
+    name: Joi.string().trim().max(50),
+    rate: Joi.number().min(0).max(100),
+    appliesToShipping: Joi.boolean()
+};
+const createTaxRateSchema = Joi.object(taxRateFields).fork(['region', 'name', 'rate'], (schema) => schema.required());
+const updateTaxRateSchema = Joi.object(taxRateFields).min(1);
+
+const shippingRuleFields = {
+    name: Joi.string().trim().max(50),
+    region: regionCode,
+    minWeight: Joi.number().min(0),
+    maxWeight: Joi.number().min(0).allow(null),
+    minSubtotal: Joi.number().min(0),
+    maxSubtotal: Joi.number().min(0).allow(null),
+    cost: Joi.number().min(0),
+    priority: Joi.number().integer(),
+    isActive: Joi.boolean()
+};
+const createShippingRuleSchema = Joi.object(shippingRuleFields).fork(['name', 'cost'], (schema) => schema.required());
+const updateShippingRuleSchema = Joi.object(shippingRuleFields).min(1);
+
+// Mongoose validation and unique index errors are the client's fault
+const saveErrorResponse = (res, error, duplicateMessage) => {
+    if (error.code === 11000) {
+        return res.status(400).json({ error: duplicateMessage });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(error.errors)[0].message });
+    }
+    return null;
+};
+
+// @desc    Price a cart: subtotal, coupon discount, shipping, tax and total
+// @route   POST /api/pricing/quote
+// @access  Private
+export const getQuote = async (req, res) => {
+    try {
+        const { error, value } = quoteSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const priced = await buildLineItems(value.items);
+        if (priced.error) {
+            return res.status(404).json({ error: priced.error });
+        }
+
+        const { breakdown, couponError } = await calculatePricing({
+            lines: priced.lines,
+            couponCode: value.couponCode,
+            region: value.region,
+            userId: req.user._id
+        });
+
+        res.json({
+            success: true,
+            data: { breakdown, couponError: couponError || null }
+        });
+    } catch (error) {
+        console.error('Get quote error:', error);
+        res.status(500).json({ error: 'Failed to calculate prices' });
+    }
+};
+
+// @desc    Regions with a tax rate, for the region picker at checkout
+// @route   GET /api/pricing/regions
+// @access  Private
+export const getRegions = async (req, res) => {
+    try {
+        const rates = await TaxRate.find().sort({ region: 1 }).select('region name rate').lean();
+
+        res.json({
+            success: true,
+            data: { regions: rates }
+        });
+    } catch (error) {
+        console.error('Get regions error:', error);
+        res.status(500).json({ error: 'Failed to fetch regions' });
+    }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (pricing:manage)
+export const getCoupons = async (req, res) => {
+    try {
+        const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { coupons }
+        });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+};
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private (pricing:manage)
+export const createCoupon = async (req, res) => {
+    try {
+        const { error, value } = createCouponSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const coupon = await Coupon.create({ ...value, createdBy: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            data: { coupon }
+        });
+    } catch (error) {
+        if (saveErrorResponse(res, error, 'A coupon with this code already exists')) return;
+        console.error('Create coupon error:', error);
+        res.status(500).json({ error: 'Failed to create coupon' });
+    }
+};
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (pricing:manage)
+export const updateCoupon = async (req, res) => {
+    try {
+        const { error, value } = updateCouponSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        coupon.set(value);
+        await coupon.save();
+
+        res.json({
+            success: true,
+            data: { coupon }
+        });
+    } catch (error) {
+        if (saveErrorResponse(res, error, 'A coupon with this code already exists')) return;
+        console.error('Update coupon error:', error);
+        res.status(500).json({ error: 'Failed to update coupon' });
+    }
+};
+
+// @desc    Delete a coupon (orders keep the code they used)
+// @route   DELETE /api/coupons/:id
+// @access  Private (pricing:manage)
+export const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({ error: 'Failed to delete coupon' });
+    }
+};
+
+// @desc    Get all tax rates
+// @route   GET /api/pricing/tax-rates
+// @access  Private (pricing:manage)
+export const getTaxRates = async (req, res) => {
+    try {
+        const taxRates = await TaxRate.find().sort({ region: 1 });
+
+        res.json({
+            success: true,
+            data: { taxRates }
+        });
+    } catch (error) {
+        console.error('Get tax rates error:', error);
+        res.status(500).json({ error: 'Failed to fetch tax rates' });
+    }
+};
+
+// @desc    Create a tax rate for a region
+// @route   POST /api/pricing/tax-rates
+// @access  Private (pricing:manage)
+export const createTaxRate = async (req, res) => {
+    try {
+        const { error, value } = createTaxRateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const taxRate = await TaxRate.create(value);
+
+        res.status(201).json({
+            success: true,
+            data: { taxRate }
+        });
+    } catch (error) {
+        if (saveErrorResponse(res, error, 'This region already has a tax rate')) return;
+        console.error('Create tax rate error:', error);
+        res.status(500).json({ error: 'Failed to create tax rate' });
+    }
+};
+
+// @desc    Update a tax rate
+// @route   PUT /api/pricing/tax-rates/:id
+// @access  Private (pricing:manage)
+export const updateTaxRate = async (req, res) => {
+    try {
+        const { error, value } = updateTaxRateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const taxRate = await TaxRate.findById(req.params.id);
+        if (!taxRate) {
+            return res.status(404).json({ error: 'Tax rate not found' });
+        }
+
+        taxRate.set(value);
+        await taxRate.save();
+
+        res.json({
+            success: true,
+            data: { taxRate }
+        });
+    } catch (error) {
+        if (saveErrorResponse(res, error, 'This region already has a tax rate')) return;
+        console.error('Update tax rate error:', error);
+        res.status(500).json({ error: 'Failed to update tax rate' });
+    }
+};
+
+// @desc    Delete a tax rate
+// @route   DELETE /api/pricing/tax-rates/:id
+// @access  Private (pricing:manage)
+export const deleteTaxRate = async (req, res) => {
+    try {
+        const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+        if (!taxRate) {
+            return res.status(404).json({ error: 'Tax rate not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tax rate deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete tax rate error:', error);
+        res.status(500).json({ error: 'Failed to delete tax rate' });
+    }
+};
+
+// @desc    Get all shipping rules
+// @route   GET /api/pricing/shipping-rules
+// @access  Private (pricing:manage)
+export const getShippingRules = async (req, res) => {
+    try {
+        const shippingRules = await ShippingRule.find().sort({ priority: -1, region: 1, minWeight: 1 });
+
+        res.json({
+            success: true,
+            data: { shippingRules }
+        });
+    } catch (error) {
+        console.error('Get shipping rules error:', error);
+        res.status(500).json({ error: 'Failed to fetch shipping rules' });
+    }
+};
+
+// @desc    Create a shipping rule
+// @route   POST /api/pricing/shipping-rules
+// @access  Private (pricing:manage)
+export const createShippingRule = async (req, res) => {
+    try {
+        const { error, value } = createShippingRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const shippingRule = await ShippingRule.create(value);
+
+        res.status(201).json({
+            success: true,
+            data: { shippingRule }
+        });
+    } catch (error) {
+        if (saveErrorResponse(res, error)) return;
+        console.error('Create shipping rule error:', error);
+        res.status(500).json({ error: 'Failed to create shipping rule' });
+    }
+};
+
+// @desc    Update a shipping rule
+// @route   PUT /api/pricing/shipping-rules/:id
+// @access  Private (pricing:manage)
+export const updateShippingRule = async (req, res) => {
+    try {
+        const { error, value } = updateShippingRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const shippingRule = await ShippingRule.findById(req.params.id);
+        if (!shippingRule) {
+            return res.status(404).json({ error: 'Shipping rule not found' });
+        }
+
+        shippingRule.set(value);
+        await shippingRule.save();
+
+        res.json({
+            success: true,
+            data: { shippingRule }
+        });
+    } catch (error) {
+        if (saveErrorResponse(res, error)) return;
+        console.error('Update shipping rule error:', error);
+        res.status(500).json({ error: 'Failed to update shipping rule' });
+    }
+};
+
+// @desc    Delete a shipping rule
+// @route   DELETE /api/pricing/shipping-rules/:id
+// @access  Private (pricing:manage)
+export const deleteShippingRule = async (req, res) => {
+    try {
+        const shippingRule = await ShippingRule.findByIdAndDelete(req.params.id);
+        if (!shippingRule) {
+            return res.status(404).json({ error: 'Shipping rule not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Shipping rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete shipping rule error:', error);
+        res.status(500).json({ error: 'Failed to delete shipping rule' });
+    }
+};
@@ -1,53 +1,48 @@
 import Product from '../models/Product.js';
-
-// @desc    Get all products with search, filter, sort
+import { getUserPermissions } from '../middleware/auth.js';
+import { trashRetentionDays } from '../utils/productTrash.js';
+import { buildProductQuery, encodeCursor } from '../utils/productQuery.js';
+import { IMPORT_FIELDS, parseImportFile, guessMapping, validateRecords } from '../utils/productImport.js';
+import { toCsv } from '../utils/csv.js';
+import AuditLog from '../models/AuditLog.js';
+import { recordAudit, recordBulkCreate, diffFields } from '../utils/audit.js';
+import { setStockTo, recordOpeningStock, getReorderSuggestions } from '../utils/inventory.js';
+import { recordActivity } from '../utils/activity.js';
+import { recordUpload, linkProductImage, unlinkProducts } from '../utils/uploads.js';
+import { quarantineMessage } from '../utils/quarantine.js';
+
+const EXPORT_COLUMNS = ['name', 'description', 'price', 'category', 'stock', 'image', 'createdAt'];
+const MAX_EXPORT_ROWS = 10000;
+
+// @desc    Get products with search, filters, sort and cursor pagination
 // @route   GET /api/products
 // @access  Private
 export const getProducts = async (req, res) => {
     try {
-        const { search, category, sortBy = 'createdAt', order = 'desc', page = 1, limit = 10 } = req.query;
-
-        // Build query
-        const query = {};
-
-        // Search by name or description
-        if (search) {
-            query.$text = { $search: search };
-        }
+        const { error, filter, sort, select, limit, sortBy } = buildProductQuery(req.query);
 
-        // Filter by category
-        if (category && category !== 'all') {
-            query.category = category;
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        // Sort options
-        const sortOptions = {};
-        sortOptions[sortBy] = order === 'asc' ? 1 : -1;
-
-        // Pagination
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        // Execute query
-        const products = await Product.find(query)
-            .sort(sortOptions)
-            .skip(skip)
-            .limit(limitNum)
+        // One extra item tells whether another page exists
+        const products = await Product.find(filter)
+            .sort(sort)
+            .limit(limit + 1)
+            .select(select)
             .populate('userId', 'name email');
 
-        // Get total count
-        const total = await Product.countDocuments(query);
+        const hasMore = products.length > limit;
+        if (hasMore) products.pop();
 
         res.json({
             success: true,
             data: {
                 products,
                 pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total,
-                    pages: Math.ceil(total / limitNum)
+                    limit,
+                    hasMore,
+                    nextCursor: hasMore ? encodeCursor(products[products.length - 1], sortBy) : null
                 }
             }
         });
@@ -62,7 +57,8 @@ export const getProducts = async (req, res) => {
 // @access  Private
 export const getProduct = async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id).populate('userId', 'name email');
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null })
+            .populate('userId', 'name email');
 
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
@@ -83,30 +79,19 @@ export const getProduct = async (req, res) => {
 // @access  Private
 export const createProduct = async (req, res) => {
     try {
-        console.log('Create product request received');
-        console.log('Request body:', req.body);
-        console.log('Request file:', req.file);
-        console.log('Request user:', req.user);
-
-        const { name, description, price, category, stock } = req.body;
+        const { name, description, price, category, stock, reorderThreshold, weight } = req.body;
         const userId = req.user?._id;
 
-        console.log('Extracted data:', { name, description, price, category, stock, userId });
+        // The image is kept in quarantine for review, and no product is created
+        if (req.file?.scan.status === 'quarantined') {
+            await recordUpload(req.file, req.user._id);
+            return res.status(422).json({ error: quarantineMessage(req.file.originalname, req.file.scan) });
+        }
 
         // Handle image upload
         let image = '';
         if (req.file) {
             image = `/uploads/${req.file.filename}`;
-            console.log('Image uploaded:', image);
-            console.log('File details:', {
-                filename: req.file.filename,
-                originalname: req.file.originalname,
-                mimetype: req.file.mimetype,
-                size: req.file.size,
-                path: req.file.path
-            });
-        } else {
-            console.log('No file uploaded');
         }
 
         const productData = {
@@ -119,11 +104,35 @@ export const createProduct = async (req, res) => {
             userId
         };
 
-        console.log('Product data to create:', productData);
+        if (reorderThreshold !== undefined && reorderThreshold !== '') {
+            productData.reorderThreshold = parseInt(reorderThreshold);
+        }
+        if (weight !== undefined && weight !== '') {
+            productData.weight = parseFloat(weight);
+        }
 
         const product = await Product.create(productData);
+        await recordOpeningStock([product], { actor: req.user._id });
 
-        console.log('Product created successfully:', product);
+        if (req.file) {
+            await recordUpload(req.file, req.user._id);
+            await linkProductImage(product);
+        }
+
+        await recordAudit({
+            req,
+            entityType: 'product',
+            entityId: product._id,
+            action: 'create',
+            changes: diffFields('product', null, product)
+        });
+
+        await recordActivity({
+            type: 'product_added',
+            description: `Product "${product.name}" was added`,
+            actor: req.user._id,
+            data: { productId: product._id, count: 1, outOfStock: product.stock <= 0 ? 1 : 0 }
+        });
 
         res.status(201).json({
             success: true,
@@ -141,27 +150,77 @@ export const createProduct = async (req, res) => {
 // @access  Private
 export const updateProduct = async (req, res) => {
     try {
-        const { name, description, price, category, stock } = req.body;
+        const { name, description, price, category, stock, reorderThreshold, reorderQuantity, weight } = req.body;
 
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
 
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
 
+        if (req.file?.scan.status === 'quarantined') {
+            await recordUpload(req.file, req.user._id);
+            return res.status(422).json({ error: quarantineMessage(req.file.originalname, req.file.scan) });
+        }
+
+        const targetStock = stock === undefined || stock === '' ? undefined : Number(stock);
+        if (targetStock !== undefined && (!Number.isInteger(targetStock) || targetStock < 0)) {
+            return res.status(400).json({ error: 'Stock must be a whole number of at least 0' });
+        }
+
+        const previous = product.toObject();
+
         // Update fields
         if (name) product.name = name;
         if (description) product.description = description;
         if (price !== undefined) product.price = price;
         if (category) product.category = category;
-        if (stock !== undefined) product.stock = stock;
+        if (reorderThreshold !== undefined && reorderThreshold !== '') product.reorderThreshold = reorderThreshold;
+        if (reorderQuantity !== undefined && reorderQuantity !== '') product.reorderQuantity = reorderQuantity;
+        if (weight !== undefined && weight !== '') product.weight = weight;
 
         // Handle image upload
         if (req.file) {
+            await recordUpload(req.file, req.user._id);
             product.image = `/uploads/${req.file.filename}`;
         }
 
+        // Stock only changes through the inventory ledger. It moves after the
+        // other fields validate and before they are saved, so a refused stock
+        // change leaves the whole product as it was
+        await product.validate();
+
+        let stockResult;
+        if (targetStock !== undefined) {
+            stockResult = await setStockTo({
+                product,
+                stock: targetStock,
+                reason: 'Edited on product',
+                actor: req.user._id
+            });
+            if (stockResult.error) {
+                return res.status(400).json({ error: stockResult.error });
+            }
+        }
+
         await product.save();
+        await linkProductImage(product, previous.image);
+        if (stockResult) product.stock = stockResult.product.stock;
+
+        await recordAudit({
+            req,
+            entityType: 'product',
+            entityId: product._id,
+            action: 'update',
+            changes: diffFields('product', previous, product)
+        });
+
+        await recordActivity({
+            type: 'product_updated',
+            description: `Product "${product.name}" was updated`,
+            actor: req.user._id,
+            data: { productId: product._id }
+        });
 
         res.json({
             success: true,
@@ -174,22 +233,39 @@ export const updateProduct = async (req, res) => {
     }
 };
 
-// @desc    Delete product
+// @desc    Move product to the trash
 // @route   DELETE /api/products/:id
-// @access  Private
+// @access  Private (owner or products:delete:any)
 export const deleteProduct = async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
 
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
 
-        await product.deleteOne();
+        product.deletedAt = new Date();
+        product.deletedBy = req.user._id;
+        await product.save();
+
+        await recordAudit({
+            req,
+            entityType: 'product',
+            entityId: product._id,
+            action: 'delete',
+            changes: [{ field: 'deletedAt', before: null, after: product.deletedAt.toISOString() }]
+        });
+
+        await recordActivity({
+            type: 'product_deleted',
+            description: `Product "${product.name}" was moved to the trash`,
+            actor: req.user._id,
+            data: { productId: product._id, count: 1, outOfStock: product.stock <= 0 ? 1 : 0 }
+        });
 
         res.json({
             success: true,
-            message: 'Product deleted successfully'
+            message: 'Product moved to trash'
         });
     } catch (error) {
         console.error('Delete product error:', error);
@@ -197,16 +273,359 @@ export const deleteProduct = async (req, res) => {
     }
 };
 
+// @desc    Get trashed products
+// @route   GET /api/products/trash
+// @access  Private (own products, or all with products:delete:any)
+export const getTrash = async (req, res) => {
+    try {
+        const permissions = await getUserPermissions(req);
+
+        const query = { deletedAt: { $ne: null } };
+        if (!permissions.includes('products:delete:any')) {
+            query.userId = req.user._id;
+        }
+
+        const products = await Product.find(query)
+            .sort({ deletedAt: -1 })
+            .populate('userId', 'name email')
+            .populate('deletedBy', 'name email');
+
+        res.json({
+            success: true,
+            data: {
+                products,
+                retentionDays: trashRetentionDays()
+            }
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+};
+
+// @desc    Restore product from the trash
+// @route   POST /api/products/trash/:id/restore
+// @access  Private (owner or products:delete:any)
+export const restoreProduct = async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found in trash' });
+        }
+
+        const deletedAt = product.deletedAt;
+        product.deletedAt = null;
+        product.deletedBy = null;
+        await product.save();
+
+        await recordAudit({
+            req,
+            entityType: 'product',
+            entityId: product._id,
+            action: 'restore',
+            changes: [{ field: 'deletedAt', before: deletedAt.toISOString(), after: null }]
+        });
+
+        await recordActivity({
+            type: 'product_restored',
+            description: `Product "${product.name}" was restored`,
+            actor: req.user._id,
+            data: { productId: product._id, count: 1, outOfStock: product.stock <= 0 ? 1 : 0 }
+        });
+
+        res.json({
+            success: true,
+            message: 'Product restored successfully',
+            data: product
+        });
+    } catch (error) {
+        console.error('Restore product error:', error);
+        res.status(500).json({ error: 'Failed to restore product' });
+    }
+};
+
+// @desc    Permanently delete a trashed product
+// @route   DELETE /api/products/trash/:id
+// @access  Private (owner or products:delete:any)
+export const purgeProduct = async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found in trash' });
+        }
+
+        await product.deleteOne();
+        await unlinkProducts([product._id]);
+
+        await recordAudit({
+            req,
+            entityType: 'product',
+            entityId: product._id,
+            action: 'purge',
+            changes: diffFields('product', product, null)
+        });
+
+        res.json({
+            success: true,
+            message: 'Product deleted permanently'
+        });
+    } catch (error) {
+        console.error('Purge product error:', error);
+        res.status(500).json({ error: 'Failed to delete product' });
+    }
+};
+
+// @desc    Import products from a CSV or JSON file
+// @route   POST /api/products/import
+// @access  Private (products:write)
+export const importProducts = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Please upload a CSV or JSON file' });
+        }
+
+        const { error, format, columns, records } = parseImportFile(req.file);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Product field -> file column; guessed from the header when not given
+        let mapping = guessMapping(columns);
+        if (req.body.mapping) {
+            try {
+                mapping = JSON.parse(req.body.mapping);
+            } catch {
+                return res.status(400).json({ error: 'Invalid column mapping' });
+            }
+
+            const invalid = Object.entries(mapping)
+                .find(([field, column]) => !IMPORT_FIELDS.includes(field) || (column && !columns.includes(column)));
+            if (invalid) {
+                return res.status(400).json({ error: `Invalid column mapping for ${invalid[0]}` });
+            }
+        }
+
+        const dryRun = req.body.dryRun === 'true';
+        const skipInvalid = req.body.skipInvalid === 'true';
+        const { valid, errors } = validateRecords(records, mapping, req.user._id);
+
+        const report = {
+            dryRun,
+            format,
+            columns,
+            mapping,
+            total: records.length,
+            validCount: valid.length,
+            imported: 0,
+            errors
+        };
+
+        if (dryRun) {
+            return res.json({ success: true, data: report });
+        }
+
+        // Without skipInvalid the import is all or nothing
+        if (errors.length > 0 && !skipInvalid) {
+            return res.status(400).json({
+                error: `${errors.length} row(s) failed validation, nothing was imported`,
+                data: report
+            });
+        }
+
+        if (valid.length > 0) {
+            const created = await Product.insertMany(valid);
+            report.imported = created.length;
+            await recordOpeningStock(created, { reason: 'Imported', actor: req.user._id });
+            for (const product of created) {
+                await linkProductImage(product);
+            }
+            await recordBulkCreate({ req, entityType: 'product', records: created });
+
+            await recordActivity({
+                type: 'product_added',
+                description: `${created.length} product(s) were imported`,
+                actor: req.user._id,
+                data: { count: created.length, outOfStock: created.filter((product) => product.stock <= 0).length }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${report.imported} product(s) imported`,
+            data: report
+        });
+    } catch (error) {
+        console.error('Import products error:', error);
+        res.status(500).json({ error: 'Failed to import products' });
+    }
+};
+
+// @desc    Export products as CSV or JSON, with the filters of GET /api/products
+// @route   GET /api/products/export?format=csv|json
+// @access  Private (products:read)
+export const exportProducts = async (req, res) => {
+    try {
+        const { format = 'csv', ...params } = req.query;
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+
+        const { error, filter, sort, select } = buildProductQuery(params);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const columns = select ? select.split(' ') : EXPORT_COLUMNS;
+        const products = await Product.find(filter)
+            .sort(sort)
+            .limit(MAX_EXPORT_ROWS)
+            .select(columns.join(' ') + ' -_id')
+            .lean();
+
+        const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(filename);
+
+        if (format === 'json') {
+            return res.json({ products });
+        }
+
+        res.type('text/csv').send(toCsv(products, columns));
+    } catch (error) {
+        console.error('Export products error:', error);
+        res.status(500).json({ error: 'Failed to export products' });
+    }
+};
+
+// @desc    Get change history of a product
+// @route   GET /api/products/:id/history
+// @access  Private (products:read)
+export const getProductHistory = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+
+        const query = { entityType: 'product', entityId: req.params.id };
+
+        const history = await AuditLog.find(query)
+            .sort({ _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate('actor', 'name email');
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                history,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get product history error:', error);
+        res.status(500).json({ error: 'Failed to fetch product history' });
+    }
+};
+
+// @desc    Revert a product to its state right after a history entry
+// @route   POST /api/products/:id/revert/:auditId
+// @access  Private (owner or products:write:any)
+export const revertProduct = async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
+
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const revision = await AuditLog.findOne({
+            _id: req.params.auditId,
+            entityType: 'product',
+            entityId: product._id
+        });
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        // Undo every later change, newest first, so each field ends up
+        // with the value it had before its first change after the revision
+        const laterChanges = await AuditLog.find({
+            entityType: 'product',
+            entityId: product._id,
+            _id: { $gt: revision._id }
+        }).sort({ _id: -1 });
+
+        const values = {};
+        for (const entry of laterChanges) {
+            for (const change of entry.changes) {
+                if (change.field !== 'deletedAt') values[change.field] = change.before;
+            }
+        }
+
+        const previous = product.toObject();
+        const { stock, ...fields } = values;
+        Object.entries(fields).forEach(([field, value]) => {
+            product[field] = value;
+        });
+        // Stock goes back through the inventory ledger, before the other
+        // fields are saved so a refused stock change reverts nothing
+        await product.validate();
+
+        let stockResult;
+        if (stock !== undefined && stock !== null) {
+            stockResult = await setStockTo({ product, stock, reason: 'Reverted', actor: req.user._id });
+            if (stockResult.error) {
+                return res.status(400).json({ error: stockResult.error });
+            }
+        }
+
+        await product.save();
+        await linkProductImage(product, previous.image);
+        if (stockResult) product.stock = stockResult.product.stock;
+
+        await recordAudit({
+            req,
+            entityType: 'product',
+            entityId: product._id,
+            action: 'revert',
+            changes: diffFields('product', previous, product)
+        });
+
+        res.json({
+            success: true,
+            message: 'Product reverted successfully',
+            data: product
+        });
+    } catch (error) {
+        console.error('Revert product error:', error);
+        res.status(400).json({ error: error.message || 'Failed to revert product' });
+    }
+};
+
 // @desc    Get product statistics
 // @route   GET /api/products/stats/overview
 // @access  Private
 export const getProductStats = async (req, res) => {
     try {
+        // Trashed products are left out of every statistic
+        const active = { deletedAt: null };
+
         // Total products
-        const totalProducts = await Product.countDocuments();
+        const totalProducts = await Product.countDocuments(active);
 
         // Total value
         const valueResult = await Product.aggregate([
+            { $match: active },
             {
                 $group: {
                     _id: null,
@@ -216,11 +635,17 @@ export const getProductStats = async (req, res) => {
         ]);
         const totalValue = valueResult[0]?.totalValue || 0;
 
-        // Low stock products
-        const lowStockCount = await Product.countDocuments({ stock: { $lte: 10 } });
+        // Products at or below their own reorder threshold
+        const lowStockCount = await Product.countDocuments({
+            ...active,
+            $expr: { $lte: ['$stock', '$reorderThreshold'] }
+        });
+        const stockOutCount = await Product.countDocuments({ ...active, stock: { $lte: 0 } });
+        const reorderSuggestions = await getReorderSuggestions({ limit: 10 });
 
         // Products by category
         const categoryStats = await Product.aggregate([
+            { $match: active },
             {
                 $group: {
                     _id: '$category',
@@ -231,7 +656,7 @@ export const getProductStats = async (req, res) => {
         ]);
 
         // Top products by value
-        const topProducts = await Product.find()
+        const topProducts = await Product.find(active)
             .sort({ price: -1 })
             .limit(5)
             .select('name price stock');
@@ -242,6 +667,8 @@ export const getProductStats = async (req, res) => {
                 totalProducts,
                 totalValue: Math.round(totalValue),
                 lowStockCount,
+                stockOutCount,
+                reorderSuggestions,
                 categoryStats,
                 topProducts
             }
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Role from '../models/Role.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -22,6 +24,27 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Only session-bound access tokens open the API; single-purpose tokens
+      // such as the 2FA challenge (issued after the password alone) never do
+      if (!decoded.sid || decoded.purpose || decoded.aud) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized to access this route'
+        });
+      }
+
+      // Reject access tokens whose session was revoked (logout, token reuse)
+      const session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked'
+        });
+      }
+
+      req.sessionId = session._id;
+
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
 
@@ -74,3 +97,81 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// Require the signed-in user to have two-factor authentication enabled.
+// With `envFlag`, the check only applies when that variable is 'true'.
+export const requireTwoFactor = (envFlag) => {
+  return (req, res, next) => {
+    if (envFlag && process.env[envFlag] !== 'true') {
+      return next();
+    }
+
+    if (!req.user?.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be enabled to access this route'
+      });
+    }
+
+    next();
+  };
+};
+
+// Permissions granted by the user's role (loaded once per request)
+export const getUserPermissions = async (req) => {
+  if (!req.permissions) {
+    const role = await Role.findOne({ name: req.user.role }).lean();
+    req.permissions = role?.permissions || [];
+  }
+  return req.permissions;
+};
+
+/**
+ * Require a named permission. With `getOwnerId`, a user holding only
+ * `permission` may act on resources they own, while `permission:any`
+ * allows acting on every resource.
+ *
+ * @param {string} permission - e.g. 'products:write'
+ * @param {{ getOwnerId?: (req: import('express').Request) => Promise<*> }} [options]
+ */
+export const requirePermission = (permission, { getOwnerId } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized to access this route'
+        });
+      }
+
+      const permissions = await getUserPermissions(req);
+
+      if (permissions.includes(`${permission}:any`)) {
+        return next();
+      }
+
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `Missing permission: ${permission}`
+        });
+      }
+
+      if (getOwnerId) {
+        const ownerId = await getOwnerId(req);
+
+        // A missing resource is left to the route handler (404)
+        if (ownerId && ownerId.toString() !== req.user._id.toString()) {
+          return res.status(403).json({
+            success: false,
+            error: 'You can only modify your own resources'
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+export const ACTIVITY_TYPES = [
+  'user_registration',
+  'user_updated',
+  'user_deleted',
+  'order_placed',
+  'payment_received',
+  'product_added',
+  'product_updated',
+  'product_deleted',
+  'product_restored',
+  'stock_change',
+  'upload',
+  'system_update'
+];
+
+/**
+ * @typedef {Object} IActivity
+ * @property {string} type - One of ACTIVITY_TYPES
+ * @property {string} description - Human-readable summary shown in the feed
+ * @property {mongoose.Types.ObjectId} actor - User who caused the event (null for the system)
+ * @property {Object} data - Event details, e.g. ids and counts for dashboard counters
+ * @property {Date} timestamp - When it happened
+ */
+
+const activitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false
+});
+
+activitySchema.index({ timestamp: -1 });
+activitySchema.index({ type: 1, timestamp: -1 });
+activitySchema.index({ actor: 1, timestamp: -1 });
+
+export default mongoose.model('Activity', activitySchema);
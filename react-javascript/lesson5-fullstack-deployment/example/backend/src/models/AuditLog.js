@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} IAuditChange
+ * @property {string} field - Changed field
+ * @property {*} before - Value before the change (null when created)
+ * @property {*} after - Value after the change (null when deleted)
+ */
+
+/**
+ * @typedef {Object} IAuditLog
+ * @property {string} entityType - Kind of record that changed
+ * @property {mongoose.Types.ObjectId} entityId - Id of the record that changed
+ * @property {string} action - What happened to the record
+ * @property {IAuditChange[]} changes - Field-level before/after diff
+ * @property {mongoose.Types.ObjectId} actor - User who made the change, null for scheduled jobs
+ * @property {string} ip - Client IP address
+ * @property {string} userAgent - Client user agent
+ * @property {Date} createdAt - Change date
+ */
+
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['product', 'user'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'revert'],
+    required: true
+  },
+  changes: {
+    type: [auditChangeSchema],
+    default: []
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
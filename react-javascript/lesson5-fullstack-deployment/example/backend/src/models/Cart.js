@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} ICart
+ * @property {mongoose.Types.ObjectId} userId - Owner of the cart (one cart per user)
+ * @property {Array<{productId: mongoose.Types.ObjectId, quantity: number, price: number}>} items
+ *   - Products in the cart with the price last shown to the user
+ * @property {Date} updatedAt - Last change
+ */
+
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Price the user saw, to detect price changes since the item was added
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Cart', cartSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} ICoupon
+ * @property {string} code - Code the customer enters (stored upper case)
+ * @property {string} description - Shown next to the discount
+ * @property {string} type - percentage | fixed | free_shipping
+ * @property {number} value - Percent off or fixed amount off (unused for free_shipping)
+ * @property {number} minSubtotal - Cart subtotal needed to use the coupon
+ * @property {Date|null} startsAt - Not valid before this date
+ * @property {Date|null} expiresAt - Not valid after this date
+ * @property {number|null} usageLimit - Total number of orders that may use it (null = unlimited)
+ * @property {number} usedCount - Orders that used it so far
+ * @property {number|null} perUserLimit - Orders per customer (null = unlimited)
+ * @property {boolean} isActive - Switch a coupon off without deleting it
+ * @property {mongoose.Types.ObjectId} createdBy - Admin who created it
+ */
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code may only contain letters, digits, - and _ (3-32 characters)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: true
+  },
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0,
+    validate: {
+      validator: function (value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage cannot be more than 100'
+    }
+  },
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Coupon', couponSchema);
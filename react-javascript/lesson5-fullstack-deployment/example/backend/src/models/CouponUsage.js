@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * How many open orders a customer has placed with a coupon. Claimed with a
+ * conditional update at checkout so that parallel checkouts cannot go past
+ * the coupon's per-user limit; cancelled and failed orders give the use back.
+ *
+ * @typedef {Object} ICouponUsage
+ * @property {string} code - Coupon code
+ * @property {mongoose.Types.ObjectId} userId - Customer
+ * @property {number} count - Orders using the coupon that were not cancelled or failed
+ */
+
+const couponUsageSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per customer and coupon
+couponUsageSchema.index({ code: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('CouponUsage', couponUsageSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ACTIVITY_TYPES } from './Activity.js';
 
 const dashboardSchema = new mongoose.Schema({
   userId: {
@@ -48,7 +49,7 @@ const dashboardSchema = new mongoose.Schema({
     type: {
       type: String,
       required: true,
-      enum: ['user_registration', 'order_placed', 'payment_received', 'product_added', 'system_update']
+      enum: ACTIVITY_TYPES
     },
     description: {
       type: String,
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Link that lets anyone holding it download one uploaded file, see
+ * routes/shares.js. Revoking a link deletes it.
+ *
+ * @typedef {Object} IFileShare
+ * @property {mongoose.Types.ObjectId} upload - Shared file
+ * @property {mongoose.Types.ObjectId} createdBy - User who created the link
+ * @property {string} token - Random part of the link
+ * @property {string} passwordHash - bcrypt hash, empty when the link needs no password
+ * @property {Date|null} expiresAt - null for links that never expire
+ * @property {number} accessCount - Times the file was opened through the link
+ * @property {Date|null} lastAccessedAt - When the file was last opened
+ * @property {Date} createdAt - Creation date
+ */
+
+const fileShareSchema = new mongoose.Schema({
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  passwordHash: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+fileShareSchema.index({ upload: 1 });
+
+fileShareSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+export default mongoose.model('FileShare', fileShareSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Virtual folder in the file manager. Folders only exist in the database;
+ * files are stored flat and point at their folder.
+ *
+ * @typedef {Object} IFolder
+ * @property {mongoose.Types.ObjectId} userId - Owner
+ * @property {string} name - Unique among the folders sharing a parent
+ * @property {mongoose.Types.ObjectId|null} parent - Enclosing folder, null at the top level
+ * @property {Date} createdAt - Creation date
+ * @property {Date} updatedAt - Update date
+ */
+
+const folderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot be more than 100 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+folderSchema.index({ userId: 1, parent: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('Folder', folderSchema);
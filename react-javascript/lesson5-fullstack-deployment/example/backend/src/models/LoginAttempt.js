@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} ILoginAttempt
+ * @property {mongoose.Types.ObjectId} userId - Matching user, if the email exists
+ * @property {string} email - Email that was submitted
+ * @property {string} ip - Client IP address
+ * @property {string} userAgent - Client user agent
+ * @property {string} method - Sign-in method
+ * @property {boolean} success - Whether the login succeeded
+ * @property {string} reason - Failure reason
+ * @property {Date} createdAt - Attempt date
+ */
+
+const loginAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google'],
+    default: 'password'
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['invalid_password', 'invalid_2fa_code', 'unknown_user', 'account_locked', 'deactivated', 'no_password', null],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+// Keep login history for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['low_stock', 'role_changed', 'security'];
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email'];
+
+// Channels each type is delivered on until the user changes them
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  low_stock: { inApp: true, email: false },
+  role_changed: { inApp: true, email: true },
+  security: { inApp: true, email: true }
+};
+
+/**
+ * @typedef {Object} INotification
+ * @property {mongoose.Types.ObjectId} userId - Recipient
+ * @property {string} type - One of NOTIFICATION_TYPES
+ * @property {string} title - Short headline shown in the bell dropdown
+ * @property {string} message - Details
+ * @property {string} link - Frontend path to open, e.g. the product
+ * @property {Object} data - Event details, e.g. ids
+ * @property {Date|null} readAt - When the recipient read it
+ * @property {Date} createdAt - Creation date
+ */
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [120, 'Title cannot be more than 120 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    default: ''
+  },
+  link: {
+    type: String,
+    default: ''
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
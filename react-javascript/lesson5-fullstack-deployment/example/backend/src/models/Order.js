@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+
+export const ORDER_STATUSES = ['pending', 'paid', 'failed', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Allowed status changes; failed, cancelled and refunded orders are final.
+// Paid orders are refunded rather than cancelled.
+export const ORDER_TRANSITIONS = {
+  pending: ['paid', 'failed', 'cancelled'],
+  paid: ['shipped', 'refunded'],
+  failed: [],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Set by the payment provider's webhooks and refunds, not by hand
+export const PAYMENT_STATUSES = ['paid', 'failed', 'refunded'];
+
+/**
+ * @typedef {Object} IOrder
+ * @property {mongoose.Types.ObjectId} userId - Customer who placed the order
+ * @property {Array<{productId: mongoose.Types.ObjectId, name: string, price: number, quantity: number, image: string}>} items
+ *   - Ordered products with the name and price they had at checkout
+ * @property {number} subtotal - Sum of price × quantity over all items
+ * @property {number} discount - Coupon discount
+ * @property {number} shipping - Shipping cost
+ * @property {number} tax - Tax charged
+ * @property {number} total - Amount charged: subtotal - discount + shipping + tax
+ * @property {string|null} couponCode - Coupon applied at checkout
+ * @property {string} region - Region used for tax and shipping
+ * @property {Array<{key: string, label: string, amount: number}>} summary - Price breakdown shown at checkout
+ * @property {string} status - pending | paid | failed | shipped | delivered | cancelled | refunded
+ * @property {Array<{status: string, changedBy: mongoose.Types.ObjectId, changedAt: Date}>} statusHistory
+ * @property {Date|null} paymentStartedAt - When a payment was started; claimed atomically so only one payment can run
+ * @property {Date} createdAt - Checkout date
+ * @property {Date} updatedAt - Update date
+ */
+
+const orderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  image: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'An order needs at least one item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative'],
+    default: 0
+  },
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  shipping: {
+    type: Number,
+    min: [0, 'Shipping cannot be negative'],
+    default: 0
+  },
+  tax: {
+    type: Number,
+    min: [0, 'Tax cannot be negative'],
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Total cannot be negative']
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  region: {
+    type: String,
+    default: '*'
+  },
+  summary: [{
+    _id: false,
+    key: String,
+    label: String,
+    amount: Number
+  }],
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  paymentStartedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return ORDER_TRANSITIONS[this.status].includes(status);
+};
+
+// Index for better query performance
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ userId: 1, couponCode: 1 });
+
+export default mongoose.model('Order', orderSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} IPayment
+ * @property {mongoose.Types.ObjectId} orderId - Order being paid
+ * @property {string} provider - Payment provider name, e.g. `fake`
+ * @property {string} providerPaymentId - Id of the payment at the provider
+ * @property {number} amount - Amount charged
+ * @property {string} currency - ISO currency code
+ * @property {string} status - processing | requires_action | succeeded | failed | refunded
+ * @property {string} redirectUrl - Where the customer confirms the payment (3-D Secure)
+ * @property {string} failureReason - Why the provider declined it
+ * @property {Array<{providerRefundId: string, amount: number, reason: string, createdBy: mongoose.Types.ObjectId, createdAt: Date}>} refunds
+ * @property {mongoose.Types.ObjectId} createdBy - Customer who started the payment
+ */
+
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'requires_action', 'succeeded', 'failed', 'refunded'],
+    default: 'processing'
+  },
+  redirectUrl: {
+    type: String,
+    default: ''
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  refunds: [{
+    _id: false,
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+paymentSchema.index({ orderId: 1, createdAt: -1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -6,9 +6,21 @@ import mongoose from 'mongoose';
  * @property {string} description - Product description
  * @property {number} price - Product price
  * @property {string} category - Product category
- * @property {number} stock - Stock quantity
+ * @property {number} stock - Stock quantity, the running balance of the inventory ledger
+ * @property {number} reserved - Units held by active reservations, not available to other sales
+ * @property {number} reorderThreshold - Reorder when stock falls to this level
+ * @property {number} reorderQuantity - Units to reorder (0 = suggest automatically)
+ * @property {number} weight - Shipping weight in kg
  * @property {string} image - Image URL
+ * @property {Object|null} imageVariants - Responsive versions of the image once it is processed
+ * @property {string} imageVariants.srcset - Resized copies in the original format, as an `srcset`
+ * @property {string} imageVariants.webpSrcset - The same widths as WebP
+ * @property {string} imageVariants.placeholder - Tiny blurred preview as a data URL
+ * @property {number} imageVariants.width - Width of the full-size image
+ * @property {number} imageVariants.height - Height of the full-size image
  * @property {mongoose.Types.ObjectId} userId - User who created the product
+ * @property {Date|null} deletedAt - When the product was moved to the trash
+ * @property {mongoose.Types.ObjectId|null} deletedBy - User who moved it to the trash
  * @property {Date} createdAt - Creation date
  * @property {Date} updatedAt - Update date
  */
@@ -41,14 +53,54 @@ const productSchema = new mongoose.Schema({
         min: [0, 'Stock cannot be negative'],
         default: 0
     },
+    reserved: {
+        type: Number,
+        min: [0, 'Reserved stock cannot be negative'],
+        default: 0
+    },
+    reorderThreshold: {
+        type: Number,
+        min: [0, 'Reorder threshold cannot be negative'],
+        default: 10
+    },
+    reorderQuantity: {
+        type: Number,
+        min: [0, 'Reorder quantity cannot be negative'],
+        default: 0
+    },
+    weight: {
+        type: Number,
+        min: [0, 'Weight cannot be negative'],
+        default: 0
+    },
     image: {
         type: String,
         default: ''
     },
+    imageVariants: {
+        type: new mongoose.Schema({
+            srcset: String,
+            webpSrcset: String,
+            placeholder: String,
+            width: Number,
+            height: Number
+        }, { _id: false }),
+        default: null
+    },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    // Soft delete: trashed products keep their data until purged
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, {
     timestamps: true
@@ -60,6 +112,15 @@ productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ userId: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ deletedAt: 1 });
+
+// Permanently remove products trashed before `before`; returns the removed products
+productSchema.statics.purgeDeleted = async function (before) {
+    const filter = { deletedAt: { $ne: null, $lte: before } };
+    const products = await this.find(filter).lean();
+    await this.deleteMany({ ...filter, _id: { $in: products.map((product) => product._id) } });
+    return products;
+};
 
 export default mongoose.model('Product', productSchema);
 
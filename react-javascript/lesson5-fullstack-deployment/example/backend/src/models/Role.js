@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { PERMISSION_NAMES, DEFAULT_ROLES } from '../config/permissions.js';
+
+/**
+ * @typedef {Object} IRole
+ * @property {string} name - Role name, referenced by `User.role`
+ * @property {string} description - Role description
+ * @property {string[]} permissions - Granted permission names
+ * @property {number|null} maxUploadMb - Largest file its users may upload (null = UPLOAD_MAX_MB)
+ * @property {boolean} isSystem - Built-in role that cannot be deleted
+ * @property {string[]} grantedDefaults - Default permissions already granted to a built-in role once
+ */
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]{2,30}$/, 'Role name may only contain letters, numbers, - and _ (2-30 characters)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every((permission) => PERMISSION_NAMES.includes(permission)),
+      message: 'Unknown permission'
+    }
+  },
+  maxUploadMb: {
+    type: Number,
+    min: [1, 'Upload limit must be at least 1 MB'],
+    max: [10240, 'Upload limit cannot be more than 10240 MB'],
+    default: null
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  grantedDefaults: {
+    type: [String],
+    default: [],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create the built-in roles and keep `admin` in sync with the permission catalog.
+// Defaults added in later versions reach existing roles once; a permission an
+// admin removed afterwards stays removed.
+roleSchema.statics.ensureDefaultRoles = async function () {
+  for (const role of DEFAULT_ROLES) {
+    const existing = await this.findOneAndUpdate(
+      { name: role.name },
+      { $setOnInsert: { description: role.description, isSystem: true } },
+      { upsert: true, new: true }
+    ).select('+grantedDefaults');
+
+    const newDefaults = role.name === 'admin'
+      ? role.permissions
+      : role.permissions.filter((permission) => !existing.grantedDefaults.includes(permission));
+
+    if (newDefaults.length > 0) {
+      await this.updateOne(
+        { _id: existing._id },
+        { $addToSet: { permissions: { $each: newDefaults }, grantedDefaults: { $each: newDefaults } } }
+      );
+    }
+  }
+};
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * A login session. Each session is one refresh-token family: every refresh
+ * rotates `tokenHash` and moves the old hash into `rotatedHashes`, so a
+ * replayed (already rotated) token can be detected and the session revoked.
+ *
+ * @typedef {Object} ISession
+ * @property {mongoose.Types.ObjectId} userId - Owner of the session
+ * @property {string} tokenHash - SHA-256 hash of the current refresh token
+ * @property {string[]} rotatedHashes - Hashes of refresh tokens already used
+ * @property {string} userAgent - User agent that created the session
+ * @property {string} ip - IP address that created the session
+ * @property {Date} lastUsedAt - Last time the session was refreshed
+ * @property {Date} expiresAt - Absolute expiry of the refresh token
+ * @property {Date} revokedAt - When the session was revoked, if ever
+ * @property {string} revokedReason - Why the session was revoked
+ */
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  rotatedHashes: {
+    type: [String],
+    default: []
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Index for better query performance
+sessionSchema.index({ userId: 1 });
+sessionSchema.index({ rotatedHashes: 1 });
+// Remove sessions automatically once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
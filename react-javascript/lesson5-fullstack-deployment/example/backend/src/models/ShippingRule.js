@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} IShippingRule
+ * @property {string} name - Label shown in the price breakdown
+ * @property {string} region - Region code the rule applies to, or `*` for all
+ * @property {number} minWeight - Lowest total weight in kg (inclusive)
+ * @property {number|null} maxWeight - Highest total weight in kg (exclusive, null = no limit)
+ * @property {number} minSubtotal - Lowest subtotal (inclusive), e.g. for free shipping over 100
+ * @property {number|null} maxSubtotal - Highest subtotal (exclusive, null = no limit)
+ * @property {number} cost - Shipping cost when the rule matches
+ * @property {number} priority - Higher priority rules are tried first
+ * @property {boolean} isActive
+ */
+
+const shippingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: '*',
+    match: [/^(\*|[A-Z]{2}(-[A-Z0-9]{1,3})?)$/, 'Region must be a country code, country-subdivision code or *']
+  },
+  minWeight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: 0
+  },
+  maxWeight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: null
+  },
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative'],
+    default: 0
+  },
+  maxSubtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative'],
+    default: null
+  },
+  cost: {
+    type: Number,
+    required: [true, 'Cost is required'],
+    min: [0, 'Cost cannot be negative']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingRuleSchema.index({ isActive: 1, priority: -1 });
+
+export default mongoose.model('ShippingRule', shippingRuleSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} IStockMovement
+ * @property {mongoose.Types.ObjectId} productId - Product whose stock moved
+ * @property {string} type - receipt | sale | adjustment | return
+ * @property {number} quantity - Signed change: positive adds stock, negative removes it
+ * @property {number} balanceAfter - Product stock after this movement
+ * @property {string} reason - Why the stock moved
+ * @property {mongoose.Types.ObjectId} reservationId - Reservation fulfilled by a sale
+ * @property {mongoose.Types.ObjectId} actor - User who recorded the movement
+ * @property {Date} createdAt - Movement date
+ */
+
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'sale', 'adjustment', 'return'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (quantity) => Number.isInteger(quantity) && quantity !== 0,
+      message: 'Quantity must be a non-zero whole number'
+    }
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters'],
+    default: ''
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation',
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} IStockReservation
+ * @property {mongoose.Types.ObjectId} productId - Reserved product
+ * @property {number} quantity - Reserved units
+ * @property {string} orderRef - Pending order the stock is held for
+ * @property {string} status - active | fulfilled | released
+ * @property {Date} expiresAt - Active reservations stop holding stock after this date
+ * @property {mongoose.Types.ObjectId} createdBy - User who made the reservation
+ */
+
+const stockReservationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  orderRef: {
+    type: String,
+    required: [true, 'Order reference is required'],
+    trim: true,
+    maxlength: [100, 'Order reference cannot be more than 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'fulfilled', 'released'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// An active reservation past its expiry no longer holds stock
+stockReservationSchema.methods.isHolding = function () {
+  return this.status === 'active' && this.expiresAt > new Date();
+};
+
+// Index for better query performance
+stockReservationSchema.index({ productId: 1, status: 1, expiresAt: 1 });
+
+export default mongoose.model('StockReservation', stockReservationSchema);
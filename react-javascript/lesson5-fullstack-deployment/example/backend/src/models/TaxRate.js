@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} ITaxRate
+ * @property {string} region - Region code such as `US-CA` or `DE`; `*` applies where no other rate does
+ * @property {string} name - Label shown in the price breakdown, e.g. "VAT"
+ * @property {number} rate - Percentage charged on the discounted subtotal
+ * @property {boolean} appliesToShipping - Whether shipping is taxed as well
+ */
+
+const taxRateSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: [true, 'Region is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^(\*|[A-Z]{2}(-[A-Z0-9]{1,3})?)$/, 'Region must be a country code, country-subdivision code or *']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot be more than 100']
+  },
+  appliesToShipping: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('TaxRate', taxRateSchema);
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import { uploadKey, quarantineKey } from '../utils/storage/signing.js';
+
+/**
+ * @typedef {Object} IUpload
+ * @property {mongoose.Types.ObjectId} userId - User who uploaded the file
+ * @property {string} filename - Stored file name
+ * @property {'public'|'private'} visibility - Private files are only served through signed URLs
+ * @property {string} originalName - File name shown to users; renaming changes it, the stored file keeps its name
+ * @property {string} mimetype - Content type, checked against the file's first bytes
+ * @property {number} size - Size in bytes
+ * @property {string} checksum - SHA-256 (hex) of the stored file
+ * @property {mongoose.Types.ObjectId|null} folder - Virtual folder of the owner, null at the top level
+ * @property {string[]} tags - Lowercase labels for finding files
+ * @property {mongoose.Types.ObjectId[]} products - Products using the file as their image
+ * @property {Object} image - Processing of JPEG and PNG images, see utils/imageProcessing.js
+ * @property {'none'|'pending'|'processing'|'ready'|'failed'} image.status - 'none' for other files
+ * @property {number|null} image.width - Width of the processed image in pixels
+ * @property {number|null} image.height - Height of the processed image in pixels
+ * @property {string} image.placeholder - Tiny blurred preview as a data URL
+ * @property {{ width: number, format: string, filename: string, size: number }[]} image.variants - Resized copies
+ * @property {string} image.error - Why processing failed
+ * @property {Object} scan - Malware scan, see utils/quarantine.js
+ * @property {'clean'|'quarantined'} scan.status - Quarantined files stay out of reach
+ * @property {string} scan.scanner - Scanner that looked at the file
+ * @property {string} scan.threat - What the scanner found
+ * @property {Date|null} scan.scannedAt - null for files uploaded before scanning
+ * @property {Date} createdAt - Upload date
+ * @property {Date} updatedAt - Update date
+ */
+
+const uploadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    // Files uploaded before visibility existed are all public
+    default: 'public'
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  checksum: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a SHA-256 hex digest'],
+    required: true
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  image: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'processing', 'ready', 'failed'],
+      default: 'none'
+    },
+    width: {
+      type: Number,
+      default: null
+    },
+    height: {
+      type: Number,
+      default: null
+    },
+    placeholder: {
+      type: String,
+      default: ''
+    },
+    variants: [{
+      _id: false,
+      width: Number,
+      format: String,
+      filename: String,
+      size: Number
+    }],
+    error: {
+      type: String,
+      default: ''
+    }
+  },
+  scan: {
+    status: {
+      type: String,
+      enum: ['clean', 'quarantined'],
+      // Files uploaded before scanning existed were accepted as they were
+      default: 'clean'
+    },
+    scanner: {
+      type: String,
+      default: ''
+    },
+    threat: {
+      type: String,
+      default: ''
+    },
+    scannedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ userId: 1, createdAt: -1 });
+uploadSchema.index({ userId: 1, folder: 1 });
+uploadSchema.index({ userId: 1, tags: 1 });
+uploadSchema.index({ products: 1 });
+uploadSchema.index({ 'image.status': 1, updatedAt: 1 });
+
+// Where the file is kept in the configured storage
+uploadSchema.virtual('key').get(function () {
+  return this.scan?.status === 'quarantined' ? quarantineKey(this.filename) : uploadKey(this.filename, this.visibility);
+});
+
+// URL a public file is served from; private files need a signed URL instead
+uploadSchema.virtual('url').get(function () {
+  return `/uploads/${this.filename}`;
+});
+
+export default mongoose.model('Upload', uploadSchema);
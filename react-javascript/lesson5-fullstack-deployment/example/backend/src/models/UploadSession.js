@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} IUploadSession
+ * @property {mongoose.Types.ObjectId} userId - User uploading the file
+ * @property {string} originalName - File name on the user's machine
+ * @property {string} mimetype - Declared content type
+ * @property {number} size - Total size in bytes
+ * @property {string} checksum - Optional SHA-256 (hex) of the whole file, checked on completion
+ * @property {mongoose.Types.ObjectId|null} folder - Folder the file is filed in once completed
+ * @property {number} chunkSize - Size of every chunk but the last, in bytes
+ * @property {number} totalChunks - Number of chunks
+ * @property {number[]} receivedChunks - Indexes of the chunks stored so far
+ * @property {'active'|'assembling'|'completed'} status - Completed sessions keep the stored file name
+ * @property {string} filename - Name of the assembled file in the uploads directory
+ * @property {Date} expiresAt - Unfinished uploads are discarded after this
+ * @property {Date} createdAt - Creation date
+ * @property {Date} updatedAt - Update date
+ */
+
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: [1, 'File cannot be empty']
+  },
+  checksum: {
+    type: String,
+    match: [/^([a-f0-9]{64})?$/, 'Checksum must be a SHA-256 hex digest'],
+    default: ''
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  chunkSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['active', 'assembling', 'completed'],
+    default: 'active'
+  },
+  filename: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ userId: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Size in bytes of chunk `index`; the last chunk holds the remainder
+uploadSessionSchema.methods.expectedChunkSize = function (index) {
+  return index === this.totalChunks - 1
+    ? this.size - this.chunkSize * (this.totalChunks - 1)
+    : this.chunkSize;
+};
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
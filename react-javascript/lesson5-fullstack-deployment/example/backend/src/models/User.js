@@ -1,5 +1,20 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { DEFAULT_NOTIFICATION_PREFERENCES } from './Notification.js';
+
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_EXPIRES_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// { low_stock: { inApp: { type: Boolean, default: true }, ... }, ... }
+const notificationPreferencesDefinition = Object.fromEntries(
+  Object.entries(DEFAULT_NOTIFICATION_PREFERENCES).map(([type, channels]) => [
+    type,
+    Object.fromEntries(Object.entries(channels).map(([channel, enabled]) => [channel, { type: Boolean, default: enabled }]))
+  ])
+);
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -32,9 +47,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Name of a Role document; its permissions are checked by requirePermission
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   isActive: {
@@ -44,12 +61,74 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
-  }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Only hashes of single-use tokens are stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret waiting for its first valid code during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, to prevent replays
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Channels each notification type is delivered on
+  notificationPreferences: notificationPreferencesDefinition
 }, {
   timestamps: true,
   toJSON: {
     transform: function (doc, ret) {
       delete ret.password;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastUsedStep;
       delete ret.__v;
       return ret;
     }
@@ -74,6 +153,64 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the account is temporarily locked
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login and lock the account once `maxAttempts` is reached
+userSchema.methods.registerFailedLogin = async function (maxAttempts, lockDurationMs) {
+  // A lock that has run out starts a fresh count
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = null;
+  }
+
+  this.failedLoginAttempts += 1;
+  if (this.failedLoginAttempts >= maxAttempts) {
+    this.lockUntil = new Date(Date.now() + lockDurationMs);
+  }
+
+  await this.save({ validateBeforeSave: false });
+};
+
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
+// Create a password reset token, store its hash and return the raw token
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MS);
+  return token;
+};
+
+// Create an email verification token, store its hash and return the raw token
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_MS);
+  return token;
+};
+
+// Find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Find the user owning an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook events that were already handled. Providers may deliver the same
+ * event more than once; the unique index makes handling idempotent.
+ *
+ * @typedef {Object} IWebhookEvent
+ * @property {string} provider - Provider that sent the event
+ * @property {string} eventId - Provider's event id
+ * @property {string} type - Event type, e.g. `payment.succeeded`
+ * @property {Date} createdAt - When the event was first received
+ */
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,74 @@
+import express from 'express';
+import Joi from 'joi';
+import AuditLog from '../models/AuditLog.js';
+import { protect, requirePermission, requireTwoFactor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const querySchema = Joi.object({
+  entityType: Joi.string().valid('product', 'user'),
+  entityId: Joi.string().hex().length(24),
+  actor: Joi.string().hex().length(24),
+  action: Joi.string().valid('create', 'update', 'delete', 'restore', 'purge', 'revert'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// @desc    Get audit records
+// @route   GET /api/audit
+// @access  Private (audit:read)
+router.get('/', protect, requirePermission('audit:read'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
+  try {
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { entityType, entityId, actor, action, from, to, page, limit } = value;
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const records = await AuditLog.find(query)
+      .sort({ _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        records,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit records error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting audit records'
+    });
+  }
+});
+
+export default router;
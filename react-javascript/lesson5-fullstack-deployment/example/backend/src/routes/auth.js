@@ -1,11 +1,45 @@
 import express from 'express';
 import Joi from 'joi';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { generateToken } from '../utils/generateToken.js';
-import { protect } from '../middleware/auth.js';
+import {
+  REFRESH_COOKIE,
+  hashToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  issueTokens,
+  setRefreshCookie,
+  clearRefreshCookie
+} from '../utils/session.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/authEmails.js';
+import {
+  maxAccountAttempts,
+  lockDurationMs,
+  countRecentIpFailures,
+  isIpBlocked,
+  progressiveDelayMs,
+  sleep,
+  recordLoginAttempt
+} from '../utils/loginProtection.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { protect, getUserPermissions } from '../middleware/auth.js';
+import { recordAudit, diffFields } from '../utils/audit.js';
+import { recordActivity } from '../utils/activity.js';
+import { notifySecurityEvent, notifyAccountLocked } from '../utils/notifications.js';
+import googleAuthRoutes from './googleAuth.js';
+import twoFactorRoutes from './twoFactor.js';
+import { createChallengeToken } from '../utils/twoFactor.js';
 
 const router = express.Router();
 
+// Google OAuth sign-in and account linking
+router.use('/google', googleAuthRoutes);
+
+// TOTP two-factor authentication
+router.use('/2fa', twoFactorRoutes);
+
 // Validation schemas
 const registerSchema = Joi.object({
   name: Joi.string().min(2).max(50).required(),
@@ -18,6 +52,30 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  password: Joi.string().min(6).required()
+});
+
+const lockedMessage = (user) => {
+  const minutes = Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000);
+  return `Account is temporarily locked after too many failed login attempts, try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Issue a verification token and email it; registration must not fail on mail errors
+const startEmailVerification = async (user) => {
+  try {
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -50,8 +108,25 @@ router.post('/register', async (req, res) => {
       password
     });
 
-    // Generate token
-    const token = generateToken(user._id.toString());
+    await recordAudit({
+      req,
+      entityType: 'user',
+      entityId: user._id,
+      action: 'create',
+      changes: diffFields('user', null, user),
+      actor: user._id
+    });
+
+    await recordActivity({
+      type: 'user_registration',
+      description: `User "${user.name}" registered`,
+      actor: user._id
+    });
+
+    await startEmailVerification(user);
+
+    // Start a session and generate tokens
+    const token = await issueTokens(res, user, req);
 
     res.status(201).json({
       success: true,
@@ -61,7 +136,8 @@ router.post('/register', async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
-          avatar: user.avatar
+          avatar: user.avatar,
+          emailVerified: user.emailVerified
         },
         token
       }
@@ -91,38 +167,78 @@ router.post('/login', async (req, res) => {
 
     const { email, password } = value;
 
+    // Per-IP brute-force protection
+    const ipFailures = await countRecentIpFailures(req.ip);
+    if (isIpBlocked(ipFailures)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed login attempts from this IP, please try again later'
+      });
+    }
+
+    // Record a failure and slow down repeated guesses
+    const rejectLogin = async (status, message, reason, user, extra = {}) => {
+      await recordLoginAttempt({ req, user, email, success: false, reason });
+      await sleep(progressiveDelayMs(Math.max(ipFailures + 1, user?.failedLoginAttempts || 0)));
+      return res.status(status).json({
+        success: false,
+        error: message,
+        ...extra
+      });
+    };
+
     // Check for user and include password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
+      return rejectLogin(401, 'Invalid credentials', 'unknown_user');
+    }
+
+    // Check if the account is temporarily locked
+    if (user.isLocked()) {
+      return rejectLogin(423, lockedMessage(user), 'account_locked', user, { lockUntil: user.lockUntil });
     }
 
     // Check if user is active
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        error: 'Account is deactivated'
-      });
+      return rejectLogin(401, 'Account is deactivated', 'deactivated', user);
+    }
+
+    // Accounts created through Google have no password
+    if (!user.password) {
+      return rejectLogin(401, 'This account uses Google sign-in', 'no_password', user);
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
+      await user.registerFailedLogin(maxAccountAttempts(), lockDurationMs());
+
+      if (user.isLocked()) {
+        await notifyAccountLocked(user);
+        return rejectLogin(423, lockedMessage(user), 'invalid_password', user, { lockUntil: user.lockUntil });
+      }
+      return rejectLogin(401, 'Invalid credentials', 'invalid_password', user);
+    }
+
+    // Second step required: hand out a short-lived challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user._id)
+        }
       });
     }
 
-    // Update last login
+    // Update last login and clear failed attempts
     user.lastLogin = new Date();
+    user.resetLoginAttempts();
     await user.save();
+    await recordLoginAttempt({ req, user, email, success: true });
 
-    // Generate token
-    const token = generateToken(user._id.toString());
+    // Start a session and generate tokens
+    const token = await issueTokens(res, user, req);
 
     res.json({
       success: true,
@@ -133,6 +249,9 @@ router.post('/login', async (req, res) => {
           email: user.email,
           role: user.role,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          googleLinked: Boolean(user.googleId),
+          twoFactorEnabled: user.twoFactorEnabled,
           lastLogin: user.lastLogin
         },
         token
@@ -147,6 +266,375 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @desc    Exchange refresh token cookie for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'No refresh token provided'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({
+      $or: [{ tokenHash }, { rotatedHashes: tokenHash }]
+    });
+
+    if (!session) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    // A rotated token being presented again means it was stolen:
+    // invalidate the whole token family
+    const rejectReuse = async () => {
+      if (!session.revokedAt) {
+        await revokeSession(session, 'reuse_detected');
+        await notifySecurityEvent(
+          session.userId,
+          'Suspicious sign-in activity',
+          'An old sign-in token was used again, so that session was signed out.'
+        );
+      }
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token reuse detected, please log in again'
+      });
+    };
+
+    if (session.tokenHash !== tokenHash) {
+      return rejectReuse();
+    }
+
+    if (!session.isActive()) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await revokeSession(session, 'logout');
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // Rotate refresh token
+    const newRefreshToken = await rotateSession(session);
+    if (!newRefreshToken) {
+      // Another request rotated this token first
+      return rejectReuse();
+    }
+    setRefreshCookie(res, newRefreshToken, session.expiresAt);
+
+    const token = generateToken(user._id.toString(), session._id.toString());
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          googleLinked: Boolean(user.googleId),
+          twoFactorEnabled: user.twoFactorEnabled,
+          lastLogin: user.lastLogin
+        },
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error refreshing token'
+    });
+  }
+});
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token cookie or access token)
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+
+    if (refreshToken) {
+      const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+      if (session && !session.revokedAt) {
+        await revokeSession(session, 'logout');
+      }
+    }
+
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      data: { message: 'Logged out successfully' }
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Logout all sessions of current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout_all');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      data: { message: 'Logged out from all sessions' }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({ email: value.email });
+
+    // Send the email only for active accounts, but always answer the same way
+    // so the endpoint cannot be used to discover registered addresses
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        // Logged only: a different answer would reveal that the account exists
+        console.error('Send password reset email error:', mailError);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'If an account exists for this email, a reset link has been sent' }
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error sending password reset email'
+    });
+  }
+});
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use
+    user.password = value.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.resetLoginAttempts();
+    // Receiving the reset email proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out every existing session
+    await revokeAllSessions(user._id, 'password_reset');
+    clearRefreshCookie(res);
+
+    await notifySecurityEvent(user._id, 'Your password was changed', 'Your password was reset and every session was signed out.');
+
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset, please log in with your new password' }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error resetting password'
+    });
+  }
+});
+
+// @desc    Verify email address with emailed token
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: { message: 'Email verified successfully' }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error verifying email'
+    });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      data: { message: 'Verification email sent' }
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error sending verification email'
+    });
+  }
+});
+
+// @desc    Get login history of current user
+// @route   GET /api/auth/login-history
+// @access  Private
+router.get('/login-history', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const attempts = await LoginAttempt.find({ userId: req.user._id })
+      .select('ip userAgent method success reason createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginAttempt.countDocuments({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting login history'
+    });
+  }
+});
+
+// @desc    Get permissions of current user
+// @route   GET /api/auth/permissions
+// @access  Private
+router.get('/permissions', protect, async (req, res) => {
+  try {
+    const permissions = await getUserPermissions(req);
+
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        permissions
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting permissions'
+    });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -163,6 +651,9 @@ router.get('/me', protect, async (req, res) => {
           email: user.email,
           role: user.role,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          googleLinked: Boolean(user.googleId),
+          twoFactorEnabled: user.twoFactorEnabled,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         }
@@ -195,12 +686,30 @@ router.put('/profile', protect, async (req, res) => {
       });
     }
 
+    // A new email address has to be verified again
+    const emailChanged = value.email && value.email.toLowerCase() !== req.user.email;
+    if (emailChanged) {
+      value.emailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       value,
       { new: true, runValidators: true }
     );
 
+    await recordAudit({
+      req,
+      entityType: 'user',
+      entityId: user._id,
+      action: 'update',
+      changes: diffFields('user', req.user, user)
+    });
+
+    if (emailChanged) {
+      await startEmailVerification(user);
+    }
+
     res.json({
       success: true,
       data: {
@@ -210,6 +719,9 @@ router.put('/profile', protect, async (req, res) => {
           email: user.email,
           role: user.role,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          googleLinked: Boolean(user.googleId),
+          twoFactorEnabled: user.twoFactorEnabled,
           lastLogin: user.lastLogin,
           updatedAt: user.updatedAt
         }
@@ -0,0 +1,28 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import {
+    getCart,
+    addItem,
+    updateItem,
+    removeItem,
+    clearCart,
+    mergeCart
+} from '../controllers/cartController.js';
+
+const router = express.Router();
+
+// A cart always belongs to the signed-in user
+router.use(protect);
+
+router.route('/')
+    .get(getCart)
+    .delete(clearCart);
+
+router.post('/merge', mergeCart);
+
+router.post('/items', addItem);
+router.route('/items/:productId')
+    .put(updateItem)
+    .delete(removeItem);
+
+export default router;
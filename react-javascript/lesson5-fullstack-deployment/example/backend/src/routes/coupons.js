@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+    getCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/pricingController.js';
+
+const router = express.Router();
+
+router.use(protect, requirePermission('pricing:manage'));
+
+router.route('/')
+    .get(getCoupons)
+    .post(createCoupon);
+
+router.route('/:id')
+    .put(updateCoupon)
+    .delete(deleteCoupon);
+
+export default router;
@@ -1,6 +1,12 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
-import { getDashboard } from '../controllers/dashboardController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+    getDashboard,
+    getDashboardEvents,
+    getActivity,
+    addActivity,
+    getAnalytics
+} from '../controllers/dashboardController.js';
 
 const router = express.Router();
 
@@ -9,4 +15,24 @@ const router = express.Router();
 // @access  Private
 router.get('/', protect, getDashboard);
 
+// @desc    Stream dashboard events (Server-Sent Events)
+// @route   GET /api/dashboard/events
+// @access  Private
+router.get('/events', protect, getDashboardEvents);
+
+// @desc    Get the activity feed, filtered by type, actor and date
+// @route   GET /api/dashboard/activity
+// @access  Private (own and public activity, or activity:read:any)
+router.get('/activity', protect, requirePermission('activity:read'), getActivity);
+
+// @desc    Post an entry to the activity feed
+// @route   POST /api/dashboard/activity
+// @access  Private (activity:write)
+router.post('/activity', protect, requirePermission('activity:write'), addActivity);
+
+// @desc    Analytics time series with period-over-period comparison (JSON or CSV)
+// @route   GET /api/dashboard/analytics
+// @access  Private (activity:read:any)
+router.get('/analytics', protect, requirePermission('activity:read:any'), getAnalytics);
+
 export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import Joi from 'joi';
+import Folder from '../models/Folder.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { findUserFolder, isWithinFolder, countFilesByFolder, isFolderEmpty } from '../utils/folders.js';
+
+const router = express.Router();
+
+const objectId = Joi.string().hex().length(24);
+
+const createFolderSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    parent: objectId.allow(null).default(null)
+});
+
+const updateFolderSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    parent: objectId.allow(null)
+}).min(1);
+
+const formatFolder = (folder, fileCounts) => ({
+    id: folder._id,
+    name: folder.name,
+    parent: folder.parent,
+    fileCount: fileCounts?.get(folder._id.toString()) || 0,
+    createdAt: folder.createdAt
+});
+
+// The unique index on owner, parent and name
+const isDuplicateName = (error) => error.code === 11000;
+
+// @desc    List the signed-in user's folders; the client builds the tree from `parent`
+// @route   GET /api/folders
+// @access  Private (own folders)
+router.get('/', protect, requirePermission('files:read'), async (req, res) => {
+    try {
+        const folders = await Folder.find({ userId: req.user._id }).sort({ name: 1 }).lean();
+        const fileCounts = await countFilesByFolder(req.user._id);
+
+        res.json({
+            success: true,
+            data: { folders: folders.map((folder) => formatFolder(folder, fileCounts)) }
+        });
+    } catch (error) {
+        console.error('Get folders error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get folders'
+        });
+    }
+});
+
+// @desc    Create a folder, at the top level or inside another
+// @route   POST /api/folders
+// @access  Private
+router.post('/', protect, requirePermission('files:write'), async (req, res) => {
+    try {
+        const { error, value } = createFolderSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        if (value.parent && !(await findUserFolder(value.parent, req.user._id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Parent folder not found'
+            });
+        }
+
+        const folder = await Folder.create({ userId: req.user._id, name: value.name, parent: value.parent });
+
+        res.status(201).json({
+            success: true,
+            data: { folder: formatFolder(folder) }
+        });
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A folder with this name already exists here'
+            });
+        }
+        console.error('Create folder error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create folder'
+        });
+    }
+});
+
+// @desc    Rename a folder or move it into another one
+// @route   PATCH /api/folders/:id
+// @access  Private (own folders)
+router.patch('/:id', protect, requirePermission('files:write'), async (req, res) => {
+    try {
+        const { error, value } = updateFolderSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const folder = await findUserFolder(req.params.id, req.user._id);
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                error: 'Folder not found'
+            });
+        }
+
+        if (value.parent) {
+            if (!(await findUserFolder(value.parent, req.user._id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Parent folder not found'
+                });
+            }
+            if (await isWithinFolder(value.parent, folder._id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A folder cannot be moved into itself'
+                });
+            }
+        }
+
+        if (value.name !== undefined) folder.name = value.name;
+        if (value.parent !== undefined) folder.parent = value.parent;
+        await folder.save();
+
+        res.json({
+            success: true,
+            data: { folder: formatFolder(folder, await countFilesByFolder(req.user._id)) }
+        });
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A folder with this name already exists here'
+            });
+        }
+        console.error('Update folder error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update folder'
+        });
+    }
+});
+
+// @desc    Delete an empty folder
+// @route   DELETE /api/folders/:id
+// @access  Private (own folders)
+router.delete('/:id', protect, requirePermission('files:write'), async (req, res) => {
+    try {
+        const folder = await findUserFolder(req.params.id, req.user._id);
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                error: 'Folder not found'
+            });
+        }
+
+        if (!(await isFolderEmpty(folder))) {
+            return res.status(409).json({
+                success: false,
+                error: 'Move or delete the files and folders inside first'
+            });
+        }
+
+        await folder.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Folder deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete folder error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete folder'
+        });
+    }
+});
+
+export default router;
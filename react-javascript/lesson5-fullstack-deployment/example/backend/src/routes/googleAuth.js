@@ -0,0 +1,175 @@
+import express from 'express';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import passport, { isGoogleEnabled } from '../config/passport.js';
+import { issueTokens } from '../utils/session.js';
+import { recordLoginAttempt } from '../utils/loginProtection.js';
+import { createChallengeToken } from '../utils/twoFactor.js';
+import { generatePurposeToken, verifyPurposeToken } from '../utils/generateToken.js';
+import { protect } from '../middleware/auth.js';
+import { notifySecurityEvent } from '../utils/notifications.js';
+
+const router = express.Router();
+
+const STATE_COOKIE = 'oauthState';
+
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // The callback is a top-level redirect from the provider, which `lax` allows
+  sameSite: 'lax',
+  path: '/api/auth/google'
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${frontendUrl()}/oauth/callback?${new URLSearchParams(params)}`);
+};
+
+const requireGoogle = (req, res, next) => {
+  if (!isGoogleEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Google sign-in is not configured'
+    });
+  }
+  next();
+};
+
+// @desc    Start Google sign-in (or account linking with ?link=<linkToken>)
+// @route   GET /api/auth/google
+// @access  Public
+router.get('/', requireGoogle, (req, res, next) => {
+  let linkUserId;
+
+  if (req.query.link) {
+    try {
+      linkUserId = verifyPurposeToken(req.query.link, 'google_link').id;
+    } catch (error) {
+      return redirectToFrontend(res, { error: 'Link request is invalid or has expired' });
+    }
+  }
+
+  // The nonce in the cookie must match the signed state returned by the
+  // provider, which protects the callback against login CSRF
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const state = generatePurposeToken({ nonce, ...(linkUserId && { linkUserId }) }, 'google_oauth', '10m');
+
+  res.cookie(STATE_COOKIE, nonce, { ...stateCookieOptions, maxAge: 10 * 60 * 1000 });
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    session: false,
+    state,
+    prompt: 'select_account'
+  })(req, res, next);
+});
+
+// @desc    Google OAuth callback
+// @route   GET /api/auth/google/callback
+// @access  Public
+router.get('/callback', requireGoogle, (req, res, next) => {
+  const nonce = req.cookies?.[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  if (req.query.error) {
+    return redirectToFrontend(res, { error: 'Google sign-in was cancelled' });
+  }
+
+  try {
+    const decoded = verifyPurposeToken(req.query.state || '', 'google_oauth');
+    if (!nonce || decoded.nonce !== nonce) {
+      throw new Error('State mismatch');
+    }
+    req.oauthState = decoded;
+  } catch (error) {
+    return redirectToFrontend(res, { error: 'Google sign-in request is invalid or has expired' });
+  }
+
+  passport.authenticate('google', { session: false }, async (err, user, info) => {
+    try {
+      if (err || !user) {
+        return redirectToFrontend(res, { error: info?.message || 'Google sign-in failed' });
+      }
+
+      // Linking happens inside an existing session, no new login
+      if (req.oauthState.linkUserId) {
+        await notifySecurityEvent(user._id, 'Google account linked', 'You can now sign in with Google.');
+        return redirectToFrontend(res, { linked: 'google' });
+      }
+
+      // Google replaces the password step only; the second factor is still required
+      if (user.twoFactorEnabled) {
+        return redirectToFrontend(res, { challenge: createChallengeToken(user._id, 'google') });
+      }
+
+      user.lastLogin = new Date();
+      await user.save({ validateBeforeSave: false });
+      await recordLoginAttempt({ req, user, success: true, method: 'google' });
+
+      // The frontend picks the access token up through POST /api/auth/refresh,
+      // so no access token ever appears in a URL
+      await issueTokens(res, user, req);
+
+      redirectToFrontend(res, {});
+    } catch (error) {
+      console.error('Google callback error:', error);
+      redirectToFrontend(res, { error: 'Google sign-in failed' });
+    }
+  })(req, res, next);
+});
+
+// @desc    Get a short-lived token to link Google to the current account
+// @route   POST /api/auth/google/link-token
+// @access  Private
+router.post('/link-token', protect, requireGoogle, (req, res) => {
+  const linkToken = generatePurposeToken({ id: req.user._id.toString() }, 'google_link', '5m');
+
+  res.json({
+    success: true,
+    data: { linkToken }
+  });
+});
+
+// @desc    Unlink Google from the current account
+// @route   DELETE /api/auth/google
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.googleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'No Google account is linked'
+      });
+    }
+
+    // Without a password the account would become inaccessible
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set a password (via password reset) before unlinking Google'
+      });
+    }
+
+    user.googleId = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await notifySecurityEvent(user._id, 'Google account unlinked', 'Signing in with Google no longer works for this account.');
+
+    res.json({
+      success: true,
+      data: { message: 'Google account unlinked' }
+    });
+  } catch (error) {
+    console.error('Unlink Google error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error unlinking Google account'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import {
+    getMovements,
+    createMovement,
+    recalculateStock,
+    getReservations,
+    createReservation,
+    fulfillReservation,
+    releaseReservation,
+    reorderSuggestions
+} from '../controllers/inventoryController.js';
+
+const router = express.Router();
+
+// Owner of the product in the URL, for ownership-scoped permissions
+const productOwner = async (req) => {
+    const product = await Product.findById(req.params.id).select('userId').lean();
+    return product?.userId;
+};
+
+// Owner of the product a reservation belongs to
+const reservationOwner = async (req) => {
+    const reservation = await StockReservation.findById(req.params.id).select('productId').lean();
+    if (!reservation) return null;
+    const product = await Product.findById(reservation.productId).select('userId').lean();
+    return product?.userId;
+};
+
+router.use(protect);
+
+router.get('/reorder-suggestions', requirePermission('inventory:read'), reorderSuggestions);
+
+// Ledger
+router.get('/products/:id/movements', requirePermission('inventory:read'), getMovements);
+router.post('/products/:id/movements', requirePermission('inventory:write', { getOwnerId: productOwner }), createMovement);
+router.post('/products/:id/recalculate', requirePermission('inventory:write:any'), recalculateStock);
+
+// Reservations
+router.get('/products/:id/reservations', requirePermission('inventory:read'), getReservations);
+router.post('/products/:id/reservations', requirePermission('inventory:write', { getOwnerId: productOwner }), createReservation);
+router.post('/reservations/:id/fulfill', requirePermission('inventory:write', { getOwnerId: reservationOwner }), fulfillReservation);
+router.delete('/reservations/:id', requirePermission('inventory:write', { getOwnerId: reservationOwner }), releaseReservation);
+
+export default router;
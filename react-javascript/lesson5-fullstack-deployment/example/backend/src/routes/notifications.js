@@ -0,0 +1,41 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+// Every route works on the signed-in user's own notifications
+router.use(protect);
+
+// @desc    Get my notifications with the unread count
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', getNotifications);
+
+// @desc    Get my notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', getNotificationPreferences);
+
+// @desc    Update my notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', updateNotificationPreferences);
+
+// @desc    Mark all my notifications as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+router.post('/read-all', markAllNotificationsRead);
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private (own notification)
+router.patch('/:id/read', markNotificationRead);
+
+export default router;
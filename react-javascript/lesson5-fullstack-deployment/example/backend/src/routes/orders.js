@@ -0,0 +1,31 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import {
+    createOrder,
+    getMyOrders,
+    getOrders,
+    getOrder,
+    updateOrderStatus
+} from '../controllers/orderController.js';
+
+const router = express.Router();
+
+// Customer who placed the order in the URL, for ownership-scoped permissions
+const orderOwner = async (req) => {
+    const order = await Order.findById(req.params.id).select('userId').lean();
+    return order?.userId;
+};
+
+router.use(protect);
+
+router.route('/')
+    .get(requirePermission('orders:read:any'), getOrders)
+    .post(requirePermission('orders:write'), createOrder);
+
+router.get('/mine', requirePermission('orders:read'), getMyOrders);
+
+router.get('/:id', requirePermission('orders:read', { getOwnerId: orderOwner }), getOrder);
+router.patch('/:id/status', requirePermission('orders:write', { getOwnerId: orderOwner }), updateOrderStatus);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import { getPaymentProvider } from '../utils/payments.js';
+import {
+    payOrder,
+    getOrderPayments,
+    refundOrder,
+    handleWebhook,
+    showFakeChallenge,
+    completeFakeChallenge
+} from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Customer who placed the order in the URL, for ownership-scoped permissions
+const orderOwner = async (req) => {
+    const order = await Order.findById(req.params.id).select('userId').lean();
+    return order?.userId;
+};
+
+// Called by the provider, authenticated by its signature
+router.post('/webhook', handleWebhook);
+
+// Stand-in for the provider's hosted 3-D Secure page
+router.use('/fake', (req, res, next) => (getPaymentProvider().name === 'fake' ? next() : res.status(404).end()));
+router.get('/fake/3ds/:paymentId', showFakeChallenge);
+router.post('/fake/3ds/:paymentId', completeFakeChallenge);
+
+router.post('/orders/:id', protect, requirePermission('orders:write', { getOwnerId: orderOwner }), payOrder);
+router.get('/orders/:id', protect, requirePermission('orders:read', { getOwnerId: orderOwner }), getOrderPayments);
+router.post('/orders/:id/refund', protect, requirePermission('orders:write:any'), refundOrder);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+    getQuote,
+    getRegions,
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate,
+    getShippingRules,
+    createShippingRule,
+    updateShippingRule,
+    deleteShippingRule
+} from '../controllers/pricingController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Checkout
+router.post('/quote', getQuote);
+router.get('/regions', getRegions);
+
+// Tax rates
+router.route('/tax-rates')
+    .get(requirePermission('pricing:manage'), getTaxRates)
+    .post(requirePermission('pricing:manage'), createTaxRate);
+router.route('/tax-rates/:id')
+    .put(requirePermission('pricing:manage'), updateTaxRate)
+    .delete(requirePermission('pricing:manage'), deleteTaxRate);
+
+// Shipping rules
+router.route('/shipping-rules')
+    .get(requirePermission('pricing:manage'), getShippingRules)
+    .post(requirePermission('pricing:manage'), createShippingRule);
+router.route('/shipping-rules/:id')
+    .put(requirePermission('pricing:manage'), updateShippingRule)
+    .delete(requirePermission('pricing:manage'), deleteShippingRule);
+
+export default router;
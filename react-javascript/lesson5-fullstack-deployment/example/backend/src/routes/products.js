@@ -1,26 +1,53 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
-import { uploadConfig } from '../config/upload.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { uploadConfig, uploadImport } from '../config/upload.js';
+import Product from '../models/Product.js';
 import {
     getProducts,
     getProduct,
     createProduct,
     updateProduct,
     deleteProduct,
+    getTrash,
+    restoreProduct,
+    purgeProduct,
+    importProducts,
+    exportProducts,
+    getProductHistory,
+    revertProduct,
     getProductStats
 } from '../controllers/productController.js';
 
 const router = express.Router();
 
+// Owner of the product in the URL, for ownership-scoped permissions
+const productOwner = async (req) => {
+    const product = await Product.findById(req.params.id).select('userId').lean();
+    return product?.userId;
+};
+
 // Statistics route (must be before :id route)
-router.get('/stats/overview', protect, getProductStats);
+router.get('/stats/overview', protect, requirePermission('products:read'), getProductStats);
+
+// Bulk import/export (must be before :id route)
+router.post('/import', protect, requirePermission('products:write'), uploadImport, importProducts);
+router.get('/export', protect, requirePermission('products:read'), exportProducts);
+
+// Trash routes (must be before :id route)
+router.get('/trash', protect, requirePermission('products:delete'), getTrash);
+router.post('/trash/:id/restore', protect, requirePermission('products:delete', { getOwnerId: productOwner }), restoreProduct);
+router.delete('/trash/:id', protect, requirePermission('products:delete', { getOwnerId: productOwner }), purgeProduct);
 
 // CRUD routes
-router.get('/', protect, getProducts);
-router.get('/:id', protect, getProduct);
-router.post('/', protect, uploadConfig.single('image'), createProduct);
-router.put('/:id', protect, uploadConfig.single('image'), updateProduct);
-router.delete('/:id', protect, deleteProduct);
+router.get('/', protect, requirePermission('products:read'), getProducts);
+router.get('/:id', protect, requirePermission('products:read'), getProduct);
+router.post('/', protect, requirePermission('products:write'), uploadConfig.single('image'), createProduct);
+router.put('/:id', protect, requirePermission('products:write', { getOwnerId: productOwner }), uploadConfig.single('image'), updateProduct);
+router.delete('/:id', protect, requirePermission('products:delete', { getOwnerId: productOwner }), deleteProduct);
+
+// History routes
+router.get('/:id/history', protect, requirePermission('products:read'), getProductHistory);
+router.post('/:id/revert/:auditId', protect, requirePermission('products:write', { getOwnerId: productOwner }), revertProduct);
 
 export default router;
 
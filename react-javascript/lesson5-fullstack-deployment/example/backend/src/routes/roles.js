@@ -0,0 +1,193 @@
+import express from 'express';
+import Joi from 'joi';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, PERMISSION_NAMES } from '../config/permissions.js';
+import { protect, requirePermission, requireTwoFactor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every route here manages access control
+router.use(protect, requirePermission('roles:manage'), requireTwoFactor('ADMIN_REQUIRE_2FA'));
+
+// Validation schemas
+const createRoleSchema = Joi.object({
+  name: Joi.string().lowercase().pattern(/^[a-z0-9_-]{2,30}$/).required(),
+  description: Joi.string().allow('').max(200),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_NAMES)).default([]),
+  // null falls back to the server-wide UPLOAD_MAX_MB
+  maxUploadMb: Joi.number().integer().min(1).max(10240).allow(null)
+});
+
+const updateRoleSchema = Joi.object({
+  description: Joi.string().allow('').max(200),
+  permissions: Joi.array().items(Joi.string().valid(...PERMISSION_NAMES)),
+  maxUploadMb: Joi.number().integer().min(1).max(10240).allow(null)
+});
+
+// @desc    Get permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+});
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    // Number of users assigned to each role
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map((item) => [item._id, item.count]));
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map((role) => ({ ...role, userCount: countByRole[role.name] || 0 }))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting roles'
+    });
+  }
+});
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (await Role.exists({ name: value.name })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role already exists with this name'
+      });
+    }
+
+    const role = await Role.create(value);
+
+    res.status(201).json({
+      success: true,
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating role'
+    });
+  }
+});
+
+// @desc    Update role description, permissions and upload limit
+// @route   PUT /api/roles/:id
+// @access  Private (roles:manage)
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = updateRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    // Prevent locking everyone out of role management
+    if (role.name === 'admin' && value.permissions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Permissions of the admin role cannot be changed'
+      });
+    }
+
+    if (value.description !== undefined) role.description = value.description;
+    if (value.permissions) role.permissions = [...new Set(value.permissions)];
+    if (value.maxUploadMb !== undefined) role.maxUploadMb = value.maxUploadMb;
+    await role.save();
+
+    res.json({
+      success: true,
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating role'
+    });
+  }
+});
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Role is still assigned to ${assignedUsers} user(s)`
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      data: { message: 'Role deleted successfully' }
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting role'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,243 @@
+import express from 'express';
+import Joi from 'joi';
+import bcrypt from 'bcryptjs';
+import rateLimit from 'express-rate-limit';
+import FileShare from '../models/FileShare.js';
+import Upload from '../models/Upload.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { fileUrl } from '../utils/uploads.js';
+
+const router = express.Router();
+
+const createShareSchema = Joi.object({
+    file: Joi.string().hex().length(24).required(),
+    // Links without an expiry date work until they are revoked
+    expiresAt: Joi.date().greater('now').allow(null).default(null),
+    password: Joi.string().min(4).max(100).allow('').default('')
+});
+
+const listSharesSchema = Joi.object({
+    file: Joi.string().hex().length(24).required()
+});
+
+// Guessing the password of a link is slowed down per IP
+const passwordLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: { success: false, error: 'Too many password attempts, please try again later' }
+});
+
+const formatShare = (share) => ({
+    id: share._id,
+    token: share.token,
+    file: share.upload,
+    requiresPassword: Boolean(share.passwordHash),
+    expiresAt: share.expiresAt,
+    expired: share.isExpired(),
+    accessCount: share.accessCount,
+    lastAccessedAt: share.lastAccessedAt,
+    createdAt: share.createdAt
+});
+
+// Owner of the file named in the query or body, for ownership-scoped permissions
+const sharedFileOwner = async (req) => {
+    const upload = await Upload.findById(req.query.file || req.body.file).select('userId').lean();
+    return upload?.userId;
+};
+
+// Owner of the file behind the share link in the URL
+const shareOwner = async (req) => {
+    const share = await FileShare.findById(req.params.id).populate('upload', 'userId').lean();
+    return share?.upload?.userId;
+};
+
+// Usable link for the token in the URL with its file, or null when it is unknown or expired
+const findActiveShare = async (token) => {
+    const share = await FileShare.findOne({ token }).populate('upload');
+    if (!share || !share.upload || share.isExpired() || share.upload.scan.status === 'quarantined') {
+        return null;
+    }
+    return share;
+};
+
+// Download URL handed out through a link; private files get a signed one that expires soon
+const openShare = async (share) => {
+    await FileShare.updateOne({ _id: share._id }, { $inc: { accessCount: 1 }, lastAccessedAt: new Date() });
+    return fileUrl(share.upload);
+};
+
+const formatSharedFile = (share, url = null) => ({
+    originalName: share.upload.originalName,
+    size: share.upload.size,
+    mimetype: share.upload.mimetype,
+    requiresPassword: Boolean(share.passwordHash),
+    expiresAt: share.expiresAt,
+    url
+});
+
+// @desc    List the share links of a file
+// @route   GET /api/shares?file=:fileId
+// @access  Private (own file, or any file with files:write:any)
+router.get('/', protect, requirePermission('files:write', { getOwnerId: sharedFileOwner }), async (req, res) => {
+    try {
+        const { error, value } = listSharesSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const shares = await FileShare.find({ upload: value.file }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { shares: shares.map(formatShare) }
+        });
+    } catch (error) {
+        console.error('Get shares error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get share links'
+        });
+    }
+});
+
+// @desc    Create a share link, optionally expiring and password protected
+// @route   POST /api/shares
+// @access  Private (own file, or any file with files:write:any)
+router.post('/', protect, requirePermission('files:write', { getOwnerId: sharedFileOwner }), async (req, res) => {
+    try {
+        const { error, value } = createShareSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const upload = await Upload.findById(value.file);
+        if (!upload) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        if (upload.scan.status === 'quarantined') {
+            return res.status(409).json({
+                success: false,
+                error: 'Quarantined files cannot be shared'
+            });
+        }
+
+        const share = await FileShare.create({
+            upload: upload._id,
+            createdBy: req.user._id,
+            expiresAt: value.expiresAt,
+            passwordHash: value.password ? await bcrypt.hash(value.password, 10) : ''
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { share: formatShare(share) }
+        });
+    } catch (error) {
+        console.error('Create share error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create share link'
+        });
+    }
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/shares/:id
+// @access  Private (own file, or any file with files:write:any)
+router.delete('/:id', protect, requirePermission('files:write', { getOwnerId: shareOwner }), async (req, res) => {
+    try {
+        const share = await FileShare.findByIdAndDelete(req.params.id);
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                error: 'Share link not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Share link revoked'
+        });
+    } catch (error) {
+        console.error('Delete share error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke share link'
+        });
+    }
+});
+
+// @desc    Open a shared file; links with a password only describe the file
+// @route   GET /api/shares/link/:token
+// @access  Public
+router.get('/link/:token', async (req, res) => {
+    try {
+        const share = await findActiveShare(req.params.token);
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                error: 'This link does not exist or has expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatSharedFile(share, share.passwordHash ? null : await openShare(share))
+        });
+    } catch (error) {
+        console.error('Open share error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to open shared file'
+        });
+    }
+});
+
+// @desc    Open a password protected shared file
+// @route   POST /api/shares/link/:token/access
+// @access  Public
+router.post('/link/:token/access', passwordLimiter, async (req, res) => {
+    try {
+        const share = await findActiveShare(req.params.token);
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                error: 'This link does not exist or has expired'
+            });
+        }
+
+        if (share.passwordHash) {
+            const password = typeof req.body.password === 'string' ? req.body.password : '';
+            if (!(await bcrypt.compare(password, share.passwordHash))) {
+                // Not 401, which the app answers by refreshing the session
+                return res.status(403).json({
+                    success: false,
+                    error: 'Wrong password'
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: formatSharedFile(share, await openShare(share))
+        });
+    } catch (error) {
+        console.error('Access share error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to open shared file'
+        });
+    }
+});
+
+export default router;
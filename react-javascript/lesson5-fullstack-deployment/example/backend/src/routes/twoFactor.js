@@ -0,0 +1,322 @@
+import express from 'express';
+import Joi from 'joi';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { issueTokens } from '../utils/session.js';
+import {
+  maxAccountAttempts,
+  lockDurationMs,
+  recordLoginAttempt
+} from '../utils/loginProtection.js';
+import {
+  generateSecret,
+  buildOtpauthUrl,
+  generateQrCode,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  verifyChallengeToken
+} from '../utils/twoFactor.js';
+import { notifySecurityEvent, notifyAccountLocked } from '../utils/notifications.js';
+
+const router = express.Router();
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Validation schemas
+const codeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+    .messages({ 'string.pattern.base': 'Code must be 6 digits' })
+});
+
+const secondFactorSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/)
+    .messages({ 'string.pattern.base': 'Code must be 6 digits' }),
+  recoveryCode: Joi.string().max(20)
+}).xor('code', 'recoveryCode');
+
+const verifySchema = secondFactorSchema.keys({
+  challengeToken: Joi.string().required()
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpauthUrl(user.email, secret);
+    const qrCode = await generateQrCode(otpauthUrl);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error starting two-factor setup'
+    });
+  }
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/enable', protect, async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, value.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    await user.save({ validateBeforeSave: false });
+
+    await notifySecurityEvent(user._id, 'Two-factor authentication enabled', 'Signing in now needs a code from your authenticator app.');
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/disable', protect, async (req, res) => {
+  try {
+    const { error, value } = secondFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, value)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await notifySecurityEvent(user._id, 'Two-factor authentication disabled', 'Signing in no longer needs a code from your authenticator app.');
+
+    res.json({
+      success: true,
+      data: { message: 'Two-factor authentication disabled' }
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/recovery-codes', protect, async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, value)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    await notifySecurityEvent(user._id, 'New recovery codes generated', 'Your previous two-factor recovery codes no longer work.');
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error generating recovery codes'
+    });
+  }
+});
+
+// @desc    Second login step: exchange challenge token and code for a JWT
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+router.post('/verify', async (req, res) => {
+  try {
+    const { error, value } = verifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(value.challengeToken);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login challenge is invalid or has expired, please sign in again'
+      });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login challenge is invalid or has expired, please sign in again'
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked after too many failed login attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    if (!verifySecondFactor(user, value)) {
+      await user.registerFailedLogin(maxAccountAttempts(), lockDurationMs());
+      await recordLoginAttempt({ req, user, success: false, reason: 'invalid_2fa_code', method: challenge.method });
+      if (user.isLocked()) {
+        await notifyAccountLocked(user);
+      }
+      // 400, not 401: the challenge itself is still valid and can be retried
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    user.lastLogin = new Date();
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+    await recordLoginAttempt({ req, user, success: true, method: challenge.method });
+
+    // Start a session and generate tokens
+    const token = await issueTokens(res, user, req);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          googleLinked: Boolean(user.googleId),
+          twoFactorEnabled: user.twoFactorEnabled,
+          lastLogin: user.lastLogin
+        },
+        token,
+        remainingRecoveryCodes: user.twoFactorRecoveryCodes.length
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error verifying authentication code'
+    });
+  }
+});
+
+export default router;
@@ -1,13 +1,134 @@
 import express from 'express';
+import path from 'path';
+import Joi from 'joi';
+import Upload from '../models/Upload.js';
+import UploadSession from '../models/UploadSession.js';
 import { uploadSingle, uploadMultiple } from '../config/upload.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission, getUserPermissions } from '../middleware/auth.js';
+import { recordActivity } from '../utils/activity.js';
+import { getStorage } from '../utils/storage/index.js';
+import {
+    buildUploadQuery,
+    recordUpload,
+    findImageReferences,
+    deleteUpload,
+    fileUrl,
+    tagsSchema,
+    uniqueTags
+} from '../utils/uploads.js';
+import { findUserFolder } from '../utils/folders.js';
+import { SNIFF_BYTES, checkFileContent, describeFileTypes, fileTypeForName } from '../utils/fileTypes.js';
+import { quarantineMessage } from '../utils/quarantine.js';
+import {
+    ALLOWED_TYPES,
+    uploadChunkSize,
+    sessionExpiry,
+    maxUploadBytes,
+    sha256,
+    storeChunk,
+    assembleChunks,
+    discardChunks
+} from '../utils/chunkedUploads.js';
 
 const router = express.Router();
 
+const createSessionSchema = Joi.object({
+    filename: Joi.string().trim().max(255).required(),
+    size: Joi.number().integer().min(1).required(),
+    mimetype: Joi.string().trim().max(100).required(),
+    // SHA-256 of the whole file, checked once it is assembled
+    checksum: Joi.string().lowercase().hex().length(64),
+    folder: Joi.string().hex().length(24).allow(null).default(null)
+});
+
+const updateFileSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(255),
+    folder: Joi.string().hex().length(24).allow(null),
+    tags: tagsSchema
+}).min(1);
+
+const bulkSchema = Joi.object({
+    action: Joi.string().valid('move', 'tag', 'untag', 'delete').required(),
+    ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required(),
+    folder: Joi.when('action', {
+        is: 'move',
+        then: Joi.string().hex().length(24).allow(null).required(),
+        otherwise: Joi.forbidden()
+    }),
+    tags: Joi.when('action', {
+        is: Joi.valid('tag', 'untag'),
+        then: tagsSchema.min(1).required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+// Text previews show the start of the file only
+const PREVIEW_MAX_BYTES = 64 * 1024;
+
+// Chunks arrive as raw bytes, whatever the file type
+const chunkBody = (req, res, next) =>
+    express.raw({ type: () => true, limit: uploadChunkSize() })(req, res, next);
+
+const formatSession = (session) => ({
+    id: session._id,
+    originalName: session.originalName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+    status: session.status,
+    expiresAt: session.expiresAt
+});
+
+// Private files get a signed URL that expires, see STORAGE_SIGNED_URL_TTL_SECONDS;
+// quarantined files get none
+const formatUpload = async (upload) => ({
+    id: upload._id,
+    filename: upload.filename,
+    originalName: upload.originalName,
+    size: upload.size,
+    mimetype: upload.mimetype,
+    checksum: upload.checksum,
+    visibility: upload.visibility,
+    url: await fileUrl(upload),
+    owner: upload.userId,
+    folder: upload.folder,
+    tags: upload.tags,
+    products: upload.products,
+    image: upload.image.status === 'none' ? null : {
+        status: upload.image.status,
+        width: upload.image.width,
+        height: upload.image.height,
+        variants: upload.image.variants.length
+    },
+    scan: {
+        status: upload.scan.status,
+        threat: upload.scan.threat,
+        scannedAt: upload.scan.scannedAt
+    },
+    createdAt: upload.createdAt
+});
+
+// The signed-in user's upload session from the URL
+const findOwnSession = (req) =>
+    UploadSession.findOne({ _id: req.params.id, userId: req.user._id });
+
+// File recorded for a completed upload session
+const findSessionUpload = async (session) => {
+    const upload = await Upload.findOne({ filename: session.filename });
+    return upload ? formatUpload(upload) : null;
+};
+
+// Owner of the file in the URL, for ownership-scoped permissions
+const uploadOwner = async (req) => {
+    const upload = await Upload.findById(req.params.id).select('userId').lean();
+    return upload?.userId;
+};
+
 // @desc    Upload single file
 // @route   POST /api/upload
 // @access  Private
-router.post('/', protect, uploadSingle, (req, res) => {
+router.post('/', protect, requirePermission('files:write'), uploadSingle, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -16,16 +137,26 @@ router.post('/', protect, uploadSingle, (req, res) => {
             });
         }
 
+        const upload = await recordUpload(req.file, req.user._id);
+
+        if (upload.scan.status === 'quarantined') {
+            return res.status(422).json({
+                success: false,
+                error: quarantineMessage(upload.originalName, upload.scan),
+                data: await formatUpload(upload)
+            });
+        }
+
+        await recordActivity({
+            type: 'upload',
+            description: `File "${req.file.originalname}" was uploaded`,
+            actor: req.user._id,
+            data: { filename: req.file.filename, count: 1 }
+        });
+
         res.json({
             success: true,
-            data: {
-                filename: req.file.filename,
-                originalName: req.file.originalname,
-                path: req.file.path,
-                size: req.file.size,
-                mimetype: req.file.mimetype,
-                url: `/uploads/${req.file.filename}`
-            }
+            data: await formatUpload(upload)
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -39,7 +170,7 @@ router.post('/', protect, uploadSingle, (req, res) => {
 // @desc    Upload multiple files
 // @route   POST /api/upload/multiple
 // @access  Private
-router.post('/multiple', protect, uploadMultiple, (req, res) => {
+router.post('/multiple', protect, requirePermission('files:write'), uploadMultiple, async (req, res) => {
     try {
         const files = req.files;
 
@@ -50,20 +181,45 @@ router.post('/multiple', protect, uploadMultiple, (req, res) => {
             });
         }
 
-        const uploadedFiles = files.map(file => ({
-            filename: file.filename,
-            originalName: file.originalname,
-            path: file.path,
-            size: file.size,
-            mimetype: file.mimetype,
-            url: `/uploads/${file.filename}`
-        }));
+        const uploads = [];
+        try {
+            for (const file of files) {
+                uploads.push(await recordUpload(file, req.user._id));
+            }
+        } catch (error) {
+            // The failed file removes itself; drop the ones not recorded yet as well
+            await Promise.all(files.slice(uploads.length + 1).map((file) =>
+                getStorage().delete(file.key)
+            ));
+            throw error;
+        }
+
+        // Clean files are kept even when others in the same request are quarantined
+        const uploadedFiles = await Promise.all(uploads
+            .filter((upload) => upload.scan.status === 'clean')
+            .map(formatUpload));
+        const quarantined = await Promise.all(uploads
+            .filter((upload) => upload.scan.status === 'quarantined')
+            .map(async (upload) => ({
+                ...await formatUpload(upload),
+                error: quarantineMessage(upload.originalName, upload.scan)
+            })));
+
+        if (uploadedFiles.length > 0) {
+            await recordActivity({
+                type: 'upload',
+                description: `${uploadedFiles.length} files were uploaded`,
+                actor: req.user._id,
+                data: { count: uploadedFiles.length }
+            });
+        }
 
         res.json({
             success: true,
             data: {
                 files: uploadedFiles,
-                count: uploadedFiles.length
+                count: uploadedFiles.length,
+                quarantined
             }
         });
     } catch (error) {
@@ -75,38 +231,350 @@ router.post('/multiple', protect, uploadMultiple, (req, res) => {
     }
 });
 
-// @desc    Get uploaded files list
-// @route   GET /api/upload/files
+// @desc    Start a chunked upload
+// @route   POST /api/upload/sessions
 // @access  Private
-router.get('/files', protect, (req, res) => {
+router.post('/sessions', protect, requirePermission('files:write'), async (req, res) => {
+    try {
+        const { error, value } = createSessionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        // The content is checked when the first chunk arrives and again once assembled
+        if (!fileTypeForName(value.filename, ALLOWED_TYPES)) {
+            return res.status(415).json({
+                success: false,
+                error: `Only ${describeFileTypes(ALLOWED_TYPES)} files are allowed`
+            });
+        }
+
+        if (value.folder && !(await findUserFolder(value.folder, req.user._id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Folder not found'
+            });
+        }
+
+        const maxBytes = await maxUploadBytes(req.user);
+        if (value.size > maxBytes) {
+            return res.status(413).json({
+                success: false,
+                error: `File is too large, your limit is ${Math.floor(maxBytes / (1024 * 1024))} MB`,
+                maxBytes
+            });
+        }
+
+        const chunkSize = uploadChunkSize();
+        const session = await UploadSession.create({
+            userId: req.user._id,
+            originalName: value.filename,
+            mimetype: value.mimetype,
+            size: value.size,
+            checksum: value.checksum || '',
+            folder: value.folder,
+            chunkSize,
+            totalChunks: Math.ceil(value.size / chunkSize),
+            expiresAt: sessionExpiry()
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { session: formatSession(session) }
+        });
+    } catch (error) {
+        console.error('Create upload session error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start upload'
+        });
+    }
+});
+
+// @desc    Get an upload session, e.g. to resume it
+// @route   GET /api/upload/sessions/:id
+// @access  Private (own upload)
+router.get('/sessions/:id', protect, requirePermission('files:write'), async (req, res) => {
     try {
-        const fs = require('fs');
-        const path = require('path');
-        const uploadDir = 'uploads';
+        const session = await findOwnSession(req);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload not found or expired'
+            });
+        }
 
-        if (!fs.existsSync(uploadDir)) {
+        res.json({
+            success: true,
+            data: {
+                session: formatSession(session),
+                file: session.status === 'completed' ? await findSessionUpload(session) : null
+            }
+        });
+    } catch (error) {
+        console.error('Get upload session error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get upload'
+        });
+    }
+});
+
+// @desc    Upload one chunk (raw body, SHA-256 in X-Chunk-Checksum)
+// @route   PUT /api/upload/sessions/:id/chunks/:index
+// @access  Private (own upload)
+router.put('/sessions/:id/chunks/:index', protect, requirePermission('files:write'), chunkBody, async (req, res) => {
+    try {
+        const session = await findOwnSession(req);
+        if (!session || session.status !== 'active') {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload not found, expired or already completed'
+            });
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+            return res.status(400).json({
+                success: false,
+                error: `Chunk index must be between 0 and ${session.totalChunks - 1}`
+            });
+        }
+
+        const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (data.length !== session.expectedChunkSize(index)) {
+            return res.status(400).json({
+                success: false,
+                error: `Chunk ${index} must be ${session.expectedChunkSize(index)} bytes, got ${data.length}`
+            });
+        }
+
+        if (sha256(data) !== String(req.get('X-Chunk-Checksum') || '').toLowerCase()) {
+            return res.status(422).json({
+                success: false,
+                error: `Checksum of chunk ${index} does not match, please send it again`
+            });
+        }
+
+        // Turn away a file of the wrong type before the rest of it is sent
+        if (index === 0) {
+            const content = checkFileContent(data.subarray(0, SNIFF_BYTES), session.originalName, ALLOWED_TYPES);
+            if (content.error) {
+                await discardChunks(session);
+                await session.deleteOne();
+                return res.status(415).json({
+                    success: false,
+                    error: content.error
+                });
+            }
+        }
+
+        const updated = await storeChunk(session, index, data);
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                error: 'Upload is no longer accepting chunks'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { session: formatSession(updated) }
+        });
+    } catch (error) {
+        console.error('Upload chunk error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to store chunk'
+        });
+    }
+});
+
+// @desc    Assemble the uploaded chunks into the final file
+// @route   POST /api/upload/sessions/:id/complete
+// @access  Private (own upload)
+router.post('/sessions/:id/complete', protect, requirePermission('files:write'), async (req, res) => {
+    try {
+        const existing = await findOwnSession(req);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload not found or expired'
+            });
+        }
+
+        // Completing twice (e.g. after a lost response) returns the same file
+        if (existing.status === 'completed') {
             return res.json({
                 success: true,
-                data: { files: [] }
+                data: await findSessionUpload(existing)
+            });
+        }
+
+        const missing = existing.totalChunks - existing.receivedChunks.length;
+        if (missing > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `${missing} chunk(s) have not been uploaded yet`,
+                data: { session: formatSession(existing) }
             });
         }
 
-        const files = fs.readdirSync(uploadDir).map(filename => {
-            const filePath = path.join(uploadDir, filename);
-            const stats = fs.statSync(filePath);
+        // Only one request assembles the file
+        const session = await UploadSession.findOneAndUpdate(
+            { _id: existing._id, status: 'active' },
+            { status: 'assembling' },
+            { new: true }
+        );
+        if (!session) {
+            return res.status(409).json({
+                success: false,
+                error: 'Upload is already being completed'
+            });
+        }
 
-            return {
-                filename,
-                url: `/uploads/${filename}`,
-                size: stats.size,
-                createdAt: stats.birthtime,
-                modifiedAt: stats.mtime
-            };
+        let result;
+        let upload;
+        try {
+            result = await assembleChunks(session);
+
+            // A corrupt file cannot be fixed by resending chunks, so start over
+            if (result.error) {
+                await discardChunks(session);
+                await session.deleteOne();
+                return res.status(422).json({
+                    success: false,
+                    error: `${result.error}, please upload the file again`
+                });
+            }
+
+            upload = await recordUpload({
+                filename: result.filename,
+                key: result.key,
+                visibility: result.visibility,
+                originalname: session.originalName,
+                mimetype: result.mimetype,
+                size: session.size,
+                checksum: result.checksum,
+                scan: result.scan
+            }, session.userId, {
+                // The folder may have been deleted while the chunks were arriving
+                folder: session.folder && (await findUserFolder(session.folder, session.userId)) ? session.folder : null
+            });
+        } catch (error) {
+            await UploadSession.updateOne({ _id: session._id }, { status: 'active' });
+            throw error;
+        }
+
+        // Sending the file again would not help either
+        if (upload.scan.status === 'quarantined') {
+            await discardChunks(session);
+            await session.deleteOne();
+            return res.status(422).json({
+                success: false,
+                error: quarantineMessage(upload.originalName, upload.scan),
+                data: await formatUpload(upload)
+            });
+        }
+
+        session.status = 'completed';
+        session.filename = result.filename;
+        session.expiresAt = sessionExpiry();
+        await session.save();
+        await discardChunks(session);
+
+        await recordActivity({
+            type: 'upload',
+            description: `File "${session.originalName}" was uploaded`,
+            actor: req.user._id,
+            data: { filename: session.filename, count: 1 }
         });
 
         res.json({
             success: true,
-            data: { files }
+            data: await formatUpload(upload)
+        });
+    } catch (error) {
+        console.error('Complete upload error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to complete upload'
+        });
+    }
+});
+
+// @desc    Cancel a chunked upload and discard its chunks
+// @route   DELETE /api/upload/sessions/:id
+// @access  Private (own upload)
+router.delete('/sessions/:id', protect, requirePermission('files:write'), async (req, res) => {
+    try {
+        const session = await UploadSession.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user._id,
+            status: 'active'
+        });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Upload not found or already completed'
+            });
+        }
+
+        await discardChunks(session);
+
+        res.json({
+            success: true,
+            message: 'Upload cancelled'
+        });
+    } catch (error) {
+        console.error('Cancel upload error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel upload'
+        });
+    }
+});
+
+// @desc    List uploaded files with search, sort and pagination
+// @route   GET /api/upload/files
+// @access  Private (own files, or every file with files:read:any)
+router.get('/files', protect, requirePermission('files:read'), async (req, res) => {
+    try {
+        const permissions = await getUserPermissions(req);
+        const { error, filter, sort, page, limit } = buildUploadQuery(req.query, {
+            userId: req.user._id,
+            seesAll: permissions.includes('files:read:any')
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const uploads = await Upload.find(filter)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('userId', 'name email')
+            .populate('products', 'name deletedAt');
+
+        const total = await Upload.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                files: await Promise.all(uploads.map(formatUpload)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
         });
     } catch (error) {
         console.error('Get files error:', error);
@@ -117,24 +585,258 @@ router.get('/files', protect, (req, res) => {
     }
 });
 
-// @desc    Delete file
-// @route   DELETE /api/upload/:filename
-// @access  Private
-router.delete('/:filename', protect, (req, res) => {
+// @desc    Rename a file, move it to another folder or change its tags
+// @route   PATCH /api/upload/files/:id
+// @access  Private (own file, or any file with files:write:any)
+router.patch('/files/:id', protect, requirePermission('files:write', { getOwnerId: uploadOwner }), async (req, res) => {
+    try {
+        const { error, value } = updateFileSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const upload = await Upload.findById(req.params.id);
+        if (!upload) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        if (value.name !== undefined) {
+            // The content was checked against the extension, so it stays
+            const extension = path.extname(upload.originalName).toLowerCase();
+            if (path.extname(value.name).toLowerCase() !== extension) {
+                return res.status(400).json({
+                    success: false,
+                    error: `The file name must keep its ${extension || 'missing'} extension`
+                });
+            }
+            upload.originalName = value.name;
+        }
+
+        if (value.folder !== undefined) {
+            // Files are filed in their owner's folders
+            if (value.folder && !(await findUserFolder(value.folder, upload.userId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+            upload.folder = value.folder;
+        }
+
+        if (value.tags !== undefined) {
+            upload.tags = uniqueTags(value.tags);
+        }
+
+        await upload.save();
+        await upload.populate([
+            { path: 'userId', select: 'name email' },
+            { path: 'products', select: 'name deletedAt' }
+        ]);
+
+        res.json({
+            success: true,
+            data: await formatUpload(upload)
+        });
+    } catch (error) {
+        console.error('Update file error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update file'
+        });
+    }
+});
+
+// Deleting needs files:delete, the other bulk actions files:write
+const requireBulkPermission = (req, res, next) =>
+    requirePermission(req.body?.action === 'delete' ? 'files:delete' : 'files:write')(req, res, next);
+
+// @desc    Move, tag, untag or delete several files at once
+// @route   POST /api/upload/files/bulk
+// @access  Private (own files, or any file with the `:any` permission)
+router.post('/files/bulk', protect, requireBulkPermission, async (req, res) => {
     try {
-        const fs = require('fs');
-        const path = require('path');
-        const filename = req.params.filename;
-        const filePath = path.join('uploads', filename);
+        const { error, value } = bulkSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const permission = value.action === 'delete' ? 'files:delete' : 'files:write';
+        const permissions = await getUserPermissions(req);
+        const filter = { _id: { $in: value.ids } };
+        if (!permissions.includes(`${permission}:any`)) {
+            filter.userId = req.user._id;
+        }
 
-        if (!fs.existsSync(filePath)) {
+        const uploads = await Upload.find(filter);
+        if (uploads.length !== value.ids.length) {
+            return res.status(404).json({
+                success: false,
+                error: `${value.ids.length - uploads.length} of the selected files were not found or are not yours`
+            });
+        }
+
+        const ids = uploads.map((upload) => upload._id);
+        let data;
+
+        switch (value.action) {
+            case 'move': {
+                if (value.folder) {
+                    const owners = new Set(uploads.map((upload) => upload.userId.toString()));
+                    if (owners.size > 1) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Files of different users cannot be moved into one folder'
+                        });
+                    }
+                    if (!(await findUserFolder(value.folder, uploads[0].userId))) {
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Folder not found'
+                        });
+                    }
+                }
+                await Upload.updateMany({ _id: { $in: ids } }, { folder: value.folder });
+                data = { updated: ids.length };
+                break;
+            }
+            case 'tag':
+                await Upload.updateMany({ _id: { $in: ids } }, { $addToSet: { tags: { $each: uniqueTags(value.tags) } } });
+                data = { updated: ids.length };
+                break;
+            case 'untag':
+                await Upload.updateMany({ _id: { $in: ids } }, { $pull: { tags: { $in: value.tags } } });
+                data = { updated: ids.length };
+                break;
+            case 'delete': {
+                // Product images are skipped, as they are when deleted one by one
+                const deleted = [];
+                const skipped = [];
+                for (const upload of uploads) {
+                    const products = await findImageReferences(upload);
+                    if (products.length > 0) {
+                        skipped.push({
+                            id: upload._id,
+                            originalName: upload.originalName,
+                            error: `Still the image of ${products.length} product(s)`
+                        });
+                        continue;
+                    }
+                    await deleteUpload(upload);
+                    deleted.push(upload._id);
+                }
+                data = { deleted, skipped };
+                break;
+            }
+        }
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('Bulk file action error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update files'
+        });
+    }
+});
+
+// @desc    Start of a text file, for the preview panel
+// @route   GET /api/upload/files/:id/preview
+// @access  Private (own file, or any file with files:read:any)
+router.get('/files/:id/preview', protect, requirePermission('files:read', { getOwnerId: uploadOwner }), async (req, res) => {
+    try {
+        const upload = await Upload.findById(req.params.id);
+        if (!upload) {
             return res.status(404).json({
                 success: false,
                 error: 'File not found'
             });
         }
 
-        fs.unlinkSync(filePath);
+        if (upload.scan.status === 'quarantined') {
+            return res.status(409).json({
+                success: false,
+                error: 'Quarantined files cannot be previewed'
+            });
+        }
+
+        // Images and PDFs are shown by the browser from their URL
+        if (upload.mimetype !== 'text/plain') {
+            return res.status(415).json({
+                success: false,
+                error: 'Only text files have a text preview'
+            });
+        }
+
+        const file = await getStorage().get(upload.key);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        let data = Buffer.alloc(0);
+        for await (const chunk of file.stream) {
+            data = Buffer.concat([data, chunk]);
+            // Leaving the loop closes the stream
+            if (data.length >= PREVIEW_MAX_BYTES) break;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                text: data.subarray(0, PREVIEW_MAX_BYTES).toString('utf8'),
+                truncated: upload.size > PREVIEW_MAX_BYTES
+            }
+        });
+    } catch (error) {
+        console.error('Preview file error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview file'
+        });
+    }
+});
+
+// @desc    Delete a file that no product uses as its image
+// @route   DELETE /api/upload/files/:id
+// @access  Private (own file, or any file with files:delete:any)
+router.delete('/files/:id', protect, requirePermission('files:delete', { getOwnerId: uploadOwner }), async (req, res) => {
+    try {
+        const upload = await Upload.findById(req.params.id);
+        if (!upload) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        const products = await findImageReferences(upload);
+        if (products.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `File is still the image of ${products.length} product(s): ${products.map((product) => product.name).join(', ')}`,
+                products: products.map((product) => ({
+                    id: product._id,
+                    name: product.name,
+                    trashed: Boolean(product.deletedAt)
+                }))
+            });
+        }
+
+        await deleteUpload(upload);
 
         res.json({
             success: true,
@@ -0,0 +1,63 @@
+import express from 'express';
+import { pipeline } from 'stream/promises';
+import { getStorage, isPrivateKey, verifySignature } from '../utils/storage/index.js';
+
+const router = express.Router();
+
+// Public files sit at the top level and private ones under `private/`;
+// anything else in storage, such as upload chunks, is never served
+const SERVABLE_KEY = /^(private\/)?[^/]+$/;
+
+// @desc    Download a stored file (private files need a signed URL)
+// @route   GET /uploads/:key
+// @access  Public, or signed URL for private files
+router.get('/*', async (req, res) => {
+    try {
+        const key = req.params[0];
+
+        if (!SERVABLE_KEY.test(key)) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        if (isPrivateKey(key) && !verifySignature(key, req.query)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Download link is invalid or has expired'
+            });
+        }
+
+        const file = await getStorage().get(key);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Cache-Control': isPrivateKey(key) ? 'private, no-store' : 'public, max-age=300'
+        });
+        if (file.size !== undefined) {
+            res.set('Content-Length', String(file.size));
+        }
+
+        await pipeline(file.stream, res);
+    } catch (error) {
+        // The client went away mid-download
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+        console.error('Serve file error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to read file'
+            });
+        }
+    }
+});
+
+export default router;
@@ -1,13 +1,17 @@
 import express from 'express';
 import User from '../models/User.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission, requireTwoFactor } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import { recordAudit, diffFields } from '../utils/audit.js';
+import { notify } from '../utils/notifications.js';
+import { recordActivity } from '../utils/activity.js';
 
 const router = express.Router();
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -44,8 +48,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
-router.get('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:read)
+router.get('/:id', protect, requirePermission('users:read'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
 
@@ -71,11 +75,21 @@ router.get('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:write)
+router.put('/:id', protect, requirePermission('users:write'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
   try {
     const { name, email, role, isActive } = req.body;
 
+    // Roles are stored in the database
+    if (role && !(await Role.exists({ name: role }))) {
+      return res.status(400).json({
+        success: false,
+        error: `Role ${role} does not exist`
+      });
+    }
+
+    const previous = await User.findById(req.params.id).lean();
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { name, email, role, isActive },
@@ -89,6 +103,31 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await recordAudit({
+      req,
+      entityType: 'user',
+      entityId: user._id,
+      action: 'update',
+      changes: diffFields('user', previous, user)
+    });
+
+    await recordActivity({
+      type: 'user_updated',
+      description: `User "${user.name}" was updated`,
+      actor: req.user._id,
+      data: { userId: user._id }
+    });
+
+    if (previous && previous.role !== user.role) {
+      await notify(user._id, {
+        type: 'role_changed',
+        title: 'Your role has changed',
+        message: `${req.user.name} changed your role from ${previous.role} to ${user.role}.`,
+        link: '/profile',
+        data: { previousRole: previous.role, role: user.role }
+      });
+    }
+
     res.json({
       success: true,
       data: { user }
@@ -102,10 +141,40 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Unlock user account locked by failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:write)
+router.post('/:id/unlock', protect, requirePermission('users:write'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error unlocking user'
+    });
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:delete)
+router.delete('/:id', protect, requirePermission('users:delete'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
 
@@ -116,6 +185,21 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await recordAudit({
+      req,
+      entityType: 'user',
+      entityId: user._id,
+      action: 'delete',
+      changes: diffFields('user', user, null)
+    });
+
+    await recordActivity({
+      type: 'user_deleted',
+      description: `User "${user.name}" was deleted`,
+      actor: req.user._id,
+      data: { userId: user._id }
+    });
+
     res.json({
       success: true,
       data: { message: 'User deleted successfully' }
@@ -131,8 +215,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get user statistics
 // @route   GET /api/users/stats/overview
-// @access  Private/Admin
-router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:read)
+router.get('/stats/overview', protect, requirePermission('users:read'), requireTwoFactor('ADMIN_REQUIRE_2FA'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
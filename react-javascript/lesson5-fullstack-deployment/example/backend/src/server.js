@@ -1,143 +1,31 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 import mongoose from 'mongoose';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
 
-import { errorHandler } from './middleware/errorHandler.js';
-import { notFound } from './middleware/notFound.js';
-import authRoutes from './routes/auth.js';
-import userRoutes from './routes/users.js';
-import dashboardRoutes from './routes/dashboard.js';
-import uploadRoutes from './routes/upload.js';
-import productRoutes from './routes/products.js';
+// Loads the environment and sets up the Express app
+import app from './app.js';
+import Role from './models/Role.js';
+import { scheduleProductPurge } from './utils/productTrash.js';
+import { scheduleUploadSessionPurge } from './utils/chunkedUploads.js';
+import { scheduleImageProcessing } from './utils/imageProcessing.js';
+import { ensureOpeningBalances, syncReservedCounts } from './utils/inventory.js';
+import { scheduleReservationExpiry } from './utils/orders.js';
 
-// Get directory paths for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load environment variables
-dotenv.config();
-
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// CORS configuration - must be before other middleware
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true,
-}));
-
-// Static files path
-const uploadsPath = path.join(process.cwd(), 'uploads');
-console.log('📁 Uploads directory:', uploadsPath);
-console.log('📁 Current working directory:', process.cwd());
-// Ensure uploads directory exists
-if (!fs.existsSync(uploadsPath)) {
-    fs.mkdirSync(uploadsPath, { recursive: true });
-    console.log('✅ Created uploads directory:', uploadsPath);
-} else {
-    console.log('✅ Uploads directory exists:', uploadsPath);
-}
-
-// Security middleware - configure to allow static files and images
-// Disable CORP completely to allow cross-origin image loading
-app.use(helmet({
-  crossOriginResourcePolicy: false,
-  crossOriginEmbedderPolicy: false,
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "http://localhost:5000", "http://localhost:5173", "blob:", "*"],
-    },
-  },
-}));
-
-// Serve static files AFTER Helmet with explicit CORS headers
-app.use('/uploads', (req, res, next) => {
-    // Override any Helmet headers for this route
-    res.removeHeader('Cross-Origin-Resource-Policy');
-    res.removeHeader('Cross-Origin-Embedder-Policy');
-    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
-    res.header('Access-Control-Expose-Headers', 'Content-Length');
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
-    }
-    next();
-}, express.static(uploadsPath, {
-    setHeaders: (res, filePath) => {
-        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-        res.set('Access-Control-Allow-Origin', '*');
-    }
-}));
-console.log('✅ Static files served from /uploads ->', uploadsPath);
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-});
-app.use(limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/dashboard', dashboardRoutes);
-app.use('/api/upload', uploadRoutes);
-app.use('/api/products', productRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
-    uploadsPath: uploadsPath,
-    uploadsExists: fs.existsSync(uploadsPath)
-  });
-});
-
-// Test endpoint to list uploaded files
-app.get('/api/test-uploads', (req, res) => {
-  try {
-    const files = fs.readdirSync(uploadsPath);
-    res.json({
-      success: true,
-      uploadsPath,
-      fileCount: files.length,
-      files: files.slice(0, 10) // First 10 files
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      uploadsPath
-    });
-  }
-});
-
-// Error handling middleware
-app.use(notFound);
-app.use(errorHandler);
-
 // Database connection
 const connectDB = async () => {
   try {
     const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/react-course-demo-js';
     await mongoose.connect(mongoURI);
     console.log('✅ MongoDB connected successfully');
+
+    // Seed built-in roles and permissions
+    await Role.ensureDefaultRoles();
+
+    // Stock of products from before the inventory ledger becomes an opening balance
+    await ensureOpeningBalances();
+
+    // Reserved counts include reservations made before the count existed
+    await syncReservedCounts();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
     process.exit(1);
@@ -148,6 +36,10 @@ const connectDB = async () => {
 const startServer = async () => {
   try {
     await connectDB();
+    scheduleProductPurge();
+    scheduleUploadSessionPurge();
+    scheduleImageProcessing();
+    scheduleReservationExpiry();
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import Role from '../models/Role.js';
+
+let mongod = null;
+
+/**
+ * Start a throwaway MongoDB for one test suite and connect mongoose to it.
+ * Import the app first: the unique indexes of every model loaded by then
+ * are built before this resolves, and the default roles are seeded.
+ * The MongoDB binary is downloaded on the first run, see the MONGOMS_*
+ * variables of mongodb-memory-server to use a local one.
+ */
+export const connectTestDatabase = async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+  await Role.ensureDefaultRoles();
+};
+
+export const disconnectTestDatabase = async () => {
+  await mongoose.disconnect();
+  await mongod?.stop();
+  mongod = null;
+};
@@ -0,0 +1,9 @@
+// Environment shared by every test suite, set before any module reads it.
+// Suites that need more (mail outbox, Google stub) set it before importing the app.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.FRONTEND_URL = 'http://localhost:5173';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.UPLOAD_SCANNER = 'eicar';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.MAIL_TRANSPORT = 'console';
@@ -0,0 +1,31 @@
+import request from 'supertest';
+import User from '../models/User.js';
+
+let counter = 0;
+
+/**
+ * Create a user and sign them in through the API.
+ *
+ * @param {import('express').Express} app
+ * @param {Object} [fields] - Overrides for the user document
+ * @returns {Promise<{ user: Object, token: string, password: string }>}
+ */
+export const createSignedInUser = async (app, fields = {}) => {
+  counter++;
+  const password = 'secret123';
+  const user = await User.create({
+    name: `Test User ${counter}`,
+    email: `user${counter}@example.com`,
+    password,
+    ...fields
+  });
+
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password });
+
+  if (res.status !== 200) {
+    throw new Error(`Login of ${user.email} failed with ${res.status}: ${res.body.error}`);
+  }
+  return { user, token: res.body.data.token, password };
+};
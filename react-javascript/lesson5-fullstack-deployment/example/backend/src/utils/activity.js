@@ -0,0 +1,51 @@
+import Activity from '../models/Activity.js';
+import { getUserPermissions } from '../middleware/auth.js';
+import { publishLiveEvent } from './liveEvents.js';
+
+// Shown to every signed-in user; other activity only to its actor and `activity:read:any`
+export const PUBLIC_ACTIVITY_TYPES = [
+  'user_registration',
+  'product_added',
+  'product_deleted',
+  'product_restored',
+  'stock_change',
+  'system_update'
+];
+
+/**
+ * Store an event in the activity feed and push it to open dashboards.
+ *
+ * @param {Object} activity
+ * @param {string} activity.type - One of ACTIVITY_TYPES
+ * @param {string} activity.description
+ * @param {import('mongoose').Types.ObjectId} [activity.actor]
+ * @param {Object} [activity.data]
+ */
+export const recordActivity = async ({ type, description, actor = null, data = {} }) => {
+  try {
+    const activity = await Activity.create({ type, description, actor, data });
+    publishLiveEvent(activity);
+  } catch (error) {
+    // The feed must never fail the change itself
+    console.error('Record activity error:', error);
+  }
+};
+
+// Activity the signed-in user may see
+export const visibleActivityFilter = async (req) => {
+  const permissions = await getUserPermissions(req);
+  if (permissions.includes('activity:read:any')) {
+    return {};
+  }
+  return { $or: [{ actor: req.user._id }, { type: { $in: PUBLIC_ACTIVITY_TYPES } }] };
+};
+
+// Same rule as `visibleActivityFilter`, for a single live event
+export const canSeeActivity = async (req) => {
+  const permissions = await getUserPermissions(req);
+  const seesAll = permissions.includes('activity:read:any');
+  const userId = req.user._id.toString();
+
+  return (event) =>
+    seesAll || PUBLIC_ACTIVITY_TYPES.includes(event.type) || event.actor?.toString() === userId;
+};
@@ -0,0 +1,199 @@
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import StockMovement from '../models/StockMovement.js';
+import { roundMoney } from './pricing.js';
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+export const ANALYTICS_METRICS = ['newUsers', 'newProducts', 'inventoryValue', 'revenue', 'orders'];
+
+// Enough for a year of days or a decade of weeks
+export const MAX_BUCKETS = 520;
+
+// Orders that brought money in and kept it
+const REVENUE_STATUSES = ['paid', 'shipped', 'delivered'];
+
+// Start of the UTC day, Monday-based week or month that contains `date`
+export const bucketStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+export const nextBucket = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Bucket start dates covering `from` to `to`
+export const bucketRange = (from, to, interval) => {
+  const buckets = [];
+  for (let start = bucketStart(from, interval); start <= to; start = nextBucket(start, interval)) {
+    buckets.push(start);
+  }
+  return buckets;
+};
+
+// Aggregation expression for the bucket start of `date`, matching bucketStart.
+// Built from date parts rather than $dateTrunc, which needs MongoDB 5.0.
+const bucketStartExpression = (date, interval) => {
+  if (interval === 'week') {
+    // ISO weeks start on Monday
+    return { $dateFromParts: { isoWeekYear: { $isoWeekYear: date }, isoWeek: { $isoWeek: date }, isoDayOfWeek: 1 } };
+  }
+  return {
+    $dateFromParts: {
+      year: { $year: date },
+      month: { $month: date },
+      day: interval === 'day' ? { $dayOfMonth: date } : 1
+    }
+  };
+};
+
+// { [bucket ISO date]: { count, sum } } for documents created in the range
+const groupByBucket = async (Model, match, { from, to, interval, sumField }) => {
+  const rows = await Model.aggregate([
+    { $match: { ...match, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: bucketStartExpression('$createdAt', interval),
+        count: { $sum: 1 },
+        sum: { $sum: sumField ? `$${sumField}` : 0 }
+      }
+    }
+  ]);
+  return Object.fromEntries(rows.map((row) => [row._id.toISOString(), row]));
+};
+
+/**
+ * Value of the stock on hand at the end of each bucket, from the inventory
+ * ledger. Stock is valued at today's prices, since prices have no history.
+ */
+const inventoryValueByBucket = async (buckets, { to, interval }) => {
+  const start = buckets[0];
+  const prices = new Map(
+    (await Product.find().select('price').lean()).map((product) => [product._id.toString(), product.price])
+  );
+
+  // Stock of every product when the range starts
+  const opening = await StockMovement.aggregate([
+    { $match: { createdAt: { $lt: start } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$productId', stock: { $last: '$balanceAfter' } } }
+  ]);
+
+  const stock = new Map();
+  let value = 0;
+  for (const { _id, stock: units } of opening) {
+    const id = _id.toString();
+    stock.set(id, units);
+    value += units * (prices.get(id) || 0);
+  }
+
+  const movements = StockMovement.find({ createdAt: { $gte: start, $lte: to } })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('productId balanceAfter createdAt')
+    .lean()
+    .cursor();
+
+  const values = [];
+  let bucketIndex = 0;
+  let bucketEnd = nextBucket(buckets[0], interval);
+
+  const closeBucketsBefore = (date) => {
+    while (bucketIndex < buckets.length && date >= bucketEnd) {
+      values.push(roundMoney(value));
+      bucketIndex += 1;
+      bucketEnd = nextBucket(bucketEnd, interval);
+    }
+  };
+
+  for await (const movement of movements) {
+    closeBucketsBefore(movement.createdAt);
+    const id = movement.productId.toString();
+    value += (movement.balanceAfter - (stock.get(id) || 0)) * (prices.get(id) || 0);
+    stock.set(id, movement.balanceAfter);
+  }
+  while (values.length < buckets.length) {
+    values.push(roundMoney(value));
+  }
+
+  return values;
+};
+
+/**
+ * New users, new products, inventory value, revenue and paid orders per
+ * bucket between `from` and `to`. Buckets are UTC days, weeks starting on
+ * Monday, or months; the first and last only count what falls in the range.
+ *
+ * @param {{ from: Date, to: Date, interval: 'day'|'week'|'month' }} range
+ * @returns {Promise<{ series: Object[], totals: Object }>}
+ */
+export const buildSeries = async ({ from, to, interval }) => {
+  const buckets = bucketRange(from, to, interval);
+  const range = { from, to, interval };
+
+  const users = await groupByBucket(User, {}, range);
+  const products = await groupByBucket(Product, {}, range);
+  const orders = await groupByBucket(Order, { status: { $in: REVENUE_STATUSES } }, { ...range, sumField: 'total' });
+  const inventoryValues = await inventoryValueByBucket(buckets, range);
+
+  const series = buckets.map((bucket, index) => {
+    const key = bucket.toISOString();
+    return {
+      bucket: key,
+      newUsers: users[key]?.count || 0,
+      newProducts: products[key]?.count || 0,
+      inventoryValue: inventoryValues[index],
+      revenue: roundMoney(orders[key]?.sum || 0),
+      orders: orders[key]?.count || 0
+    };
+  });
+
+  const sum = (metric) => series.reduce((total, point) => total + point[metric], 0);
+
+  return {
+    series,
+    totals: {
+      newUsers: sum('newUsers'),
+      newProducts: sum('newProducts'),
+      // A level, not a flow: the value at the end of the range
+      inventoryValue: series.length > 0 ? series[series.length - 1].inventoryValue : 0,
+      revenue: roundMoney(sum('revenue')),
+      orders: sum('orders')
+    }
+  };
+};
+
+// Percentage change per metric; null when the previous value was zero
+export const compareTotals = (current, previous) =>
+  Object.fromEntries(ANALYTICS_METRICS.map((metric) => [
+    metric,
+    previous[metric] ? Math.round(((current[metric] - previous[metric]) / previous[metric]) * 1000) / 10 : null
+  ]));
+
+// Best-selling products of paid orders in the range, by revenue
+export const topProducts = ({ from, to }, limit = 5) =>
+  Order.aggregate([
+    { $match: { status: { $in: REVENUE_STATUSES }, createdAt: { $gte: from, $lte: to } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productId',
+        name: { $last: '$items.name' },
+        sales: { $sum: '$items.quantity' },
+        revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+      }
+    },
+    { $sort: { revenue: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, productId: '$_id', name: 1, sales: 1, revenue: { $round: ['$revenue', 2] } } }
+  ]);
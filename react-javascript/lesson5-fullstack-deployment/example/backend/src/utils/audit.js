@@ -0,0 +1,75 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Fields whose before/after values are recorded for each entity type.
+// Secrets (password, tokens, 2FA) are never written to the audit log.
+export const AUDITED_FIELDS = {
+  product: ['name', 'description', 'price', 'category', 'stock', 'reorderThreshold', 'reorderQuantity', 'weight', 'image', 'deletedAt'],
+  user: ['name', 'email', 'role', 'isActive', 'emailVerified']
+};
+
+// User agent of records written by scheduled jobs rather than a request
+export const SYSTEM_USER_AGENT = 'system';
+
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Field-level diff of two plain objects or documents. Pass `null` as
+ * `before` for a creation and as `after` for a deletion.
+ *
+ * @param {string} entityType - Key of AUDITED_FIELDS
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{ field: string, before: *, after: * }[]}
+ */
+export const diffFields = (entityType, before, after) => {
+  return AUDITED_FIELDS[entityType]
+    .map((field) => ({
+      field,
+      before: normalize(before?.[field]),
+      after: normalize(after?.[field])
+    }))
+    .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+// `actor` defaults to the signed-in user; pass it for self sign-ups.
+// Without `req` the change is recorded as made by the system (scheduled jobs).
+export const recordAudit = async ({ req, entityType, entityId, action, changes = [], actor }) => {
+  try {
+    // Updates that changed no audited field are not worth a record
+    if (action === 'update' && changes.length === 0) return;
+
+    await AuditLog.create({
+      entityType,
+      entityId,
+      action,
+      changes,
+      actor: actor || req?.user?._id || null,
+      ip: req?.ip || '',
+      userAgent: req ? req.get('user-agent') || '' : SYSTEM_USER_AGENT
+    });
+  } catch (error) {
+    // Auditing must never fail the change itself
+    console.error('Record audit error:', error);
+  }
+};
+
+// Audit records for many created records at once (bulk import)
+export const recordBulkCreate = async ({ req, entityType, records }) => {
+  try {
+    await AuditLog.insertMany(records.map((record) => ({
+      entityType,
+      entityId: record._id,
+      action: 'create',
+      changes: diffFields(entityType, null, record),
+      actor: req.user?._id || null,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || ''
+    })));
+  } catch (error) {
+    console.error('Record audit error:', error);
+  }
+};
@@ -0,0 +1,33 @@
+import { sendMail } from './mailer.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Names are chosen by users, so they must not inject markup into the HTML part
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+export const sendVerificationEmail = async (user, token) => {
+  const link = `${frontendUrl()}/verify-email/${token}`;
+  const name = escapeHtml(user.name);
+  const href = escapeHtml(link);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${name},</p><p>Please confirm your email address by opening this link:</p><p><a href="${href}">${href}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+export const sendPasswordResetEmail = async (user, token) => {
+  const link = `${frontendUrl()}/reset-password/${token}`;
+  const name = escapeHtml(user.name);
+  const href = escapeHtml(link);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${name},</p><p>You can choose a new password by opening this link:</p><p><a href="${href}">${href}</a></p><p>The link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
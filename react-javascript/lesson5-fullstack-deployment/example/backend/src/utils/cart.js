@@ -0,0 +1,98 @@
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+
+/**
+ * Check a cart against the catalog: items whose product is gone or sold
+ * out are removed, quantities above the available stock are lowered and
+ * stored prices are updated to the current ones. Every change is reported
+ * as a warning so the client can tell the user.
+ *
+ * Saves the cart when something changed.
+ *
+ * @param {import('mongoose').Document} cart
+ * @returns {Promise<{ items: Object[], total: number, warnings: Object[] }>}
+ */
+export const reconcileCart = async (cart) => {
+  const productIds = cart.items.map((item) => item.productId);
+  const products = await Product.find({ _id: { $in: productIds }, deletedAt: null })
+    .select('name price image stock reserved')
+    .lean();
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const warnings = [];
+  const items = [];
+  let changed = false;
+
+  for (const item of cart.items) {
+    const id = item.productId.toString();
+    const product = byId.get(id);
+
+    if (!product) {
+      warnings.push({ productId: id, type: 'unavailable', message: 'A product in your cart is no longer available' });
+      changed = true;
+      continue;
+    }
+
+    const available = Math.max(product.stock - (product.reserved || 0), 0);
+
+    if (available === 0) {
+      warnings.push({ productId: id, type: 'out_of_stock', message: `${product.name} is out of stock` });
+      changed = true;
+      continue;
+    }
+
+    if (item.quantity > available) {
+      warnings.push({
+        productId: id,
+        type: 'quantity_reduced',
+        message: `Only ${available} of ${product.name} left, quantity reduced from ${item.quantity}`,
+        previous: item.quantity,
+        current: available
+      });
+      item.quantity = available;
+      changed = true;
+    }
+
+    if (item.price !== product.price) {
+      warnings.push({
+        productId: id,
+        type: 'price_changed',
+        message: `Price of ${product.name} changed from $${item.price.toFixed(2)} to $${product.price.toFixed(2)}`,
+        previous: item.price,
+        current: product.price
+      });
+      item.price = product.price;
+      changed = true;
+    }
+
+    items.push({
+      productId: id,
+      name: product.name,
+      price: product.price,
+      image: product.image,
+      quantity: item.quantity,
+      available
+    });
+  }
+
+  if (changed) {
+    cart.items = cart.items.filter((item) => items.some((kept) => kept.productId === item.productId.toString()));
+    await cart.save();
+  }
+
+  const total = Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+  return { items, total, warnings };
+};
+
+// The user's cart, created empty on first use
+export const findOrCreateCart = (userId) =>
+  Cart.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, items: [] } },
+    { upsert: true, new: true }
+  );
+
+// Drop the ordered products from the user's cart after checkout
+export const removeOrderedItems = (userId, productIds) =>
+  Cart.updateOne({ userId }, { $pull: { items: { productId: { $in: productIds } } } });
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import Role from '../models/Role.js';
+import UploadSession from '../models/UploadSession.js';
+import { storedFilename } from '../config/upload.js';
+import { getStorage, readFile, deletePrefix, uploadKey, quarantineKey } from './storage/index.js';
+import { ALLOWED_FILE_TYPES, SNIFF_BYTES, fileTypeForName } from './fileTypes.js';
+import { inspectUpload } from './quarantine.js';
+
+const MB = 1024 * 1024;
+
+// Chunked uploads come from the file manager, whose files belong to their owner
+const VISIBILITY = 'private';
+
+export const ALLOWED_TYPES = ALLOWED_FILE_TYPES.file;
+
+export const uploadChunkSize = () => (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 5) * MB;
+
+const sessionTtlHours = () => parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const purgeIntervalMinutes = () => parseInt(process.env.UPLOAD_PURGE_INTERVAL_MINUTES) || 60;
+
+export const sessionExpiry = () => new Date(Date.now() + sessionTtlHours() * 60 * 60 * 1000);
+
+/**
+ * Largest file, in bytes, the user's role may upload. Roles without their
+ * own limit use UPLOAD_MAX_MB.
+ *
+ * @param {{ role: string }} user
+ * @returns {Promise<number>}
+ */
+export const maxUploadBytes = async (user) => {
+  const role = await Role.findOne({ name: user.role }).select('maxUploadMb').lean();
+  return (role?.maxUploadMb || parseInt(process.env.UPLOAD_MAX_MB) || 100) * MB;
+};
+
+export const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Chunks wait in storage, under one prefix per session, until the file is
+// assembled; keys with a directory other than `private/` are never served
+const chunkPrefix = (session) => `chunks/${session._id}/`;
+
+const chunkKey = (session, index) => `${chunkPrefix(session)}${index}.part`;
+
+/**
+ * Store one chunk. Sending a chunk again replaces it, so a retry after a
+ * dropped connection is harmless.
+ *
+ * @param {Object} session - UploadSession document
+ * @param {number} index
+ * @param {Buffer} data - Already checked against its size and checksum
+ */
+export const storeChunk = async (session, index, data) => {
+  await getStorage().put(chunkKey(session, index), data);
+
+  return UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active' },
+    { $addToSet: { receivedChunks: index }, expiresAt: sessionExpiry() },
+    { new: true }
+  );
+};
+
+/**
+ * Join the chunks into a private file in storage. When the session carries
+ * a checksum for the whole file, the result must match it. The file then
+ * goes through utils/quarantine.js: content of another type is rejected,
+ * and infected files stay in quarantine with `scan.status` 'quarantined'.
+ *
+ * @param {Object} session - UploadSession document with every chunk received
+ * @returns {Promise<{ error?: string, filename?: string, key?: string, visibility?: string, mimetype?: string, checksum?: string, scan?: Object }>}
+ */
+export const assembleChunks = async (session) => {
+  const filename = storedFilename('file', session.originalName);
+  const incoming = quarantineKey(filename);
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+
+  // Chunks are read one at a time, so the file is never held in memory
+  async function* chunks() {
+    for (let index = 0; index < session.totalChunks; index++) {
+      const data = await readFile(chunkKey(session, index));
+      if (!data) {
+        throw new Error(`Chunk ${index} is missing from storage`);
+      }
+      hash.update(data);
+      if (head.length < SNIFF_BYTES) {
+        head = Buffer.concat([head, data.subarray(0, SNIFF_BYTES - head.length)]);
+      }
+      yield data;
+    }
+  }
+
+  try {
+    // Sessions are only opened for names with an allowed extension
+    const { mimetype } = fileTypeForName(session.originalName, ALLOWED_TYPES);
+    await getStorage().put(incoming, Readable.from(chunks()), { contentType: mimetype });
+  } catch (error) {
+    await getStorage().delete(incoming);
+    throw error;
+  }
+
+  const checksum = hash.digest('hex');
+  if (session.checksum && checksum !== session.checksum) {
+    await getStorage().delete(incoming);
+    return { error: 'Checksum of the assembled file does not match' };
+  }
+
+  const key = uploadKey(filename, VISIBILITY);
+  const result = await inspectUpload({ filename, key, originalname: session.originalName, head }, ALLOWED_TYPES);
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  return { filename, key: result.key, visibility: VISIBILITY, mimetype: result.mimetype, checksum, scan: result.scan };
+};
+
+export const discardChunks = (session) => deletePrefix(chunkPrefix(session));
+
+// Drop unfinished uploads that have not received a chunk for a while
+export const purgeExpiredUploadSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } }).select('_id status');
+
+  for (const session of expired) {
+    await discardChunks(session);
+  }
+  await UploadSession.deleteMany({ _id: { $in: expired.map((session) => session._id) } });
+
+  if (expired.length > 0) {
+    console.log(`🗑️  Purged ${expired.length} expired upload session(s)`);
+  }
+  return expired.length;
+};
+
+// Run the purge now and then periodically; returns the timer
+export const scheduleUploadSessionPurge = () => {
+  const run = () => purgeExpiredUploadSessions().catch((error) => {
+    console.error('Upload session purge error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, purgeIntervalMinutes() * 60 * 1000);
+  // Do not keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
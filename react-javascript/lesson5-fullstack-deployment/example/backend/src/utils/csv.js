@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF or LF)
+
+/**
+ * Parse CSV text into rows of string cells. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark added by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize objects to CSV with a header row.
+ *
+ * @param {Object[]} records
+ * @param {string[]} columns - Keys to write, in order
+ * @returns {string}
+ */
+export const toCsv = (records, columns) => {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCell(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,118 @@
+import path from 'path';
+
+/**
+ * File types uploads may have, recognised by their first bytes rather than
+ * by the name or the Content-Type header the client sends.
+ *
+ * @typedef {Object} FileType
+ * @property {string} mimetype - Content type the file is stored and served with
+ * @property {string[]} extensions - Extensions the file name may have
+ * @property {(head: Buffer) => boolean} matches - Whether the first bytes are of this type
+ */
+
+const startsWith = (head, bytes, offset = 0) =>
+  head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+// Text is valid UTF-8 without NUL bytes; a character cut off at the end of the sample is fine
+const isText = (head) => {
+  if (head.length === 0 || head.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** @type {Object<string, FileType>} */
+export const FILE_TYPES = {
+  jpeg: {
+    mimetype: 'image/jpeg',
+    extensions: ['.jpg', '.jpeg'],
+    matches: (head) => startsWith(head, [0xff, 0xd8, 0xff])
+  },
+  png: {
+    mimetype: 'image/png',
+    extensions: ['.png'],
+    matches: (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  gif: {
+    mimetype: 'image/gif',
+    extensions: ['.gif'],
+    matches: (head) => startsWith(head, Buffer.from('GIF87a')) || startsWith(head, Buffer.from('GIF89a'))
+  },
+  pdf: {
+    mimetype: 'application/pdf',
+    extensions: ['.pdf'],
+    matches: (head) => startsWith(head, Buffer.from('%PDF-'))
+  },
+  // Word 97-2003 files are OLE compound documents
+  doc: {
+    mimetype: 'application/msword',
+    extensions: ['.doc'],
+    matches: (head) => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+  },
+  // Newer Word files are ZIP archives; what is inside is not looked at
+  docx: {
+    mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx'],
+    matches: (head) => startsWith(head, [0x50, 0x4b, 0x03, 0x04])
+  },
+  txt: {
+    mimetype: 'text/plain',
+    extensions: ['.txt'],
+    matches: isText
+  }
+};
+
+// Types each upload endpoint accepts
+export const ALLOWED_FILE_TYPES = {
+  // Images of products, POST/PUT /api/products
+  productImage: ['jpeg', 'png', 'gif'],
+  // Files in the file manager, /api/upload
+  file: ['jpeg', 'png', 'gif', 'pdf', 'doc', 'docx', 'txt']
+};
+
+// How much of the start of a file is needed to tell its type
+export const SNIFF_BYTES = 4096;
+
+const typeForName = (originalname, allowed) => {
+  const extension = path.extname(originalname).toLowerCase();
+  return allowed.find((type) => FILE_TYPES[type].extensions.includes(extension)) || null;
+};
+
+/**
+ * Type the file name claims, when the endpoint accepts it. The content is
+ * checked with checkFileContent once it arrives.
+ *
+ * @param {string} originalname - File name on the user's machine
+ * @param {string[]} allowed - Keys of FILE_TYPES
+ * @returns {FileType|null}
+ */
+export const fileTypeForName = (originalname, allowed) => FILE_TYPES[typeForName(originalname, allowed)] || null;
+
+// Human-readable list for error messages, e.g. `.jpg, .jpeg, .png`
+export const describeFileTypes = (allowed) =>
+  allowed.flatMap((type) => FILE_TYPES[type].extensions).join(', ');
+
+/**
+ * Check the first bytes of an upload against its extension and the types
+ * the endpoint accepts.
+ *
+ * @param {Buffer} head - At least the first SNIFF_BYTES bytes, or the whole file when shorter
+ * @param {string} originalname - File name on the user's machine
+ * @param {string[]} allowed - Keys of FILE_TYPES, e.g. ALLOWED_FILE_TYPES.productImage
+ * @returns {{ error?: string, type?: string, mimetype?: string }}
+ */
+export const checkFileContent = (head, originalname, allowed) => {
+  const type = typeForName(originalname, allowed);
+  if (!type) {
+    return { error: `Only ${describeFileTypes(allowed)} files are allowed` };
+  }
+
+  if (!FILE_TYPES[type].matches(head)) {
+    return { error: `File content is not a valid ${path.extname(originalname).toLowerCase()} file` };
+  }
+
+  return { type, mimetype: FILE_TYPES[type].mimetype };
+};
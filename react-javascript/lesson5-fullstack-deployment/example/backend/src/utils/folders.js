@@ -0,0 +1,48 @@
+import Folder from '../models/Folder.js';
+import Upload from '../models/Upload.js';
+
+/**
+ * A folder of `userId`, for filing that user's files. Null when there is no
+ * such folder, including when it belongs to someone else.
+ *
+ * @param {string|import('mongoose').Types.ObjectId} folderId
+ * @param {import('mongoose').Types.ObjectId} userId
+ * @returns {Promise<Object|null>} Folder document
+ */
+export const findUserFolder = (folderId, userId) => Folder.findOne({ _id: folderId, userId });
+
+/**
+ * Whether `folderId` is `ancestorId` or lies somewhere below it. Used to
+ * refuse moving a folder into itself.
+ *
+ * @param {import('mongoose').Types.ObjectId|null} folderId
+ * @param {import('mongoose').Types.ObjectId} ancestorId
+ * @returns {Promise<boolean>}
+ */
+export const isWithinFolder = async (folderId, ancestorId) => {
+  let current = folderId;
+  while (current) {
+    if (current.toString() === ancestorId.toString()) return true;
+    const folder = await Folder.findById(current).select('parent').lean();
+    current = folder?.parent;
+  }
+  return false;
+};
+
+// Number of files directly in each of the user's folders, keyed by folder id
+export const countFilesByFolder = async (userId) => {
+  const counts = await Upload.aggregate([
+    { $match: { userId, folder: { $ne: null } } },
+    { $group: { _id: '$folder', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Whether a folder still holds files or other folders
+export const isFolderEmpty = async (folder) => {
+  const [files, folders] = await Promise.all([
+    Upload.countDocuments({ folder: folder._id }),
+    Folder.countDocuments({ parent: folder._id })
+  ]);
+  return files === 0 && folders === 0;
+};
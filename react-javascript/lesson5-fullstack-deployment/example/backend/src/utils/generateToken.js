@@ -1,7 +1,25 @@
 import jwt from 'jsonwebtoken';
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Short-lived access token. `sessionId` ties it to a server-side session so
+// that logging out revokes the token before it expires.
+export const generateToken = (id, sessionId) => {
+  const payload = sessionId ? { id, sid: sessionId } : { id };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+  });
+};
+
+// Single-purpose token (2FA challenge, Google linking, OAuth state). The
+// purpose doubles as the audience, so it is never accepted as an access token.
+export const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, {
+    audience: purpose,
+    expiresIn
   });
 };
+
+// Throws unless the token was issued for `purpose` and has not expired
+export const verifyPurposeToken = (token, purpose) => {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+};
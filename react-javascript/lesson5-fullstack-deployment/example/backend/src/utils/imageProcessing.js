@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import path from 'path';
+import sharp from 'sharp';
+import Product from '../models/Product.js';
+import Upload from '../models/Upload.js';
+import { getStorage, readFile, uploadKey } from './storage/index.js';
+
+// Re-encoded in their own format; GIFs are kept as uploaded so animations survive
+const PROCESSED_TYPES = ['image/jpeg', 'image/png'];
+
+const PLACEHOLDER_WIDTH = 16;
+
+// A claim this old belongs to a process that died while working on it
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+const maxDimension = () => parseInt(process.env.IMAGE_MAX_DIMENSION) || 2048;
+
+const variantWidths = () => (process.env.IMAGE_VARIANT_WIDTHS || '160,320,640,1024')
+  .split(',')
+  .map((width) => parseInt(width))
+  .filter((width) => width > 0)
+  .sort((a, b) => a - b);
+
+const processingIntervalMinutes = () => parseInt(process.env.IMAGE_PROCESSING_INTERVAL_MINUTES) || 5;
+
+export const isProcessableImage = (mimetype) => PROCESSED_TYPES.includes(mimetype);
+
+const sourceFormat = (upload) => (upload.mimetype === 'image/png' ? 'png' : 'jpeg');
+
+const encode = (image, format) => {
+  switch (format) {
+    case 'png':
+      return image.png({ compressionLevel: 9 });
+    case 'webp':
+      return image.webp({ quality: 80 });
+    default:
+      return image.jpeg({ quality: 82, mozjpeg: true });
+  }
+};
+
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// e.g. `file-1700000000000-123456789-w320.webp`
+const variantFilename = (filename, width, format) =>
+  `${path.parse(filename).name}-w${width}.${format === 'jpeg' ? 'jpg' : format}`;
+
+// Variants are kept next to the original, public or private like it
+export const removeImageVariants = (upload, variants = upload.image?.variants || []) =>
+  Promise.all(variants.map((variant) => getStorage().delete(uploadKey(variant.filename, upload.visibility))));
+
+/**
+ * Re-encode an uploaded image and write its resized copies. The stored file
+ * is turned upright, stripped of EXIF and other metadata and capped at
+ * IMAGE_MAX_DIMENSION pixels; every width in IMAGE_VARIANT_WIDTHS below its
+ * own width gets a copy in the original format and one in WebP.
+ *
+ * @param {Object} upload - Upload document of a JPEG or PNG image
+ * @returns {Promise<{ size: number, checksum: string, image: Object }>} Fields to store on the upload
+ */
+export const processImage = async (upload) => {
+  const format = sourceFormat(upload);
+  const max = maxDimension();
+  const write = (filename, data, dataFormat) =>
+    getStorage().put(uploadKey(filename, upload.visibility), data, { contentType: CONTENT_TYPES[dataFormat] });
+
+  const source = await readFile(upload.key);
+  if (!source) {
+    throw new Error('Stored file is missing');
+  }
+
+  // rotate() applies the EXIF orientation; sharp drops metadata unless asked to keep it
+  const { data, info } = await encode(
+    sharp(source)
+      .rotate()
+      .resize({ width: max, height: max, fit: 'inside', withoutEnlargement: true }),
+    format
+  ).toBuffer({ resolveWithObject: true });
+
+  const variants = [];
+  const addVariant = async (width, variantFormat, image) => {
+    const output = await encode(image, variantFormat).toBuffer();
+    const filename = variantFilename(upload.filename, width, variantFormat);
+    await write(filename, output, variantFormat);
+    variants.push({ width, format: variantFormat, filename, size: output.length });
+  };
+
+  for (const width of variantWidths().filter((width) => width < info.width)) {
+    await addVariant(width, format, sharp(data).resize({ width }));
+    await addVariant(width, 'webp', sharp(data).resize({ width }));
+  }
+  // The full-size image needs no copy in its own format, only in WebP
+  await addVariant(info.width, 'webp', sharp(data));
+
+  const placeholder = await sharp(data)
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  // The original is replaced last, so an interrupted run can simply start over
+  await write(upload.filename, data, format);
+
+  return {
+    size: data.length,
+    checksum: crypto.createHash('sha256').update(data).digest('hex'),
+    image: {
+      status: 'ready',
+      width: info.width,
+      height: info.height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      variants,
+      error: ''
+    }
+  };
+};
+
+/**
+ * What a product whose image is the upload exposes as `imageVariants`, or
+ * null while the image is not processed.
+ *
+ * @param {Object|null} upload - Upload document
+ * @returns {{ srcset: string, webpSrcset: string, placeholder: string, width: number, height: number }|null}
+ */
+export const productImageVariants = (upload) => {
+  if (upload?.image?.status !== 'ready') return null;
+
+  const srcset = (format) => upload.image.variants
+    .filter((variant) => variant.format === format)
+    .map((variant) => `/uploads/${variant.filename} ${variant.width}w`);
+
+  return {
+    srcset: [...srcset(sourceFormat(upload)), `/uploads/${upload.filename} ${upload.image.width}w`].join(', '),
+    webpSrcset: srcset('webp').join(', '),
+    placeholder: upload.image.placeholder,
+    width: upload.image.width,
+    height: upload.image.height
+  };
+};
+
+// Process the oldest pending image; false when there is none
+const processNext = async () => {
+  const upload = await Upload.findOneAndUpdate(
+    { 'image.status': 'pending' },
+    { 'image.status': 'processing' },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  if (!upload) return false;
+
+  try {
+    const result = await processImage(upload);
+    const updated = await Upload.findOneAndUpdate(
+      { _id: upload._id, 'image.status': 'processing' },
+      result,
+      { new: true }
+    );
+
+    // Deleted while it was being processed
+    if (!updated) {
+      await removeImageVariants(upload, result.image.variants);
+      return true;
+    }
+
+    await Product.updateMany({ image: updated.url }, { imageVariants: productImageVariants(updated) });
+  } catch (error) {
+    console.error(`Image processing error for ${upload.filename}:`, error);
+    await Upload.updateOne(
+      { _id: upload._id, 'image.status': 'processing' },
+      { 'image.status': 'failed', 'image.error': error.message }
+    );
+  }
+  return true;
+};
+
+let running = false;
+let requested = false;
+
+/**
+ * Work through pending images one at a time. Calls made while a run is in
+ * progress make it look for new images once more before it stops.
+ */
+export const processPendingImages = async () => {
+  requested = true;
+  if (running) return;
+
+  running = true;
+  try {
+    while (requested) {
+      requested = false;
+      while (await processNext()) {
+        // keep going until the queue is empty
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+// Start processing in the background, e.g. right after an upload
+export const queueImageProcessing = () => {
+  processPendingImages().catch((error) => {
+    console.error('Image processing error:', error);
+  });
+};
+
+// Put images back in the queue when the process working on them died
+const releaseStaleClaims = () =>
+  Upload.updateMany(
+    { 'image.status': 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+    { 'image.status': 'pending' }
+  );
+
+// Run the queue now and then periodically, picking up anything missed; returns the timer
+export const scheduleImageProcessing = () => {
+  const run = () => releaseStaleClaims()
+    .then(processPendingImages)
+    .catch((error) => {
+      console.error('Image processing error:', error);
+    });
+
+  run();
+  const timer = setInterval(run, processingIntervalMinutes() * 60 * 1000);
+  // Do not keep the process alive just for the queue
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,357 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import StockReservation from '../models/StockReservation.js';
+import { recordActivity } from './activity.js';
+import { notify } from './notifications.js';
+
+export const reservationTtlMinutes = () => parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+/**
+ * Record a stock movement and apply it to the product's stock.
+ * Stock never goes below zero, and sales cannot take units that are
+ * held by reservations. A sale that fulfils a reservation takes its units
+ * out of stock and out of the reserved count together.
+ *
+ * @param {Object} movement
+ * @param {mongoose.Types.ObjectId|string} movement.productId
+ * @param {'receipt'|'sale'|'adjustment'|'return'} movement.type
+ * @param {number} movement.quantity - Signed change in units
+ * @param {string} [movement.reason]
+ * @param {mongoose.Types.ObjectId} [movement.actor]
+ * @param {Object} [movement.reservation] - Reservation fulfilled by this sale, already claimed
+ * @returns {Promise<{ error?: string, movement?: Object, product?: Object }>}
+ */
+export const recordMovement = async ({ productId, type, quantity, reason = '', actor = null, reservation = null }) => {
+  const filter = { _id: productId, deletedAt: null };
+  const change = { stock: quantity };
+
+  if (reservation) {
+    change.reserved = quantity;
+    filter.stock = { $gte: -quantity };
+  } else if (type === 'sale') {
+    // Units held for pending orders are not available to other sales
+    filter.$expr = { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, -quantity] };
+  } else if (quantity < 0) {
+    filter.stock = { $gte: -quantity };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, { $inc: change }, { new: true });
+
+  if (!product) {
+    const exists = await Product.exists({ _id: productId, deletedAt: null });
+    return { error: exists ? 'Insufficient available stock' : 'Product not found' };
+  }
+
+  try {
+    const movement = await StockMovement.create({
+      productId,
+      type,
+      quantity,
+      balanceAfter: product.stock,
+      reason,
+      reservationId: reservation?._id || null,
+      actor
+    });
+
+    const previousStock = product.stock - quantity;
+    await recordActivity({
+      type: 'stock_change',
+      description: `Stock of "${product.name}" went from ${previousStock} to ${product.stock}`,
+      actor,
+      data: { productId: product._id, previousStock, stock: product.stock }
+    });
+
+    // Tell the owner once, when stock drops to the reorder threshold
+    if (previousStock > product.reorderThreshold && product.stock <= product.reorderThreshold) {
+      await notify(product.userId, {
+        type: 'low_stock',
+        title: `Low stock: ${product.name}`,
+        message: `"${product.name}" is down to ${product.stock} in stock, at or below its reorder threshold of ${product.reorderThreshold}.`,
+        link: '/products',
+        data: { productId: product._id, stock: product.stock, reorderThreshold: product.reorderThreshold }
+      });
+    }
+    return { movement, product };
+  } catch (error) {
+    // Keep the stock in line with the ledger
+    const undo = reservation ? { stock: -quantity, reserved: -quantity } : { stock: -quantity };
+    await Product.updateOne({ _id: productId }, { $inc: undo });
+    throw error;
+  }
+};
+
+/**
+ * Hold units of a product for a pending order. Checking what is available
+ * and holding it is one conditional update of the product's `reserved`
+ * count, so parallel reservations can never hold more than is in stock.
+ *
+ * @param {Object} params
+ * @param {mongoose.Types.ObjectId|string} params.productId
+ * @param {number} params.quantity
+ * @param {string} params.orderRef - Order the units are held for
+ * @param {Date} [params.expiresAt] - Defaults to RESERVATION_TTL_MINUTES from now
+ * @param {mongoose.Types.ObjectId} [params.actor]
+ * @returns {Promise<{ error?: string, available?: number, reservation?: Object }>}
+ */
+export const reserveStock = async ({ productId, quantity, orderRef, expiresAt, actor = null }) => {
+  const product = await Product.findOneAndUpdate(
+    {
+      _id: productId,
+      deletedAt: null,
+      $expr: { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, quantity] }
+    },
+    { $inc: { reserved: quantity } },
+    { new: true }
+  );
+
+  if (!product) {
+    const current = await Product.findOne({ _id: productId, deletedAt: null }).select('stock reserved').lean();
+    if (!current) return { error: 'Product not found' };
+    return { error: 'Insufficient available stock', available: Math.max(current.stock - (current.reserved || 0), 0) };
+  }
+
+  try {
+    const reservation = await StockReservation.create({
+      productId,
+      quantity,
+      orderRef,
+      expiresAt: expiresAt || new Date(Date.now() + reservationTtlMinutes() * 60 * 1000),
+      createdBy: actor
+    });
+    return { reservation };
+  } catch (error) {
+    await Product.updateOne({ _id: productId }, { $inc: { reserved: -quantity } });
+    throw error;
+  }
+};
+
+/**
+ * Release an active reservation matching `filter` without selling.
+ *
+ * @returns {Promise<Object|null>} The released reservation, or null when none was active
+ */
+export const releaseReservation = async (filter) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status: 'released' },
+    { new: true }
+  );
+
+  if (reservation) {
+    await Product.updateOne(
+      { _id: reservation.productId, reserved: { $gte: reservation.quantity } },
+      { $inc: { reserved: -reservation.quantity } }
+    );
+  }
+  return reservation;
+};
+
+/**
+ * Turn an active reservation matching `filter` into a sale. The reservation
+ * is claimed first, so two requests cannot both sell it; when the sale
+ * fails it becomes active again.
+ *
+ * @returns {Promise<{ error?: string, reservation?: Object, movement?: Object, product?: Object }>}
+ */
+export const fulfillReservation = async (filter, { actor = null } = {}) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status: 'fulfilled' },
+    { new: true }
+  );
+  if (!reservation) {
+    return { error: 'Active reservation not found' };
+  }
+
+  let result;
+  try {
+    result = await recordMovement({
+      productId: reservation.productId,
+      type: 'sale',
+      quantity: -reservation.quantity,
+      reason: `Order ${reservation.orderRef}`,
+      actor,
+      reservation
+    });
+  } catch (error) {
+    await StockReservation.updateOne({ _id: reservation._id, status: 'fulfilled' }, { status: 'active' });
+    throw error;
+  }
+
+  if (result.error) {
+    await StockReservation.updateOne({ _id: reservation._id, status: 'fulfilled' }, { status: 'active' });
+    return { error: result.error, reservation };
+  }
+  return { ...result, reservation };
+};
+
+/**
+ * Reserve several products for one order: either every item is held or,
+ * when one of them runs short, the holds already made are released and
+ * nothing changes.
+ *
+ * @param {Array<{ productId: mongoose.Types.ObjectId|string, quantity: number }>} items
+ * @param {{ orderRef: string, actor?: mongoose.Types.ObjectId }} options
+ * @returns {Promise<{ error?: string, productId?: mongoose.Types.ObjectId|string }>}
+ */
+export const reserveItems = async (items, { orderRef, actor = null }) => {
+  const expiresAt = new Date(Date.now() + reservationTtlMinutes() * 60 * 1000);
+
+  try {
+    for (const item of items) {
+      const result = await reserveStock({ productId: item.productId, quantity: item.quantity, orderRef, expiresAt, actor });
+
+      if (result.error) {
+        await releaseOrderReservations(orderRef);
+        return { error: result.error, productId: item.productId };
+      }
+    }
+  } catch (error) {
+    await releaseOrderReservations(orderRef);
+    throw error;
+  }
+
+  return {};
+};
+
+export const releaseOrderReservations = async (orderRef) => {
+  const reservations = await StockReservation.find({ orderRef, status: 'active' }).select('_id').lean();
+  for (const { _id } of reservations) {
+    await releaseReservation({ _id });
+  }
+};
+
+/**
+ * Sell the units held for a paid order, whether or not the holds expired
+ * in the meantime: the customer has paid. A hold that cannot be sold (stock
+ * was adjusted below it) is released and reported.
+ *
+ * @returns {Promise<string[]>} Errors of the holds that could not be sold
+ */
+export const fulfillOrderReservations = async (orderRef, { actor = null } = {}) => {
+  const reservations = await StockReservation.find({ orderRef, status: 'active' }).select('_id').lean();
+  const errors = [];
+
+  for (const { _id } of reservations) {
+    const result = await fulfillReservation({ _id }, { actor });
+    if (result.error) {
+      await releaseReservation({ _id });
+      errors.push(result.error);
+    }
+  }
+  return errors;
+};
+
+// Orders placed before reservations sold their items at checkout and have none
+export const hasReservations = (orderRef) => StockReservation.exists({ orderRef });
+
+export const findExpiredReservations = () =>
+  StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } }).lean();
+
+// Rebuild every product's reserved count from the active reservations,
+// e.g. for reservations made before the count existed
+export const syncReservedCounts = async () => {
+  const totals = await StockReservation.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$productId', reserved: { $sum: '$quantity' } } }
+  ]);
+
+  await Product.updateMany({ _id: { $nin: totals.map((total) => total._id) }, reserved: { $ne: 0 } }, { reserved: 0 });
+  if (totals.length > 0) {
+    await Product.bulkWrite(totals.map((total) => ({
+      updateOne: { filter: { _id: total._id }, update: { reserved: total.reserved } }
+    })));
+  }
+};
+
+// Put sold units back into stock, e.g. when an order is cancelled
+export const returnItems = async (items, { reason, actor = null }) => {
+  for (const item of items) {
+    await recordMovement({
+      productId: item.productId,
+      type: 'return',
+      quantity: item.quantity,
+      reason,
+      actor
+    });
+  }
+};
+
+// Adjust stock to an absolute value, e.g. when a product is edited or reverted
+export const setStockTo = async ({ product, stock, reason, actor }) => {
+  const quantity = stock - product.stock;
+  if (quantity === 0) return { product };
+
+  return recordMovement({ productId: product._id, type: 'adjustment', quantity, reason, actor });
+};
+
+// Ledger entries for stock that products were created with
+export const recordOpeningStock = async (products, { reason = 'Initial stock', actor = null } = {}) => {
+  const movements = products
+    .filter((product) => product.stock > 0)
+    .map((product) => ({
+      productId: product._id,
+      type: 'receipt',
+      quantity: product.stock,
+      balanceAfter: product.stock,
+      reason,
+      actor
+    }));
+
+  if (movements.length > 0) {
+    await StockMovement.insertMany(movements);
+  }
+};
+
+// Give products created before the ledger existed an opening balance
+export const ensureOpeningBalances = async () => {
+  const withMovements = await StockMovement.distinct('productId');
+  const products = await Product.find({ _id: { $nin: withMovements }, stock: { $gt: 0 } })
+    .select('stock')
+    .lean();
+
+  await recordOpeningStock(products, { reason: 'Opening balance' });
+};
+
+// Sum of all movements of a product
+export const ledgerBalance = async (productId) => {
+  const [result] = await StockMovement.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: null, balance: { $sum: '$quantity' } } }
+  ]);
+  return result?.balance || 0;
+};
+
+/**
+ * Products at or below their reorder threshold, lowest stock first.
+ * The suggested quantity is `reorderQuantity`, or enough to get back to
+ * twice the threshold when none is set.
+ *
+ * @param {{ limit?: number, userId?: mongoose.Types.ObjectId }} [options]
+ */
+export const getReorderSuggestions = async ({ limit = 10, userId } = {}) => {
+  const filter = {
+    deletedAt: null,
+    $expr: { $lte: ['$stock', '$reorderThreshold'] }
+  };
+  if (userId) filter.userId = userId;
+
+  const products = await Product.find(filter)
+    .sort({ stock: 1, name: 1 })
+    .limit(limit)
+    .select('name category stock reserved reorderThreshold reorderQuantity')
+    .lean();
+
+  return products.map((product) => {
+    const held = product.reserved || 0;
+    return {
+      ...product,
+      reserved: held,
+      available: Math.max(product.stock - held, 0),
+      suggestedQuantity: product.reorderQuantity > 0
+        ? product.reorderQuantity
+        : Math.max(product.reorderThreshold * 2 - product.stock + held, 1)
+    };
+  });
+};
@@ -0,0 +1,73 @@
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} LiveEvent
+ * @property {string} id - Activity id, sent as the SSE event id
+ * @property {string} type - One of ACTIVITY_TYPES
+ * @property {string} description - Shown as-is in the dashboard's recent activity
+ * @property {string} timestamp - ISO date
+ * @property {string|null} actor - User who caused the event
+ * @property {Object} data - Details the dashboard uses to update its counters
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const bus = new EventEmitter();
+// Every open dashboard is a listener
+bus.setMaxListeners(0);
+
+// Tell every connected dashboard about a stored activity
+export const publishLiveEvent = (activity) => {
+  bus.emit('event', {
+    id: activity._id.toString(),
+    type: activity.type,
+    description: activity.description,
+    timestamp: activity.timestamp.toISOString(),
+    actor: activity.actor?.toString() || null,
+    data: activity.data
+  });
+};
+
+export const subscribeLiveEvents = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+/**
+ * Stream live events to the client as Server-Sent Events until it
+ * disconnects or `expiresAt` passes, after which it reconnects with a
+ * fresh access token.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ expiresAt?: Date, filter?: (event: LiveEvent) => boolean }} [options]
+ */
+export const streamLiveEvents = (req, res, { expiresAt, filter = () => true } = {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeLiveEvents((event) => {
+    if (!filter(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const expiry = expiresAt
+    ? setTimeout(() => res.end(), Math.max(expiresAt.getTime() - Date.now(), 0))
+    : null;
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+};
@@ -0,0 +1,43 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+
+const IP_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+export const maxAccountAttempts = () => parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+export const lockDurationMs = () => (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const maxIpAttempts = () => parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_IP) || 20;
+
+// Failed logins from an IP in the current window
+export const countRecentIpFailures = (ip) => {
+  return LoginAttempt.countDocuments({
+    ip,
+    success: false,
+    createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MS) }
+  });
+};
+
+export const isIpBlocked = (failures) => failures >= maxIpAttempts();
+
+// 0s for the first failure, then 0.5s, 1s, 2s, ... capped at 8s
+export const progressiveDelayMs = (failures) => {
+  if (failures <= 1) return 0;
+  return Math.min(500 * 2 ** (failures - 2), 8000);
+};
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const recordLoginAttempt = async ({ req, user, email, success, reason = null, method = 'password' }) => {
+  try {
+    await LoginAttempt.create({
+      userId: user?._id || null,
+      email: email || user?.email || '',
+      ip: req.ip,
+      userAgent: req.get('user-agent') || '',
+      method,
+      success,
+      reason
+    });
+  } catch (error) {
+    // History must never break the login itself
+    console.error('Record login attempt error:', error);
+  }
+};
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain-text body
+ * @property {string} [html] - Optional HTML body
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name - Transport name
+ * @property {(message: MailMessage) => Promise<void>} send - Deliver a message
+ */
+
+// Print messages to the server log (local development)
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Mail to:', message.to);
+    console.log('📧 Subject:', message.subject);
+    console.log(message.text);
+  }
+});
+
+// Write each message as a JSON file, so tests can read links back out
+export const createFileTransport = (outboxDir = path.join(process.cwd(), 'mail-outbox')) => ({
+  name: 'file',
+  send: async (message) => {
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const payload = { ...message, sentAt: new Date().toISOString() };
+    await fs.promises.writeFile(path.join(outboxDir, filename), JSON.stringify(payload, null, 2));
+  }
+});
+
+const transports = {
+  console: createConsoleTransport,
+  file: () => createFileTransport(process.env.MAIL_OUTBOX_DIR)
+};
+
+let activeTransport = null;
+
+// Use a custom transport (e.g. an SMTP client or a test double)
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * @param {MailMessage} message
+ */
+export const sendMail = async (message) => {
+  const from = process.env.MAIL_FROM || 'React Course Demo <no-reply@example.com>';
+  await getMailTransport().send({ from, ...message });
+};
@@ -0,0 +1,73 @@
+import Notification, { DEFAULT_NOTIFICATION_PREFERENCES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendMail } from './mailer.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Stored choices over the defaults, so types added later still have a value
+export const resolvePreferences = (stored = {}) =>
+  Object.fromEntries(Object.entries(DEFAULT_NOTIFICATION_PREFERENCES).map(([type, channels]) => [
+    type,
+    { ...channels, ...stored?.[type] }
+  ]));
+
+/**
+ * Notify a user on the channels they chose for this type. Like the activity
+ * feed, a notification that cannot be delivered never fails the change itself.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} userId - Recipient
+ * @param {Object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} [notification.message]
+ * @param {string} [notification.link] - Frontend path, e.g. `/products`
+ * @param {Object} [notification.data]
+ * @returns {Promise<Object|null>} The in-app notification, when one was stored
+ */
+export const notify = async (userId, { type, title, message = '', link = '', data = {} }) => {
+  try {
+    const user = await User.findById(userId).select('name email isActive notificationPreferences').lean();
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const channels = resolvePreferences(user.notificationPreferences)[type];
+    let notification = null;
+
+    if (channels.inApp) {
+      notification = await Notification.create({ userId: user._id, type, title, message, link, data });
+    }
+
+    if (channels.email) {
+      const url = link ? `${frontendUrl()}${link}` : '';
+      await sendMail({
+        to: user.email,
+        subject: title,
+        text: `Hi ${user.name},\n\n${message}${url ? `\n\n${url}` : ''}`
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Notify error:', error);
+    return null;
+  }
+};
+
+// Sign-in and account protection changes, linked to the profile page
+export const notifySecurityEvent = (userId, title, message, data = {}) =>
+  notify(userId, {
+    type: 'security',
+    title,
+    message: `${message} If this wasn't you, reset your password and sign out everywhere from your profile.`,
+    link: '/profile',
+    data
+  });
+
+export const notifyAccountLocked = (user) =>
+  notifySecurityEvent(
+    user._id,
+    'Your account was locked',
+    `Sign-in is blocked until ${user.lockUntil.toUTCString()} after too many failed attempts.`,
+    { lockUntil: user.lockUntil }
+  );
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import {
+  returnItems,
+  hasReservations,
+  releaseOrderReservations,
+  fulfillOrderReservations,
+  findExpiredReservations,
+  releaseReservation
+} from './inventory.js';
+import { releaseCoupon } from './pricing.js';
+
+// Statuses in which the ordered units are back on the shelf
+const RESTOCKING = ['cancelled', 'failed'];
+
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Move an order to another status if it is still in `from`, so two
+ * concurrent changes (or a repeated webhook) cannot both apply. A paid
+ * order sells the items reserved for it. Cancelled and failed orders
+ * release their reservations and free their coupon; a refund before the
+ * order was shipped puts its items back in stock.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} orderId
+ * @param {string} from - Status the order must currently have
+ * @param {string} to - New status
+ * @param {{ actor?: import('mongoose').Types.ObjectId }} [options]
+ * @returns {Promise<Object|null>} The updated order, or null when its status had changed
+ */
+export const transitionOrder = async (orderId, from, to, { actor = null } = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: from },
+    {
+      status: to,
+      $push: { statusHistory: { status: to, changedBy: actor } }
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    return null;
+  }
+
+  const orderRef = order._id.toString();
+
+  if (to === 'paid') {
+    const errors = await fulfillOrderReservations(orderRef, { actor });
+    if (errors.length > 0) {
+      console.error(`Order ${orderRef} was paid but not all reserved items could be sold: ${errors.join(', ')}`);
+    }
+  }
+
+  if (RESTOCKING.includes(to)) {
+    // Orders placed before reservations sold their items at checkout
+    if (await hasReservations(orderRef)) {
+      await releaseOrderReservations(orderRef);
+    } else {
+      await returnItems(order.items, { reason: `Order ${orderRef} ${to}`, actor });
+    }
+  }
+
+  if (to === 'refunded' && from === 'paid') {
+    await returnItems(order.items, { reason: `Order ${orderRef} ${to}`, actor });
+  }
+
+  if (RESTOCKING.includes(to) && order.couponCode) {
+    await releaseCoupon(order.couponCode, order.userId);
+  }
+
+  return order;
+};
+
+/**
+ * Cancel pending orders whose reservations expired, which releases them,
+ * and release expired reservations that were not made for an order.
+ * Holds of orders that were paid in the meantime are left for the payment
+ * to sell.
+ *
+ * @returns {Promise<number>} Number of cancelled orders
+ */
+export const expireReservations = async () => {
+  let cancelled = 0;
+
+  for (const reservation of await findExpiredReservations()) {
+    const order = mongoose.isValidObjectId(reservation.orderRef)
+      ? await Order.findById(reservation.orderRef).select('status').lean()
+      : null;
+
+    if (!order) {
+      await releaseReservation({ _id: reservation._id });
+    } else if (order.status === 'pending' && await transitionOrder(order._id, 'pending', 'cancelled')) {
+      cancelled++;
+    }
+  }
+
+  if (cancelled > 0) {
+    console.log(`⏰ Cancelled ${cancelled} unpaid order(s) whose reservation expired`);
+  }
+  return cancelled;
+};
+
+// Run the expiry now and then every minute; returns the timer
+export const scheduleReservationExpiry = () => {
+  const run = () => expireReservations().catch((error) => {
+    console.error('Reservation expiry error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, EXPIRY_INTERVAL_MS);
+  // Do not keep the process alive just for the expiry
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+
+/**
+ * @typedef {Object} PaymentRequest
+ * @property {number} amount - Amount to charge
+ * @property {string} currency - ISO currency code
+ * @property {string} reference - Our order id, echoed back in webhooks
+ * @property {string} paymentMethod - Card number or token from the checkout form
+ * @property {string} returnUrl - Where to send the customer after a redirect
+ */
+
+/**
+ * @typedef {Object} PaymentResult
+ * @property {string} id - Provider payment id
+ * @property {'processing'|'requires_action'} status - The outcome arrives by webhook
+ * @property {string} [redirectUrl] - Page where the customer confirms the payment
+ */
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} id - Event id, unique per provider
+ * @property {'payment.succeeded'|'payment.failed'} type
+ * @property {{ paymentId: string, reference: string, failureReason?: string }} data
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Provider name
+ * @property {(request: PaymentRequest) => Promise<PaymentResult>} createPayment
+ * @property {(refund: { paymentId: string, amount: number }) => Promise<{ id: string }>} refund
+ * @property {(rawBody: Buffer, signature: string) => WebhookEvent|null} verifyWebhook - null when the signature is invalid
+ */
+
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Outside production an unset secret is replaced by a random one per process,
+// which is all the in-process fake provider needs. Production has no fallback.
+const developmentSecret = crypto.randomBytes(32).toString('hex');
+
+const webhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  return isProduction() ? null : developmentSecret;
+};
+
+// Signature header in the form `t=<unix seconds>,v1=<hex hmac of "t.body">`
+export const signWebhook = (body, secret = webhookSecret(), timestamp = Math.floor(Date.now() / 1000)) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+};
+
+export const verifyWebhookSignature = (rawBody, header, secret = webhookSecret()) => {
+  if (!secret) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=')));
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = signWebhook(rawBody.toString(), secret, timestamp).split('v1=')[1];
+  const received = Buffer.from(parts.v1, 'hex');
+  return received.length === expected.length / 2 && crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'));
+};
+
+// Card numbers the fake provider understands; anything else is declined
+export const FAKE_TEST_CARDS = {
+  '4242424242424242': 'success',
+  '4000000000000002': 'decline',
+  '4000000000003220': 'three_d_secure'
+};
+
+/**
+ * A provider that runs in this process and never leaves the machine.
+ * Outcomes are delivered to our own webhook endpoint, signed like a real
+ * provider would, so the whole flow can be exercised offline.
+ */
+export const createFakeProvider = ({
+  webhookUrl = `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`,
+  publicUrl = process.env.PAYMENT_FAKE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+  delayMs = 500
+} = {}) => {
+  const payments = new Map();
+
+  const sendWebhook = async (type, payment, extra = {}) => {
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data: { paymentId: payment.id, reference: payment.reference, ...extra }
+    };
+    const body = JSON.stringify(event);
+
+    // Retried like a real provider would, with the same event id
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        const response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Payment-Signature': signWebhook(body) },
+          body
+        });
+        if (response.ok) return;
+        console.error(`Fake payment webhook ${type} rejected with status ${response.status}`);
+      } catch (error) {
+        console.error('Fake payment webhook delivery failed:', error.message);
+      }
+      await new Promise((resolve) => setTimeout(resolve, delayMs * attempt * 2));
+    }
+  };
+
+  const settle = (payment, outcome) => {
+    payment.status = outcome === 'success' ? 'succeeded' : 'failed';
+    setTimeout(() => {
+      if (outcome === 'success') {
+        sendWebhook('payment.succeeded', payment);
+      } else {
+        sendWebhook('payment.failed', payment, { failureReason: outcome === 'decline' ? 'Card declined' : 'Authentication failed' });
+      }
+    }, delayMs).unref();
+  };
+
+  return {
+    name: 'fake',
+
+    createPayment: async ({ amount, currency, reference, paymentMethod, returnUrl }) => {
+      const payment = {
+        id: `pay_${crypto.randomBytes(12).toString('hex')}`,
+        amount,
+        currency,
+        reference,
+        returnUrl,
+        status: 'processing'
+      };
+      payments.set(payment.id, payment);
+
+      const outcome = FAKE_TEST_CARDS[String(paymentMethod).replace(/\s/g, '')] || 'decline';
+
+      if (outcome === 'three_d_secure') {
+        payment.status = 'requires_action';
+        return { id: payment.id, status: 'requires_action', redirectUrl: `${publicUrl}/api/payments/fake/3ds/${payment.id}` };
+      }
+
+      settle(payment, outcome);
+      return { id: payment.id, status: 'processing' };
+    },
+
+    // Called from the fake 3-D Secure page; resolves with the page to return to
+    completeAction: async (paymentId, approved) => {
+      const payment = payments.get(paymentId);
+      if (!payment || payment.status !== 'requires_action') {
+        return null;
+      }
+      settle(payment, approved ? 'success' : 'authentication_failed');
+      return { returnUrl: payment.returnUrl, amount: payment.amount, currency: payment.currency };
+    },
+
+    getPendingAction: (paymentId) => {
+      const payment = payments.get(paymentId);
+      return payment?.status === 'requires_action' ? payment : null;
+    },
+
+    refund: async ({ paymentId, amount }) => {
+      const payment = payments.get(paymentId);
+      if (payment && payment.status !== 'succeeded') {
+        throw new Error('Only succeeded payments can be refunded');
+      }
+      if (payment) payment.status = 'refunded';
+      return { id: `re_${crypto.randomBytes(12).toString('hex')}`, amount };
+    },
+
+    verifyWebhook: (rawBody, signature) => {
+      if (!verifyWebhookSignature(rawBody, signature)) {
+        return null;
+      }
+      return JSON.parse(rawBody.toString());
+    }
+  };
+};
+
+const providers = {
+  fake: createFakeProvider
+};
+
+let activeProvider = null;
+
+// Use a custom provider (e.g. a real gateway client or a test double)
+export const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// Throws when production is missing PAYMENT_PROVIDER or PAYMENT_WEBHOOK_SECRET,
+// so a misconfigured deploy fails at startup instead of trusting forged webhooks
+export const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || (isProduction() ? null : 'fake');
+
+    if (!name) {
+      throw new Error('PAYMENT_PROVIDER must be set in production');
+    }
+
+    if (!webhookSecret()) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+    }
+
+    const factory = providers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
@@ -0,0 +1,240 @@
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import CouponUsage from '../models/CouponUsage.js';
+import TaxRate from '../models/TaxRate.js';
+import ShippingRule from '../models/ShippingRule.js';
+import Order from '../models/Order.js';
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Most specific first: 'US-CA' → ['US-CA', 'US', '*']
+export const regionCandidates = (region = '*') => {
+  const code = String(region).trim().toUpperCase();
+  if (!code || code === '*') return ['*'];
+
+  const [country, subdivision] = code.split('-');
+  return subdivision ? [code, country, '*'] : [country, '*'];
+};
+
+/**
+ * Turn requested cart lines into priced order lines using the catalog, so
+ * nothing the client sends besides product ids and quantities is trusted.
+ *
+ * @param {Array<{ productId: string, quantity: number }>} requested
+ * @returns {Promise<{ error?: string, productId?: string, lines?: Object[] }>}
+ */
+export const buildLineItems = async (requested) => {
+  // The same product added twice counts as one line
+  const quantities = new Map();
+  for (const item of requested) {
+    quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+  }
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] }, deletedAt: null })
+    .select('name price image weight')
+    .lean();
+
+  if (products.length !== quantities.size) {
+    const found = new Set(products.map((product) => product._id.toString()));
+    const missing = [...quantities.keys()].find((id) => !found.has(id));
+    return { error: `Product ${missing} not found`, productId: missing };
+  }
+
+  return {
+    lines: products.map((product) => {
+      const quantity = quantities.get(product._id.toString());
+      return {
+        productId: product._id,
+        name: product.name,
+        price: product.price,
+        quantity,
+        image: product.image,
+        weight: product.weight || 0,
+        lineTotal: roundMoney(product.price * quantity)
+      };
+    })
+  };
+};
+
+/**
+ * Look up a coupon and check that this user may use it on this subtotal.
+ *
+ * @returns {Promise<{ error?: string, coupon?: Object }>}
+ */
+export const checkCoupon = async (code, { subtotal, userId }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() }).lean();
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Invalid coupon code' };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'This coupon is not valid yet' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { error: 'This coupon has expired' };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has been used up' };
+  }
+  if (subtotal < coupon.minSubtotal) {
+    return { error: `This coupon needs a subtotal of at least $${coupon.minSubtotal.toFixed(2)}` };
+  }
+  // Shown early in the cart; claimCoupon enforces the limit atomically at checkout
+  if (coupon.perUserLimit !== null && userId) {
+    const used = await Order.countDocuments({ userId, couponCode: coupon.code, status: { $nin: ['cancelled', 'failed'] } });
+    if (used >= coupon.perUserLimit) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  return { coupon };
+};
+
+// Count one use by this customer unless they reached `limit`. The upsert
+// fails on the unique index when the counter exists but is full; a failure
+// can also mean a parallel checkout created the counter first, so it is
+// tried once more.
+const claimUserUse = async (code, userId, limit) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await CouponUsage.findOneAndUpdate(
+        { code, userId, count: { $lt: limit } },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+/**
+ * Count one use of a coupon, overall and for the customer, unless a limit
+ * was reached in the meantime.
+ *
+ * @returns {Promise<{ error?: string, coupon?: Object }>}
+ */
+export const claimCoupon = async (code, userId) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      code,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!coupon) {
+    return { error: 'This coupon has been used up' };
+  }
+
+  if (coupon.perUserLimit !== null && !(await claimUserUse(code, userId, coupon.perUserLimit))) {
+    await Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return { error: 'You have already used this coupon' };
+  }
+
+  return { coupon };
+};
+
+// Give back a use claimed by claimCoupon
+export const releaseCoupon = async (code, userId) => {
+  await Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponUsage.updateOne({ code, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+const byRegion = (candidates) => (a, b) => candidates.indexOf(a.region) - candidates.indexOf(b.region);
+
+// The tax rate of the most specific matching region
+export const findTaxRate = async (region) => {
+  const candidates = regionCandidates(region);
+  const rates = await TaxRate.find({ region: { $in: candidates } }).lean();
+  return rates.sort(byRegion(candidates))[0] || null;
+};
+
+// The first active rule, by priority then region, whose weight and subtotal bands match
+export const findShippingRule = async ({ region, weight, subtotal }) => {
+  const candidates = regionCandidates(region);
+  const rules = await ShippingRule.find({ isActive: true, region: { $in: candidates } }).lean();
+
+  return rules
+    .sort((a, b) => b.priority - a.priority || byRegion(candidates)(a, b) || a.cost - b.cost)
+    .find((rule) =>
+      weight >= rule.minWeight &&
+      (rule.maxWeight === null || weight < rule.maxWeight) &&
+      subtotal >= rule.minSubtotal &&
+      (rule.maxSubtotal === null || subtotal < rule.maxSubtotal)
+    ) || null;
+};
+
+/**
+ * Add the coupon discount, shipping and tax to priced lines. The same
+ * breakdown is shown in the cart and stored on the order.
+ *
+ * Tax is charged on the discounted subtotal, plus shipping when the tax
+ * rate says so. Shipping bands are matched against the discounted subtotal.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.lines - Result of `buildLineItems`
+ * @param {string} [params.couponCode]
+ * @param {string} [params.region]
+ * @param {import('mongoose').Types.ObjectId} [params.userId]
+ * @returns {Promise<{ breakdown: Object, couponError?: string }>}
+ */
+export const calculatePricing = async ({ lines, couponCode, region = '*', userId }) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const weight = lines.reduce((sum, line) => sum + line.weight * line.quantity, 0);
+
+  let coupon = null;
+  let couponError;
+  if (couponCode) {
+    const result = await checkCoupon(couponCode, { subtotal, userId });
+    coupon = result.coupon || null;
+    couponError = result.error;
+  }
+
+  let discount = 0;
+  if (coupon?.type === 'percentage') discount = roundMoney(subtotal * coupon.value / 100);
+  if (coupon?.type === 'fixed') discount = Math.min(coupon.value, subtotal);
+
+  const discounted = roundMoney(subtotal - discount);
+  const shippingRule = await findShippingRule({ region, weight, subtotal: discounted });
+  const shipping = coupon?.type === 'free_shipping' ? 0 : shippingRule?.cost || 0;
+
+  const taxRate = await findTaxRate(region);
+  const taxable = discounted + (taxRate?.appliesToShipping ? shipping : 0);
+  const tax = taxRate ? roundMoney(taxable * taxRate.rate / 100) : 0;
+
+  const total = roundMoney(discounted + shipping + tax);
+
+  const summary = [{ key: 'subtotal', label: 'Subtotal', amount: subtotal }];
+  if (coupon) {
+    const off = coupon.type === 'percentage'
+      ? `${coupon.value}% off`
+      : coupon.type === 'fixed' ? `$${coupon.value.toFixed(2)} off` : 'free shipping';
+    summary.push({ key: 'discount', label: `Coupon ${coupon.code} (${off})`, amount: -discount });
+  }
+  summary.push({ key: 'shipping', label: shippingRule?.name || 'Shipping', amount: shipping });
+  if (taxRate) {
+    summary.push({ key: 'tax', label: `${taxRate.name} (${taxRate.rate}%)`, amount: tax });
+  }
+  summary.push({ key: 'total', label: 'Total', amount: total });
+
+  return {
+    couponError,
+    breakdown: {
+      lines,
+      summary,
+      subtotal,
+      discount,
+      shipping,
+      tax,
+      total,
+      weight,
+      region: regionCandidates(region)[0],
+      couponCode: coupon?.code || null
+    }
+  };
+};
@@ -0,0 +1,129 @@
+import path from 'path';
+import Product from '../models/Product.js';
+import { parseCsv } from './csv.js';
+
+// Product fields that can be filled from an import file
+export const IMPORT_FIELDS = ['name', 'description', 'price', 'category', 'stock', 'image'];
+export const REQUIRED_FIELDS = ['name', 'description', 'price', 'category', 'stock'];
+
+export const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Read an uploaded CSV or JSON file into records keyed by column name.
+ *
+ * @param {{ buffer: Buffer, originalname: string }} file - multer memory file
+ * @returns {{ error?: string, format?: 'csv'|'json', columns?: string[], records?: Object[] }}
+ */
+export const parseImportFile = (file) => {
+  const format = path.extname(file.originalname).toLowerCase() === '.json' ? 'json' : 'csv';
+  const text = file.buffer.toString('utf8');
+
+  let columns;
+  let records;
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+
+    // Accept both a bare array and the `{ products: [...] }` shape of the export
+    records = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(records) || records.some((record) => typeof record !== 'object' || record === null)) {
+      return { error: 'JSON must be an array of product objects' };
+    }
+    columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  } else {
+    let rows;
+    try {
+      rows = parseCsv(text);
+    } catch (error) {
+      return { error: `Invalid CSV: ${error.message}` };
+    }
+    if (rows.length === 0) {
+      return { error: 'CSV file is empty' };
+    }
+
+    columns = rows[0].map((column) => column.trim());
+    records = rows.slice(1).map((cells) =>
+      Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+    );
+  }
+
+  if (records.length === 0) {
+    return { error: 'File contains no products' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Too many rows (${records.length}), at most ${MAX_IMPORT_ROWS} can be imported at once` };
+  }
+
+  return { format, columns, records };
+};
+
+// Map each product field to the file column of the same name, ignoring case and spaces
+export const guessMapping = (columns) => {
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+  return Object.fromEntries(
+    IMPORT_FIELDS
+      .map((field) => [field, columns.find((column) => normalize(column) === field)])
+      .filter(([, column]) => column)
+  );
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  return text === '' ? undefined : Number(text);
+};
+
+/**
+ * Validate records against the Product schema (category enum, min/max, ...).
+ * Row numbers are 1-based data rows, so row 1 is the first product.
+ *
+ * @param {Object[]} records
+ * @param {Object<string, string>} mapping - Product field -> file column
+ * @param {import('mongoose').Types.ObjectId} userId - Owner of the imported products
+ * @returns {{ valid: Object[], errors: { row: number, errors: Object<string, string> }[] }}
+ */
+export const validateRecords = (records, mapping, userId) => {
+  const valid = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const data = { userId };
+    for (const field of IMPORT_FIELDS) {
+      const column = mapping[field];
+      if (!column) continue;
+
+      const value = record[column];
+      if (field === 'price' || field === 'stock') {
+        data[field] = toNumber(value);
+      } else if (value !== undefined && value !== null) {
+        data[field] = String(value).trim();
+      }
+    }
+
+    const rowErrors = {};
+    const validationError = new Product(data).validateSync();
+    if (validationError) {
+      for (const [field, error] of Object.entries(validationError.errors)) {
+        rowErrors[field] = error.kind === 'Number'
+          ? `${field} must be a number`
+          : error.message;
+      }
+    }
+    if (data.stock !== undefined && !Number.isInteger(data.stock) && !rowErrors.stock) {
+      rowErrors.stock = 'stock must be a whole number';
+    }
+
+    if (Object.keys(rowErrors).length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+    } else {
+      valid.push(data);
+    }
+  });
+
+  return { valid, errors };
+};
@@ -0,0 +1,133 @@
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+export const SORT_FIELDS = ['createdAt', 'name', 'price', 'stock'];
+export const SELECTABLE_FIELDS = ['name', 'description', 'price', 'category', 'stock', 'image', 'imageVariants', 'userId', 'createdAt', 'updatedAt'];
+const CATEGORIES = Product.schema.path('category').enumValues;
+
+const MAX_LIMIT = 100;
+
+// Comma-separated list whose items must all be in `allowed`
+const csvList = (allowed) => Joi.string().custom((value, helpers) => {
+  const items = value.split(',').map((item) => item.trim()).filter(Boolean);
+  const unknown = items.find((item) => !allowed.includes(item));
+  if (unknown) {
+    return helpers.message(`Unknown value "${unknown}", expected one of: ${allowed.join(', ')}`);
+  }
+  return items;
+});
+
+const querySchema = Joi.object({
+  search: Joi.string().allow('').max(100),
+  // 'all' keeps the old single-select behaviour of the UI
+  category: Joi.alternatives().try(Joi.string().valid('all'), csvList(CATEGORIES)),
+  sortBy: Joi.string().valid(...SORT_FIELDS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT).default(20),
+  cursor: Joi.string(),
+  fields: csvList(SELECTABLE_FIELDS),
+  in_stock: Joi.boolean(),
+  price_min: Joi.number().min(0),
+  price_max: Joi.number().min(0),
+  stock_min: Joi.number().integer().min(0),
+  stock_max: Joi.number().integer().min(0),
+  created_after: Joi.date().iso(),
+  created_before: Joi.date().iso()
+});
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort key
+export const encodeCursor = (product, sortBy) => {
+  const value = product[sortBy];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    id: product._id.toString()
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortBy) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v === undefined || !mongoose.isValidObjectId(id)) return null;
+
+    const value = sortBy === 'createdAt' ? new Date(v) : v;
+    // A cursor from a different sort field cannot be reused
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+const addRange = (query, field, min, max) => {
+  if (min === undefined && max === undefined) return;
+  query[field] = { ...query[field] };
+  if (min !== undefined) query[field].$gte = min;
+  if (max !== undefined) query[field].$lte = max;
+};
+
+/**
+ * Turn the query string of GET /api/products into a MongoDB query.
+ * Sorting always ends with `_id`, so the cursor stays stable while
+ * products are inserted or share the same sort value.
+ *
+ * @param {Object} params - `req.query`
+ * @returns {{ error?: string, filter?: Object, sort?: Object, select?: string, limit?: number, sortBy?: string }}
+ */
+export const buildProductQuery = (params) => {
+  const { error, value } = querySchema.validate(params, { convert: true });
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  // Trashed products are hidden
+  const filter = { deletedAt: null };
+
+  if (value.search) {
+    filter.$text = { $search: value.search };
+  }
+
+  if (Array.isArray(value.category) && value.category.length > 0) {
+    filter.category = { $in: value.category };
+  }
+
+  addRange(filter, 'price', value.price_min, value.price_max);
+  addRange(filter, 'stock', value.stock_min, value.stock_max);
+  addRange(filter, 'createdAt', value.created_after, value.created_before);
+
+  if (value.in_stock !== undefined) {
+    filter.stock = { ...filter.stock, ...(value.in_stock ? { $gt: 0 } : { $lte: 0 }) };
+  }
+
+  const direction = value.order === 'asc' ? 1 : -1;
+  const sort = { [value.sortBy]: direction, _id: direction };
+
+  if (value.cursor) {
+    const cursor = decodeCursor(value.cursor, value.sortBy);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+
+    const op = direction === 1 ? '$gt' : '$lt';
+    filter.$and = [{
+      $or: [
+        { [value.sortBy]: { [op]: cursor.value } },
+        { [value.sortBy]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    }];
+  }
+
+  // The sort field is always selected because the next cursor is built from it
+  const select = value.fields
+    ? [...new Set([...value.fields, value.sortBy])].join(' ')
+    : undefined;
+
+  return {
+    filter,
+    sort,
+    select,
+    limit: value.limit,
+    sortBy: value.sortBy
+  };
+};
@@ -0,0 +1,45 @@
+import Product from '../models/Product.js';
+import { unlinkProducts } from './uploads.js';
+import { recordAudit, diffFields } from './audit.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a trashed product is kept before it is purged
+export const trashRetentionDays = () => parseInt(process.env.PRODUCT_TRASH_RETENTION_DAYS) || 30;
+
+const purgeIntervalMinutes = () => parseInt(process.env.PRODUCT_PURGE_INTERVAL_MINUTES) || 60;
+
+// Permanently delete products that have been in the trash past the retention period
+export const purgeExpiredProducts = async () => {
+  const before = new Date(Date.now() - trashRetentionDays() * DAY_MS);
+  const purged = await Product.purgeDeleted(before);
+  await unlinkProducts(purged.map((product) => product._id));
+
+  // Recorded like a manual purge, with the system as the actor
+  for (const product of purged) {
+    await recordAudit({
+      entityType: 'product',
+      entityId: product._id,
+      action: 'purge',
+      changes: diffFields('product', product, null)
+    });
+  }
+
+  if (purged.length > 0) {
+    console.log(`🗑️  Purged ${purged.length} product(s) from trash`);
+  }
+  return purged.length;
+};
+
+// Run the purge now and then periodically; returns the timer
+export const scheduleProductPurge = () => {
+  const run = () => purgeExpiredProducts().catch((error) => {
+    console.error('Product purge error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, purgeIntervalMinutes() * 60 * 1000);
+  // Do not keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,56 @@
+import { getStorage, quarantineKey } from './storage/index.js';
+import { getScanner } from './scanners/index.js';
+import { checkFileContent } from './fileTypes.js';
+
+/**
+ * Decide about a file that has just been written to its quarantine key.
+ * A file whose first bytes are not of an allowed type matching its name is
+ * deleted. Otherwise the scanner reads it: clean files move to `key`, where
+ * they are served, and infected ones stay in quarantine. When the scanner
+ * fails the file is deleted and the error thrown.
+ *
+ * @param {{ filename: string, key: string, originalname: string, head: Buffer }} file - `head` holds the first SNIFF_BYTES bytes
+ * @param {string[]} allowed - Keys of FILE_TYPES, see utils/fileTypes.js
+ * @returns {Promise<{ error?: string, key?: string, mimetype?: string, scan?: { status: 'clean'|'quarantined', scanner: string, threat: string, scannedAt: Date } }>}
+ */
+export const inspectUpload = async (file, allowed) => {
+  const incoming = quarantineKey(file.filename);
+
+  const content = checkFileContent(file.head, file.originalname, allowed);
+  if (content.error) {
+    await getStorage().delete(incoming);
+    return { error: content.error };
+  }
+
+  const scanner = getScanner();
+  let result;
+  try {
+    const stored = await getStorage().get(incoming);
+    if (!stored) {
+      throw new Error('Stored file is missing');
+    }
+    result = await scanner.scan(stored.stream);
+  } catch (error) {
+    await getStorage().delete(incoming);
+    throw new Error(`File could not be scanned: ${error.message}`);
+  }
+
+  const scan = {
+    status: result.infected ? 'quarantined' : 'clean',
+    scanner: scanner.name,
+    threat: result.threat || '',
+    scannedAt: new Date()
+  };
+
+  if (result.infected) {
+    console.log(`🦠 Quarantined ${file.filename} (${file.originalname}): ${scan.threat}`);
+    return { key: incoming, mimetype: content.mimetype, scan };
+  }
+
+  await getStorage().move(incoming, file.key);
+  return { key: file.key, mimetype: content.mimetype, scan };
+};
+
+// Message for a file the scanner flagged
+export const quarantineMessage = (originalName, scan) =>
+  `File "${originalName}" was quarantined because it contains ${scan.threat || 'malware'}`;
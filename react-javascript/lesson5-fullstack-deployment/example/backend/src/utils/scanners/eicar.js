@@ -0,0 +1,27 @@
+// The harmless test file every virus scanner reports, see https://www.eicar.org
+const EICAR_SIGNATURE = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+
+/**
+ * Stand-in scanner that only reports the EICAR test file, so quarantine can
+ * be exercised in development and automated tests without a real scanner.
+ * It finds nothing else.
+ *
+ * @returns {import('./index.js').Scanner}
+ */
+export const createEicarScanner = () => ({
+  name: 'eicar',
+
+  async scan(stream) {
+    // The end of the previous chunk is kept so a signature split across chunks is found
+    let tail = Buffer.alloc(0);
+    for await (const chunk of stream) {
+      const data = Buffer.concat([tail, chunk]);
+      if (data.includes(EICAR_SIGNATURE)) {
+        stream.destroy?.();
+        return { infected: true, threat: 'EICAR-Test-File' };
+      }
+      tail = data.subarray(Math.max(0, data.length - EICAR_SIGNATURE.length + 1));
+    }
+    return { infected: false };
+  }
+});
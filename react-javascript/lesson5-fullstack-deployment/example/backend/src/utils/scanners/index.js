@@ -0,0 +1,44 @@
+import { createEicarScanner } from './eicar.js';
+
+/**
+ * Malware scanner every upload passes through before it becomes visible,
+ * chosen with UPLOAD_SCANNER. Another scanner (e.g. ClamAV) only needs a
+ * factory returning this shape and a case in createScanner.
+ *
+ * @typedef {Object} Scanner
+ * @property {string} name
+ * @property {(stream: import('stream').Readable) => Promise<{ infected: boolean, threat?: string }>} scan - Rejects when the file could not be scanned
+ */
+
+// Lets everything through, for setups that scan files elsewhere
+const createNoopScanner = () => ({
+  name: 'none',
+
+  async scan(stream) {
+    stream.resume();
+    return { infected: false };
+  }
+});
+
+let scanner = null;
+
+const createScanner = () => {
+  const driver = process.env.UPLOAD_SCANNER || 'eicar';
+
+  switch (driver) {
+    case 'eicar':
+      return createEicarScanner();
+    case 'none':
+      return createNoopScanner();
+    default:
+      throw new Error(`Unknown UPLOAD_SCANNER "${driver}", expected eicar or none`);
+  }
+};
+
+// The configured scanner, created on first use so the environment is loaded by then
+export const getScanner = () => {
+  if (!scanner) {
+    scanner = createScanner();
+  }
+  return scanner;
+};
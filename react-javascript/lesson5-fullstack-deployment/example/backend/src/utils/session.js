@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { generateToken } from './generateToken.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// Only the hash of a refresh token is stored, never the token itself
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Frontend and API live on different sites in production deployments
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth'
+});
+
+export const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires: expiresAt
+  });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+// Start a new session (refresh-token family) for a user
+export const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000);
+
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    expiresAt
+  });
+
+  return { session, refreshToken };
+};
+
+// Replace the session's refresh token, remembering the old hash for reuse
+// detection. The swap only happens while the old token is still current, so
+// of two refreshes racing with the same cookie only one wins; the other gets
+// null and is handled like a replayed token.
+export const rotateSession = async (session) => {
+  const refreshToken = generateRefreshToken();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      $set: { tokenHash: hashToken(refreshToken), lastUsedAt: new Date() },
+      $push: { rotatedHashes: session.tokenHash }
+    },
+    { new: true }
+  );
+
+  return rotated ? refreshToken : null;
+};
+
+export const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await Session.updateOne({ _id: session._id }, { revokedAt: session.revokedAt, revokedReason: reason });
+};
+
+export const revokeAllSessions = async (userId, reason) => {
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Create a session, set the refresh cookie and return a matching access token
+export const issueTokens = async (res, user, req) => {
+  const { session, refreshToken } = await createSession(user._id, req);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+
+  return generateToken(user._id.toString(), session._id.toString());
+};
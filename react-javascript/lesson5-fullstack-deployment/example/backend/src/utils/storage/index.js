@@ -0,0 +1,69 @@
+import path from 'path';
+import { buffer } from 'stream/consumers';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+import { createMemoryStorage } from './memory.js';
+
+export { PRIVATE_PREFIX, isPrivateKey, uploadKey, quarantineKey, verifySignature } from './signing.js';
+
+/**
+ * Where uploaded files live, chosen with STORAGE_DRIVER. Keys are
+ * slash-separated paths such as `file-1.png` or `private/file-2.pdf`.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {'local'|'s3'|'memory'} name
+ * @property {(key: string, body: Buffer|import('stream').Readable, options?: { contentType?: string }) => Promise<void>} put - Create or replace a file
+ * @property {(key: string) => Promise<{ stream: import('stream').Readable, contentType: string, size: number }|null>} get - null when missing
+ * @property {(key: string) => Promise<void>} delete - Missing files are ignored
+ * @property {(from: string, to: string) => Promise<void>} move - Rename a file, replacing any file at `to`
+ * @property {(prefix?: string) => Promise<string[]>} list - Keys starting with `prefix`
+ * @property {(key: string, expiresIn: number) => Promise<string>} signedUrl - Download URL valid for `expiresIn` seconds
+ */
+
+let storage = null;
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ root: path.resolve(process.env.UPLOAD_PATH || 'uploads') });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected local, s3 or memory`);
+  }
+};
+
+// The configured adapter, created on first use so the environment is loaded by then
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Seconds a signed download URL stays valid
+export const signedUrlTtl = () => parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 900;
+
+// Whole file as a Buffer, or null when missing
+export const readFile = async (key) => {
+  const file = await getStorage().get(key);
+  return file ? buffer(file.stream) : null;
+};
+
+export const deletePrefix = async (prefix) => {
+  const keys = await getStorage().list(prefix);
+  for (const key of keys) {
+    await getStorage().delete(key);
+  }
+};
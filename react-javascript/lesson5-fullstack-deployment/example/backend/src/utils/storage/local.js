@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { signedPath } from './signing.js';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+/**
+ * Files in a directory on this machine. Only suits a single instance with a
+ * writable disk.
+ *
+ * @param {{ root: string }} options
+ * @returns {import('./index.js').StorageAdapter}
+ */
+export const createLocalStorage = ({ root }) => {
+  // Keys never reach outside the root, whatever they contain
+  const resolve = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      // Written under a temporary name so a half-written file is never served
+      const temporary = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        if (Buffer.isBuffer(body)) {
+          await fs.promises.writeFile(temporary, body);
+        } else {
+          await pipeline(body, fs.createWriteStream(temporary));
+        }
+        await fs.promises.rename(temporary, target);
+      } catch (error) {
+        await fs.promises.rm(temporary, { force: true });
+        throw error;
+      }
+    },
+
+    async get(key) {
+      const target = resolve(key);
+      try {
+        const stats = await fs.promises.stat(target);
+        if (!stats.isFile()) return null;
+
+        return {
+          stream: fs.createReadStream(target),
+          contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+          size: stats.size
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    async move(from, to) {
+      const target = resolve(to);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.rename(resolve(from), target);
+    },
+
+    async list(prefix = '') {
+      try {
+        const entries = await fs.promises.readdir(root, { recursive: true, withFileTypes: true });
+        return entries
+          .filter((entry) => entry.isFile() && !entry.name.endsWith('.tmp'))
+          .map((entry) => path.relative(root, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'))
+          .filter((key) => key.startsWith(prefix));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async signedUrl(key, expiresIn) {
+      return signedPath(key, expiresIn);
+    }
+  };
+};
@@ -0,0 +1,54 @@
+import { Readable } from 'stream';
+import { buffer } from 'stream/consumers';
+import { signedPath } from './signing.js';
+
+/**
+ * Files kept in the process's memory and lost on restart. Meant for tests
+ * and throwaway demos.
+ *
+ * @returns {import('./index.js').StorageAdapter}
+ */
+export const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+
+    async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+      const data = Buffer.isBuffer(body) ? Buffer.from(body) : await buffer(body);
+      files.set(key, { data, contentType });
+    },
+
+    async get(key) {
+      const file = files.get(key);
+      if (!file) return null;
+
+      return {
+        stream: Readable.from([file.data]),
+        contentType: file.contentType,
+        size: file.data.length
+      };
+    },
+
+    async delete(key) {
+      files.delete(key);
+    },
+
+    async move(from, to) {
+      const file = files.get(from);
+      if (!file) {
+        throw new Error(`File not found: ${from}`);
+      }
+      files.set(to, file);
+      files.delete(from);
+    },
+
+    async list(prefix = '') {
+      return [...files.keys()].filter((key) => key.startsWith(prefix));
+    },
+
+    async signedUrl(key, expiresIn) {
+      return signedPath(key, expiresIn);
+    }
+  };
+};
@@ -0,0 +1,84 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { encodeKey } from './signing.js';
+
+/**
+ * Files in an S3 bucket, or in any S3-compatible service such as MinIO
+ * when `endpoint` is set (usually together with `forcePathStyle`).
+ *
+ * @param {{ bucket: string, region: string, endpoint?: string, forcePathStyle?: boolean, accessKeyId?: string, secretAccessKey?: string }} options
+ * @returns {import('./index.js').StorageAdapter}
+ */
+export const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Without keys the SDK falls back to its usual credential chain (env, instance role, ...)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+      // Sends streams of unknown length as a multipart upload
+      await new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType }
+      }).done();
+    },
+
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          stream: object.Body,
+          contentType: object.ContentType || 'application/octet-stream',
+          size: object.ContentLength
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      // Deleting a missing key succeeds as well
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // S3 has no rename, so the object is copied and the original removed
+    async move(from, to) {
+      await client.send(new CopyObjectCommand({ Bucket: bucket, Key: to, CopySource: `${bucket}/${encodeKey(from)}` }));
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: from }));
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        keys.push(...(page.Contents || []).map((object) => object.Key));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    // Downloads go straight to the bucket
+    signedUrl(key, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    }
+  };
+};
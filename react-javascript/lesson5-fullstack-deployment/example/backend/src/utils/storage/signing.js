@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+// Files under this prefix are only served with a valid signature
+export const PRIVATE_PREFIX = 'private/';
+
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex');
+
+export const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+// Storage key of an uploaded file
+export const uploadKey = (filename, visibility) =>
+  (visibility === 'private' ? PRIVATE_PREFIX : '') + filename;
+
+// Uploads wait here until they pass their checks; keys under it are never served
+const QUARANTINE_PREFIX = 'quarantine/';
+
+export const quarantineKey = (filename) => QUARANTINE_PREFIX + filename;
+
+// Each path segment is encoded, the slashes between them are kept
+export const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * URL path under which the API serves `key` until `expiresIn` seconds from
+ * now, for drivers that cannot sign URLs themselves.
+ *
+ * @param {string} key
+ * @param {number} expiresIn - Seconds
+ * @returns {string} e.g. `/uploads/private/file-1.pdf?expires=1700000000&signature=…`
+ */
+export const signedPath = (key, expiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `/uploads/${encodeKey(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+// Whether the query of a signed path is genuine and not expired
+export const verifySignature = (key, { expires, signature } = {}) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
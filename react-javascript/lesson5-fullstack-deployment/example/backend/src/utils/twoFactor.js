@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { authenticator } from 'otplib';
+import { generatePurposeToken, verifyPurposeToken } from './generateToken.js';
+
+// Accept the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'React Course Demo';
+
+export const generateSecret = () => authenticator.generateSecret();
+
+export const buildOtpauthUrl = (email, secret) => authenticator.keyuri(email, issuer(), secret);
+
+export const generateQrCode = (otpauthUrl) => QRCode.toDataURL(otpauthUrl);
+
+/**
+ * Check a TOTP code and return its time step, or null when invalid.
+ * Callers store the step so that the same code cannot be replayed.
+ *
+ * @param {string} secret
+ * @param {string} code
+ * @param {number} [lastUsedStep]
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  return step > lastUsedStep ? step : null;
+};
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// One-time recovery codes: the raw codes are shown once, only hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Remove a matching recovery code from the user; returns whether one matched
+export const consumeRecoveryCode = (user, code) => {
+  const hash = hashRecoveryCode(code || '');
+  const index = user.twoFactorRecoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+
+  user.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Short-lived token proving the first login step (password or Google) succeeded
+export const createChallengeToken = (userId, method = 'password') => {
+  return generatePurposeToken({ id: userId.toString(), method }, '2fa_challenge', CHALLENGE_EXPIRES_IN);
+};
+
+export const verifyChallengeToken = (token) => verifyPurposeToken(token, '2fa_challenge');
+
+/**
+ * Check a TOTP code or a recovery code against a user loaded with the
+ * two-factor fields. Updates the replay step or consumes the recovery code;
+ * the caller saves the user.
+ */
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep ?? -1);
+  if (step === null) return false;
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
@@ -0,0 +1,188 @@
+import Joi from 'joi';
+import Product from '../models/Product.js';
+import Upload from '../models/Upload.js';
+import FileShare from '../models/FileShare.js';
+import { getStorage, signedUrlTtl } from './storage/index.js';
+import {
+  isProcessableImage,
+  queueImageProcessing,
+  productImageVariants,
+  removeImageVariants
+} from './imageProcessing.js';
+
+export const UPLOAD_SORT_FIELDS = ['createdAt', 'originalName', 'size'];
+
+export const TAG_MAX_LENGTH = 30;
+
+// Tags are compared lowercase; duplicates are dropped by uniqueTags
+export const tagsSchema = Joi.array()
+  .items(Joi.string().trim().lowercase().min(1).max(TAG_MAX_LENGTH))
+  .max(20);
+
+export const uniqueTags = (tags) => [...new Set(tags)];
+
+const listQuerySchema = Joi.object({
+  search: Joi.string().trim().allow('').max(100),
+  // `root` for files outside any folder; without it files in every folder are listed
+  folder: Joi.alternatives(Joi.string().valid('root'), Joi.string().hex().length(24)),
+  tag: Joi.string().trim().lowercase().max(TAG_MAX_LENGTH),
+  // Only honoured for users who may see every file
+  owner: Joi.string().hex().length(24),
+  sortBy: Joi.string().valid(...UPLOAD_SORT_FIELDS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn the query string of GET /api/upload/files into a filter, sort and
+ * page. Users without `files:read:any` only ever see their own files.
+ *
+ * @param {Object} query - req.query
+ * @param {{ userId: import('mongoose').Types.ObjectId, seesAll: boolean }} scope
+ * @returns {{ error?: string, filter?: Object, sort?: Object, page?: number, limit?: number }}
+ */
+export const buildUploadQuery = (query, { userId, seesAll }) => {
+  const { error, value } = listQuerySchema.validate(query);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  const filter = {};
+  if (!seesAll) {
+    filter.userId = userId;
+  } else if (value.owner) {
+    filter.userId = value.owner;
+  }
+  if (value.search) {
+    filter.originalName = { $regex: escapeRegex(value.search), $options: 'i' };
+  }
+  if (value.folder) {
+    filter.folder = value.folder === 'root' ? null : value.folder;
+  }
+  if (value.tag) {
+    filter.tags = value.tag;
+  }
+
+  const direction = value.order === 'asc' ? 1 : -1;
+  return {
+    filter,
+    // _id breaks ties so pages never overlap
+    sort: { [value.sortBy]: direction, _id: direction },
+    page: value.page,
+    limit: value.limit
+  };
+};
+
+/**
+ * Record a file that has just been stored, as described by the multer
+ * storage engine in config/upload.js. The file is removed again when it
+ * cannot be recorded, so no file is left without an owner. Quarantined
+ * files are recorded too, so they can be reviewed; clean JPEG and PNG
+ * images are queued for processing.
+ *
+ * @param {{ filename: string, key: string, visibility: string, originalname: string, mimetype: string, size: number, checksum: string, scan: Object }} file
+ * @param {import('mongoose').Types.ObjectId} userId - Owner
+ * @param {{ products?: import('mongoose').Types.ObjectId[], folder?: import('mongoose').Types.ObjectId|null }} [extra]
+ * @returns {Promise<Object>} Upload document
+ */
+export const recordUpload = async (file, userId, { products = [], folder = null } = {}) => {
+  let upload;
+  try {
+    upload = await Upload.create({
+      userId,
+      filename: file.filename,
+      visibility: file.visibility,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      checksum: file.checksum,
+      folder,
+      products,
+      image: { status: file.scan.status === 'clean' && isProcessableImage(file.mimetype) ? 'pending' : 'none' },
+      scan: file.scan
+    });
+  } catch (error) {
+    await getStorage().delete(file.key);
+    throw error;
+  }
+
+  if (upload.image.status === 'pending') {
+    queueImageProcessing();
+  }
+  return upload;
+};
+
+// Download URL of an upload: signed and expiring for private files, null for quarantined ones
+export const fileUrl = (upload) => {
+  if (upload.scan.status === 'quarantined') return Promise.resolve(null);
+  return upload.visibility === 'private' ? getStorage().signedUrl(upload.key, signedUrlTtl()) : Promise.resolve(upload.url);
+};
+
+// Stored file name behind an image URL such as `/uploads/file-123.png`, or null
+export const uploadFilename = (url) => {
+  const match = /^\/uploads\/([^/]+)$/.exec(url || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Keep the `products` list of the uploads in step with a product's image,
+ * and the product's `imageVariants` in step with the new image.
+ *
+ * @param {Object} product - Product document after the change
+ * @param {string} [previousImage] - Image URL before the change
+ */
+export const linkProductImage = async (product, previousImage = '') => {
+  if (product.image === previousImage) return;
+
+  try {
+    const previous = uploadFilename(previousImage);
+    if (previous) {
+      await Upload.updateOne({ filename: previous }, { $pull: { products: product._id } });
+    }
+
+    const current = uploadFilename(product.image);
+    const upload = current
+      ? await Upload.findOneAndUpdate({ filename: current }, { $addToSet: { products: product._id } }, { new: true })
+      : null;
+
+    // Images still being processed get their variants when processing finishes
+    product.imageVariants = productImageVariants(upload);
+    await Product.updateOne({ _id: product._id }, { imageVariants: product.imageVariants });
+  } catch (error) {
+    // The references are bookkeeping and must never fail the product change
+    console.error('Link product image error:', error);
+  }
+};
+
+// Forget products that have been deleted for good
+export const unlinkProducts = async (productIds) => {
+  if (productIds.length === 0) return;
+
+  try {
+    await Upload.updateMany({ products: { $in: productIds } }, { $pull: { products: { $in: productIds } } });
+  } catch (error) {
+    console.error('Unlink products error:', error);
+  }
+};
+
+/**
+ * Products, including trashed ones that may still be restored, whose image
+ * is the uploaded file. Looked up by image rather than trusted from
+ * `products`, so images set by an import count too.
+ *
+ * @param {Object} upload - Upload document
+ * @returns {Promise<Object[]>}
+ */
+export const findImageReferences = (upload) =>
+  Product.find({ image: `/uploads/${upload.filename}` }).select('name deletedAt').lean();
+
+// Remove the stored file and its resized copies, then its record and share links
+export const deleteUpload = async (upload) => {
+  await getStorage().delete(upload.key);
+  await removeImageVariants(upload);
+  await upload.deleteOne();
+  await FileShare.deleteMany({ upload: upload._id });
+};
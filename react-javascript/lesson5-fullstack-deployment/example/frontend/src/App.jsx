@@ -4,6 +4,14 @@ import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Dashboard from './pages/Dashboard';
 import Login from './pages/Login';
 import Products from './pages/Products';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import OAuthCallback from './pages/OAuthCallback';
+import Profile from './pages/Profile';
+import Roles from './pages/Roles';
+import FileManager from './pages/FileManager';
+import SharedFile from './pages/SharedFile';
 import LoadingSpinner from './components/LoadingSpinner';
 
 const AppContent = () => {
@@ -21,6 +29,26 @@ const AppContent = () => {
             path="/login"
             element={isAuthenticated ? <Navigate to="/dashboard" /> : <Login />}
           />
+          <Route
+            path="/forgot-password"
+            element={isAuthenticated ? <Navigate to="/dashboard" /> : <ForgotPassword />}
+          />
+          <Route
+            path="/reset-password/:token"
+            element={<ResetPassword />}
+          />
+          <Route
+            path="/verify-email/:token"
+            element={<VerifyEmail />}
+          />
+          <Route
+            path="/oauth/callback"
+            element={<OAuthCallback />}
+          />
+          <Route
+            path="/shared/:token"
+            element={<SharedFile />}
+          />
           <Route
             path="/dashboard"
             element={isAuthenticated ? <Dashboard /> : <Navigate to="/login" />}
@@ -29,6 +57,18 @@ const AppContent = () => {
             path="/products"
             element={isAuthenticated ? <Products /> : <Navigate to="/login" />}
           />
+          <Route
+            path="/profile"
+            element={isAuthenticated ? <Profile /> : <Navigate to="/login" />}
+          />
+          <Route
+            path="/files"
+            element={isAuthenticated ? <FileManager /> : <Navigate to="/login" />}
+          />
+          <Route
+            path="/admin/roles"
+            element={isAuthenticated ? <Roles /> : <Navigate to="/login" />}
+          />
           <Route
             path="/"
             element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} />}
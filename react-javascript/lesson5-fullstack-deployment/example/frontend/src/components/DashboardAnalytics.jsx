@@ -0,0 +1,231 @@
+import { useEffect, useState } from 'react';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    BarElement,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Bar, Line } from 'react-chartjs-2';
+import LoadingSpinner from './LoadingSpinner';
+import { dashboardAPI } from '../services/api';
+import './DashboardAnalytics.css';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, Tooltip, Legend);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRICS = [
+    { key: 'newUsers', label: 'New users' },
+    { key: 'newProducts', label: 'New products' },
+    { key: 'inventoryValue', label: 'Inventory value', money: true },
+    { key: 'revenue', label: 'Revenue', money: true },
+    { key: 'orders', label: 'Paid orders' }
+];
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const formatMetric = (metric, value) =>
+    metric.money
+        ? `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+        : value.toLocaleString();
+
+const formatBucket = (bucket, interval) => {
+    const date = new Date(bucket);
+    return interval === 'month'
+        ? date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+        : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+};
+
+const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    scales: { y: { beginAtZero: true } }
+};
+
+// This period's series next to the previous period's, point for point
+const comparisonData = (analytics, key, color) => ({
+    labels: analytics.series.map((point) => formatBucket(point.bucket, analytics.interval)),
+    datasets: [
+        {
+            label: 'This period',
+            data: analytics.series.map((point) => point[key]),
+            borderColor: color,
+            backgroundColor: color
+        },
+        {
+            label: 'Previous period',
+            data: analytics.previous.series.map((point) => point[key]),
+            borderColor: '#9ca3af',
+            backgroundColor: '#d1d5db',
+            borderDash: [6, 4]
+        }
+    ]
+});
+
+/**
+ * Charts of new users, new products, inventory value and revenue over a
+ * chosen date range, compared with the period right before it.
+ */
+const DashboardAnalytics = () => {
+    const [range, setRange] = useState(() => ({
+        from: toDateInput(new Date(Date.now() - 29 * DAY_MS)),
+        to: toDateInput(new Date()),
+        interval: 'day'
+    }));
+    const [analytics, setAnalytics] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Whole days in UTC, the same buckets the server uses
+    const params = {
+        from: `${range.from}T00:00:00.000Z`,
+        to: `${range.to}T23:59:59.999Z`,
+        interval: range.interval
+    };
+
+    useEffect(() => {
+        fetchAnalytics();
+    }, [range]);
+
+    const fetchAnalytics = async () => {
+        // A date input is empty while it is being edited
+        if (!range.from || !range.to) return;
+
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await dashboardAPI.getAnalytics(params);
+            setAnalytics(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load analytics');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDownload = async () => {
+        try {
+            const response = await dashboardAPI.exportAnalytics(params);
+
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `analytics-${range.from}-${range.to}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error downloading analytics:', err);
+            setError('Failed to download analytics');
+        }
+    };
+
+    const updateRange = (field) => (e) => {
+        setRange((current) => ({ ...current, [field]: e.target.value }));
+    };
+
+    return (
+        <div className="dashboard-section analytics-section">
+            <div className="analytics-header">
+                <h2>Analytics</h2>
+                <div className="analytics-controls">
+                    <label>
+                        From
+                        <input type="date" value={range.from} max={range.to} onChange={updateRange('from')} />
+                    </label>
+                    <label>
+                        To
+                        <input type="date" value={range.to} min={range.from} onChange={updateRange('to')} />
+                    </label>
+                    <select value={range.interval} onChange={updateRange('interval')}>
+                        <option value="day">Daily</option>
+                        <option value="week">Weekly</option>
+                        <option value="month">Monthly</option>
+                    </select>
+                    <button type="button" className="btn btn-secondary" onClick={handleDownload} disabled={!analytics}>
+                        Download CSV
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="analytics-error">{error}</div>}
+
+            {loading && !analytics ? (
+                <LoadingSpinner />
+            ) : analytics && (
+                <>
+                    <div className="analytics-totals">
+                        {METRICS.map((metric) => {
+                            const change = analytics.change[metric.key];
+                            return (
+                                <div key={metric.key} className="analytics-total">
+                                    <span className="analytics-total-label">{metric.label}</span>
+                                    <strong>{formatMetric(metric, analytics.totals[metric.key])}</strong>
+                                    <span className={`analytics-change ${change < 0 ? 'analytics-change-down' : 'analytics-change-up'}`}>
+                                        {change === null ? 'No data for previous period' : `${change > 0 ? '+' : ''}${change}% vs previous period`}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <div className="charts-section">
+                        <div className="chart-card">
+                            <h2>New users</h2>
+                            <div className="chart-container">
+                                <Line data={comparisonData(analytics, 'newUsers', '#667eea')} options={chartOptions} />
+                            </div>
+                        </div>
+                        <div className="chart-card">
+                            <h2>New products</h2>
+                            <div className="chart-container">
+                                <Line data={comparisonData(analytics, 'newProducts', '#4facfe')} options={chartOptions} />
+                            </div>
+                        </div>
+                        <div className="chart-card">
+                            <h2>Inventory value</h2>
+                            <div className="chart-container">
+                                <Line data={comparisonData(analytics, 'inventoryValue', '#43e97b')} options={chartOptions} />
+                            </div>
+                        </div>
+                        <div className="chart-card">
+                            <h2>Revenue</h2>
+                            <div className="chart-container">
+                                <Bar data={comparisonData(analytics, 'revenue', '#f5576c')} options={chartOptions} />
+                            </div>
+                        </div>
+                    </div>
+
+                    {analytics.topProducts.length > 0 && (
+                        <div className="table-responsive">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Top product</th>
+                                        <th>Units sold</th>
+                                        <th>Revenue</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {analytics.topProducts.map((product) => (
+                                        <tr key={product.productId}>
+                                            <td>{product.name}</td>
+                                            <td>{product.sales}</td>
+                                            <td>${product.revenue.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default DashboardAnalytics;
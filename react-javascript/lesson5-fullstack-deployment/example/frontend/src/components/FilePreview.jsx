@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import { uploadsAPI, fileUrl } from '../services/api';
+import './FilePreview.css';
+
+const previewKind = (file) => {
+    if (file.mimetype.startsWith('image/')) return 'image';
+    if (file.mimetype === 'application/pdf') return 'pdf';
+    if (file.mimetype === 'text/plain') return 'text';
+    return null;
+};
+
+/**
+ * Side panel showing an image, PDF or the start of a text file, with the
+ * file's details below.
+ *
+ * @param {{ file: Object, folderName?: string, onClose: () => void }} props
+ */
+const FilePreview = ({ file, folderName, onClose }) => {
+    const [text, setText] = useState(null);
+    const [error, setError] = useState(null);
+    const kind = file.url ? previewKind(file) : null;
+
+    // Text is fetched through the API, other kinds load straight from the file URL
+    useEffect(() => {
+        setText(null);
+        setError(null);
+        if (kind !== 'text') return;
+
+        uploadsAPI.getPreview(file.id)
+            .then((response) => setText(response.data.data))
+            .catch((err) => setError(err.response?.data?.error || 'Failed to load preview'));
+    }, [file.id, kind]);
+
+    return (
+        <aside className="file-preview">
+            <div className="file-preview-header">
+                <h3 title={file.originalName}>{file.originalName}</h3>
+                <button type="button" onClick={onClose} className="modal-close">
+                    ×
+                </button>
+            </div>
+
+            <div className="file-preview-body">
+                {error && <p className="file-preview-error">{error}</p>}
+                {kind === 'image' && <img src={fileUrl(file.url)} alt={file.originalName} />}
+                {kind === 'pdf' && <iframe src={fileUrl(file.url)} title={file.originalName} />}
+                {kind === 'text' && !error && (text ? (
+                    <>
+                        <pre>{text.text}</pre>
+                        {text.truncated && <p className="file-preview-note">Only the start of the file is shown.</p>}
+                    </>
+                ) : (
+                    <LoadingSpinner />
+                ))}
+                {!kind && (
+                    <p className="file-preview-note">
+                        {file.scan.status === 'quarantined' ? 'Quarantined files cannot be previewed.' : 'No preview for this file type.'}
+                    </p>
+                )}
+            </div>
+
+            <dl className="file-preview-details">
+                <dt>Folder</dt>
+                <dd>{folderName || '—'}</dd>
+                <dt>Tags</dt>
+                <dd>{file.tags.length > 0 ? file.tags.join(', ') : '—'}</dd>
+                <dt>Type</dt>
+                <dd>{file.mimetype}</dd>
+                <dt>Uploaded</dt>
+                <dd>{new Date(file.createdAt).toLocaleString()}</dd>
+            </dl>
+        </aside>
+    );
+};
+
+export default FilePreview;
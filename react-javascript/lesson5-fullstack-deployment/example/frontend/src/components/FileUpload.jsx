@@ -1,11 +1,39 @@
 import React, { useState, useRef } from 'react';
+import { useChunkedUploads } from '../hooks/useChunkedUploads';
 import './FileUpload.css';
 
-const FileUpload = ({ onUpload, onMultipleUpload, multiple = false, accept = "image/*" }) => {
+const ACTIVE_STATUSES = ['pending', 'uploading', 'retrying'];
+
+const statusLabel = (upload) => {
+    switch (upload.status) {
+        case 'pending':
+            return 'Preparing…';
+        case 'uploading':
+            return `${Math.floor(upload.progress * 100)}%`;
+        case 'retrying':
+            return navigator.onLine ? 'Connection lost, retrying…' : 'Offline, waiting for connection…';
+        case 'done':
+            return 'Uploaded';
+        case 'cancelled':
+            return 'Cancelled';
+        default:
+            return 'Failed';
+    }
+};
+
+/**
+ * Drop zone that uploads files in resumable chunks and lists each file with
+ * its progress, a cancel button and, after a failure, a resume button.
+ * New files are filed in `folder` (a folder id, or null for the top level).
+ */
+const FileUpload = ({ onUploaded, multiple = false, accept = "image/*", folder = null }) => {
     const [isDragOver, setIsDragOver] = useState(false);
-    const [uploading, setUploading] = useState(false);
     const [preview, setPreview] = useState(null);
     const fileInputRef = useRef(null);
+    const { uploads, addFiles, cancel, retry, dismiss } = useChunkedUploads({ onUploaded, folder });
+
+    // A single-file picker takes one file at a time
+    const uploading = !multiple && uploads.some((upload) => ACTIVE_STATUSES.includes(upload.status));
 
     const handleDragOver = (e) => {
         e.preventDefault();
@@ -32,41 +60,32 @@ const FileUpload = ({ onUpload, onMultipleUpload, multiple = false, accept = "im
         if (files.length > 0) {
             handleFiles(files);
         }
+        // Picking the same file again (e.g. to resume it) must fire a change
+        e.target.value = '';
     };
 
-    const handleFiles = async (files) => {
-        if (files.length === 0) return;
-
-        setUploading(true);
-
-        try {
-            if (multiple) {
-                await onMultipleUpload(files);
-            } else {
-                await onUpload(files[0]);
-                // Show preview for single file
-                if (files[0].type.startsWith('image/')) {
-                    const reader = new FileReader();
-                    reader.onload = (e) => setPreview(e.target.result);
-                    reader.readAsDataURL(files[0]);
-                }
-            }
-        } catch (error) {
-            console.error('Upload error:', error);
-        } finally {
-            setUploading(false);
+    const handleFiles = (files) => {
+        if (files.length === 0 || uploading) return;
+
+        const selected = multiple ? files : files.slice(0, 1);
+        addFiles(selected);
+
+        // Show preview for single file
+        if (!multiple && selected[0].type.startsWith('image/')) {
+            const reader = new FileReader();
+            reader.onload = (e) => setPreview(e.target.result);
+            reader.readAsDataURL(selected[0]);
         }
     };
 
     const openFileDialog = () => {
-        fileInputRef.current?.click();
+        if (!uploading) {
+            fileInputRef.current?.click();
+        }
     };
 
     const clearPreview = () => {
         setPreview(null);
-        if (fileInputRef.current) {
-            fileInputRef.current.value = '';
-        }
     };
 
     return (
@@ -87,30 +106,70 @@ const FileUpload = ({ onUpload, onMultipleUpload, multiple = false, accept = "im
                     style={{ display: 'none' }}
                 />
 
-                {uploading ? (
-                    <div className="upload-progress">
-                        <div className="spinner"></div>
-                        <p>Uploading...</p>
-                    </div>
-                ) : (
-                    <div className="upload-content">
-                        <div className="upload-icon">📁</div>
-                        <p className="upload-text">
-                            {isDragOver
-                                ? 'Drop files here'
-                                : `Click to select ${multiple ? 'files' : 'file'} or drag and drop`
-                            }
-                        </p>
-                        <p className="upload-hint">
-                            {accept === "image/*"
-                                ? 'Images only (PNG, JPG, GIF)'
-                                : 'All file types supported'
-                            }
-                        </p>
-                    </div>
-                )}
+                <div className="upload-content">
+                    <div className="upload-icon">📁</div>
+                    <p className="upload-text">
+                        {isDragOver
+                            ? 'Drop files here'
+                            : `Click to select ${multiple ? 'files' : 'file'} or drag and drop`
+                        }
+                    </p>
+                    <p className="upload-hint">
+                        {accept === "image/*"
+                            ? 'Images only (PNG, JPG, GIF)'
+                            : 'Images and documents (PNG, JPG, GIF, PDF, DOC, DOCX, TXT)'
+                        }
+                    </p>
+                </div>
             </div>
 
+            {uploads.length > 0 && (
+                <ul className="upload-list">
+                    {uploads.map((upload) => {
+                        const active = ACTIVE_STATUSES.includes(upload.status);
+                        return (
+                            <li key={upload.id} className={`upload-item upload-item-${upload.status}`}>
+                                <div className="upload-item-header">
+                                    <span className="upload-item-name" title={upload.name}>{upload.name}</span>
+                                    <span className="upload-item-status">{statusLabel(upload)}</span>
+                                    {active ? (
+                                        <button type="button" className="upload-item-action" onClick={() => cancel(upload)}>
+                                            Cancel
+                                        </button>
+                                    ) : (
+                                        <>
+                                            {upload.status === 'error' && (
+                                                <button type="button" className="upload-item-action" onClick={() => retry(upload)}>
+                                                    Resume
+                                                </button>
+                                            )}
+                                            <button
+                                                type="button"
+                                                className="upload-item-dismiss"
+                                                onClick={() => dismiss(upload)}
+                                                aria-label="Dismiss"
+                                            >
+                                                ×
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                                <div
+                                    className="upload-progress-bar"
+                                    role="progressbar"
+                                    aria-valuemin={0}
+                                    aria-valuemax={100}
+                                    aria-valuenow={Math.floor(upload.progress * 100)}
+                                >
+                                    <div className="upload-progress-fill" style={{ width: `${upload.progress * 100}%` }} />
+                                </div>
+                                {upload.error && <p className="upload-item-message">{upload.error}</p>}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
             {preview && (
                 <div className="file-preview">
                     <img src={preview} alt="Preview" />
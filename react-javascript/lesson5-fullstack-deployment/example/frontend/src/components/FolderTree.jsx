@@ -0,0 +1,63 @@
+import React from 'react';
+import './FolderTree.css';
+
+// Folders below `parent`, each followed by its own subfolders, with their depth
+const flattenTree = (folders, parent = null, depth = 0) =>
+    folders
+        .filter((folder) => (folder.parent || null) === parent)
+        .flatMap((folder) => [{ folder, depth }, ...flattenTree(folders, folder.id, depth + 1)]);
+
+/**
+ * Sidebar of virtual folders. `selected` is 'all' for every file, 'root'
+ * for files outside any folder, or a folder id.
+ *
+ * @param {{ folders: { id: string, name: string, parent: string|null, fileCount: number }[], selected: string, onSelect: (selected: string) => void, onCreate?: () => void, onRename?: (folder: Object) => void, onDelete?: (folder: Object) => void }} props
+ */
+const FolderTree = ({ folders, selected, onSelect, onCreate, onRename, onDelete }) => {
+    const item = (key, label, extra = null, depth = 0) => (
+        <li
+            key={key}
+            className={`folder-item ${selected === key ? 'folder-item-selected' : ''}`}
+            style={{ paddingLeft: `${0.75 + depth * 1}rem` }}
+        >
+            <button type="button" className="folder-item-name" onClick={() => onSelect(key)}>
+                {label}
+            </button>
+            {extra}
+        </li>
+    );
+
+    return (
+        <nav className="folder-tree">
+            <div className="folder-tree-header">
+                <h3>Folders</h3>
+                {onCreate && (
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={onCreate}>
+                        + New
+                    </button>
+                )}
+            </div>
+            <ul>
+                {item('all', 'All files')}
+                {item('root', 'Not in a folder')}
+                {flattenTree(folders).map(({ folder, depth }) => item(
+                    folder.id,
+                    <>📁 {folder.name} <span className="folder-count">{folder.fileCount}</span></>,
+                    selected === folder.id && (onRename || onDelete) && (
+                        <span className="folder-item-actions">
+                            {onRename && (
+                                <button type="button" title="Rename folder" onClick={() => onRename(folder)}>✏️</button>
+                            )}
+                            {onDelete && (
+                                <button type="button" title="Delete folder" onClick={() => onDelete(folder)}>🗑️</button>
+                            )}
+                        </span>
+                    ),
+                    depth
+                ))}
+            </ul>
+        </nav>
+    );
+};
+
+export default FolderTree;
@@ -0,0 +1,149 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationsAPI } from '../services/api';
+import './NotificationBell.css';
+
+const POLL_INTERVAL_MS = 60000;
+const SHOWN_NOTIFICATIONS = 10;
+
+const TYPE_ICONS = {
+    low_stock: '📦',
+    role_changed: '🛡️',
+    security: '🔒'
+};
+
+/**
+ * Bell with the unread count; opens the latest notifications and marks
+ * them read. New notifications are picked up by polling.
+ */
+const NotificationBell = () => {
+    const navigate = useNavigate();
+    const containerRef = useRef(null);
+    const [open, setOpen] = useState(false);
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        fetchNotifications();
+        const timer = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Close when clicking anywhere outside the dropdown
+    useEffect(() => {
+        if (!open) return;
+
+        const handleClick = (e) => {
+            if (!containerRef.current?.contains(e.target)) {
+                setOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const fetchNotifications = async () => {
+        try {
+            const response = await notificationsAPI.getNotifications({ limit: SHOWN_NOTIFICATIONS });
+            setNotifications(response.data.data.notifications);
+            setUnreadCount(response.data.data.unreadCount);
+            setError(null);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load notifications');
+        }
+    };
+
+    const toggle = () => {
+        if (!open) fetchNotifications();
+        setOpen(!open);
+    };
+
+    const openNotification = async (notification) => {
+        if (!notification.readAt) {
+            try {
+                const response = await notificationsAPI.markRead(notification._id);
+                const updated = response.data.data.notification;
+                setNotifications((current) => current.map((item) => (item._id === updated._id ? updated : item)));
+                setUnreadCount((count) => Math.max(0, count - 1));
+            } catch (err) {
+                console.error('Error marking notification read:', err);
+            }
+        }
+
+        if (notification.link) {
+            setOpen(false);
+            navigate(notification.link);
+        }
+    };
+
+    const markAllRead = async () => {
+        try {
+            await notificationsAPI.markAllRead();
+            const readAt = new Date().toISOString();
+            setNotifications((current) => current.map((item) => ({ ...item, readAt: item.readAt || readAt })));
+            setUnreadCount(0);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to mark notifications read');
+        }
+    };
+
+    return (
+        <div className="notification-bell" ref={containerRef}>
+            <button
+                type="button"
+                className="notification-bell-button"
+                onClick={toggle}
+                aria-label={`Notifications (${unreadCount} unread)`}
+                aria-expanded={open}
+            >
+                🔔
+                {unreadCount > 0 && (
+                    <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {open && (
+                <div className="notification-dropdown">
+                    <div className="notification-dropdown-header">
+                        <strong>Notifications</strong>
+                        <button type="button" className="notification-mark-all" onClick={markAllRead} disabled={unreadCount === 0}>
+                            Mark all read
+                        </button>
+                    </div>
+
+                    {error && <div className="notification-error">{error}</div>}
+
+                    {notifications.length === 0 ? (
+                        <p className="notification-empty">You're all caught up</p>
+                    ) : (
+                        <ul className="notification-list">
+                            {notifications.map((notification) => (
+                                <li key={notification._id}>
+                                    <button
+                                        type="button"
+                                        className={`notification-item ${notification.readAt ? '' : 'notification-unread'}`}
+                                        onClick={() => openNotification(notification)}
+                                    >
+                                        <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                                        <span className="notification-body">
+                                            <span className="notification-title">{notification.title}</span>
+                                            {notification.message && (
+                                                <span className="notification-message">{notification.message}</span>
+                                            )}
+                                            <span className="notification-time">
+                                                {new Date(notification.createdAt).toLocaleString()}
+                                            </span>
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { notificationsAPI } from '../services/api';
+
+const TYPES = [
+  { key: 'low_stock', label: 'Low stock', description: 'A product you own falls to its reorder threshold' },
+  { key: 'role_changed', label: 'Role changes', description: 'An administrator changes your role' },
+  { key: 'security', label: 'Account security', description: 'Lockouts, password resets, 2FA and Google sign-in changes' }
+];
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'email', label: 'Email' }
+];
+
+/**
+ * Per-type switches for the in-app and email notification channels.
+ * Each change is saved right away.
+ */
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await notificationsAPI.getPreferences();
+      setPreferences(response.data.data.preferences);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load notification preferences');
+    }
+  };
+
+  const toggle = async (type, channel) => {
+    const enabled = !preferences[type][channel];
+
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await notificationsAPI.updatePreferences({ [type]: { [channel]: enabled } });
+      setPreferences(response.data.data.preferences);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save notification preferences');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!preferences) {
+    return error ? <div className="profile-alert profile-alert-error">{error}</div> : null;
+  }
+
+  return (
+    <div className="notification-preferences">
+      {error && <div className="profile-alert profile-alert-error">{error}</div>}
+
+      {TYPES.map((type) => (
+        <div key={type.key} className="profile-row">
+          <span>
+            <span className="profile-label">{type.label}</span>
+            <br />
+            <span className="notification-preferences-description">{type.description}</span>
+          </span>
+          <span className="notification-preferences-channels">
+            {CHANNELS.map((channel) => (
+              <label key={channel.key}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(preferences[type.key]?.[channel.key])}
+                  onChange={() => toggle(type.key, channel.key)}
+                  disabled={busy}
+                />{' '}
+                {channel.label}
+              </label>
+            ))}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import { productsAPI } from '../services/api';
+import './ProductHistory.css';
+
+const ACTION_LABELS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Moved to trash',
+    restore: 'Restored',
+    purge: 'Deleted permanently',
+    revert: 'Reverted'
+};
+
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'price') return `$${Number(value).toFixed(2)}`;
+    if (field === 'deletedAt') return new Date(value).toLocaleString();
+    return String(value);
+};
+
+/**
+ * Timeline of a product's audit records with a field-level diff for each
+ * entry and, when allowed, a button to revert to that revision.
+ *
+ * @param {{ product: { _id: string, name: string }, canRevert: boolean, onClose: () => void, onReverted: () => void }} props
+ */
+const ProductHistory = ({ product, canRevert, onClose, onReverted }) => {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [reverting, setReverting] = useState(null);
+
+    useEffect(() => {
+        fetchHistory();
+    }, [product._id]);
+
+    const fetchHistory = async () => {
+        try {
+            setLoading(true);
+            const response = await productsAPI.getHistory(product._id, 1, 50);
+            setHistory(response.data.data.history);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load history');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevert = async (entry) => {
+        if (!confirm(`Revert "${product.name}" to the version from ${new Date(entry.createdAt).toLocaleString()}?`)) return;
+
+        try {
+            setReverting(entry._id);
+            await productsAPI.revertProduct(product._id, entry._id);
+            onReverted();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to revert product');
+        } finally {
+            setReverting(null);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content history-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>History of {product.name}</h2>
+                    <button onClick={onClose} className="modal-close">
+                        ×
+                    </button>
+                </div>
+
+                <div className="history-body">
+                    {error && <div className="history-error">{error}</div>}
+
+                    {loading ? (
+                        <LoadingSpinner />
+                    ) : history.length === 0 ? (
+                        <p className="history-empty">No changes recorded yet.</p>
+                    ) : (
+                        <ol className="history-timeline">
+                            {history.map((entry, index) => (
+                                <li key={entry._id} className={`history-entry history-${entry.action}`}>
+                                    <div className="history-entry-header">
+                                        <div>
+                                            <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+                                            <span className="history-meta">
+                                                {new Date(entry.createdAt).toLocaleString()}
+                                                {' · '}
+                                                {entry.actor?.name || (entry.userAgent === 'system' ? 'System' : 'Unknown user')}
+                                            </span>
+                                        </div>
+                                        {/* The newest entry is the current state */}
+                                        {canRevert && index > 0 && entry.action !== 'purge' && (
+                                            <button
+                                                onClick={() => handleRevert(entry)}
+                                                className="btn btn-secondary btn-small"
+                                                disabled={reverting !== null}
+                                            >
+                                                {reverting === entry._id ? 'Reverting...' : 'Revert to this'}
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {entry.changes.length > 0 && (
+                                        <table className="history-diff">
+                                            <tbody>
+                                                {entry.changes.map((change) => (
+                                                    <tr key={change.field}>
+                                                        <td className="history-field">{change.field}</td>
+                                                        <td className="history-before">{formatValue(change.field, change.before)}</td>
+                                                        <td className="history-arrow">→</td>
+                                                        <td className="history-after">{formatValue(change.field, change.after)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductHistory;
@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { productsAPI } from '../services/api';
+import './ProductImportWizard.css';
+
+const FIELDS = [
+    { key: 'name', label: 'Name', required: true },
+    { key: 'description', label: 'Description', required: true },
+    { key: 'price', label: 'Price', required: true },
+    { key: 'category', label: 'Category', required: true },
+    { key: 'stock', label: 'Stock', required: true },
+    { key: 'image', label: 'Image URL', required: false }
+];
+
+/**
+ * Three-step import: choose a file, map its columns to product fields,
+ * then review the dry-run report before importing.
+ *
+ * @param {{ onClose: () => void, onImported: (count: number) => void }} props
+ */
+const ProductImportWizard = ({ onClose, onImported }) => {
+    const [step, setStep] = useState('file');
+    const [file, setFile] = useState(null);
+    const [columns, setColumns] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const send = async (options) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (options.mapping) formData.append('mapping', JSON.stringify(options.mapping));
+        if (options.dryRun) formData.append('dryRun', 'true');
+        if (options.skipInvalid) formData.append('skipInvalid', 'true');
+        return productsAPI.importProducts(formData);
+    };
+
+    // Dry run without a mapping: the server reads the header and guesses the mapping
+    const handleAnalyze = async () => {
+        try {
+            setBusy(true);
+            setError(null);
+            const response = await send({ dryRun: true });
+            const data = response.data.data;
+            setColumns(data.columns);
+            setMapping(data.mapping);
+            setStep('mapping');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to read file');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleValidate = async () => {
+        try {
+            setBusy(true);
+            setError(null);
+            const response = await send({ dryRun: true, mapping });
+            setReport(response.data.data);
+            setStep('preview');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to validate file');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleImport = async () => {
+        try {
+            setBusy(true);
+            setError(null);
+            const response = await send({ mapping, skipInvalid: report.errors.length > 0 });
+            onImported(response.data.data.imported);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to import products');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const missingRequired = FIELDS.filter((field) => field.required && !mapping[field.key]);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content import-wizard" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Import Products</h2>
+                    <button onClick={onClose} className="modal-close">
+                        ×
+                    </button>
+                </div>
+
+                <div className="import-body">
+                    <ol className="import-steps">
+                        <li className={step === 'file' ? 'active' : ''}>1. File</li>
+                        <li className={step === 'mapping' ? 'active' : ''}>2. Columns</li>
+                        <li className={step === 'preview' ? 'active' : ''}>3. Review</li>
+                    </ol>
+
+                    {error && <div className="import-error">{error}</div>}
+
+                    {step === 'file' && (
+                        <>
+                            <div className="form-group">
+                                <label>CSV or JSON file</label>
+                                <input
+                                    type="file"
+                                    accept=".csv,.json"
+                                    onChange={(e) => setFile(e.target.files?.[0] || null)}
+                                    className="file-input"
+                                />
+                                <p className="form-hint">
+                                    CSV needs a header row. JSON must be an array of product objects. Up to 1000 products.
+                                </p>
+                            </div>
+                            <div className="modal-actions">
+                                <button type="button" onClick={onClose} className="btn btn-secondary">
+                                    Cancel
+                                </button>
+                                <button onClick={handleAnalyze} className="btn btn-primary" disabled={!file || busy}>
+                                    {busy ? 'Reading...' : 'Next'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+
+                    {step === 'mapping' && (
+                        <>
+                            <p className="form-hint">Choose the column of your file that holds each product field.</p>
+                            {FIELDS.map((field) => (
+                                <div key={field.key} className="form-group import-mapping-row">
+                                    <label>{field.label}{field.required && ' *'}</label>
+                                    <select
+                                        value={mapping[field.key] || ''}
+                                        onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value || undefined })}
+                                    >
+                                        <option value="">— Not imported —</option>
+                                        {columns.map((column) => (
+                                            <option key={column} value={column}>{column}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            ))}
+                            <div className="modal-actions">
+                                <button type="button" onClick={() => setStep('file')} className="btn btn-secondary">
+                                    Back
+                                </button>
+                                <button
+                                    onClick={handleValidate}
+                                    className="btn btn-primary"
+                                    disabled={busy || missingRequired.length > 0}
+                                    title={missingRequired.length > 0 ? `Map ${missingRequired.map((field) => field.label).join(', ')}` : undefined}
+                                >
+                                    {busy ? 'Validating...' : 'Validate'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+
+                    {step === 'preview' && report && (
+                        <>
+                            <div className="import-summary">
+                                <span><strong>{report.total}</strong> rows</span>
+                                <span className="import-ok"><strong>{report.validCount}</strong> valid</span>
+                                <span className={report.errors.length > 0 ? 'import-failed' : ''}>
+                                    <strong>{report.errors.length}</strong> with errors
+                                </span>
+                            </div>
+
+                            {report.errors.length > 0 && (
+                                <div className="import-report">
+                                    <table>
+                                        <thead>
+                                            <tr>
+                                                <th>Row</th>
+                                                <th>Field</th>
+                                                <th>Problem</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {report.errors.flatMap(({ row, errors }) =>
+                                                Object.entries(errors).map(([field, message]) => (
+                                                    <tr key={`${row}-${field}`}>
+                                                        <td>{row}</td>
+                                                        <td>{field}</td>
+                                                        <td>{message}</td>
+                                                    </tr>
+                                                ))
+                                            )}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            <div className="modal-actions">
+                                <button type="button" onClick={() => setStep('mapping')} className="btn btn-secondary">
+                                    Back
+                                </button>
+                                <button
+                                    onClick={handleImport}
+                                    className="btn btn-primary"
+                                    disabled={busy || report.validCount === 0}
+                                >
+                                    {busy
+                                        ? 'Importing...'
+                                        : report.errors.length > 0
+                                            ? `Import ${report.validCount} valid rows`
+                                            : `Import ${report.validCount} products`}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProductImportWizard;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { fileUrl } from '../services/api';
+import './ResponsiveImage.css';
+
+const toApiSrcset = (srcset) =>
+    srcset.split(',').map((candidate) => fileUrl(candidate.trim())).join(', ');
+
+/**
+ * Lazily loaded image that lets the browser pick the smallest fitting
+ * variant, WebP where supported. A blurred placeholder is shown until the
+ * image arrives; images that are not processed yet load as uploaded.
+ *
+ * @param {{ src: string, variants?: { srcset: string, webpSrcset: string, placeholder: string, width: number, height: number } | null, alt: string, sizes?: string, fallback?: React.ReactNode }} props
+ */
+const ResponsiveImage = ({ src, variants, alt, sizes = '100vw', fallback = null }) => {
+    const [loaded, setLoaded] = useState(false);
+    const [failed, setFailed] = useState(false);
+
+    if (failed) {
+        return fallback;
+    }
+
+    return (
+        <div className={`responsive-image ${loaded ? 'responsive-image-loaded' : ''}`}>
+            {variants?.placeholder && (
+                <img className="responsive-image-placeholder" src={variants.placeholder} alt="" aria-hidden="true" />
+            )}
+            <picture>
+                {variants?.webpSrcset && (
+                    <source type="image/webp" srcSet={toApiSrcset(variants.webpSrcset)} sizes={sizes} />
+                )}
+                <img
+                    src={fileUrl(src)}
+                    srcSet={variants?.srcset ? toApiSrcset(variants.srcset) : undefined}
+                    sizes={variants?.srcset ? sizes : undefined}
+                    width={variants?.width}
+                    height={variants?.height}
+                    alt={alt}
+                    loading="lazy"
+                    decoding="async"
+                    onLoad={() => setLoaded(true)}
+                    onError={() => setFailed(true)}
+                />
+            </picture>
+        </div>
+    );
+};
+
+export default ResponsiveImage;
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import { sharesAPI } from '../services/api';
+import './ShareDialog.css';
+
+const EXPIRY_OPTIONS = [
+    { label: 'Never', hours: 0 },
+    { label: '1 hour', hours: 1 },
+    { label: '1 day', hours: 24 },
+    { label: '7 days', hours: 24 * 7 },
+    { label: '30 days', hours: 24 * 30 }
+];
+
+// Link to the public page that opens the file, see pages/SharedFile.jsx
+const shareLink = (share) => `${window.location.origin}/shared/${share.token}`;
+
+/**
+ * Dialog listing a file's share links, with a form for a new link that may
+ * expire and need a password, and buttons to copy or revoke each link.
+ *
+ * @param {{ file: { id: string, originalName: string }, onClose: () => void }} props
+ */
+const ShareDialog = ({ file, onClose }) => {
+    const [shares, setShares] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [expiryHours, setExpiryHours] = useState(0);
+    const [password, setPassword] = useState('');
+    const [creating, setCreating] = useState(false);
+    const [copied, setCopied] = useState(null);
+
+    useEffect(() => {
+        fetchShares();
+    }, [file.id]);
+
+    const fetchShares = async () => {
+        try {
+            setLoading(true);
+            const response = await sharesAPI.getShares(file.id);
+            setShares(response.data.data.shares);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load share links');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+
+        try {
+            setCreating(true);
+            setError(null);
+            await sharesAPI.createShare({
+                file: file.id,
+                expiresAt: expiryHours ? new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString() : null,
+                password
+            });
+            setPassword('');
+            await fetchShares();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create share link');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleCopy = async (share) => {
+        try {
+            await navigator.clipboard.writeText(shareLink(share));
+            setCopied(share.id);
+        } catch {
+            // Clipboard access can be refused; the link is on screen to copy by hand
+            setError('Could not copy, please copy the link by hand');
+        }
+    };
+
+    const handleRevoke = async (share) => {
+        if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+        try {
+            await sharesAPI.deleteShare(share.id);
+            await fetchShares();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to revoke share link');
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content share-dialog" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Share {file.originalName}</h2>
+                    <button onClick={onClose} className="modal-close">
+                        ×
+                    </button>
+                </div>
+
+                <div className="share-body">
+                    {error && <div className="share-error">{error}</div>}
+
+                    <form onSubmit={handleCreate} className="share-form">
+                        <label>
+                            Expires
+                            <select value={expiryHours} onChange={(e) => setExpiryHours(Number(e.target.value))}>
+                                {EXPIRY_OPTIONS.map((option) => (
+                                    <option key={option.hours} value={option.hours}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Password (optional)
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                minLength={4}
+                                autoComplete="new-password"
+                            />
+                        </label>
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={creating}>
+                            {creating ? 'Creating...' : 'Create link'}
+                        </button>
+                    </form>
+
+                    {loading ? (
+                        <LoadingSpinner />
+                    ) : shares.length === 0 ? (
+                        <p className="share-empty">This file has not been shared yet.</p>
+                    ) : (
+                        <ul className="share-list">
+                            {shares.map((share) => (
+                                <li key={share.id} className={share.expired ? 'share-expired' : ''}>
+                                    <input type="text" readOnly value={shareLink(share)} onFocus={(e) => e.target.select()} />
+                                    <div className="share-meta">
+                                        {share.expired
+                                            ? 'Expired'
+                                            : share.expiresAt
+                                                ? `Expires ${new Date(share.expiresAt).toLocaleString()}`
+                                                : 'Never expires'}
+                                        {share.requiresPassword && ' · Password protected'}
+                                        {` · Opened ${share.accessCount} time(s)`}
+                                    </div>
+                                    <div className="share-actions">
+                                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleCopy(share)}>
+                                            {copied === share.id ? 'Copied' : 'Copy'}
+                                        </button>
+                                        <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRevoke(share)}>
+                                            Revoke
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShareDialog;
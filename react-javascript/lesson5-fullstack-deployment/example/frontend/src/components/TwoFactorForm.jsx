@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * Second login step, shown while the auth context holds a 2FA challenge.
+ */
+const TwoFactorForm = () => {
+  const { verifyTwoFactor, cancelTwoFactor, error, clearError } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+    setIsLoading(true);
+
+    try {
+      await verifyTwoFactor(useRecoveryCode ? { recoveryCode: value } : { code: value });
+    } catch (err) {
+      // Error is handled by context
+      setValue('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const switchMethod = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+    clearError();
+  };
+
+  return (
+    <>
+      <div className="login-header">
+        <h1>Two-Factor Authentication</h1>
+        <p>
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes'
+            : 'Enter the 6-digit code from your authenticator app'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="login-form">
+        <div className="form-group">
+          <label htmlFor="twoFactorCode">
+            {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+          </label>
+          {useRecoveryCode ? (
+            <input
+              type="text"
+              id="twoFactorCode"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder="xxxxx-xxxxx"
+              autoComplete="off"
+              required
+              disabled={isLoading}
+            />
+          ) : (
+            <input
+              type="text"
+              id="twoFactorCode"
+              value={value}
+              onChange={(e) => setValue(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="\d{6}"
+              autoFocus
+              required
+              disabled={isLoading}
+            />
+          )}
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary btn-block"
+          disabled={isLoading}
+        >
+          {isLoading ? <LoadingSpinner size="small" /> : 'Verify'}
+        </button>
+      </form>
+
+      <div className="login-footer">
+        <p>
+          <button onClick={switchMethod} className="link-button" disabled={isLoading}>
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+          {' · '}
+          <button onClick={cancelTwoFactor} className="link-button" disabled={isLoading}>
+            Back to sign in
+          </button>
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default TwoFactorForm;
@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { authAPI } from '../services/api';
+
+/**
+ * Enroll, disable and manage recovery codes for TOTP two-factor authentication.
+ *
+ * @param {{ enabled: boolean, onChange: (enabled: boolean) => void }} props
+ */
+const TwoFactorSettings = ({ enabled, onChange }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (fn) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await fn();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setSetup(response.data.data);
+    setRecoveryCodes(null);
+    setCode('');
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.enableTwoFactor(code);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      onChange(true);
+    });
+  };
+
+  const submitAction = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (action === 'disable') {
+        await authAPI.disableTwoFactor({ code });
+        setRecoveryCodes(null);
+        onChange(false);
+      } else {
+        const response = await authAPI.regenerateRecoveryCodes(code);
+        setRecoveryCodes(response.data.data.recoveryCodes);
+      }
+      setAction(null);
+      setCode('');
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+      placeholder="6-digit code"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      pattern="\d{6}"
+      required
+      disabled={busy}
+      className="two-factor-input"
+    />
+  );
+
+  return (
+    <div className="two-factor-settings">
+      {error && <div className="profile-alert profile-alert-error">{error}</div>}
+
+      <div className="profile-row">
+        <span>
+          <span className="profile-label">Authenticator app</span>{' '}
+          <span className={`profile-badge ${enabled ? 'profile-badge-success' : ''}`}>
+            {enabled ? 'Enabled' : 'Disabled'}
+          </span>
+        </span>
+        {enabled ? (
+          <span className="two-factor-actions">
+            <button onClick={() => setAction('regenerate')} className="btn btn-secondary" disabled={busy}>
+              New recovery codes
+            </button>
+            <button onClick={() => setAction('disable')} className="btn btn-danger" disabled={busy}>
+              Disable
+            </button>
+          </span>
+        ) : (
+          !setup && (
+            <button onClick={startSetup} className="btn btn-secondary" disabled={busy}>
+              Enable 2FA
+            </button>
+          )
+        )}
+      </div>
+
+      {setup && (
+        <form onSubmit={confirmSetup} className="two-factor-setup">
+          <p>Scan this QR code with an authenticator app, then enter the code it shows.</p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+          <p className="two-factor-secret">
+            Or enter this key manually: <code>{setup.secret}</code>
+          </p>
+          <div className="two-factor-form-row">
+            {codeInput}
+            <button type="submit" className="btn btn-primary" disabled={busy}>
+              Confirm
+            </button>
+            <button type="button" onClick={() => setSetup(null)} className="btn btn-secondary" disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {action && (
+        <form onSubmit={submitAction} className="two-factor-setup">
+          <p>
+            {action === 'disable'
+              ? 'Enter a code from your authenticator app to disable two-factor authentication.'
+              : 'Enter a code from your authenticator app to replace your recovery codes.'}
+          </p>
+          <div className="two-factor-form-row">
+            {codeInput}
+            <button type="submit" className={`btn ${action === 'disable' ? 'btn-danger' : 'btn-primary'}`} disabled={busy}>
+              {action === 'disable' ? 'Disable' : 'Generate'}
+            </button>
+            <button type="button" onClick={() => { setAction(null); setCode(''); }} className="btn btn-secondary" disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className="two-factor-recovery">
+          <p>
+            Save these recovery codes somewhere safe. Each code can be used once
+            if you lose access to your authenticator app. They will not be shown again.
+          </p>
+          <ul className="recovery-code-list">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}><code>{recoveryCode}</code></li>
+            ))}
+          </ul>
+          <button onClick={() => setRecoveryCodes(null)} className="btn btn-secondary">
+            I have saved them
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
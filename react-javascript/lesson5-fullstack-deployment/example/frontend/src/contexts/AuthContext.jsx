@@ -21,6 +21,7 @@ const authReducer = (state, action) => {
         isLoading: false,
         error: null,
         success: action.payload.message || null,
+        twoFactorChallenge: null,
       };
     case 'AUTH_FAILURE':
       return {
@@ -30,6 +31,20 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: action.payload,
+        permissions: [],
+      };
+    case 'TWO_FACTOR_REQUIRED':
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        twoFactorChallenge: action.payload,
+      };
+    case 'TWO_FACTOR_CANCEL':
+      return {
+        ...state,
+        error: null,
+        twoFactorChallenge: null,
       };
     case 'LOGOUT':
       return {
@@ -40,6 +55,13 @@ const authReducer = (state, action) => {
         isLoading: false,
         error: null,
         success: null,
+        twoFactorChallenge: null,
+        permissions: [],
+      };
+    case 'SET_PERMISSIONS':
+      return {
+        ...state,
+        permissions: action.payload,
       };
     case 'CLEAR_ERROR':
       return {
@@ -68,6 +90,10 @@ const initialState = {
   isLoading: true,
   error: null,
   success: null,
+  // Challenge token between the password (or Google) step and the 2FA step
+  twoFactorChallenge: null,
+  // Permission names granted by the user's role (see usePermission)
+  permissions: [],
 };
 
 export const useAuth = () => {
@@ -103,11 +129,30 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Load the permissions of the current role, again whenever the role changes
+  useEffect(() => {
+    if (!state.isAuthenticated) return;
+
+    authAPI.getPermissions()
+      .then((response) => {
+        dispatch({ type: 'SET_PERMISSIONS', payload: response.data.data.permissions });
+      })
+      .catch((error) => {
+        console.error('Error fetching permissions:', error);
+      });
+  }, [state.isAuthenticated, state.user?.role]);
+
   const login = async (email, password) => {
     try {
       dispatch({ type: 'AUTH_START' });
 
       const response = await authAPI.login({ email, password });
+
+      if (response.data.data.twoFactorRequired) {
+        dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: response.data.data.challengeToken });
+        return;
+      }
+
       const { user, token } = response.data.data;
 
       localStorage.setItem('token', token);
@@ -149,12 +194,99 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Second login step with a TOTP code or a recovery code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      const response = await authAPI.verifyTwoFactor({
+        challengeToken: state.twoFactorChallenge,
+        ...(recoveryCode ? { recoveryCode } : { code }),
+      });
+      const { user, token } = response.data.data;
+
+      localStorage.setItem('token', token);
+      localStorage.setItem('user', JSON.stringify(user));
+
+      dispatch({
+        type: 'AUTH_SUCCESS',
+        payload: { user, token },
+      });
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Verification failed';
+      // An expired challenge (401) means starting over from the password step
+      if (error.response?.status === 401) {
+        dispatch({ type: 'TWO_FACTOR_CANCEL' });
+      }
+      dispatch({ type: 'AUTH_FAILURE', payload: errorMessage });
+      throw new Error(errorMessage);
+    }
+  };
+
+  const startTwoFactorChallenge = (challengeToken) => {
+    dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: challengeToken });
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: 'TWO_FACTOR_CANCEL' });
+  };
+
+  // Finish an OAuth redirect: the backend has set the refresh cookie,
+  // exchange it for an access token
+  // (no AUTH_START: the global loading screen would unmount the callback page)
+  const completeOAuthLogin = async () => {
+    try {
+      const response = await authAPI.refresh();
+      const { user, token } = response.data.data;
+
+      localStorage.setItem('token', token);
+      localStorage.setItem('user', JSON.stringify(user));
+
+      dispatch({
+        type: 'AUTH_SUCCESS',
+        payload: { user, token },
+      });
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Google sign-in failed';
+      dispatch({ type: 'AUTH_FAILURE', payload: errorMessage });
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Keep the stored user in sync after profile changes
+  const updateUser = (user) => {
+    localStorage.setItem('user', JSON.stringify(user));
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: { user, token: state.token },
+    });
+  };
+
+  const clearSession = () => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     dispatch({ type: 'LOGOUT' });
   };
 
+  const logout = async () => {
+    try {
+      // Revoke the refresh token on the server
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      clearSession();
+    }
+  };
+
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+    } catch (error) {
+      console.error('Logout all error:', error);
+    } finally {
+      clearSession();
+    }
+  };
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -168,6 +300,12 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAll,
+    completeOAuthLogin,
+    updateUser,
+    verifyTwoFactor,
+    startTwoFactorChallenge,
+    cancelTwoFactor,
     clearError,
     clearSuccess,
   };
@@ -0,0 +1,205 @@
+import { useEffect, useRef, useState } from 'react';
+import { uploadsAPI } from '../services/api';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 1000;
+
+// Hashing the whole file needs it in memory at once, so big files rely on the chunk checksums
+const FILE_CHECKSUM_MAX_BYTES = 64 * 1024 * 1024;
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (blob) => toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+
+// Picking the same file again resumes its unfinished upload
+const resumeKey = (file) => `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const abortError = () => new DOMException('Upload cancelled', 'AbortError');
+
+// Network errors, server errors and corrupted chunks are worth another try
+const isRetryable = (err) => {
+  const status = err.response?.status;
+  return !status || status >= 500 || [408, 422, 429].includes(status);
+};
+
+// Back off before a retry; while offline, wait for the connection instead
+const waitToRetry = (attempt, signal) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    clearTimeout(timer);
+    window.removeEventListener('online', done);
+    signal.removeEventListener('abort', abort);
+  };
+  const done = () => {
+    cleanup();
+    resolve();
+  };
+  const abort = () => {
+    cleanup();
+    reject(abortError());
+  };
+
+  const timer = navigator.onLine ? setTimeout(done, RETRY_BASE_MS * 2 ** (attempt - 1)) : null;
+  if (!navigator.onLine) window.addEventListener('online', done);
+  signal.addEventListener('abort', abort);
+  if (signal.aborted) abort();
+});
+
+// The file's unfinished session on the server, or a new one filed in `folder`
+const openSession = async (file, folder) => {
+  const savedId = localStorage.getItem(resumeKey(file));
+  if (savedId) {
+    try {
+      const response = await uploadsAPI.getSession(savedId);
+      return response.data.data;
+    } catch (err) {
+      if (err.response?.status !== 404) throw err;
+      localStorage.removeItem(resumeKey(file));
+    }
+  }
+
+  const response = await uploadsAPI.createSession({
+    filename: file.name,
+    size: file.size,
+    mimetype: file.type || 'application/octet-stream',
+    checksum: file.size <= FILE_CHECKSUM_MAX_BYTES ? await sha256(file) : undefined,
+    folder,
+  });
+  localStorage.setItem(resumeKey(file), response.data.data.session.id);
+  return { session: response.data.data.session, file: null };
+};
+
+const uploadFile = async (file, { folder, signal, onProgress, onRetry }) => {
+  const { session, file: uploaded } = await openSession(file, folder);
+  if (uploaded) {
+    localStorage.removeItem(resumeKey(file));
+    return uploaded;
+  }
+
+  const received = new Set(session.receivedChunks);
+  const chunkAt = (index) => file.slice(index * session.chunkSize, (index + 1) * session.chunkSize);
+
+  let sent = session.receivedChunks.reduce((total, index) => total + chunkAt(index).size, 0);
+  onProgress(sent / file.size);
+
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (received.has(index)) continue;
+
+    const chunk = chunkAt(index);
+    const checksum = await sha256(chunk);
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal.aborted) throw abortError();
+      try {
+        await uploadsAPI.uploadChunk(session.id, index, chunk, checksum, {
+          signal,
+          onUploadProgress: (e) => onProgress((sent + Math.min(e.loaded, chunk.size)) / file.size),
+        });
+        break;
+      } catch (err) {
+        if (signal.aborted || attempt >= MAX_ATTEMPTS || !isRetryable(err)) throw err;
+        onRetry();
+        await waitToRetry(attempt, signal);
+      }
+    }
+
+    sent += chunk.size;
+    onProgress(sent / file.size);
+  }
+
+  try {
+    const response = await uploadsAPI.completeSession(session.id);
+    localStorage.removeItem(resumeKey(file));
+    return response.data.data;
+  } catch (err) {
+    // The server threw the session away (corrupt or expired): start over next time
+    if ([404, 422].includes(err.response?.status)) {
+      localStorage.removeItem(resumeKey(file));
+    }
+    throw err;
+  }
+};
+
+/**
+ * Upload files in checksummed chunks through /api/upload/sessions, with
+ * per-file progress, cancellation and retries. A chunk that fails is retried
+ * with backoff (after the connection returns when offline); an upload that
+ * still fails, or is interrupted by leaving the page, resumes from its last
+ * stored chunk when the same file is picked again.
+ *
+ * @param {{ onUploaded?: (file: { filename: string, originalName: string, size: number, url: string }) => void, folder?: string|null }} [options] - New uploads are filed in `folder`
+ * @returns {{ uploads: Object[], addFiles: (files: File[]) => void, cancel: (upload: Object) => void, retry: (upload: Object) => void, dismiss: (upload: Object) => void }}
+ */
+export const useChunkedUploads = ({ onUploaded, folder = null } = {}) => {
+  const [uploads, setUploads] = useState([]);
+  const controllers = useRef(new Map());
+  const onUploadedRef = useRef(onUploaded);
+  onUploadedRef.current = onUploaded;
+
+  // Leaving the page stops the transfers; they resume from the stored chunks
+  useEffect(() => () => {
+    controllers.current.forEach((controller) => controller.abort());
+  }, []);
+
+  const update = (id, changes) => {
+    setUploads((current) => current.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  const run = async ({ id, file }) => {
+    const controller = new AbortController();
+    controllers.current.set(id, controller);
+    update(id, { status: 'uploading', error: null });
+
+    try {
+      const result = await uploadFile(file, {
+        folder,
+        signal: controller.signal,
+        onProgress: (progress) => update(id, { progress, status: 'uploading' }),
+        onRetry: () => update(id, { status: 'retrying' }),
+      });
+      update(id, { status: 'done', progress: 1, result });
+      onUploadedRef.current?.(result);
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      update(id, { status: 'error', error: err.response?.data?.error || err.message });
+    } finally {
+      controllers.current.delete(id);
+    }
+  };
+
+  const addFiles = (files) => {
+    const added = files.map((file) => ({
+      id: `${resumeKey(file)}:${Date.now()}`,
+      file,
+      name: file.name,
+      size: file.size,
+      progress: 0,
+      status: 'pending',
+      error: null,
+    }));
+
+    setUploads((current) => [...added, ...current]);
+    added.forEach(run);
+  };
+
+  const cancel = (upload) => {
+    controllers.current.get(upload.id)?.abort();
+    update(upload.id, { status: 'cancelled' });
+
+    const sessionId = localStorage.getItem(resumeKey(upload.file));
+    if (sessionId) {
+      localStorage.removeItem(resumeKey(upload.file));
+      uploadsAPI.cancelSession(sessionId).catch((err) => {
+        console.error('Error cancelling upload:', err);
+      });
+    }
+  };
+
+  const retry = (upload) => run(upload);
+
+  const dismiss = (upload) => {
+    setUploads((current) => current.filter((item) => item.id !== upload.id));
+  };
+
+  return { uploads, addFiles, cancel, retry, dismiss };
+};
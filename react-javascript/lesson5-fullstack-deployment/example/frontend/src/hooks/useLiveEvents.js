@@ -0,0 +1,105 @@
+import { useEffect, useRef, useState } from 'react';
+import { dashboardAPI, refreshAccessToken } from '../services/api';
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// One `event:`/`data:` block of the stream; comments (heartbeats) have no data
+const parseEvent = (block) => {
+  const data = block
+    .split('\n')
+    .filter((line) => line.startsWith('data:'))
+    .map((line) => line.slice(5).trimStart())
+    .join('\n');
+
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+const openStream = (signal) =>
+  fetch(dashboardAPI.eventsUrl(), {
+    headers: {
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${localStorage.getItem('token')}`,
+    },
+    signal,
+  });
+
+/**
+ * Subscribe to the backend's live dashboard events. The stream is read with
+ * fetch rather than EventSource so the access token can be sent as a header;
+ * an expired token is refreshed once per connection attempt.
+ *
+ * Lost connections are retried with exponential backoff. `status` is
+ * `'live'` while events are arriving, so callers can poll in the meantime.
+ *
+ * @param {(event: { type: string, description: string, timestamp: string, data: Object }) => void} onEvent
+ * @returns {{ status: 'connecting'|'live'|'offline' }}
+ */
+export const useLiveEvents = (onEvent) => {
+  const [status, setStatus] = useState('connecting');
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let retryTimer = null;
+    let attempt = 0;
+
+    const connect = async () => {
+      try {
+        let response = await openStream(controller.signal);
+        if (response.status === 401) {
+          await refreshAccessToken();
+          response = await openStream(controller.signal);
+        }
+        if (!response.ok || !response.body) {
+          throw new Error(`Live events unavailable (${response.status})`);
+        }
+
+        setStatus('live');
+        attempt = 0;
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += value;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.map(parseEvent).filter(Boolean).forEach((event) => onEventRef.current(event));
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live events error:', error);
+      }
+
+      if (controller.signal.aborted) return;
+
+      // The server also ends the stream when the access token expires
+      setStatus('offline');
+      retryTimer = setTimeout(connect, Math.min(MIN_RETRY_MS * 2 ** attempt, MAX_RETRY_MS));
+      attempt += 1;
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, []);
+
+  return { status };
+};
+
+export default useLiveEvents;
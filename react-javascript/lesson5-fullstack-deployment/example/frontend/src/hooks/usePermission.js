@@ -0,0 +1,33 @@
+import { useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Check permissions of the current user, mirroring `requirePermission` on
+ * the backend: `permission` alone covers resources the user owns, while
+ * `permission:any` covers every resource.
+ *
+ * Only hides UI: the backend still enforces every permission.
+ *
+ * @param {string} [permission] - e.g. 'products:write'
+ * @param {*} [ownerId] - Owner of the resource, for ownership-scoped permissions
+ * @returns {{ can: (permission: string, ownerId?: *) => boolean, allowed: boolean }}
+ */
+export const usePermission = (permission, ownerId) => {
+  const { user, permissions } = useAuth();
+
+  const can = useCallback((name, owner) => {
+    if (permissions.includes(`${name}:any`)) return true;
+    if (!permissions.includes(name)) return false;
+
+    // Populated references come back as `{ _id, name, email }`
+    const ownerKey = owner?._id ?? owner;
+    return !ownerKey || String(ownerKey) === String(user?.id);
+  }, [permissions, user]);
+
+  return {
+    can,
+    allowed: permission ? can(permission, ownerId) : false,
+  };
+};
+
+export default usePermission;
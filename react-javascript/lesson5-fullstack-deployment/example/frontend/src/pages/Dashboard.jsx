@@ -1,46 +1,98 @@
-import { useEffect, useState, useRef } from 'react';
+import { useCallback, useEffect, useState, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
+import { useLiveEvents } from '../hooks/useLiveEvents';
 import LoadingSpinner from '../components/LoadingSpinner';
+import DashboardAnalytics from '../components/DashboardAnalytics';
+import NotificationBell from '../components/NotificationBell';
+import { authAPI, dashboardAPI } from '../services/api';
 import './Dashboard.css';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const POLL_INTERVAL_MS = 30000;
+const MAX_ACTIVITY = 10;
+
+// Patch the counters and recent activity with one live event
+const applyLiveEvent = (data, event) => {
+  const next = {
+    ...data,
+    recentActivity: [
+      { type: event.type, description: event.description, timestamp: event.timestamp },
+      ...data.recentActivity,
+    ].slice(0, MAX_ACTIVITY),
+  };
+
+  if (event.type === 'user_registration') {
+    next.totalUsers += 1;
+  }
+  if (event.type === 'user_deleted') {
+    next.totalUsers -= 1;
+  }
+  if (event.type === 'product_added' || event.type === 'product_restored') {
+    next.totalProducts += event.data.count;
+    next.stockOuts += event.data.outOfStock;
+  }
+  if (event.type === 'product_deleted') {
+    next.totalProducts -= event.data.count;
+    next.stockOuts -= event.data.outOfStock;
+  }
+  if (event.type === 'stock_change') {
+    next.stockOuts += (event.data.stock <= 0 ? 1 : 0) - (event.data.previousStock <= 0 ? 1 : 0);
+  }
+  return next;
+};
 
 const Dashboard = () => {
   const { user, logout, success, clearSuccess } = useAuth();
+  const { allowed: canManageRoles } = usePermission('roles:manage');
+  const { allowed: canViewAnalytics } = usePermission('activity:read:any');
+  const { allowed: canManageFiles } = usePermission('files:read');
   const [dashboardData, setDashboardData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [verificationSent, setVerificationSent] = useState(false);
   const intervalRef = useRef(null);
+  const wasDisconnected = useRef(false);
+
+  const handleLiveEvent = useCallback((event) => {
+    setDashboardData((data) => (data ? applyLiveEvent(data, event) : data));
+  }, []);
+
+  const { status: liveStatus } = useLiveEvents(handleLiveEvent);
 
   useEffect(() => {
     fetchDashboardData();
-    
-    // Set up realtime polling every 30 seconds
+  }, []);
+
+  useEffect(() => {
+    if (liveStatus === 'live') {
+      // Catch up on whatever happened while the stream was down
+      if (wasDisconnected.current) {
+        fetchDashboardData(false);
+      }
+      return undefined;
+    }
+
+    if (liveStatus === 'offline') {
+      wasDisconnected.current = true;
+    }
+
+    // Fall back to polling until the stream is back
     intervalRef.current = setInterval(() => {
       fetchDashboardData(false); // Don't show loading on refresh
-    }, 30000);
+    }, POLL_INTERVAL_MS);
 
     return () => {
       if (intervalRef.current) {
         clearInterval(intervalRef.current);
       }
     };
-  }, []);
+  }, [liveStatus]);
 
   const fetchDashboardData = async (showLoading = true) => {
     try {
       if (showLoading) setLoading(true);
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${API_URL}/api/dashboard`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch dashboard data');
-
-      const data = await response.json();
-      setDashboardData(data.data);
+      const response = await dashboardAPI.getDashboard();
+      setDashboardData(response.data.data);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -48,6 +100,15 @@ const Dashboard = () => {
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      await authAPI.resendVerification();
+      setVerificationSent(true);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+    }
+  };
+
   if (loading) {
     return <LoadingSpinner fullScreen />;
   }
@@ -65,13 +126,41 @@ const Dashboard = () => {
           <div>
             <h1>Dashboard</h1>
             <p>Welcome back, <strong>{user?.name}</strong>!</p>
-            <span className="realtime-indicator">🟢 Live Data</span>
+            <span className={`realtime-indicator ${liveStatus === 'live' ? '' : 'realtime-indicator-polling'}`}>
+              {liveStatus === 'live' ? '🟢 Live Data' : '🟡 Refreshing every 30s'}
+            </span>
+          </div>
+          <div className="header-actions">
+            <NotificationBell />
+            {canManageRoles && (
+              <Link to="/admin/roles" className="btn btn-secondary">
+                Roles
+              </Link>
+            )}
+            <Link to="/profile" className="btn btn-secondary">
+              Profile
+            </Link>
+            <button onClick={logout} className="btn btn-secondary">
+              Logout
+            </button>
           </div>
-          <button onClick={logout} className="btn btn-secondary">
-            Logout
-          </button>
         </div>
 
+        {user?.emailVerified === false && (
+          <div className="verify-notice">
+            <span>
+              {verificationSent
+                ? `Verification email sent to ${user.email}.`
+                : 'Please verify your email address.'}
+            </span>
+            {!verificationSent && (
+              <button onClick={resendVerification} className="btn btn-secondary">
+                Resend link
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Stats Grid */}
         <div className="stats-grid">
           <div className="stat-card">
@@ -102,6 +191,20 @@ const Dashboard = () => {
               <p className="stat-value">{dashboardData?.totalProducts}</p>
             </div>
           </div>
+
+          <div className="stat-card">
+            <div className="stat-icon stat-icon-revenue">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
+                <line x1="12" y1="9" x2="12" y2="13"></line>
+                <line x1="12" y1="17" x2="12.01" y2="17"></line>
+              </svg>
+            </div>
+            <div className="stat-content">
+              <h3>Out of Stock</h3>
+              <p className="stat-value">{dashboardData?.stockOuts}</p>
+            </div>
+          </div>
         </div>
 
         {/* Quick Actions */}
@@ -119,9 +222,53 @@ const Dashboard = () => {
               <h3>Manage Products</h3>
               <p>Add, edit, and manage your product inventory</p>
             </Link>
+            {canManageFiles && (
+              <Link to="/files" className="action-card">
+                <div className="action-icon">
+                  <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+                  </svg>
+                </div>
+                <h3>Manage Files</h3>
+                <p>Upload large files with progress and resume</p>
+              </Link>
+            )}
           </div>
         </div>
 
+        {canViewAnalytics && <DashboardAnalytics />}
+
+        {/* Reorder Suggestions */}
+        {dashboardData?.reorderSuggestions?.length > 0 && (
+          <div className="dashboard-section reorder-section">
+            <h2>Reorder Suggestions</h2>
+            <div className="table-responsive">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>In Stock</th>
+                    <th>Reserved</th>
+                    <th>Threshold</th>
+                    <th>Reorder</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dashboardData.reorderSuggestions.map((item) => (
+                    <tr key={item._id}>
+                      <td>{item.name}</td>
+                      <td className={item.stock <= 0 ? 'stock-out' : ''}>{item.stock}</td>
+                      <td>{item.reserved}</td>
+                      <td>{item.reorderThreshold}</td>
+                      <td><strong>{item.suggestedQuantity}</strong></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Recent Activity */}
         <div className="dashboard-section">
           <h2>Recent Activity</h2>
@@ -131,6 +278,11 @@ const Dashboard = () => {
                 <div className="activity-icon">
                   {activity.type === 'user_registration' && '👤'}
                   {activity.type === 'product_added' && '🛒'}
+                  {activity.type === 'stock_change' && '📦'}
+                  {activity.type === 'upload' && '📁'}
+                  {activity.type === 'order_placed' && '🧾'}
+                  {activity.type === 'payment_received' && '💳'}
+                  {activity.type === 'system_update' && '📣'}
                 </div>
                 <div className="activity-content">
                   <p>{activity.description}</p>
@@ -1,27 +1,91 @@
 import React, { useState, useEffect } from 'react';
-import { useAuth } from '../contexts/AuthContext';
+import { Link } from 'react-router-dom';
+import { usePermission } from '../hooks/usePermission';
 import FileUpload from '../components/FileUpload';
+import FolderTree from '../components/FolderTree';
+import FilePreview from '../components/FilePreview';
+import ShareDialog from '../components/ShareDialog';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Toast from '../components/Toast';
-import api from '../services/api';
+import { uploadsAPI, foldersAPI, fileUrl } from '../services/api';
 import './FileManager.css';
 
+const PAGE_SIZE = 12;
+
+// Extensions the server accepts; it checks what the files really contain
+const ACCEPTED_FILES = '.jpg,.jpeg,.png,.gif,.pdf,.doc,.docx,.txt';
+
+const IMAGE_STATUS = {
+    pending: 'waiting to be processed',
+    processing: 'processing…',
+    ready: 'processed',
+    failed: 'processing failed'
+};
+
+const parseTags = (value) => value.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+
 const FileManager = () => {
-    const { user } = useAuth();
+    const { can } = usePermission();
     const [files, setFiles] = useState([]);
+    const [folders, setFolders] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+    const [search, setSearch] = useState('');
+    // 'all', 'root' (not in a folder) or a folder id
+    const [folder, setFolder] = useState('all');
+    const [tag, setTag] = useState('');
+    const [sortBy, setSortBy] = useState('createdAt');
+    const [order, setOrder] = useState('desc');
+    const [page, setPage] = useState(1);
+    const [selected, setSelected] = useState([]);
+    const [previewFile, setPreviewFile] = useState(null);
+    const [sharingFile, setSharingFile] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(null);
 
+    // Administrators see everyone's files, so show who uploaded each one
+    const seesAll = can('files:read:any');
+    const canWrite = can('files:write');
+
+    // New uploads and folders go into the open folder
+    const currentFolderId = folder !== 'all' && folder !== 'root' ? folder : null;
+    const folderNames = new Map(folders.map((item) => [item.id, item.name]));
+
     useEffect(() => {
-        fetchFiles();
+        fetchFolders();
     }, []);
 
+    useEffect(() => {
+        fetchFiles();
+    }, [search, folder, tag, sortBy, order, page]);
+
+    // A selection only makes sense for the files on screen
+    useEffect(() => {
+        setSelected([]);
+    }, [search, folder, tag, page]);
+
     const fetchFiles = async () => {
         try {
-            setIsLoading(true);
-            const response = await api.get('/upload/files');
-            setFiles(response.data.data.files || []);
+            const response = await uploadsAPI.getFiles({
+                search,
+                folder: folder === 'all' ? undefined : folder,
+                tag: tag || undefined,
+                sortBy,
+                order,
+                page,
+                limit: PAGE_SIZE
+            });
+            const { files, pagination } = response.data.data;
+
+            // Deleting the last file of a page moves back to the previous one
+            if (files.length === 0 && page > 1) {
+                setPage(page - 1);
+                return;
+            }
+
+            setFiles(files);
+            setPagination(pagination);
+            setPreviewFile((current) => (current && files.find((file) => file.id === current.id)) || null);
         } catch (err) {
             setError(err.response?.data?.error || err.message);
         } finally {
@@ -29,66 +93,146 @@ const FileManager = () => {
         }
     };
 
-    const handleSingleUpload = async (file) => {
+    const fetchFolders = async () => {
         try {
-            const formData = new FormData();
-            formData.append('file', file);
-
-            const response = await api.post('/upload', formData, {
-                headers: {
-                    'Content-Type': 'multipart/form-data',
-                },
-            });
-
-            console.log('Upload successful:', response.data);
-            setSuccess('File uploaded successfully!');
-            setError(null);
-
-            // Refresh files list
-            await fetchFiles();
+            const response = await foldersAPI.getFolders();
+            setFolders(response.data.data.folders);
         } catch (err) {
-            console.error('Upload error:', err);
             setError(err.response?.data?.error || err.message);
         }
     };
 
-    const handleMultipleUpload = async (uploadFiles) => {
+    // Run a change, report it and reload what it may have affected
+    const runAction = async (action, message) => {
         try {
-            const formData = new FormData();
-            uploadFiles.forEach(file => {
-                formData.append('files', file);
-            });
-
-            const response = await api.post('/upload/multiple', formData, {
-                headers: {
-                    'Content-Type': 'multipart/form-data',
-                },
-            });
-
-            console.log('Multiple upload successful:', response.data);
-            setSuccess(`${uploadFiles.length} files uploaded successfully!`);
+            const result = await action();
+            setSuccess(typeof message === 'function' ? message(result) : message);
             setError(null);
-
-            // Refresh files list
-            await fetchFiles();
+            await Promise.all([fetchFiles(), fetchFolders()]);
         } catch (err) {
-            console.error('Upload error:', err);
             setError(err.response?.data?.error || err.message);
         }
     };
 
-    const handleDeleteFile = async (filename) => {
-        try {
-            await api.delete(`/upload/${filename}`);
-            setSuccess('File deleted successfully!');
-            setError(null);
+    const changeSearch = (value) => {
+        setSearch(value);
+        setPage(1);
+    };
 
-            // Refresh files list
-            await fetchFiles();
-        } catch (err) {
-            console.error('Delete error:', err);
-            setError(err.response?.data?.error || err.message);
-        }
+    const changeFolder = (value) => {
+        setFolder(value);
+        setPage(1);
+    };
+
+    const changeTag = (value) => {
+        setTag(value);
+        setPage(1);
+    };
+
+    const changeSort = (value) => {
+        setSortBy(value);
+        setPage(1);
+    };
+
+    // Called once per file as soon as its chunked upload completes
+    const handleUploaded = async (file) => {
+        setSuccess(`${file.originalName} uploaded successfully!`);
+        setError(null);
+
+        // Refresh files list
+        await Promise.all([fetchFiles(), fetchFolders()]);
+    };
+
+    const handleCreateFolder = async () => {
+        const name = window.prompt(currentFolderId ? `New folder in "${folderNames.get(currentFolderId)}"` : 'New folder');
+        if (!name?.trim()) return;
+
+        await runAction(
+            () => foldersAPI.createFolder({ name, parent: currentFolderId }),
+            `Folder "${name.trim()}" created`
+        );
+    };
+
+    const handleRenameFolder = async (item) => {
+        const name = window.prompt('Rename folder', item.name);
+        if (!name?.trim() || name.trim() === item.name) return;
+
+        await runAction(() => foldersAPI.updateFolder(item.id, { name }), 'Folder renamed');
+    };
+
+    const handleDeleteFolder = async (item) => {
+        if (!window.confirm(`Delete the folder "${item.name}"?`)) return;
+
+        await runAction(async () => {
+            await foldersAPI.deleteFolder(item.id);
+            changeFolder(item.parent || 'all');
+        }, 'Folder deleted');
+    };
+
+    const handleRenameFile = async (file) => {
+        const name = window.prompt('Rename file', file.originalName);
+        if (!name?.trim() || name.trim() === file.originalName) return;
+
+        await runAction(() => uploadsAPI.updateFile(file.id, { name }), 'File renamed');
+    };
+
+    const handleEditTags = async (file) => {
+        const value = window.prompt('Tags, separated by commas', file.tags.join(', '));
+        if (value === null) return;
+
+        await runAction(() => uploadsAPI.updateFile(file.id, { tags: parseTags(value) }), 'Tags updated');
+    };
+
+    const handleDeleteFile = async (file) => {
+        if (!window.confirm(`Delete "${file.originalName}"?`)) return;
+
+        await runAction(() => uploadsAPI.deleteFile(file.id), 'File deleted successfully!');
+    };
+
+    const toggleSelected = (file) => {
+        setSelected((current) => (current.includes(file.id)
+            ? current.filter((id) => id !== file.id)
+            : [...current, file.id]));
+    };
+
+    const toggleAll = () => {
+        setSelected(selected.length === files.length ? [] : files.map((file) => file.id));
+    };
+
+    const handleBulkMove = async (target) => {
+        if (!target) return;
+
+        await runAction(
+            () => uploadsAPI.bulkAction({ action: 'move', ids: selected, folder: target === 'root' ? null : target }),
+            `${selected.length} file(s) moved`
+        );
+        setSelected([]);
+    };
+
+    const handleBulkTag = async (action) => {
+        const value = window.prompt(action === 'tag' ? 'Tags to add, separated by commas' : 'Tags to remove, separated by commas');
+        const tags = value ? parseTags(value) : [];
+        if (tags.length === 0) return;
+
+        await runAction(
+            () => uploadsAPI.bulkAction({ action, ids: selected, tags }),
+            `Tags of ${selected.length} file(s) updated`
+        );
+    };
+
+    const handleBulkDelete = async () => {
+        if (!window.confirm(`Delete ${selected.length} file(s)?`)) return;
+
+        await runAction(
+            () => uploadsAPI.bulkAction({ action: 'delete', ids: selected }),
+            (response) => {
+                const { deleted, skipped } = response.data.data;
+                return skipped.length > 0
+                    ? `${deleted.length} file(s) deleted, ${skipped.length} kept because products use them`
+                    : `${deleted.length} file(s) deleted`;
+            }
+        );
+        setSelected([]);
     };
 
     const formatFileSize = (bytes) => {
@@ -122,6 +266,9 @@ const FileManager = () => {
             <div className="file-manager-header">
                 <h1>File Manager</h1>
                 <p>Upload and manage your files</p>
+                <Link to="/dashboard" className="btn btn-secondary">
+                    ← Back to Dashboard
+                </Link>
             </div>
 
             {error && (
@@ -132,62 +279,244 @@ const FileManager = () => {
             )}
 
             <div className="upload-section">
-                <h2>Upload Files</h2>
+                <h2>
+                    Upload Files
+                    {currentFolderId && <span className="upload-target"> to 📁 {folderNames.get(currentFolderId)}</span>}
+                </h2>
                 <div className="upload-options">
                     <div className="upload-option">
                         <h3>Single File Upload</h3>
                         <FileUpload
-                            onUpload={handleSingleUpload}
+                            onUploaded={handleUploaded}
                             accept="image/*"
+                            folder={currentFolderId}
                         />
                     </div>
                     <div className="upload-option">
                         <h3>Multiple Files Upload</h3>
                         <FileUpload
-                            onMultipleUpload={handleMultipleUpload}
+                            onUploaded={handleUploaded}
                             multiple={true}
-                            accept="*/*"
+                            accept={ACCEPTED_FILES}
+                            folder={currentFolderId}
                         />
                     </div>
                 </div>
             </div>
 
-            <div className="files-section">
-                <h2>Uploaded Files ({files.length})</h2>
-                {files.length === 0 ? (
-                    <div className="no-files">
-                        <p>No files uploaded yet</p>
+            <div className={`file-manager-body ${previewFile ? 'with-preview' : ''}`}>
+                <FolderTree
+                    folders={folders}
+                    selected={folder}
+                    onSelect={changeFolder}
+                    onCreate={canWrite ? handleCreateFolder : undefined}
+                    onRename={canWrite ? handleRenameFolder : undefined}
+                    onDelete={canWrite ? handleDeleteFolder : undefined}
+                />
+
+                <div className="files-section">
+                    <h2>Uploaded Files ({pagination.total})</h2>
+
+                    <div className="files-toolbar">
+                        <input
+                            type="text"
+                            placeholder="Search by file name..."
+                            value={search}
+                            onChange={(e) => changeSearch(e.target.value)}
+                            className="files-search"
+                        />
+                        <select value={sortBy} onChange={(e) => changeSort(e.target.value)} className="files-sort">
+                            <option value="createdAt">Date</option>
+                            <option value="originalName">Name</option>
+                            <option value="size">Size</option>
+                        </select>
+                        <button
+                            onClick={() => setOrder(order === 'asc' ? 'desc' : 'asc')}
+                            className="btn btn-secondary btn-sm"
+                        >
+                            {order === 'asc' ? '↑' : '↓'}
+                        </button>
+                        {tag && (
+                            <button onClick={() => changeTag('')} className="file-tag file-tag-active" title="Show all tags">
+                                #{tag} ×
+                            </button>
+                        )}
                     </div>
-                ) : (
-                    <div className="files-grid">
-                        {files.map((file, index) => (
-                            <div key={index} className="file-card">
-                                <div className="file-info">
-                                    <h4>{file.filename}</h4>
-                                    <p>Size: {formatFileSize(file.size)}</p>
-                                    <p>Uploaded: {formatDate(file.createdAt)}</p>
-                                </div>
-                                <div className="file-actions">
-                                    <a
-                                        href={file.url}
-                                        target="_blank"
-                                        rel="noopener noreferrer"
-                                        className="btn btn-primary btn-sm"
-                                    >
-                                        View
-                                    </a>
-                                    <button
-                                        onClick={() => handleDeleteFile(file.filename)}
-                                        className="btn btn-danger btn-sm"
-                                    >
+
+                    {files.length > 0 && (
+                        <div className="files-bulk-bar">
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={selected.length === files.length}
+                                    onChange={toggleAll}
+                                />
+                                {selected.length > 0 ? `${selected.length} selected` : 'Select all'}
+                            </label>
+                            {selected.length > 0 && (
+                                <>
+                                    <select value="" onChange={(e) => handleBulkMove(e.target.value)} className="files-sort">
+                                        <option value="">Move to…</option>
+                                        <option value="root">Not in a folder</option>
+                                        {folders.map((item) => (
+                                            <option key={item.id} value={item.id}>{item.name}</option>
+                                        ))}
+                                    </select>
+                                    <button onClick={() => handleBulkTag('tag')} className="btn btn-secondary btn-sm">
+                                        Add tags
+                                    </button>
+                                    <button onClick={() => handleBulkTag('untag')} className="btn btn-secondary btn-sm">
+                                        Remove tags
+                                    </button>
+                                    <button onClick={handleBulkDelete} className="btn btn-danger btn-sm">
                                         Delete
                                     </button>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {files.length === 0 ? (
+                        <div className="no-files">
+                            <p>{search || tag || folder !== 'all' ? 'No files match your search' : 'No files uploaded yet'}</p>
+                        </div>
+                    ) : (
+                        <div className="files-grid">
+                            {files.map((file) => (
+                                <div
+                                    key={file.id}
+                                    className={[
+                                        'file-card',
+                                        file.scan.status === 'quarantined' && 'file-card-quarantined',
+                                        selected.includes(file.id) && 'file-card-selected'
+                                    ].filter(Boolean).join(' ')}
+                                >
+                                    <div className="file-info">
+                                        <label className="file-select">
+                                            <input
+                                                type="checkbox"
+                                                checked={selected.includes(file.id)}
+                                                onChange={() => toggleSelected(file)}
+                                            />
+                                            <h4 title={file.filename}>{file.originalName}</h4>
+                                        </label>
+                                        {file.scan.status === 'quarantined' && (
+                                            <p className="file-quarantined">
+                                                Quarantined: {file.scan.threat || 'malware found'}
+                                            </p>
+                                        )}
+                                        {file.tags.length > 0 && (
+                                            <div className="file-tags">
+                                                {file.tags.map((item) => (
+                                                    <button key={item} onClick={() => changeTag(item)} className="file-tag">
+                                                        #{item}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                        {folder === 'all' && file.folder && folderNames.has(file.folder) && (
+                                            <p>Folder: {folderNames.get(file.folder)}</p>
+                                        )}
+                                        <p>Type: {file.mimetype}</p>
+                                        <p>Size: {formatFileSize(file.size)}</p>
+                                        {file.image && (
+                                            <p>Image: {IMAGE_STATUS[file.image.status]}
+                                                {file.image.status === 'ready' && `, ${file.image.width}×${file.image.height}, ${file.image.variants} variants`}
+                                            </p>
+                                        )}
+                                        <p>Uploaded: {formatDate(file.createdAt)}</p>
+                                        {seesAll && file.owner && (
+                                            <p>Owner: {file.owner.name} ({file.owner.email})</p>
+                                        )}
+                                        <p className="file-checksum" title={file.checksum}>
+                                            SHA-256: {file.checksum.slice(0, 12)}…
+                                        </p>
+                                        {file.products.length > 0 && (
+                                            <p className="file-products">
+                                                Image of: {file.products
+                                                    .map((product) => (product.deletedAt ? `${product.name} (trashed)` : product.name))
+                                                    .join(', ')}
+                                            </p>
+                                        )}
+                                    </div>
+                                    <div className="file-actions">
+                                        <button onClick={() => setPreviewFile(file)} className="btn btn-secondary btn-sm">
+                                            Preview
+                                        </button>
+                                        {file.url && (
+                                            <a
+                                                href={fileUrl(file.url)}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                className="btn btn-primary btn-sm"
+                                            >
+                                                View
+                                            </a>
+                                        )}
+                                        {can('files:write', file.owner) && (
+                                            <>
+                                                <button onClick={() => handleRenameFile(file)} className="btn btn-secondary btn-sm">
+                                                    Rename
+                                                </button>
+                                                <button onClick={() => handleEditTags(file)} className="btn btn-secondary btn-sm">
+                                                    Tags
+                                                </button>
+                                                {file.url && (
+                                                    <button onClick={() => setSharingFile(file)} className="btn btn-secondary btn-sm">
+                                                        Share
+                                                    </button>
+                                                )}
+                                            </>
+                                        )}
+                                        {can('files:delete', file.owner) && (
+                                            <button
+                                                onClick={() => handleDeleteFile(file)}
+                                                className="btn btn-danger btn-sm"
+                                                disabled={file.products.length > 0}
+                                                title={file.products.length > 0 ? 'Used as a product image' : undefined}
+                                            >
+                                                Delete
+                                            </button>
+                                        )}
+                                    </div>
                                 </div>
-                            </div>
-                        ))}
-                    </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {pagination.pages > 1 && (
+                        <div className="files-pagination">
+                            <button
+                                onClick={() => setPage(page - 1)}
+                                disabled={page <= 1}
+                                className="btn btn-secondary btn-sm"
+                            >
+                                Previous
+                            </button>
+                            <span>Page {pagination.page} of {pagination.pages}</span>
+                            <button
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= pagination.pages}
+                                className="btn btn-secondary btn-sm"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {previewFile && (
+                    <FilePreview
+                        file={previewFile}
+                        folderName={folderNames.get(previewFile.folder)}
+                        onClose={() => setPreviewFile(null)}
+                    />
                 )}
             </div>
+
+            {sharingFile && (
+                <ShareDialog file={sharingFile} onClose={() => setSharingFile(null)} />
+            )}
         </div>
     );
 };
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.data.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send reset link');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>Forgot Password</h1>
+          <p>Enter your email and we will send you a reset link</p>
+        </div>
+
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="alert alert-success">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                disabled={isLoading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={isLoading}
+            >
+              {isLoading ? <LoadingSpinner size="small" /> : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="login-footer">
+          <p>
+            Remembered it? <Link to="/login" className="link-button">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,63 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Login.css';
+
+const OAuthCallback = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { completeOAuthLogin, startTwoFactorChallenge } = useAuth();
+  const [error, setError] = useState(searchParams.get('error'));
+  // Refresh tokens rotate on use, so the exchange must run only once under StrictMode
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (error || requestedRef.current) return;
+    requestedRef.current = true;
+
+    // Linking happens inside the current session
+    if (searchParams.get('linked')) {
+      navigate('/profile', { replace: true });
+      return;
+    }
+
+    // Account has 2FA: continue on the login page with the second step
+    const challenge = searchParams.get('challenge');
+    if (challenge) {
+      startTwoFactorChallenge(challenge);
+      navigate('/login', { replace: true });
+      return;
+    }
+
+    completeOAuthLogin()
+      .then(() => navigate('/dashboard', { replace: true }))
+      .catch((err) => setError(err.message));
+  }, [error, searchParams, completeOAuthLogin, startTwoFactorChallenge, navigate]);
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>Google Sign-In</h1>
+        </div>
+
+        {error ? (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        ) : (
+          <LoadingSpinner />
+        )}
+
+        <div className="login-footer">
+          <p>
+            <Link to="/login" className="link-button">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallback;
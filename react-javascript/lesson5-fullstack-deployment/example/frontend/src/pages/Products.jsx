@@ -1,7 +1,13 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { usePermission } from '../hooks/usePermission';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ProductImportWizard from '../components/ProductImportWizard';
+import ProductHistory from '../components/ProductHistory';
+import NotificationBell from '../components/NotificationBell';
+import ResponsiveImage from '../components/ResponsiveImage';
+import { productsAPI } from '../services/api';
 import './Products.css';
 
 /**
@@ -13,13 +19,16 @@ import './Products.css';
  * @property {string} category
  * @property {number} stock
  * @property {string} image
+ * @property {{ srcset: string, webpSrcset: string, placeholder: string, width: number, height: number } | null} [imageVariants]
  * @property {string} createdAt
+ * @property {string|null} [deletedAt]
  */
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const PAGE_SIZE = 12;
 
 const Products = () => {
     const { logout } = useAuth();
+    const { can } = usePermission();
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [search, setSearch] = useState('');
@@ -28,12 +37,23 @@ const Products = () => {
     const [order, setOrder] = useState('desc');
     const [showModal, setShowModal] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
+    const [showTrash, setShowTrash] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+    const [historyProduct, setHistoryProduct] = useState(null);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const sentinelRef = useRef(null);
+    // Bumped on every fresh fetch so late "load more" responses are dropped
+    const queryVersion = useRef(0);
     const [formData, setFormData] = useState({
         name: '',
         description: '',
         price: '',
         category: 'Electronics',
         stock: '',
+        reorderThreshold: '10',
+        weight: '',
         image: null
     });
 
@@ -41,31 +61,50 @@ const Products = () => {
 
     useEffect(() => {
         fetchProducts();
-    }, [search, category, sortBy, order]);
+    }, [search, category, sortBy, order, showTrash]);
+
+    // Load more products when the sentinel below the grid scrolls into view
+    useEffect(() => {
+        if (!nextCursor || !sentinelRef.current) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) {
+                loadMore();
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [nextCursor, loading, loadingMore]);
+
+    const queryParams = () => ({
+        search,
+        category,
+        sortBy,
+        order,
+        limit: PAGE_SIZE
+    });
 
     const fetchProducts = async () => {
+        const version = ++queryVersion.current;
+
         try {
             setLoading(true);
-            const token = localStorage.getItem('token');
-            const params = new URLSearchParams({
-                search,
-                category,
-                sortBy,
-                order,
-                limit: '50'
-            });
-
-            const response = await fetch(`${API_URL}/api/products?${params}`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (!response.ok) throw new Error('Failed to fetch products');
-
-            const data = await response.json();
-            console.log('Fetched products:', data.data.products);
+
+            if (showTrash) {
+                const response = await productsAPI.getTrash();
+                setProducts(response.data.data.products);
+                setRetentionDays(response.data.data.retentionDays);
+                setNextCursor(null);
+                return;
+            }
+
+            const response = await productsAPI.getProducts(queryParams());
+            if (version !== queryVersion.current) return;
+
+            const data = response.data;
             setProducts(data.data.products);
+            setNextCursor(data.data.pagination.nextCursor);
         } catch (error) {
             console.error('Error fetching products:', error);
         } finally {
@@ -73,6 +112,25 @@ const Products = () => {
         }
     };
 
+    const loadMore = async () => {
+        if (loadingMore) return;
+        const version = queryVersion.current;
+
+        try {
+            setLoadingMore(true);
+            const response = await productsAPI.getProducts({ ...queryParams(), cursor: nextCursor });
+            if (version !== queryVersion.current) return;
+
+            const data = response.data;
+            setProducts((current) => [...current, ...data.data.products]);
+            setNextCursor(data.data.pagination.nextCursor);
+        } catch (error) {
+            console.error('Error loading more products:', error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
@@ -91,33 +149,20 @@ const Products = () => {
             formDataToSend.append('price', formData.price);
             formDataToSend.append('category', formData.category);
             formDataToSend.append('stock', formData.stock);
+            formDataToSend.append('reorderThreshold', formData.reorderThreshold);
+            formDataToSend.append('weight', formData.weight);
 
             if (formData.image) {
                 formDataToSend.append('image', formData.image);
             }
 
-            const url = editingProduct
-                ? `${API_URL}/api/products/${editingProduct._id}`
-                : `${API_URL}/api/products`;
-
-            console.log('Sending request to:', url);
             console.log('Form data:', Object.fromEntries(formDataToSend.entries()));
 
-            const response = await fetch(url, {
-                method: editingProduct ? 'PUT' : 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                body: formDataToSend
-            });
+            const response = editingProduct
+                ? await productsAPI.updateProduct(editingProduct._id, formDataToSend)
+                : await productsAPI.createProduct(formDataToSend);
 
-            console.log('Response status:', response.status);
-            const data = await response.json();
-            console.log('Response data:', data);
-
-            if (!response.ok) {
-                throw new Error(data.error || 'Failed to save product');
-            }
+            console.log('Response data:', response.data);
 
             setShowModal(false);
             setEditingProduct(null);
@@ -126,23 +171,15 @@ const Products = () => {
             alert('Product saved successfully!');
         } catch (error) {
             console.error('Error saving product:', error);
-            alert(error.message || 'Failed to save product');
+            alert(error.response?.data?.error || error.message || 'Failed to save product');
         }
     };
 
     const handleDelete = async (id) => {
-        if (!confirm('Are you sure you want to delete this product?')) return;
+        if (!confirm('Move this product to the trash?')) return;
 
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(`${API_URL}/api/products/${id}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (!response.ok) throw new Error('Failed to delete product');
+            await productsAPI.deleteProduct(id);
 
             fetchProducts();
         } catch (error) {
@@ -151,6 +188,53 @@ const Products = () => {
         }
     };
 
+    const handleExport = async (format) => {
+        try {
+            // Same filters as the list, without pagination
+            const response = await productsAPI.exportProducts({ search, category, sortBy, order, format });
+
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `products.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting products:', error);
+            alert('Failed to export products');
+        }
+    };
+
+    const handleImported = (count) => {
+        setShowImport(false);
+        fetchProducts();
+        alert(`${count} product(s) imported successfully!`);
+    };
+
+    const handleRestore = async (id) => {
+        try {
+            await productsAPI.restoreProduct(id);
+
+            fetchProducts();
+        } catch (error) {
+            console.error('Error restoring product:', error);
+            alert(error.response?.data?.error || 'Failed to restore product');
+        }
+    };
+
+    const handlePurge = async (id) => {
+        if (!confirm('Delete this product permanently? This cannot be undone.')) return;
+
+        try {
+            await productsAPI.purgeProduct(id);
+
+            fetchProducts();
+        } catch (error) {
+            console.error('Error purging product:', error);
+            alert(error.response?.data?.error || 'Failed to delete product');
+        }
+    };
+
     const handleEdit = (product) => {
         setEditingProduct(product);
         setFormData({
@@ -159,6 +243,8 @@ const Products = () => {
             price: product.price.toString(),
             category: product.category,
             stock: product.stock.toString(),
+            reorderThreshold: (product.reorderThreshold ?? 10).toString(),
+            weight: (product.weight ?? 0).toString(),
             image: null
         });
         setShowModal(true);
@@ -171,6 +257,8 @@ const Products = () => {
             price: '',
             category: 'Electronics',
             stock: '',
+            reorderThreshold: '10',
+            weight: '',
             image: null
         });
     };
@@ -187,10 +275,20 @@ const Products = () => {
                 {/* Header */}
                 <div className="products-header">
                     <div>
-                        <h1>Products</h1>
-                        <p>Manage your product inventory</p>
+                        <h1>{showTrash ? 'Trash' : 'Products'}</h1>
+                        <p>
+                            {showTrash
+                                ? `Deleted products are removed permanently after ${retentionDays ?? '…'} days`
+                                : 'Manage your product inventory'}
+                        </p>
                     </div>
                     <div className="header-actions">
+                        <NotificationBell />
+                        {can('products:delete') && (
+                            <button onClick={() => setShowTrash(!showTrash)} className="btn btn-secondary">
+                                {showTrash ? '← Back to Products' : '🗑 Trash'}
+                            </button>
+                        )}
                         <Link to="/dashboard" className="btn btn-secondary">
                             ← Back to Dashboard
                         </Link>
@@ -201,64 +299,81 @@ const Products = () => {
                 </div>
 
                 {/* Filters & Actions */}
-                <div className="filters-bar">
-                    <div className="search-box">
-                        <input
-                            type="text"
-                            placeholder="Search products..."
-                            value={search}
-                            onChange={(e) => setSearch(e.target.value)}
-                            className="search-input"
-                        />
-                    </div>
+                {!showTrash && (
+                    <div className="filters-bar">
+                        <div className="search-box">
+                            <input
+                                type="text"
+                                placeholder="Search products..."
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                className="search-input"
+                            />
+                        </div>
+    
+                        <select
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            className="filter-select"
+                        >
+                            <option value="all">All Categories</option>
+                            {categories.map(cat => (
+                                <option key={cat} value={cat}>{cat}</option>
+                            ))}
+                        </select>
+    
+                        <select
+                            value={sortBy}
+                            onChange={(e) => setSortBy(e.target.value)}
+                            className="filter-select"
+                        >
+                            <option value="createdAt">Date</option>
+                            <option value="name">Name</option>
+                            <option value="price">Price</option>
+                            <option value="stock">Stock</option>
+                        </select>
+    
+                        <button
+                            onClick={() => setOrder(order === 'asc' ? 'desc' : 'asc')}
+                            className="btn btn-secondary"
+                        >
+                            {order === 'asc' ? '↑' : '↓'}
+                        </button>
 
-                    <select
-                        value={category}
-                        onChange={(e) => setCategory(e.target.value)}
-                        className="filter-select"
-                    >
-                        <option value="all">All Categories</option>
-                        {categories.map(cat => (
-                            <option key={cat} value={cat}>{cat}</option>
-                        ))}
-                    </select>
-
-                    <select
-                        value={sortBy}
-                        onChange={(e) => setSortBy(e.target.value)}
-                        className="filter-select"
-                    >
-                        <option value="createdAt">Date</option>
-                        <option value="name">Name</option>
-                        <option value="price">Price</option>
-                        <option value="stock">Stock</option>
-                    </select>
-
-                    <button
-                        onClick={() => setOrder(order === 'asc' ? 'desc' : 'asc')}
-                        className="btn btn-secondary"
-                    >
-                        {order === 'asc' ? '↑' : '↓'}
-                    </button>
-
-                    <button
-                        onClick={() => {
-                            setEditingProduct(null);
-                            resetForm();
-                            setShowModal(true);
-                        }}
-                        className="btn btn-primary"
-                    >
-                        + Add Product
-                    </button>
-                </div>
+                        <button onClick={() => handleExport('csv')} className="btn btn-secondary">
+                            Export CSV
+                        </button>
+                        <button onClick={() => handleExport('json')} className="btn btn-secondary">
+                            Export JSON
+                        </button>
+
+                        {can('products:write') && (
+                            <button onClick={() => setShowImport(true)} className="btn btn-secondary">
+                                Import
+                            </button>
+                        )}
+
+                        {can('products:write') && (
+                            <button
+                                onClick={() => {
+                                    setEditingProduct(null);
+                                    resetForm();
+                                    setShowModal(true);
+                                }}
+                                className="btn btn-primary"
+                            >
+                                + Add Product
+                            </button>
+                        )}
+                    </div>
+                )}
 
                 {/* Products Grid */}
                 {loading ? (
                     <LoadingSpinner fullScreen />
                 ) : products.length === 0 ? (
                     <div className="empty-state">
-                        <p>No products found. Create your first product!</p>
+                        <p>{showTrash ? 'Trash is empty.' : 'No products found. Create your first product!'}</p>
                     </div>
                 ) : (
                     <div className="products-grid">
@@ -266,43 +381,13 @@ const Products = () => {
                             <div key={product._id} className="product-card">
                                 <div className="product-image">
                                     {product.image ? (
-                                        <img 
-                                            src={(() => {
-                                                // Ensure proper URL format
-                                                const imagePath = product.image.startsWith('/') ? product.image : `/${product.image}`;
-                                                const apiUrl = API_URL.endsWith('/') ? API_URL.slice(0, -1) : API_URL;
-                                                const imageUrl = `${apiUrl}${imagePath}`;
-                                                console.log('Image URL:', {
-                                                    productId: product._id,
-                                                    productName: product.name,
-                                                    imagePath: product.image,
-                                                    finalUrl: imageUrl
-                                                });
-                                                return imageUrl;
-                                            })()}
+                                        <ResponsiveImage
+                                            key={product.image}
+                                            src={product.image}
+                                            variants={product.imageVariants}
                                             alt={product.name}
-                                            onError={(e) => {
-                                                console.error('Image load error:', {
-                                                    src: e.target.src,
-                                                    productId: product._id,
-                                                    productName: product.name,
-                                                    imagePath: product.image,
-                                                    apiUrl: API_URL
-                                                });
-                                                e.target.style.display = 'none';
-                                                if (e.target.parentElement && !e.target.parentElement.querySelector('.no-image')) {
-                                                    const fallback = document.createElement('div');
-                                                    fallback.className = 'no-image';
-                                                    fallback.textContent = 'Image not found';
-                                                    e.target.parentElement.appendChild(fallback);
-                                                }
-                                            }}
-                                            onLoad={(e) => {
-                                                console.log('Image loaded successfully:', {
-                                                    src: e.target.src,
-                                                    productId: product._id
-                                                });
-                                            }}
+                                            sizes="(max-width: 768px) 100vw, 400px"
+                                            fallback={<div className="no-image">Image not found</div>}
                                         />
                                     ) : (
                                         <div className="no-image">No Image</div>
@@ -313,25 +398,75 @@ const Products = () => {
                                     <p className="product-description">{product.description}</p>
                                     <div className="product-meta">
                                         <span className="product-price">${product.price.toFixed(2)}</span>
-                                        <span className={`product-stock ${product.stock <= 10 ? 'low' : ''}`}>
+                                        <span className={`product-stock ${product.stock <= (product.reorderThreshold ?? 10) ? 'low' : ''}`}>
                                             Stock: {product.stock}
                                         </span>
                                     </div>
                                     <span className="product-category">{product.category}</span>
+                                    {showTrash && (
+                                        <p className="product-deleted">
+                                            Deleted {new Date(product.deletedAt).toLocaleDateString()}
+                                            {product.deletedBy?.name && ` by ${product.deletedBy.name}`}
+                                        </p>
+                                    )}
                                 </div>
-                                <div className="product-actions">
-                                    <button onClick={() => handleEdit(product)} className="btn-edit">
-                                        Edit
-                                    </button>
-                                    <button onClick={() => handleDelete(product._id)} className="btn-delete">
-                                        Delete
-                                    </button>
-                                </div>
+                                {showTrash ? (
+                                    <div className="product-actions">
+                                        <button onClick={() => handleRestore(product._id)} className="btn-edit">
+                                            Restore
+                                        </button>
+                                        <button onClick={() => handlePurge(product._id)} className="btn-delete">
+                                            Delete Forever
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div className="product-actions">
+                                        <button onClick={() => setHistoryProduct(product)} className="btn-history">
+                                            History
+                                        </button>
+                                        {can('products:write', product.userId) && (
+                                            <button onClick={() => handleEdit(product)} className="btn-edit">
+                                                Edit
+                                            </button>
+                                        )}
+                                        {can('products:delete', product.userId) && (
+                                            <button onClick={() => handleDelete(product._id)} className="btn-delete">
+                                                Delete
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
                 )}
 
+                {/* Infinite scroll sentinel */}
+                {!loading && nextCursor && (
+                    <div ref={sentinelRef} className="load-more">
+                        {loadingMore && <LoadingSpinner />}
+                    </div>
+                )}
+
+                {showImport && (
+                    <ProductImportWizard
+                        onClose={() => setShowImport(false)}
+                        onImported={handleImported}
+                    />
+                )}
+
+                {historyProduct && (
+                    <ProductHistory
+                        product={historyProduct}
+                        canRevert={can('products:write', historyProduct.userId)}
+                        onClose={() => setHistoryProduct(null)}
+                        onReverted={() => {
+                            setHistoryProduct(null);
+                            fetchProducts();
+                        }}
+                    />
+                )}
+
                 {/* Modal */}
                 {showModal && (
                     <div className="modal-overlay" onClick={() => setShowModal(false)}>
@@ -393,6 +528,31 @@ const Products = () => {
                                     </div>
                                 </div>
 
+                                <div className="form-group">
+                                    <label>Reorder Threshold</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={formData.reorderThreshold}
+                                        onChange={(e) => setFormData({ ...formData, reorderThreshold: e.target.value })}
+                                        placeholder="10"
+                                    />
+                                    <p className="form-hint">Flag the product for reordering when stock falls to this level</p>
+                                </div>
+
+                                <div className="form-group">
+                                    <label>Weight (kg)</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={formData.weight}
+                                        onChange={(e) => setFormData({ ...formData, weight: e.target.value })}
+                                        placeholder="0"
+                                    />
+                                    <p className="form-hint">Used to pick the shipping rate at checkout</p>
+                                </div>
+
                                 <div className="form-group">
                                     <label>Category *</label>
                                     <select
@@ -409,7 +569,7 @@ const Products = () => {
                                     <label>Product Image</label>
                                     <input
                                         type="file"
-                                        accept="image/*"
+                                        accept="image/jpeg,image/png,image/gif"
                                         onChange={handleImageChange}
                                         className="file-input"
                                     />
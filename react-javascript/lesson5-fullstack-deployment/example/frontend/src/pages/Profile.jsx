@@ -0,0 +1,231 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import NotificationBell from '../components/NotificationBell';
+import NotificationPreferences from '../components/NotificationPreferences';
+import './Profile.css';
+
+const Profile = () => {
+  const { user, logout, logoutAll, updateUser } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loginHistory, setLoginHistory] = useState([]);
+
+  useEffect(() => {
+    fetchProfile();
+    fetchLoginHistory();
+  }, []);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getMe();
+      setProfile(response.data.data.user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load profile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLoginHistory = async () => {
+    try {
+      const response = await authAPI.getLoginHistory();
+      setLoginHistory(response.data.data.attempts);
+    } catch (err) {
+      console.error('Error fetching login history:', err);
+    }
+  };
+
+  const describeFailure = (reason) => {
+    switch (reason) {
+      case 'invalid_password':
+        return 'Wrong password';
+      case 'invalid_2fa_code':
+        return 'Wrong 2FA code';
+      case 'account_locked':
+        return 'Account locked';
+      case 'deactivated':
+        return 'Account deactivated';
+      case 'no_password':
+        return 'Password sign-in not available';
+      default:
+        return 'Failed';
+    }
+  };
+
+  const linkGoogle = async () => {
+    try {
+      setBusy(true);
+      const response = await authAPI.getGoogleLinkToken();
+      window.location.href = authAPI.googleLoginUrl(response.data.data.linkToken);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start Google linking');
+      setBusy(false);
+    }
+  };
+
+  const unlinkGoogle = async () => {
+    if (!confirm('Unlink your Google account?')) return;
+
+    try {
+      setBusy(true);
+      await authAPI.unlinkGoogle();
+      const updated = { ...profile, googleLinked: false };
+      setProfile(updated);
+      updateUser({ ...user, googleLinked: false });
+      setMessage('Google account unlinked');
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to unlink Google account');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!confirm('Sign out from every device, including this one?')) return;
+    await logoutAll();
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen />;
+  }
+
+  return (
+    <div className="profile-page">
+      <div className="profile-container">
+        <div className="profile-header">
+          <div>
+            <h1>Profile</h1>
+            <p>Manage your account and sign-in methods</p>
+          </div>
+          <div className="header-actions">
+            <NotificationBell />
+            <Link to="/dashboard" className="btn btn-secondary">
+              ← Back to Dashboard
+            </Link>
+            <button onClick={logout} className="btn btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="profile-alert profile-alert-error">{error}</div>}
+        {message && <div className="profile-alert profile-alert-success">{message}</div>}
+
+        <div className="profile-section">
+          <h2>Account</h2>
+          <div className="profile-row">
+            <span className="profile-label">Name</span>
+            <span>{profile?.name}</span>
+          </div>
+          <div className="profile-row">
+            <span className="profile-label">Email</span>
+            <span>
+              {profile?.email}{' '}
+              <span className={`profile-badge ${profile?.emailVerified ? 'profile-badge-success' : 'profile-badge-danger'}`}>
+                {profile?.emailVerified ? 'Verified' : 'Not verified'}
+              </span>
+            </span>
+          </div>
+          <div className="profile-row">
+            <span className="profile-label">Role</span>
+            <span className="profile-badge">{profile?.role}</span>
+          </div>
+        </div>
+
+        <div className="profile-section">
+          <h2>Connected Accounts</h2>
+          <div className="profile-row">
+            <span>
+              <span className="profile-label">Google</span>{' '}
+              <span className={`profile-badge ${profile?.googleLinked ? 'profile-badge-success' : ''}`}>
+                {profile?.googleLinked ? 'Linked' : 'Not linked'}
+              </span>
+            </span>
+            {profile?.googleLinked ? (
+              <button onClick={unlinkGoogle} className="btn btn-secondary" disabled={busy}>
+                Unlink
+              </button>
+            ) : (
+              <button onClick={linkGoogle} className="btn btn-secondary" disabled={busy}>
+                Link Google account
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="profile-section">
+          <h2>Two-Factor Authentication</h2>
+          <TwoFactorSettings
+            enabled={Boolean(profile?.twoFactorEnabled)}
+            onChange={(enabled) => {
+              setProfile({ ...profile, twoFactorEnabled: enabled });
+              updateUser({ ...user, twoFactorEnabled: enabled });
+            }}
+          />
+        </div>
+
+        <div className="profile-section">
+          <h2>Notifications</h2>
+          <NotificationPreferences />
+        </div>
+
+        <div className="profile-section">
+          <h2>Recent Sign-ins</h2>
+          {loginHistory.length === 0 ? (
+            <p className="profile-empty">No sign-ins recorded yet</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="history-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Result</th>
+                    <th>Method</th>
+                    <th>IP Address</th>
+                    <th>Device</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loginHistory.map((attempt) => (
+                    <tr key={attempt._id}>
+                      <td>{new Date(attempt.createdAt).toLocaleString()}</td>
+                      <td>
+                        <span className={`profile-badge ${attempt.success ? 'profile-badge-success' : 'profile-badge-danger'}`}>
+                          {attempt.success ? 'Success' : describeFailure(attempt.reason)}
+                        </span>
+                      </td>
+                      <td>{attempt.method === 'google' ? 'Google' : 'Password'}</td>
+                      <td>{attempt.ip}</td>
+                      <td className="history-device" title={attempt.userAgent}>{attempt.userAgent || 'Unknown'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="profile-section">
+          <h2>Sessions</h2>
+          <div className="profile-row">
+            <span>Sign out from every browser and device where you are logged in.</span>
+            <button onClick={handleLogoutAll} className="btn btn-danger">
+              Sign out everywhere
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Login.css';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, password);
+      setMessage(response.data.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>Reset Password</h1>
+          <p>Choose a new password for your account</p>
+        </div>
+
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="alert alert-success">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter a new password"
+                required
+                minLength={6}
+                disabled={isLoading}
+              />
+              <small className="form-hint">Password must be at least 6 characters</small>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Repeat the new password"
+                required
+                minLength={6}
+                disabled={isLoading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={isLoading}
+            >
+              {isLoading ? <LoadingSpinner size="small" /> : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="login-footer">
+          <p>
+            <Link to="/login" className="link-button">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,281 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import NotificationBell from '../components/NotificationBell';
+import { rolesAPI, usersAPI } from '../services/api';
+import './Roles.css';
+
+/**
+ * @typedef {Object} Role
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} description
+ * @property {string[]} permissions
+ * @property {boolean} isSystem
+ * @property {number} userCount
+ */
+
+const Roles = () => {
+  const { logout } = useAuth();
+  const [roles, setRoles] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newRole, setNewRole] = useState({ name: '', description: '' });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [rolesResponse, catalogResponse, usersResponse] = await Promise.all([
+        rolesAPI.getRoles(),
+        rolesAPI.getPermissionCatalog(),
+        usersAPI.getUsers(1, 50),
+      ]);
+      setRoles(rolesResponse.data.data.roles);
+      setCatalog(catalogResponse.data.data.permissions);
+      setUsers(usersResponse.data.data.users);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showResult = (text) => {
+    setMessage(text);
+    setError(null);
+  };
+
+  const togglePermission = async (role, permission) => {
+    const permissions = role.permissions.includes(permission)
+      ? role.permissions.filter((name) => name !== permission)
+      : [...role.permissions, permission];
+
+    try {
+      const response = await rolesAPI.updateRole(role._id, { permissions });
+      const updated = response.data.data.role;
+      setRoles(roles.map((item) => (item._id === role._id ? { ...item, permissions: updated.permissions } : item)));
+      showResult(`Updated permissions of ${role.name}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update role');
+    }
+  };
+
+  // Empty means the server-wide default
+  const updateUploadLimit = async (role, input) => {
+    const maxUploadMb = input === '' ? null : Number(input);
+    if (maxUploadMb === (role.maxUploadMb ?? null)) return;
+
+    try {
+      const response = await rolesAPI.updateRole(role._id, { maxUploadMb });
+      const updated = response.data.data.role;
+      setRoles(roles.map((item) => (item._id === role._id ? { ...item, maxUploadMb: updated.maxUploadMb } : item)));
+      showResult(`Updated upload limit of ${role.name}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update role');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      await rolesAPI.createRole(newRole);
+      setNewRole({ name: '', description: '' });
+      showResult(`Role ${newRole.name} created`);
+      fetchData();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create role');
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!confirm(`Delete role ${role.name}?`)) return;
+
+    try {
+      await rolesAPI.deleteRole(role._id);
+      setRoles(roles.filter((item) => item._id !== role._id));
+      showResult(`Role ${role.name} deleted`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete role');
+    }
+  };
+
+  const assignRole = async (user, role) => {
+    try {
+      await usersAPI.updateUser(user._id, { role });
+      setUsers(users.map((item) => (item._id === user._id ? { ...item, role } : item)));
+      setRoles(roles.map((item) => {
+        if (item.name === role) return { ...item, userCount: item.userCount + 1 };
+        if (item.name === user.role) return { ...item, userCount: item.userCount - 1 };
+        return item;
+      }));
+      showResult(`${user.name} is now ${role}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to assign role');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner fullScreen />;
+  }
+
+  return (
+    <div className="roles-page">
+      <div className="roles-container">
+        <div className="roles-header">
+          <div>
+            <h1>Roles &amp; Permissions</h1>
+            <p>Choose what each role is allowed to do</p>
+          </div>
+          <div className="header-actions">
+            <NotificationBell />
+            <Link to="/dashboard" className="btn btn-secondary">
+              ← Back to Dashboard
+            </Link>
+            <button onClick={logout} className="btn btn-secondary">
+              Logout
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="roles-alert roles-alert-error">{error}</div>}
+        {message && <div className="roles-alert roles-alert-success">{message}</div>}
+
+        <div className="roles-section">
+          <h2>Permissions</h2>
+          <div className="table-responsive">
+            <table className="roles-table">
+              <thead>
+                <tr>
+                  <th>Permission</th>
+                  {roles.map((role) => (
+                    <th key={role._id} title={role.description}>
+                      {role.name}
+                      <span className="roles-count">{role.userCount} user(s)</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {catalog.map((permission) => (
+                  <tr key={permission.name}>
+                    <td>
+                      <code>{permission.name}</code>
+                      <span className="roles-description">{permission.description}</span>
+                    </td>
+                    {roles.map((role) => (
+                      <td key={role._id} className="roles-cell">
+                        <input
+                          type="checkbox"
+                          checked={role.permissions.includes(permission.name)}
+                          disabled={role.name === 'admin'}
+                          onChange={() => togglePermission(role, permission.name)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td>
+                    Upload limit (MB)
+                    <span className="roles-description">Largest file its users may upload; empty uses the default</span>
+                  </td>
+                  {roles.map((role) => (
+                    <td key={role._id} className="roles-cell">
+                      <input
+                        type="number"
+                        min="1"
+                        max="10240"
+                        className="roles-limit"
+                        defaultValue={role.maxUploadMb ?? ''}
+                        placeholder="Default"
+                        onBlur={(e) => updateUploadLimit(role, e.target.value)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+                <tr>
+                  <td />
+                  {roles.map((role) => (
+                    <td key={role._id} className="roles-cell">
+                      {!role.isSystem && (
+                        <button onClick={() => handleDelete(role)} className="roles-delete">
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>
+
+        <div className="roles-section">
+          <h2>New Role</h2>
+          <form onSubmit={handleCreate} className="roles-form">
+            <input
+              type="text"
+              required
+              pattern="[a-z0-9_\-]{2,30}"
+              value={newRole.name}
+              onChange={(e) => setNewRole({ ...newRole, name: e.target.value.toLowerCase() })}
+              placeholder="Role name (e.g. editor)"
+            />
+            <input
+              type="text"
+              value={newRole.description}
+              onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+              placeholder="Description"
+            />
+            <button type="submit" className="btn btn-primary">
+              Create Role
+            </button>
+          </form>
+        </div>
+
+        <div className="roles-section">
+          <h2>User Roles</h2>
+          <div className="table-responsive">
+            <table className="roles-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Role</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr key={user._id}>
+                    <td>{user.name}</td>
+                    <td>{user.email}</td>
+                    <td>
+                      <select value={user.role} onChange={(e) => assignRole(user, e.target.value)}>
+                        {roles.map((role) => (
+                          <option key={role._id} value={role.name}>{role.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Roles;
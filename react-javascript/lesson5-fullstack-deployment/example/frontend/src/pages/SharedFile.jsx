@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { sharesAPI, fileUrl } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Login.css';
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} Bytes`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Public page behind a share link; asks for the password when the link has one
+const SharedFile = () => {
+  const { token } = useParams();
+  const [file, setFile] = useState(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    sharesAPI.openLink(token)
+      .then((response) => setFile(response.data.data))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to open the shared file'))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const response = await sharesAPI.accessLink(token, password);
+      setFile(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to open the shared file');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>{file ? file.originalName : 'Shared File'}</h1>
+          {file && <p>{file.mimetype} · {formatFileSize(file.size)}</p>}
+        </div>
+
+        {error && (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        )}
+
+        {isLoading && !file && <LoadingSpinner />}
+
+        {file && !file.url && (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="password">This file is protected with a password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter the password"
+                required
+                disabled={isLoading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={isLoading}
+            >
+              {isLoading ? <LoadingSpinner size="small" /> : 'Open File'}
+            </button>
+          </form>
+        )}
+
+        {file?.url && (
+          <>
+            {file.mimetype.startsWith('image/') && (
+              <img src={fileUrl(file.url)} alt={file.originalName} style={{ maxWidth: '100%', marginBottom: '1rem' }} />
+            )}
+            <a
+              href={fileUrl(file.url)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="btn btn-primary btn-block"
+            >
+              Download
+            </a>
+            {file.expiresAt && (
+              <p className="login-footer">Link valid until {new Date(file.expiresAt).toLocaleString()}</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedFile;
@@ -0,0 +1,58 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Login.css';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // Verification tokens are single-use, so don't send twice under StrictMode
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.data.data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Email verification failed');
+      });
+  }, [token]);
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>Email Verification</h1>
+        </div>
+
+        {status === 'verifying' && <LoadingSpinner />}
+        {status === 'success' && (
+          <div className="alert alert-success">
+            {message}
+          </div>
+        )}
+        {status === 'error' && (
+          <div className="alert alert-error">
+            {message}
+          </div>
+        )}
+
+        <div className="login-footer">
+          <p>
+            <Link to="/" className="link-button">Continue</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
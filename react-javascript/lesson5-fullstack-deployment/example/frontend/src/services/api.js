@@ -1,9 +1,19 @@
 import axios from 'axios';
 
+const API_ORIGIN = (import.meta.env.VITE_API_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+// Uploaded files are served by the API (or by the storage itself, with an absolute URL)
+export const fileUrl = (url) => {
+  if (/^https?:\/\//.test(url)) return url;
+  return `${API_ORIGIN}${url.startsWith('/') ? url : `/${url}`}`;
+};
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: `${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api`,
+  baseURL: `${API_ORIGIN}/api`,
   timeout: 10000,
+  // Send the httpOnly refresh token cookie
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -23,15 +33,57 @@ api.interceptors.request.use(
   }
 );
 
+const clearSessionAndRedirect = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Single in-flight refresh shared by all requests that fail at the same time
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/auth/refresh')
+      .then((response) => {
+        const { user, token } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('user', JSON.stringify(user));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const isAuthEndpoint = (url = '') =>
+  ['/auth/refresh', '/auth/login', '/auth/register', '/auth/logout', '/auth/forgot-password', '/auth/reset-password', '/auth/verify-email', '/auth/2fa/verify']
+    .some((path) => url.includes(path));
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid, clear localStorage and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status === 401 && originalRequest && !isAuthEndpoint(originalRequest.url)) {
+      // Access token expired: retry once with a fresh token
+      if (!originalRequest._retry) {
+        originalRequest._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          clearSessionAndRedirect();
+          return Promise.reject(refreshError);
+        }
+      }
+
+      // Still unauthorized after refreshing, clear localStorage and redirect to login
+      clearSessionAndRedirect();
     }
     return Promise.reject(error);
   }
@@ -45,10 +97,50 @@ export const authAPI = {
   login: (credentials) =>
     api.post('/auth/login', credentials),
 
+  refresh: () => api.post('/auth/refresh'),
+
+  logout: () => api.post('/auth/logout'),
+
+  logoutAll: () => api.post('/auth/logout-all'),
+
   getMe: () => api.get('/auth/me'),
 
   updateProfile: (userData) =>
     api.put('/auth/profile', userData),
+
+  forgotPassword: (email) =>
+    api.post('/auth/forgot-password', { email }),
+
+  resetPassword: (token, password) =>
+    api.post(`/auth/reset-password/${token}`, { password }),
+
+  verifyEmail: (token) => api.get(`/auth/verify-email/${token}`),
+
+  resendVerification: () => api.post('/auth/resend-verification'),
+
+  // Full-page redirect target, not an XHR call
+  googleLoginUrl: (linkToken) =>
+    `${api.defaults.baseURL}/auth/google${linkToken ? `?link=${encodeURIComponent(linkToken)}` : ''}`,
+
+  getGoogleLinkToken: () => api.post('/auth/google/link-token'),
+
+  unlinkGoogle: () => api.delete('/auth/google'),
+
+  getLoginHistory: (page = 1, limit = 20) =>
+    api.get(`/auth/login-history?page=${page}&limit=${limit}`),
+
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+
+  disableTwoFactor: (factor) => api.post('/auth/2fa/disable', factor),
+
+  regenerateRecoveryCodes: (code) =>
+    api.post('/auth/2fa/recovery-codes', { code }),
+
+  verifyTwoFactor: (data) => api.post('/auth/2fa/verify', data),
+
+  getPermissions: () => api.get('/auth/permissions'),
 };
 
 // Dashboard API
@@ -57,13 +149,131 @@ export const dashboardAPI = {
 
   updateDashboard: (data) => api.put('/dashboard', data),
 
+  // Filters: type (comma-separated), actor, from, to, page, limit
+  getActivity: (params) => api.get('/dashboard/activity', { params }),
+
   addActivity: (activity) =>
     api.post('/dashboard/activity', activity),
 
-  getAnalytics: () => api.get('/dashboard/analytics'),
+  getAnalytics: (params) => api.get('/dashboard/analytics', { params }),
+
+  // Downloaded as a file, so the body is read as a blob
+  exportAnalytics: (params) =>
+    api.get('/dashboard/analytics', { params: { ...params, format: 'csv' }, responseType: 'blob' }),
+
+  // Server-Sent Events stream, read with fetch so the access token can be sent
+  eventsUrl: () => `${api.defaults.baseURL}/dashboard/events`,
+};
+
+// Products API
+export const productsAPI = {
+  getProducts: (params) => api.get('/products', { params }),
+
+  getProduct: (id) => api.get(`/products/${id}`),
+
+  createProduct: (formData) =>
+    api.post('/products', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+
+  updateProduct: (id, formData) =>
+    api.put(`/products/${id}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+
+  deleteProduct: (id) => api.delete(`/products/${id}`),
+
+  importProducts: (formData) =>
+    api.post('/products/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+
+  // Downloaded as a file, so the body is read as a blob
+  exportProducts: (params) =>
+    api.get('/products/export', { params, responseType: 'blob' }),
+
+  getHistory: (id, page = 1, limit = 20) =>
+    api.get(`/products/${id}/history?page=${page}&limit=${limit}`),
+
+  revertProduct: (id, auditId) =>
+    api.post(`/products/${id}/revert/${auditId}`),
+
+  getTrash: () => api.get('/products/trash'),
+
+  restoreProduct: (id) => api.post(`/products/trash/${id}/restore`),
+
+  purgeProduct: (id) => api.delete(`/products/trash/${id}`),
+
+  getStats: () => api.get('/products/stats/overview'),
 };
 
-// Users API (Admin only)
+// Uploaded files (files:* permissions)
+export const uploadsAPI = {
+  // Own files, or everyone's with files:read:any ({ search, folder, tag, owner, sortBy, order, page, limit });
+  // folder is a folder id or 'root' for files outside any folder
+  getFiles: (params) => api.get('/upload/files', { params }),
+
+  // { name?, folder?, tags? }: rename, move (folder null for the top level) or retag
+  updateFile: (id, changes) => api.patch(`/upload/files/${id}`, changes),
+
+  // Refused (409) while a product uses the file as its image
+  deleteFile: (id) => api.delete(`/upload/files/${id}`),
+
+  // { action: 'move' | 'tag' | 'untag' | 'delete', ids, folder?, tags? }
+  bulkAction: (action) => api.post('/upload/files/bulk', action),
+
+  // Start of a text file: { text, truncated }
+  getPreview: (id) => api.get(`/upload/files/${id}/preview`),
+
+  // { filename, size, mimetype, checksum?, folder? }
+  createSession: (file) => api.post('/upload/sessions', file),
+
+  getSession: (id) => api.get(`/upload/sessions/${id}`),
+
+  // Raw bytes with their SHA-256; large chunks get more time than other requests
+  uploadChunk: (id, index, blob, checksum, { signal, onUploadProgress } = {}) =>
+    api.put(`/upload/sessions/${id}/chunks/${index}`, blob, {
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Checksum': checksum },
+      timeout: 120000,
+      signal,
+      onUploadProgress,
+    }),
+
+  completeSession: (id) => api.post(`/upload/sessions/${id}/complete`, null, { timeout: 120000 }),
+
+  cancelSession: (id) => api.delete(`/upload/sessions/${id}`),
+};
+
+// Virtual folders of the file manager (files:read / files:write)
+export const foldersAPI = {
+  getFolders: () => api.get('/folders'),
+
+  // { name, parent? }
+  createFolder: (folder) => api.post('/folders', folder),
+
+  // { name?, parent? }
+  updateFolder: (id, changes) => api.patch(`/folders/${id}`, changes),
+
+  // Refused (409) while the folder is not empty
+  deleteFolder: (id) => api.delete(`/folders/${id}`),
+};
+
+// Share links to uploaded files; the link endpoints need no login
+export const sharesAPI = {
+  getShares: (fileId) => api.get('/shares', { params: { file: fileId } }),
+
+  // { file, expiresAt?, password? }
+  createShare: (share) => api.post('/shares', share),
+
+  deleteShare: (id) => api.delete(`/shares/${id}`),
+
+  // The file's details, with its URL unless the link has a password
+  openLink: (token) => api.get(`/shares/link/${token}`),
+
+  accessLink: (token, password) => api.post(`/shares/link/${token}/access`, { password }),
+};
+
+// Users API (users:* permissions)
 export const usersAPI = {
   getUsers: (page = 1, limit = 10) =>
     api.get(`/users?page=${page}&limit=${limit}`),
@@ -75,7 +285,36 @@ export const usersAPI = {
 
   deleteUser: (id) => api.delete(`/users/${id}`),
 
+  unlockUser: (id) => api.post(`/users/${id}/unlock`),
+
   getUserStats: () => api.get('/users/stats/overview'),
 };
 
+// Notifications API (the signed-in user's own notifications)
+export const notificationsAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+
+  markRead: (id) => api.patch(`/notifications/${id}/read`),
+
+  markAllRead: () => api.post('/notifications/read-all'),
+
+  getPreferences: () => api.get('/notifications/preferences'),
+
+  // Only the changed channels, e.g. { low_stock: { email: true } }
+  updatePreferences: (preferences) => api.put('/notifications/preferences', preferences),
+};
+
+// Roles API (roles:manage permission)
+export const rolesAPI = {
+  getRoles: () => api.get('/roles'),
+
+  getPermissionCatalog: () => api.get('/roles/permissions'),
+
+  createRole: (roleData) => api.post('/roles', roleData),
+
+  updateRole: (id, roleData) => api.put(`/roles/${id}`, roleData),
+
+  deleteRole: (id) => api.delete(`/roles/${id}`),
+};
+
 export default api;